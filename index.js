@@ -1,6 +1,20 @@
 const fp = require('fastify-plugin');
 const mongoose = require('mongoose');
+const embeddingService = require('./services/embeddingService');
 const vectorService = require('./services/vectorService');
+const trashService = require('./services/trashService');
+const jobService = require('./services/jobService');
+const indexWorker = require('./services/indexWorker');
+const noteService = require('./services/noteService');
+const attachmentService = require('./services/attachmentService');
+const linkService = require('./services/linkService');
+const duplicateService = require('./services/duplicateService');
+const tagSuggestionService = require('./services/tagSuggestionService');
+const changeFeedService = require('./services/changeFeedService');
+const webhookService = require('./services/webhookService');
+const webhookWorker = require('./services/webhookWorker');
+const { createAuthHook } = require('./utils/authUtils');
+const { configureCursorSecret } = require('./utils/cursorUtils');
 
 /**
  * AI-generated Fastify plugin for mod-notes
@@ -10,8 +24,69 @@ async function modNotesPlugin(fastify, options) {
   // Initialize MongoDB connection
   await initializeDatabase(fastify, options);
   
-  // Initialize vector service
-//   await vectorService.initialize();
+  // Derive the plain text of notes stored before Markdown support
+  const migratedNotes = await noteService.migrateSearchText();
+  if (migratedNotes > 0) {
+    fastify.log.info(`Derived search text for ${migratedNotes} notes`);
+  }
+  
+  // Hash the bodies of notes stored before duplicate detection
+  const hashedNotes = await noteService.migrateContentHash();
+  if (hashedNotes > 0) {
+    fastify.log.info(`Hashed the content of ${hashedNotes} notes`);
+  }
+  
+  // Store the [[links]] of notes written before links were tracked
+  const linkedNotes = await linkService.backfillLinks();
+  if (linkedNotes > 0) {
+    fastify.log.info(`Stored links of ${linkedNotes} notes`);
+  }
+  
+  // Select the embedding provider (OpenAI when a key is configured, otherwise offline)
+  await embeddingService.initialize({
+    provider: options.embeddingProvider || process.env.EMBEDDING_PROVIDER,
+    model: options.embeddingModel || process.env.EMBEDDING_MODEL,
+    dimension: options.embeddingDimension || process.env.EMBEDDING_DIMENSION,
+    baseURL: options.embeddingBaseUrl || process.env.EMBEDDING_BASE_URL,
+    apiKey: options.embeddingApiKey || process.env.EMBEDDING_API_KEY,
+    openaiApiKey: options.openaiApiKey || process.env.OPENAI_API_KEY,
+    cache: {
+      maxEntries: options.embeddingCacheSize || process.env.EMBEDDING_CACHE_SIZE || 1000,
+      persistent: options.embeddingCachePersistent !== undefined
+        ? options.embeddingCachePersistent
+        : process.env.EMBEDDING_CACHE_PERSISTENT !== 'false'
+    }
+  });
+
+  // Upload limits for note attachments (stored in GridFS on the same connection)
+  attachmentService.configure({
+    maxBytes: options.attachmentMaxBytes || process.env.ATTACHMENT_MAX_BYTES,
+    allowedTypes: options.attachmentAllowedTypes || process.env.ATTACHMENT_ALLOWED_TYPES
+  });
+  await attachmentService.initialize();
+
+  // Duplicate detection, checked on note creation only with DUPLICATE_CHECK=true or ?checkDuplicates=true
+  duplicateService.configure({
+    threshold: options.duplicateThreshold !== undefined ? options.duplicateThreshold : process.env.DUPLICATE_THRESHOLD,
+    checkOnCreate: options.duplicateCheck !== undefined ? options.duplicateCheck : process.env.DUPLICATE_CHECK
+  });
+  
+  // Auto-tagging of new notes from the existing tag vocabulary (AUTO_TAG=true or ?autoTag=true)
+  tagSuggestionService.configure({
+    autoTagOnCreate: options.autoTag !== undefined ? options.autoTag : process.env.AUTO_TAG,
+    autoTagConfidence: options.autoTagMinConfidence !== undefined ? options.autoTagMinConfidence : process.env.AUTO_TAG_MIN_CONFIDENCE,
+    maxAutoTags: options.autoTagMaxTags || process.env.AUTO_TAG_MAX_TAGS
+  });
+  
+  // Initialize vector service (Qdrant when configured, otherwise the local in-memory store)
+  await vectorService.initialize({
+    backend: options.vectorStore || process.env.VECTOR_STORE,
+    qdrantUrl: options.qdrantUrl || process.env.QDRANT_URL,
+    qdrantApiKey: options.qdrantApiKey || process.env.QDRANT_API_KEY,
+    qdrantCollection: options.qdrantCollection || process.env.QDRANT_COLLECTION,
+    chunkSize: options.chunkSize || process.env.CHUNK_SIZE,
+    chunkOverlap: options.chunkOverlap !== undefined ? options.chunkOverlap : process.env.CHUNK_OVERLAP
+  });
   
   // Register Swagger for API documentation
   await fastify.register(require('@fastify/swagger'), {
@@ -25,9 +100,18 @@ async function modNotesPlugin(fastify, options) {
       schemes: ['http'],
       consumes: ['application/json'],
       produces: ['application/json'],
+      securityDefinitions: {
+        apiKey: { type: 'apiKey', name: 'X-API-Key', in: 'header' },
+        bearerAuth: { type: 'apiKey', name: 'Authorization', in: 'header', description: 'Bearer <HS256 JWT>' }
+      },
+      security: [{ apiKey: [] }, { bearerAuth: [] }],
       tags: [
         { name: 'Notes', description: 'Note management operations' },
-        { name: 'Vector Search', description: 'Semantic search operations' }
+        { name: 'Vector Search', description: 'Semantic search operations' },
+        { name: 'Revisions', description: 'Note revision history' },
+        { name: 'Tags', description: 'Tag management operations' },
+        { name: 'Webhooks', description: 'Webhook subscriptions to note events' },
+        { name: 'Admin', description: 'Administrative background jobs' }
       ]
     },
     exposeRoute: true
@@ -51,8 +135,39 @@ async function modNotesPlugin(fastify, options) {
     transformSpecificationClone: true
   });
 
-  // Register note routes
-  await fastify.register(require('./routes/noteRoutes'), { prefix: '/api/v1' });
+  // Register authenticated API routes (every note is scoped to request.user.id)
+  const authOptions = {
+    apiKeys: options.apiKeys || process.env.API_KEYS,
+    jwtSecret: options.jwtSecret || process.env.JWT_SECRET,
+    jwtIssuer: options.jwtIssuer || process.env.JWT_ISSUER,
+    jwtAudience: options.jwtAudience || process.env.JWT_AUDIENCE,
+    adminUsers: options.adminUsers || process.env.ADMIN_USERS
+  };
+
+  // Cursors are signed so clients cannot forge arbitrary range queries
+  configureCursorSecret(options.cursorSecret || process.env.CURSOR_SECRET || authOptions.jwtSecret);
+
+  if (!authOptions.apiKeys && !authOptions.jwtSecret) {
+    fastify.log.warn('No API keys or JWT secret configured, all /api/v1 requests will be rejected');
+  }
+
+  // WebSocket upgrades for the note event stream
+  await fastify.register(require('@fastify/websocket'));
+
+  await fastify.register(async function apiRoutes(api) {
+    api.addHook('onRequest', createAuthHook(authOptions));
+    await api.register(require('./routes/noteRoutes'));
+    await api.register(require('./routes/revisionRoutes'));
+    await api.register(require('./routes/importExportRoutes'));
+    await api.register(require('./routes/attachmentRoutes'));
+    await api.register(require('./routes/linkRoutes'));
+    await api.register(require('./routes/duplicateRoutes'));
+    await api.register(require('./routes/clusterRoutes'));
+    await api.register(require('./routes/tagRoutes'));
+    await api.register(require('./routes/adminRoutes'));
+    await api.register(require('./routes/eventRoutes'));
+    await api.register(require('./routes/webhookRoutes'));
+  }, { prefix: '/api/v1' });
 
   // Health check endpoint
   fastify.get('/health', {
@@ -110,6 +225,10 @@ async function modNotesPlugin(fastify, options) {
         notes: '/api/v1/notes',
         search: '/api/v1/notes/search',
         vectorSearch: '/api/v1/notes/vector-search',
+        hybridSearch: '/api/v1/notes/hybrid-search',
+        tags: '/api/v1/tags',
+        events: '/api/v1/notes/events',
+        webhooks: '/api/v1/webhooks',
         health: '/health',
         stats: '/api/v1/notes/stats'
       },
@@ -117,8 +236,52 @@ async function modNotesPlugin(fastify, options) {
     });
   });
 
+  // Start the scheduled purge of expired trash
+  trashService.start({
+    retentionDays: options.trashRetentionDays || process.env.TRASH_RETENTION_DAYS || 30,
+    intervalMs: options.trashPurgeIntervalMs || process.env.TRASH_PURGE_INTERVAL_MS || 60 * 60 * 1000,
+    logger: fastify.log
+  });
+
+  // Apply queued note changes to the vector index
+  indexWorker.start({
+    intervalMs: options.indexPollIntervalMs || process.env.INDEX_POLL_INTERVAL_MS || 1000,
+    maxAttempts: options.indexMaxAttempts || process.env.INDEX_MAX_ATTEMPTS || 8,
+    logger: fastify.log
+  });
+
+  // Pick up queued admin jobs and resume jobs interrupted by a crash or restart
+  jobService.start({
+    intervalMs: options.jobPollIntervalMs || process.env.JOB_POLL_INTERVAL_MS || 60 * 1000,
+    logger: fastify.log
+  });
+
+  // Push note changes to event stream subscribers (change streams on replica sets, otherwise in-process)
+  await changeFeedService.start({
+    source: options.changeFeedSource || process.env.CHANGE_FEED_SOURCE || 'auto',
+    bufferSize: options.changeFeedBufferSize || process.env.CHANGE_FEED_BUFFER_SIZE || 1000,
+    logger: fastify.log
+  });
+
+  // Queue note events for webhooks and send the queued deliveries
+  webhookService.start({ logger: fastify.log });
+  webhookWorker.start({
+    intervalMs: options.webhookPollIntervalMs || process.env.WEBHOOK_POLL_INTERVAL_MS || 1000,
+    maxAttempts: options.webhookMaxAttempts || process.env.WEBHOOK_MAX_ATTEMPTS || 8,
+    baseDelayMs: options.webhookRetryDelayMs || process.env.WEBHOOK_RETRY_DELAY_MS || 30 * 1000,
+    timeoutMs: options.webhookTimeoutMs || process.env.WEBHOOK_TIMEOUT_MS || 10 * 1000,
+    allowPrivateAddresses: options.webhookAllowPrivateUrls !== undefined ? options.webhookAllowPrivateUrls : process.env.WEBHOOK_ALLOW_PRIVATE_URLS,
+    logger: fastify.log
+  });
+
   // Graceful shutdown handling
   fastify.addHook('onClose', async (instance) => {
+    webhookService.stop();
+    webhookWorker.stop();
+    await changeFeedService.stop();
+    trashService.stop();
+    indexWorker.stop();
+    await jobService.stop();
     await mongoose.connection.close();
     fastify.log.info('MongoDB connection closed');
   });
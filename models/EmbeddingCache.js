@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Days an unused cached embedding is kept
+const CACHE_TTL_DAYS = 90;
+
+// Persistent tier of the embedding cache (see services/embeddingCache.js)
+const embeddingCacheSchema = new mongoose.Schema({
+  // provider:model:dimension:sha256 of the normalized content
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  embedding: {
+    type: [Number],
+    required: true
+  },
+  // Refreshed when the entry is read from MongoDB, unused entries expire
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+embeddingCacheSchema.index({ lastUsedAt: 1 }, { expireAfterSeconds: CACHE_TTL_DAYS * 24 * 60 * 60 });
+
+const EmbeddingCache = mongoose.model('EmbeddingCache', embeddingCacheSchema);
+
+module.exports = EmbeddingCache;
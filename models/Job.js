@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// Keep only the most recent failures on the job document
+const MAX_RECORDED_FAILURES = 100;
+
+// Background admin job (for example a vector reindex) with a resumable checkpoint
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['reindex']
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // True while queued or running, at most one active job per type
+  active: {
+    type: Boolean,
+    default: false
+  },
+  // Job parameters as requested (batch size, concurrency, owner scope)
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Id of the user that started the job
+  createdBy: {
+    type: String,
+    required: true
+  },
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // Last note id fully processed, work resumes after it
+  checkpoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Most recent per-item failures
+  failures: [{
+    _id: false,
+    noteId: String,
+    error: String,
+    at: { type: Date, default: Date.now }
+  }],
+  // Time spent actually working, excluding time between a crash and the resume
+  activeMs: {
+    type: Number,
+    default: 0
+  },
+  // Number of times a worker picked the job up (> 1 after a resume)
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Worker lease, a running job whose lease expired is resumed by another worker
+  leaseOwner: {
+    type: String,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ type: 1 }, { unique: true, partialFilterExpression: { active: true } });
+jobSchema.index({ status: 1, leaseExpiresAt: 1 });
+jobSchema.index({ type: 1, createdAt: -1 });
+
+// Instance method for the job status report
+jobSchema.methods.toStatus = function() {
+  const { total, processed, succeeded, failed } = this.progress;
+  const seconds = this.activeMs / 1000;
+  const notesPerSecond = seconds > 0 ? processed / seconds : 0;
+  const remaining = Math.max(total - processed, 0);
+
+  return {
+    id: this._id.toString(),
+    type: this.type,
+    status: this.status,
+    params: this.params,
+    progress: {
+      total,
+      processed,
+      succeeded,
+      failed,
+      percent: total > 0 ? Math.min(100, Math.round((processed / total) * 1000) / 10) : (this.status === 'completed' ? 100 : 0)
+    },
+    throughput: {
+      notesPerSecond: Math.round(notesPerSecond * 100) / 100,
+      activeSeconds: Math.round(seconds),
+      etaSeconds: this.status === 'running' && notesPerSecond > 0 ? Math.round(remaining / notesPerSecond) : null
+    },
+    failures: this.failures,
+    attempts: this.attempts,
+    lastError: this.lastError,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+jobSchema.statics.MAX_RECORDED_FAILURES = MAX_RECORDED_FAILURES;
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -1,7 +1,16 @@
 const mongoose = require('mongoose');
+const { NOTE_FORMATS, toPlainText } = require('../utils/markdownUtils');
+const { contentHash } = require('../utils/hashUtils');
+const { escapeRegex } = require('../utils/filterUtils');
 
 // AI-generated schema for efficient note storage and search
 const noteSchema = new mongoose.Schema({
+  // Id of the user that owns the note (API key owner or JWT subject)
+  ownerId: {
+    type: String,
+    required: true,
+    index: true
+  },
   title: {
     type: String,
     required: true,
@@ -14,16 +23,78 @@ const noteSchema = new mongoose.Schema({
     trim: true,
     maxlength: 10000
   },
-  // Vector embedding for semantic search (optional)
+  // How the body is written, markdown bodies are rendered by GET /notes/:id/rendered
+  format: {
+    type: String,
+    enum: NOTE_FORMATS,
+    default: 'plain'
+  },
+  // Body as plain text (Markdown syntax stripped), used for text search, snippets and
+  // embeddings. Derived from body and format, set on save and by every body update
+  searchText: {
+    type: String
+  },
+  // SHA-256 of the normalized body (see hashUtils), finds notes with the same content.
+  // Derived from body, set on save and by every body update
+  contentHash: {
+    type: String
+  },
+  // Vector embedding for semantic search (optional), the average of the passage embeddings
   embedding: {
     type: [Number],
     default: undefined
   },
+  // Overlapping passages of the plain text embedded separately, one vector store point each.
+  // start/end are character offsets into searchText
+  chunks: {
+    type: [{
+      _id: false,
+      start: Number,
+      end: Number,
+      embedding: [Number]
+    }],
+    default: undefined
+  },
   // Metadata for enhanced search and filtering
   tags: [{
     type: String,
     trim: true
   }],
+  // Current revision number, incremented on every change (see NoteRevision)
+  revision: {
+    type: Number,
+    default: 1
+  },
+  // Set when the note is moved to the trash, null for active notes
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the note was permanently deleted, the index worker removes it
+  // from the vector store and then deletes the document
+  purgedAt: {
+    type: Date,
+    default: null
+  },
+  // Vector index sync state, changes reach the vector store through the outbox below
+  indexStatus: {
+    type: String,
+    enum: ['pending', 'indexed', 'failed'],
+    default: 'pending'
+  },
+  // Transactional outbox: written in the same update as the change it describes
+  outbox: {
+    // Bumped on every change, the worker only completes the version it processed
+    version: { type: Number, default: 1 },
+    // Title or body changed, so the embedding must be regenerated
+    embed: { type: Boolean, default: true },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockToken: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+    lastError: { type: String, default: null },
+    indexedAt: { type: Date, default: null }
+  },
   // Timestamps for tracking creation and updates
   createdAt: {
     type: Date,
@@ -41,16 +112,49 @@ const noteSchema = new mongoose.Schema({
 // Create text index for efficient search across title and body
 noteSchema.index({ 
   title: 'text', 
-  body: 'text' 
+  searchText: 'text' 
 }, {
+  name: 'title_text_searchText_text',
   weights: {
     title: 2,  // Give title higher weight in search
-    body: 1
+    searchText: 1
   }
 });
 
 // Create compound index for better query performance
 noteSchema.index({ createdAt: -1 });
+noteSchema.index({ ownerId: 1, createdAt: -1 });
+
+// Keyset pagination indexes: one per cursor sort key with _id as tiebreaker
+noteSchema.index({ ownerId: 1, deletedAt: 1, createdAt: -1, _id: -1 });
+noteSchema.index({ ownerId: 1, deletedAt: 1, updatedAt: -1, _id: -1 });
+noteSchema.index({ ownerId: 1, deletedAt: 1, title: 1, _id: 1 });
+
+// Filter indexes: tag membership combined with the date ranges
+noteSchema.index({ ownerId: 1, deletedAt: 1, tags: 1, updatedAt: -1 });
+noteSchema.index({ ownerId: 1, deletedAt: 1, tags: 1, createdAt: -1 });
+
+// Indexes for trash listing and the scheduled purge
+noteSchema.index({ ownerId: 1, deletedAt: -1 });
+
+// Index for exact duplicate lookups
+noteSchema.index({ ownerId: 1, deletedAt: 1, contentHash: 1 });
+noteSchema.index({ deletedAt: 1 });
+
+// Index for the outbox worker polling due changes
+noteSchema.index({ indexStatus: 1, 'outbox.nextAttemptAt': 1 });
+noteSchema.index({ 'outbox.lockToken': 1 });
+
+// Derive the plain text and hash of new or changed bodies (covers save and insertMany)
+noteSchema.pre('validate', function(next) {
+  if (this.body && (this.isNew || this.isModified('body') || this.isModified('format') || this.searchText === undefined)) {
+    this.searchText = toPlainText(this.body, this.format);
+  }
+  if (this.body && (this.isNew || this.isModified('body') || this.contentHash === undefined)) {
+    this.contentHash = contentHash(this.body);
+  }
+  next();
+});
 
 // Pre-save middleware to update the updatedAt field
 noteSchema.pre('save', function(next) {
@@ -59,22 +163,40 @@ noteSchema.pre('save', function(next) {
 });
 
 // Instance method to generate search-friendly representation
+// The snippet is taken from the plain text so Markdown syntax does not show
 noteSchema.methods.toSearchResult = function() {
+  const text = this.searchText === undefined ? toPlainText(this.body, this.format) : this.searchText;
   return {
     id: this._id,
     title: this.title,
-    body: this.body.substring(0, 200) + (this.body.length > 200 ? '...' : ''),
+    body: text.substring(0, 200) + (text.length > 200 ? '...' : ''),
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
 };
 
+// Static helper: $set fields that queue a change for the index worker
+// Combine with { $inc: { 'outbox.version': 1 } } in the same update
+noteSchema.statics.pendingIndexFields = function(options = {}) {
+  const fields = {
+    indexStatus: 'pending',
+    'outbox.attempts': 0,
+    'outbox.nextAttemptAt': new Date(),
+    'outbox.lastError': null
+  };
+  // Never reset a pending re-embed, a later metadata-only change still needs it
+  if (options.embed) {
+    fields['outbox.embed'] = true;
+  }
+  return fields;
+};
+
 // Static method for advanced text search
 noteSchema.statics.searchByText = function(query, options = {}) {
-  const { limit = 20, skip = 0 } = options;
+  const { limit = 20, skip = 0, filter = {} } = options;
   
   return this.find(
-    { $text: { $search: query } },
+    { ...filter, $text: { $search: query } },
     { score: { $meta: 'textScore' } }
   )
   .sort({ score: { $meta: 'textScore' } })
@@ -83,14 +205,16 @@ noteSchema.statics.searchByText = function(query, options = {}) {
 };
 
 // Static method for regex-based search (fallback)
+// The query is matched literally, user input never becomes a pattern
 noteSchema.statics.searchByRegex = function(query, options = {}) {
-  const { limit = 20, skip = 0 } = options;
-  const regex = new RegExp(query, 'i');
+  const { limit = 20, skip = 0, filter = {} } = options;
+  const regex = new RegExp(escapeRegex(query), 'i');
   
   return this.find({
+    ...filter,
     $or: [
       { title: regex },
-      { body: regex }
+      { searchText: regex }
     ]
   })
   .sort({ createdAt: -1 })
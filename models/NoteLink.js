@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Edge of the note link graph: one per distinct [[target]] in the body of a note
+const noteLinkSchema = new mongoose.Schema({
+  ownerId: {
+    type: String,
+    required: true
+  },
+  // Note whose body contains the link
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  // Linked note, null while no note matches (a broken link)
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    default: null
+  },
+  // 'title' for [[Note Title]], 'id' for [[ObjectId]]
+  kind: {
+    type: String,
+    enum: ['title', 'id'],
+    required: true
+  },
+  // Target as written in the body
+  target: {
+    type: String,
+    required: true
+  },
+  // Lowercased target, broken title links are resolved by it when a matching note appears
+  targetKey: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+noteLinkSchema.index({ ownerId: 1, sourceId: 1 });
+noteLinkSchema.index({ ownerId: 1, targetId: 1 });
+noteLinkSchema.index({ ownerId: 1, kind: 1, targetKey: 1 });
+
+module.exports = mongoose.model('NoteLink', noteLinkSchema);
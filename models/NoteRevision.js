@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { NOTE_FORMATS } = require('../utils/markdownUtils');
+
+// Immutable snapshot of a note taken after every change
+const noteRevisionSchema = new mongoose.Schema({
+  noteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  ownerId: {
+    type: String,
+    required: true
+  },
+  // Sequential revision number, 1 is the note as it was created
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: NOTE_FORMATS,
+    default: 'plain'
+  },
+  tags: [{
+    type: String
+  }],
+  // Id of the user that made the change
+  authorId: {
+    type: String,
+    required: true
+  },
+  // Fields that differ from the previous revision
+  changedFields: [{
+    type: String,
+    enum: ['title', 'body', 'tags', 'format']
+  }],
+  // Revision number this one was restored from, if any
+  restoredFrom: {
+    type: Number,
+    default: undefined
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, {
+  versionKey: false
+});
+
+noteRevisionSchema.index({ noteId: 1, revision: -1 }, { unique: true });
+
+// Revisions are append-only, refuse any attempt to modify them
+function rejectModification(next) {
+  next(new Error('Note revisions are immutable'));
+}
+
+noteRevisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne'],
+  rejectModification
+);
+
+noteRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectModification(next);
+  }
+  next();
+});
+
+// Instance method for a lightweight listing entry
+noteRevisionSchema.methods.toSummary = function() {
+  return {
+    revision: this.revision,
+    authorId: this.authorId,
+    changedFields: this.changedFields,
+    restoredFrom: this.restoredFrom,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('NoteRevision', noteRevisionSchema);
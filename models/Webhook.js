@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Note lifecycle events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['note.created', 'note.updated', 'note.deleted', 'note.restored'];
+
+// Subscription of an owner to note events, delivered as signed POST requests to url
+const webhookSchema = new mongoose.Schema({
+  ownerId: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Subscribed event types
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    default: () => [...WEBHOOK_EVENTS]
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // HMAC-SHA256 key of the X-Webhook-Signature header, only returned on creation
+  secret: {
+    type: String,
+    required: true
+  },
+  // Disabled webhooks get no new deliveries, pending ones are dead-lettered
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ ownerId: 1, createdAt: -1 });
+webhookSchema.index({ ownerId: 1, active: 1, events: 1 });
+
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
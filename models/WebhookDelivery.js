@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Attempts kept in the log of a delivery
+const MAX_LOGGED_ATTEMPTS = 20;
+
+// Deliveries are removed once they have not changed for this long
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+// One event to deliver to one webhook, retried by the webhook worker until it succeeds or is dead-lettered
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  ownerId: {
+    type: String,
+    required: true
+  },
+  // Id of the change feed event, a webhook gets each event once even when several instances see it
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Request body, signed again on every attempt
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // 'dead' once maxAttempts failed, until redelivered
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Claim of the worker sending the delivery
+  lockToken: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Most recent attempts, oldest first
+  log: [{
+    _id: false,
+    at: Date,
+    statusCode: Number,
+    durationMs: Number,
+    error: String
+  }],
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ webhookId: 1, eventId: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ ownerId: 1, webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ updatedAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+webhookDeliverySchema.statics.MAX_LOGGED_ATTEMPTS = MAX_LOGGED_ATTEMPTS;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
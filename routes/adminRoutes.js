@@ -0,0 +1,211 @@
+const jobService = require('../services/jobService');
+const indexWorker = require('../services/indexWorker');
+const vectorService = require('../services/vectorService');
+const noteSchemas = require('./schemas');
+
+/**
+ * Fastify routes for administrative jobs
+ * Only callers with admin privileges (ADMIN_USERS or an admin JWT role) may use them
+ */
+async function adminRoutes(fastify, options) {
+
+  // Runs after authentication and before validation so non-admins learn nothing about the API
+  fastify.addHook('onRequest', async (request, reply) => {
+    if (!request.user || !request.user.isAdmin) {
+      return reply.status(403).send({
+        error: 'Forbidden',
+        message: 'Admin privileges required',
+        statusCode: 403
+      });
+    }
+  });
+
+  const jobParams = {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'Job ID' }
+    }
+  };
+
+  // POST /admin/reindex - Rebuild the vector index from MongoDB
+  fastify.post('/admin/reindex', {
+    // All parameters are optional, so allow an empty request body
+    preValidation: async (request) => {
+      if (request.body === undefined || request.body === null) {
+        request.body = {};
+      }
+    },
+    schema: {
+      tags: ['Admin'],
+      description: 'Start a background job that embeds every note and upserts it into the vector store. Interrupted jobs resume from their last checkpoint',
+      body: {
+        type: 'object',
+        properties: {
+          batchSize: { type: 'integer', minimum: 1, maximum: 500, default: 100, description: 'Notes per embedding request' },
+          concurrency: { type: 'integer', minimum: 1, maximum: 8, default: 2, description: 'Batches embedded in parallel' },
+          ownerId: { type: 'string', minLength: 1, description: 'Only reindex the notes of this owner' }
+        }
+      },
+      response: {
+        202: noteSchemas.job,
+        401: noteSchemas.error,
+        403: noteSchemas.error,
+        409: noteSchemas.error,
+        500: noteSchemas.error,
+        503: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      if (!vectorService.isInitialized) {
+        return reply.status(503).send({
+          error: 'Service Unavailable',
+          message: 'Vector search service is not available',
+          statusCode: 503
+        });
+      }
+
+      const { batchSize = 100, concurrency = 2, ownerId } = request.body || {};
+      const { job, created } = await jobService.startReindex(request.user.id, { batchSize, concurrency, ownerId });
+
+      if (!created) {
+        return reply.status(409).send({
+          error: 'Conflict',
+          message: `Reindex job ${job.id} is already ${job.status}`,
+          statusCode: 409
+        });
+      }
+
+      reply.status(202).send(job);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // GET /admin/jobs/:id - Job progress
+  fastify.get('/admin/jobs/:id', {
+    schema: {
+      tags: ['Admin'],
+      description: 'Get the progress, failures and throughput of a background job',
+      params: jobParams,
+      response: {
+        200: noteSchemas.job,
+        401: noteSchemas.error,
+        403: noteSchemas.error,
+        404: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const job = await jobService.getJob(request.params.id);
+
+      if (!job) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Job not found',
+          statusCode: 404
+        });
+      }
+
+      reply.send(job);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // POST /admin/jobs/:id/resume - Resume a failed job
+  fastify.post('/admin/jobs/:id/resume', {
+    schema: {
+      tags: ['Admin'],
+      description: 'Resume a failed job from its last checkpoint',
+      params: jobParams,
+      response: {
+        202: noteSchemas.job,
+        401: noteSchemas.error,
+        403: noteSchemas.error,
+        404: noteSchemas.error,
+        409: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const result = await jobService.resumeJob(request.params.id);
+
+      if (!result) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Job not found',
+          statusCode: 404
+        });
+      }
+
+      if (!result.resumed) {
+        return reply.status(409).send({
+          error: 'Conflict',
+          message: `Job is ${result.job.status}, only failed jobs can be resumed while no other job of the same type is active`,
+          statusCode: 409
+        });
+      }
+
+      reply.status(202).send(result.job);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // POST /admin/index/retry-failed - Retry notes whose indexing failed
+  fastify.post('/admin/index/retry-failed', {
+    schema: {
+      tags: ['Admin'],
+      description: 'Queue notes with indexStatus "failed" for another round of indexing attempts',
+      querystring: {
+        type: 'object',
+        properties: {
+          ownerId: { type: 'string', minLength: 1, description: 'Only retry the notes of this owner' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            queued: { type: 'number' }
+          }
+        },
+        401: noteSchemas.error,
+        403: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const queued = await indexWorker.retryFailed(request.query.ownerId);
+      reply.send({ queued });
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+}
+
+module.exports = adminRoutes;
@@ -0,0 +1,261 @@
+const multipart = require('@fastify/multipart');
+const attachmentService = require('../services/attachmentService');
+const noteSchemas = require('./schemas');
+const { parseRange, contentDisposition } = require('../utils/rangeUtils');
+
+const attachmentParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', description: 'MongoDB ObjectId of the note' },
+    attachmentId: { type: 'string', description: 'Attachment id' }
+  }
+};
+
+/**
+ * Fastify routes for files attached to notes
+ * Uploads are multipart/form-data with a single file part, stored in GridFS.
+ * Downloads are streamed and support single byte ranges.
+ */
+async function attachmentRoutes(fastify, options) {
+
+  // Parses multipart bodies for the routes of this plugin only
+  await fastify.register(multipart, {
+    limits: {
+      fileSize: attachmentService.maxBytes,
+      files: 1,
+      fields: 10
+    }
+  });
+
+  // POST /notes/:id/attachments - Upload a file
+  fastify.post('/notes/:id/attachments', {
+    schema: {
+      tags: ['Notes'],
+      description: 'Attach a file to a note. Send multipart/form-data with one file part; its size and MIME type are checked against the configured limits',
+      consumes: ['multipart/form-data'],
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'MongoDB ObjectId' }
+        }
+      },
+      response: {
+        201: noteSchemas.attachment,
+        400: noteSchemas.error,
+        404: noteSchemas.error,
+        413: noteSchemas.error,
+        415: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      if (!request.isMultipart()) {
+        return reply.status(415).send({
+          error: 'Unsupported Media Type',
+          message: 'Attachments must be uploaded as multipart/form-data',
+          statusCode: 415
+        });
+      }
+
+      const part = await request.file({ throwFileSizeLimit: false });
+      if (!part) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: 'Request must contain a file part',
+          statusCode: 400
+        });
+      }
+
+      let attachment;
+      try {
+        attachment = await attachmentService.uploadAttachment(request.user.id, request.params.id, {
+          filename: part.filename,
+          contentType: part.mimetype,
+          stream: part.file
+        });
+      } catch (uploadError) {
+        if (uploadError instanceof attachmentService.AttachmentRejectedError) {
+          return reply.status(uploadError.statusCode).send({
+            error: uploadError.statusCode === 413 ? 'Payload Too Large' : 'Unsupported Media Type',
+            message: uploadError.message,
+            statusCode: uploadError.statusCode
+          });
+        }
+        throw uploadError;
+      }
+
+      if (!attachment) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Note not found',
+          statusCode: 404
+        });
+      }
+
+      reply.status(201).send(attachment);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // GET /notes/:id/attachments - List the attachments of a note
+  fastify.get('/notes/:id/attachments', {
+    schema: {
+      tags: ['Notes'],
+      description: 'List the files attached to a note, oldest first',
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'MongoDB ObjectId' }
+        }
+      },
+      response: {
+        200: {
+          type: 'array',
+          items: noteSchemas.attachment
+        },
+        404: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const attachments = await attachmentService.listAttachments(request.user.id, request.params.id);
+
+      if (!attachments) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Note not found',
+          statusCode: 404
+        });
+      }
+
+      reply.send(attachments);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // GET /notes/:id/attachments/:attachmentId - Download a file
+  fastify.get('/notes/:id/attachments/:attachmentId', {
+    schema: {
+      tags: ['Notes'],
+      description: 'Stream the content of an attachment with its original content type. A single byte range (Range: bytes=start-end) is answered with 206 Partial Content',
+      params: attachmentParams,
+      response: {
+        404: noteSchemas.error,
+        416: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id, attachmentId } = request.params;
+
+      const file = await attachmentService.getAttachmentFile(request.user.id, id, attachmentId);
+
+      if (!file) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Attachment not found',
+          statusCode: 404
+        });
+      }
+
+      const range = parseRange(request.headers.range, file.length);
+
+      if (range && range.unsatisfiable) {
+        return reply
+          .status(416)
+          .header('Content-Range', `bytes */${file.length}`)
+          .send({
+            error: 'Range Not Satisfiable',
+            message: `Range is outside of the ${file.length} byte file`,
+            statusCode: 416
+          });
+      }
+
+      const contentType = file.metadata.contentType;
+      const disposition = attachmentService.isInline(contentType) ? 'inline' : 'attachment';
+      reply
+        .header('Content-Type', contentType)
+        .header('Content-Disposition', contentDisposition(disposition, file.filename))
+        .header('X-Content-Type-Options', 'nosniff')
+        .header('Accept-Ranges', 'bytes')
+        .header('ETag', `"${file._id}"`)
+        .header('Last-Modified', file.uploadDate.toUTCString());
+
+      if (range) {
+        reply
+          .status(206)
+          .header('Content-Range', `bytes ${range.start}-${range.end}/${file.length}`)
+          .header('Content-Length', range.end - range.start + 1);
+      } else {
+        reply.header('Content-Length', file.length);
+      }
+
+      return reply.send(attachmentService.openDownloadStream(file, range));
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // DELETE /notes/:id/attachments/:attachmentId - Delete a file
+  fastify.delete('/notes/:id/attachments/:attachmentId', {
+    schema: {
+      tags: ['Notes'],
+      description: 'Delete an attachment',
+      params: attachmentParams,
+      response: {
+        204: { type: 'null' },
+        404: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id, attachmentId } = request.params;
+
+      const deleted = await attachmentService.deleteAttachment(request.user.id, id, attachmentId);
+
+      if (!deleted) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Attachment not found',
+          statusCode: 404
+        });
+      }
+
+      reply.status(204).send();
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+}
+
+module.exports = attachmentRoutes;
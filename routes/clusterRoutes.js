@@ -0,0 +1,81 @@
+const clusterService = require('../services/clusterService');
+const noteSchemas = require('./schemas');
+
+/**
+ * Fastify routes for topic clusters over the note embeddings
+ */
+async function clusterRoutes(fastify, options) {
+
+  // GET /notes/clusters - Group notes into topics
+  fastify.get('/notes/clusters', {
+    schema: {
+      tags: ['Notes', 'Vector Search'],
+      description: 'Group the (non-trashed) notes into topics with k-means over their stored embeddings. Without k the number of clusters is chosen automatically (best simplified silhouette up to maxK). Each cluster has its size, the notes nearest to its centroid and the terms most typical of it as label. Notes not embedded yet are skipped. Results are cached until a note changes',
+      querystring: {
+        type: 'object',
+        properties: {
+          k: { type: 'integer', minimum: 1, maximum: clusterService.MAX_CLUSTERS, description: 'Number of clusters (default: automatic)' },
+          maxK: { type: 'integer', minimum: 2, maximum: clusterService.MAX_CLUSTERS, default: 10, description: 'Largest number of clusters the automatic choice tries' },
+          maxNotes: { type: 'integer', minimum: 1, maximum: clusterService.MAX_CLUSTER_NOTES, default: 2000, description: 'Only the most recently updated notes are clustered' },
+          representatives: { type: 'integer', minimum: 1, maximum: 20, default: 3 },
+          terms: { type: 'integer', minimum: 1, maximum: 20, default: 5 }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            k: { type: 'integer' },
+            auto: { type: 'boolean', description: 'True when k was chosen automatically' },
+            silhouette: { type: 'number', nullable: true, description: 'Mean simplified silhouette (-1 to 1), how well the notes are separated' },
+            clustered: { type: 'integer', description: 'Notes with an embedding that were clustered' },
+            skipped: { type: 'integer', description: 'Notes without an embedding of the current provider' },
+            truncated: { type: 'boolean', description: 'True when the owner has more than maxNotes notes' },
+            cached: { type: 'boolean' },
+            computedAt: { type: 'string', format: 'date-time' },
+            clusters: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  size: { type: 'integer' },
+                  label: { type: 'string', description: 'Top terms joined by commas' },
+                  terms: { type: 'array', items: { type: 'string' } },
+                  cohesion: { type: 'number', description: 'Mean similarity of the notes to the centroid' },
+                  representatives: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        ...noteSchemas.linkedNote.properties,
+                        similarity: { type: 'number', description: 'Similarity to the centroid' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { k, maxK = 10, maxNotes = 2000, representatives = 3, terms = 5 } = request.query;
+
+      const result = await clusterService.getClusters(request.user.id, { k, maxK, maxNotes, representatives, terms });
+      reply.send(result);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+}
+
+module.exports = clusterRoutes;
@@ -0,0 +1,73 @@
+const duplicateService = require('../services/duplicateService');
+const noteSchemas = require('./schemas');
+
+/**
+ * Fastify routes for duplicate detection
+ * The check on note creation lives in POST /notes
+ */
+async function duplicateRoutes(fastify, options) {
+
+  // GET /notes/duplicates - Report clusters of duplicate notes
+  fastify.get('/notes/duplicates', {
+    schema: {
+      tags: ['Notes'],
+      description: 'Clusters of (non-trashed) notes with the same body or near-duplicate embeddings. Notes are grouped when any pair within the group matches, so a cluster can hold notes that only match through another one. Only the maxNotes most recently updated notes are compared; notes not indexed yet are matched by content only',
+      querystring: {
+        type: 'object',
+        properties: {
+          threshold: { type: 'number', minimum: 0, maximum: 1, description: 'Similarity threshold for near-duplicates (default: DUPLICATE_THRESHOLD)' },
+          maxNotes: { type: 'integer', minimum: 2, maximum: duplicateService.MAX_REPORT_NOTES, default: 1000 }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            threshold: { type: 'number' },
+            scanned: { type: 'number', description: 'Notes compared' },
+            truncated: { type: 'boolean', description: 'True when the owner has more than maxNotes notes' },
+            clusters: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  size: { type: 'number' },
+                  exact: { type: 'boolean', description: 'All notes of the cluster have the same body' },
+                  score: { type: 'number', description: 'Lowest similarity of the pairs joining the cluster' },
+                  notes: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        ...noteSchemas.linkedNote.properties,
+                        createdAt: { type: 'string', format: 'date-time' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { threshold, maxNotes = 1000 } = request.query;
+
+      const report = await duplicateService.findDuplicateClusters(request.user.id, { threshold, maxNotes });
+      reply.send(report);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+}
+
+module.exports = duplicateRoutes;
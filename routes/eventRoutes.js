@@ -0,0 +1,130 @@
+const changeFeedService = require('../services/changeFeedService');
+const { parseNoteFilters } = require('../utils/filterUtils');
+const noteSchemas = require('./schemas');
+
+// Reconnection delay suggested to EventSource clients
+const RETRY_MS = 3000;
+
+// Keeps idle connections open through proxies and detects dead WebSocket peers
+const HEARTBEAT_MS = 15 * 1000;
+
+/**
+ * Format an event as a server-sent event
+ * @param {Object} event - Note event
+ * @returns {string} SSE frame
+ */
+function formatSse(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Fastify routes streaming note changes as they happen
+ */
+async function eventRoutes(fastify, options) {
+
+  // GET /notes/events - Stream note changes (SSE, or WebSocket on upgrade)
+  fastify.get('/notes/events', {
+    schema: {
+      tags: ['Notes'],
+      description: 'Stream created, updated, deleted and restored events of the caller\'s notes as server-sent events, or as JSON messages when the request is a WebSocket upgrade. Each event has an id, type, at and a note summary; permanent deletes have permanent: true. Send the id of the last event received (Last-Event-ID header, or lastEventId) to get the events missed while disconnected; when they are no longer available a reset event tells the client to reload its notes. With tag filters, only events of notes with matching tags are sent',
+      produces: ['text/event-stream'],
+      querystring: {
+        type: 'object',
+        properties: {
+          tags: noteSchemas.filterQueryProperties.tags,
+          tagsMode: noteSchemas.filterQueryProperties.tagsMode,
+          excludeTags: noteSchemas.filterQueryProperties.excludeTags,
+          lastEventId: { type: 'string', description: 'Resume after this event (the Last-Event-ID header takes precedence)' }
+        }
+      },
+      response: {
+        200: { type: 'string', description: 'text/event-stream of note events' },
+        400: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    },
+    wsHandler: (socket, request) => {
+      const { tags, tagsMode, excludeTags, lastEventId } = request.query;
+
+      let filters;
+      try {
+        filters = parseNoteFilters({ tags, tagsMode, excludeTags });
+      } catch (queryError) {
+        // Policy violation, the WebSocket counterpart of a 400
+        socket.close(1008, queryError.message);
+        return;
+      }
+
+      const unsubscribe = changeFeedService.subscribe(request.user.id, { filters, lastEventId }, event => {
+        if (socket.readyState === socket.OPEN) {
+          socket.send(JSON.stringify(event));
+        }
+      });
+
+      let alive = true;
+      socket.on('pong', () => { alive = true; });
+      const heartbeat = setInterval(() => {
+        if (!alive) {
+          socket.terminate();
+          return;
+        }
+        alive = false;
+        socket.ping();
+      }, HEARTBEAT_MS);
+
+      socket.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    }
+  }, async (request, reply) => {
+    try {
+      const { tags, tagsMode, excludeTags } = request.query;
+
+      let filters;
+      try {
+        filters = parseNoteFilters({ tags, tagsMode, excludeTags });
+      } catch (queryError) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: queryError.message,
+          statusCode: 400
+        });
+      }
+
+      const lastEventId = request.headers['last-event-id'] || request.query.lastEventId;
+
+      // The connection stays open, so the response is written directly
+      reply.hijack();
+      const stream = reply.raw;
+      stream.writeHead(200, {
+        ...reply.getHeaders(),
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      stream.write(`retry: ${RETRY_MS}\n\n`);
+
+      const unsubscribe = changeFeedService.subscribe(request.user.id, { filters, lastEventId }, event => {
+        stream.write(formatSse(event));
+      });
+      const heartbeat = setInterval(() => stream.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+      stream.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+}
+
+module.exports = eventRoutes;
@@ -0,0 +1,147 @@
+const importExportService = require('../services/importExportService');
+const { NOTE_FORMATS } = require('../services/noteFormats');
+const noteSchemas = require('./schemas');
+const { parseNoteFilters } = require('../utils/filterUtils');
+
+// Largest accepted import file
+const MAX_IMPORT_BYTES = 50 * 1024 * 1024;
+
+// Import format implied by the request Content-Type when ?format= is not given
+const FORMAT_BY_CONTENT_TYPE = {
+  'application/x-ndjson': 'jsonl',
+  'application/jsonl': 'jsonl',
+  'text/csv': 'csv',
+  'application/zip': 'markdown'
+};
+
+/**
+ * Fastify routes for exporting notes to files and importing them back
+ * Formats: JSON Lines, CSV and a zip of Markdown files with YAML front matter
+ */
+async function importExportRoutes(fastify, options) {
+
+  // Import files are read whole, the format decides how to parse them
+  fastify.addContentTypeParser(
+    [...Object.keys(FORMAT_BY_CONTENT_TYPE), 'application/octet-stream'],
+    { parseAs: 'buffer', bodyLimit: MAX_IMPORT_BYTES },
+    (request, body, done) => done(null, body)
+  );
+
+  const formatNames = Object.keys(NOTE_FORMATS);
+
+  // GET /notes/export - Download notes as a file
+  fastify.get('/notes/export', {
+    schema: {
+      tags: ['Notes'],
+      description: 'Stream all (non-trashed) notes matching the filters as JSON Lines, CSV or a zip of Markdown files with YAML front matter. Embeddings are not exported',
+      querystring: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', enum: formatNames, default: 'jsonl' },
+          ...noteSchemas.filterQueryProperties
+        }
+      },
+      response: {
+        400: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { format = 'jsonl' } = request.query;
+
+      let filters;
+      try {
+        filters = parseNoteFilters(request.query);
+      } catch (queryError) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: queryError.message,
+          statusCode: 400
+        });
+      }
+
+      const { stream, contentType, extension } = importExportService.exportNotes(request.user.id, format, filters);
+      const date = new Date().toISOString().slice(0, 10);
+
+      reply
+        .header('Content-Type', contentType)
+        .header('Content-Disposition', `attachment; filename="notes-${date}.${extension}"`);
+      return reply.send(stream);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // POST /notes/import - Create notes from a file
+  fastify.post('/notes/import', {
+    schema: {
+      tags: ['Notes'],
+      description: 'Import notes from a file sent as the request body (Content-Type application/x-ndjson, text/csv or application/zip). Invalid rows are reported and skipped, the rest is created with new ids',
+      consumes: [...Object.keys(FORMAT_BY_CONTENT_TYPE), 'application/octet-stream'],
+      querystring: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', enum: formatNames, description: 'Defaults to the format implied by the Content-Type' },
+          dedupe: { type: 'boolean', default: false, description: 'Skip notes whose title and body match an existing note or an earlier row' }
+        }
+      },
+      response: {
+        200: noteSchemas.importResult,
+        400: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { dedupe = false } = request.query;
+      const contentType = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      const format = request.query.format || FORMAT_BY_CONTENT_TYPE[contentType];
+
+      if (!format) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: `Cannot infer the import format from ${contentType || 'a missing Content-Type'}, set ?format=${formatNames.join('|')}`,
+          statusCode: 400
+        });
+      }
+      if (!Buffer.isBuffer(request.body) || request.body.length === 0) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: 'Request body must contain the file to import',
+          statusCode: 400
+        });
+      }
+
+      let rows;
+      try {
+        rows = await importExportService.parseImportFile(format, request.body);
+      } catch (parseError) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: `Failed to parse ${format} file: ${parseError.message}`,
+          statusCode: 400
+        });
+      }
+
+      const report = await importExportService.importNotes(request.user.id, rows, { format, dedupe });
+      reply.send(report);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+}
+
+module.exports = importExportRoutes;
@@ -0,0 +1,178 @@
+const linkService = require('../services/linkService');
+const noteSchemas = require('./schemas');
+
+/**
+ * Fastify routes for wiki links between notes
+ * Backlinks of a note, the link graph and the list of broken links
+ */
+async function linkRoutes(fastify, options) {
+
+  const graphSchema = {
+    type: 'object',
+    properties: {
+      root: { type: 'string', nullable: true },
+      depth: { type: 'integer', nullable: true },
+      nodes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            ...noteSchemas.linkedNote.properties,
+            depth: { type: 'integer', description: 'Links between the note and the root (rooted graphs only)' }
+          }
+        }
+      },
+      edges: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            source: { type: 'string', description: 'Id of the linking note' },
+            target: { type: 'string', description: 'Id of the linked note' }
+          }
+        }
+      },
+      broken: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            source: { type: 'string' },
+            target: { type: 'string' },
+            kind: { type: 'string', enum: ['title', 'id'] },
+            reason: { type: 'string', enum: ['missing', 'trashed'] }
+          }
+        }
+      },
+      truncated: { type: 'boolean', description: 'True when maxNodes cut the graph short' }
+    }
+  };
+
+  // GET /notes/graph - Get the link graph
+  fastify.get('/notes/graph', {
+    schema: {
+      tags: ['Notes'],
+      description: 'Nodes and edges of the [[wiki link]] graph. With root, only the notes within depth links of the root note (links are followed in both directions); without, every note that links or is linked to. Broken links of the included notes are listed separately',
+      querystring: {
+        type: 'object',
+        properties: {
+          root: { type: 'string', description: 'MongoDB ObjectId of the root note' },
+          depth: { type: 'integer', minimum: 1, maximum: linkService.MAX_GRAPH_DEPTH, default: 1 },
+          maxNodes: { type: 'integer', minimum: 1, maximum: linkService.MAX_GRAPH_NODES, default: 500 }
+        }
+      },
+      response: {
+        200: graphSchema,
+        404: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { root, depth = 1, maxNodes = 500 } = request.query;
+
+      const graph = await linkService.getGraph(request.user.id, { rootId: root, depth, maxNodes });
+
+      if (!graph) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Root note not found',
+          statusCode: 404
+        });
+      }
+
+      reply.send(graph);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // GET /notes/links/broken - List broken links
+  fastify.get('/notes/links/broken', {
+    schema: {
+      tags: ['Notes'],
+      description: 'List [[wiki links]] in (non-trashed) notes that point to no note or to a note in the trash',
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 500, default: 100 },
+          skip: { type: 'integer', minimum: 0, default: 0 }
+        }
+      },
+      response: {
+        200: {
+          type: 'array',
+          items: noteSchemas.brokenLink
+        },
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { limit = 100, skip = 0 } = request.query;
+
+      const links = await linkService.getBrokenLinks(request.user.id, { limit, skip });
+      reply.send(links);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // GET /notes/:id/backlinks - List the notes linking to a note
+  fastify.get('/notes/:id/backlinks', {
+    schema: {
+      tags: ['Notes'],
+      description: 'List the (non-trashed) notes whose body links to this note by title or id, most recently updated first',
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'MongoDB ObjectId' }
+        }
+      },
+      response: {
+        200: {
+          type: 'array',
+          items: noteSchemas.linkedNote
+        },
+        404: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const backlinks = await linkService.getBacklinks(request.user.id, request.params.id);
+
+      if (!backlinks) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Note not found',
+          statusCode: 404
+        });
+      }
+
+      reply.send(backlinks);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+}
+
+module.exports = linkRoutes;
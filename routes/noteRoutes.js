@@ -1,5 +1,82 @@
 const noteService = require('../services/noteService');
 const vectorService = require('../services/vectorService');
+const embeddingService = require('../services/embeddingService');
+const searchService = require('../services/searchService');
+const bulkService = require('../services/bulkService');
+const duplicateService = require('../services/duplicateService');
+const tagSuggestionService = require('../services/tagSuggestionService');
+const noteSchemas = require('./schemas');
+const { decodeCursor } = require('../utils/cursorUtils');
+const { parseNoteFilters } = require('../utils/filterUtils');
+const { normalizeTags, TagValidationError } = require('../utils/tagUtils');
+
+// Query parameters shared by the cursor-paginated endpoints
+const cursorQueryProperties = {
+  paginate: { type: 'string', enum: ['offset', 'cursor'], default: 'offset', description: 'Pagination mode, cursor mode returns a page envelope' },
+  cursor: { type: 'string', description: 'Opaque cursor from nextCursor/prevCursor (implies cursor mode)' },
+  includeTotal: { type: 'boolean', default: false, description: 'Include the total number of matches in cursor mode' }
+};
+
+// Schemas of the items of POST /notes/bulk, each item is validated on its own
+// so an invalid item only fails itself
+const noteIdProperty = { type: 'string', minLength: 1, description: 'MongoDB ObjectId' };
+const bulkItemSchemas = {
+  create: noteSchemas.createNote,
+  update: {
+    type: 'object',
+    required: ['id'],
+    properties: { id: noteIdProperty, ...noteSchemas.updateNote.properties }
+  },
+  delete: {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: noteIdProperty,
+      permanent: { type: 'boolean', default: false, description: 'Skip the trash and delete immediately' }
+    }
+  }
+};
+
+/**
+ * Turn Ajv errors into one message, e.g. "title must NOT have more than 200 characters"
+ * @param {Array<Object>} errors - Ajv errors
+ * @returns {string} Message
+ */
+function formatValidationErrors(errors) {
+  return errors
+    .map(error => `${error.instancePath ? `${error.instancePath.slice(1).replace(/\//g, '.')} ` : ''}${error.message}`)
+    .join(', ');
+}
+
+/**
+ * Resolve cursor pagination options from the query string
+ * A cursor carries its own sort so it stays valid whatever the client resends
+ * @param {Object} query - Parsed query string
+ * @returns {Object|null} Pagination options, or null for offset mode
+ */
+function resolveCursorOptions(query) {
+  const { paginate = 'offset', cursor, includeTotal = false, sortBy = 'createdAt', sortOrder = 'desc' } = query;
+  
+  if (paginate !== 'cursor' && cursor === undefined) {
+    return null;
+  }
+  
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    return {
+      cursor: decoded,
+      sortBy: decoded.sortBy,
+      sortOrder: decoded.sortOrder,
+      includeTotal
+    };
+  }
+  
+  return {
+    sortBy,
+    sortOrder: sortOrder === 'asc' ? 1 : -1,
+    includeTotal
+  };
+}
 
 /**
  * AI-generated Fastify routes for note management
@@ -7,80 +84,48 @@ const vectorService = require('../services/vectorService');
  */
 async function noteRoutes(fastify, options) {
   
-  // Swagger schemas for consistent API documentation
-  const noteSchemas = {
-    note: {
-      type: 'object',
-      properties: {
-        _id: { type: 'string' },
-        title: { type: 'string' },
-        body: { type: 'string' },
-        tags: { 
-          type: 'array',
-          items: { type: 'string' }
-        },
-        createdAt: { type: 'string', format: 'date-time' },
-        updatedAt: { type: 'string', format: 'date-time' }
-      }
-    },
-    createNote: {
-      type: 'object',
-      required: ['title', 'body'],
-      properties: {
-        title: { 
-          type: 'string',
-          minLength: 1,
-          maxLength: 200,
-          description: 'Note title'
-        },
-        body: { 
-          type: 'string',
-          minLength: 1,
-          maxLength: 10000,
-          description: 'Note content'
-        },
-        tags: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'Optional tags for the note'
-        }
-      }
-    },
-    searchResult: {
-      type: 'object',
-      properties: {
-        id: { type: 'string' },
-        title: { type: 'string' },
-        body: { type: 'string' },
-        score: { type: 'number' },
-        createdAt: { type: 'string', format: 'date-time' }
-      }
-    },
-    error: {
-      type: 'object',
-      properties: {
-        error: { type: 'string' },
-        message: { type: 'string' },
-        statusCode: { type: 'number' }
-      }
-    }
-  };
-
   // POST /notes - Create a new note
   fastify.post('/notes', {
     schema: {
       tags: ['Notes'],
-      description: 'Create a new note',
+      description: 'Create a new note. With checkDuplicates (or DUPLICATE_CHECK=true) a note whose body matches an existing note exactly, or whose embedding is at least duplicateThreshold similar to one, is not created: the answer is 409 with the matching notes. Pass force=true to create it anyway. With autoTag (or AUTO_TAG=true) existing tags suggested with at least AUTO_TAG_MIN_CONFIDENCE are added to the note',
       body: noteSchemas.createNote,
+      querystring: {
+        type: 'object',
+        properties: {
+          checkDuplicates: { type: 'boolean', description: 'Check for duplicates before creating (default: DUPLICATE_CHECK)' },
+          force: { type: 'boolean', default: false, description: 'Create the note even if duplicates exist' },
+          duplicateThreshold: { type: 'number', minimum: 0, maximum: 1, description: 'Similarity threshold for near-duplicates (default: DUPLICATE_THRESHOLD)' },
+          autoTag: { type: 'boolean', description: 'Add confidently suggested existing tags to the note (default: AUTO_TAG)' }
+        }
+      },
       response: {
         201: noteSchemas.note,
         400: noteSchemas.error,
+        409: {
+          type: 'object',
+          properties: {
+            ...noteSchemas.error.properties,
+            candidates: {
+              type: 'array',
+              items: noteSchemas.duplicateCandidate
+            }
+          }
+        },
+        401: noteSchemas.error,
         500: noteSchemas.error
       }
     }
   }, async (request, reply) => {
     try {
-      const { title, body, tags } = request.body;
+      const { title, body, format } = request.body;
+      let { tags } = request.body;
+      const {
+        checkDuplicates = duplicateService.checkOnCreate,
+        force = false,
+        duplicateThreshold,
+        autoTag = tagSuggestionService.autoTagOnCreate
+      } = request.query;
       
       // Validate input
       if (!title || !body) {
@@ -91,21 +136,135 @@ async function noteRoutes(fastify, options) {
         });
       }
       
-      // Create note with optional vector generation
-      const generateVector = process.env.OPENAI_API_KEY ? true : false;
-      const note = await noteService.createNote({ title, body, tags }, generateVector);
+      if (checkDuplicates && !force) {
+        const candidates = await duplicateService.findDuplicates(request.user.id, { title, body, format }, { threshold: duplicateThreshold });
+        if (candidates.length > 0) {
+          return reply.status(409).send({
+            error: 'Conflict',
+            message: `Note duplicates ${candidates.length} existing note${candidates.length === 1 ? '' : 's'}, pass force=true to create it anyway`,
+            statusCode: 409,
+            candidates
+          });
+        }
+      }
       
-      // Index in vector database if available
-      if (generateVector) {
+      // Suggestions only add to the caller's tags, a failure leaves them as sent
+      if (autoTag) {
         try {
-          await vectorService.indexNote(note._id.toString(), title, body);
-        } catch (vectorError) {
-          // Log warning but don't fail the request
-          fastify.log.warn('Failed to index note in vector database:', vectorError.message);
+          const current = normalizeTags(tags);
+          const suggested = await tagSuggestionService.autoTags(request.user.id, { title, body, format, tags: current });
+          tags = [...current, ...suggested];
+        } catch (tagError) {
+          fastify.log.warn(`Auto-tagging skipped: ${tagError.message}`);
         }
       }
       
+      // The note is indexed for vector search by the index worker (indexStatus 'pending')
+      const note = await noteService.createNote(request.user.id, { title, body, tags, format });
+      
       reply.status(201).send(note);
+    } catch (error) {
+      if (error instanceof TagValidationError) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: error.message,
+          statusCode: 400
+        });
+      }
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // POST /notes/bulk - Create, update and delete many notes in one request
+  fastify.post('/notes/bulk', {
+    bodyLimit: 10 * 1024 * 1024,
+    schema: {
+      tags: ['Notes'],
+      description: 'Apply a mixed list of create, update and delete operations. Each item is validated on its own and gets its own result. With atomic=true (requires a MongoDB replica set) either all operations are applied or none',
+      body: {
+        type: 'object',
+        required: ['operations'],
+        properties: {
+          operations: {
+            type: 'array',
+            minItems: 1,
+            maxItems: bulkService.MAX_BULK_OPERATIONS,
+            items: {
+              type: 'object',
+              description: '{ op: "create", title, body, tags?, format? } | { op: "update", id, title?, body?, tags?, format? } | { op: "delete", id, permanent? }'
+            }
+          },
+          atomic: { type: 'boolean', default: false, description: 'Apply all operations in one transaction, or none if any fails' }
+        }
+      },
+      response: {
+        200: noteSchemas.bulkResult,
+        400: {
+          type: 'object',
+          properties: { ...noteSchemas.error.properties, ...noteSchemas.bulkResult.properties }
+        },
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { operations, atomic = false } = request.body;
+      
+      if (atomic && !(await bulkService.supportsTransactions())) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: 'Atomic bulk requests require MongoDB running as a replica set',
+          statusCode: 400
+        });
+      }
+      
+      const valid = [];
+      const invalid = [];
+      operations.forEach((item, index) => {
+        const schema = bulkItemSchemas[item.op];
+        if (!schema) {
+          invalid.push({ index, op: item.op, id: item.id, status: 'failed', error: 'op must be one of create, update, delete' });
+          return;
+        }
+        
+        const validate = request.compileValidationSchema(schema);
+        const operation = { ...item };
+        if (!validate(operation)) {
+          invalid.push({ index, op: item.op, id: item.id, status: 'failed', error: formatValidationErrors(validate.errors) });
+        } else {
+          valid.push({ ...operation, index });
+        }
+      });
+      
+      const all = operations.map((item, index) => ({ index, op: item.op, id: item.id }));
+      let outcome;
+      if (atomic && invalid.length > 0) {
+        outcome = bulkService.rolledBack(all, invalid);
+      } else {
+        outcome = await bulkService.applyOperations(request.user.id, valid, { atomic });
+        outcome.results = [...outcome.results, ...invalid].sort((a, b) => a.index - b.index);
+      }
+      
+      const summary = { total: operations.length, created: 0, updated: 0, deleted: 0, failed: 0, skipped: 0 };
+      outcome.results.forEach(result => summary[result.status]++);
+      const response = { atomic, committed: outcome.committed, summary, results: outcome.results };
+      
+      if (!outcome.committed) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: 'No operation was applied because at least one operation failed',
+          statusCode: 400,
+          ...response
+        });
+      }
+      
+      reply.send(response);
     } catch (error) {
       fastify.log.error(error);
       reply.status(500).send({
@@ -120,14 +279,16 @@ async function noteRoutes(fastify, options) {
   fastify.get('/notes', {
     schema: {
       tags: ['Notes'],
-      description: 'Retrieve all notes',
+      description: 'Retrieve all notes. Offset mode returns an array; cursor mode (paginate=cursor or cursor=...) returns { items, nextCursor, prevCursor, total }',
       querystring: {
         type: 'object',
         properties: {
           limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
           skip: { type: 'integer', minimum: 0, default: 0 },
           sortBy: { type: 'string', enum: ['createdAt', 'updatedAt', 'title'], default: 'createdAt' },
-          sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc' }
+          sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+          ...cursorQueryProperties,
+          ...noteSchemas.filterQueryProperties
         }
       },
       response: {
@@ -135,6 +296,8 @@ async function noteRoutes(fastify, options) {
           type: 'array',
           items: noteSchemas.note
         },
+        400: noteSchemas.error,
+        401: noteSchemas.error,
         500: noteSchemas.error
       }
     }
@@ -142,14 +305,39 @@ async function noteRoutes(fastify, options) {
     try {
       const { limit = 50, skip = 0, sortBy = 'createdAt', sortOrder = 'desc' } = request.query;
       
+      let cursorOptions;
+      let filters;
+      try {
+        cursorOptions = resolveCursorOptions(request.query);
+        filters = parseNoteFilters(request.query);
+      } catch (queryError) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: queryError.message,
+          statusCode: 400
+        });
+      }
+      
+      if (cursorOptions) {
+        const page = await noteService.getNotesPage(request.user.id, {
+          ...cursorOptions,
+          filters,
+          limit: parseInt(limit)
+        });
+        // Cursor mode answers with a page envelope instead of the legacy array
+        reply.serializer(reply.compileSerializationSchema(noteSchemas.notePage));
+        return reply.send(page);
+      }
+      
       const options = {
         limit: parseInt(limit),
         skip: parseInt(skip),
         sortBy,
-        sortOrder: sortOrder === 'asc' ? 1 : -1
+        sortOrder: sortOrder === 'asc' ? 1 : -1,
+        filters
       };
       
-      const notes = await noteService.getAllNotes(options);
+      const notes = await noteService.getAllNotes(request.user.id, options);
       reply.send(notes);
     } catch (error) {
       fastify.log.error(error);
@@ -175,6 +363,7 @@ async function noteRoutes(fastify, options) {
       response: {
         200: noteSchemas.note,
         404: noteSchemas.error,
+        401: noteSchemas.error,
         500: noteSchemas.error
       }
     }
@@ -182,7 +371,7 @@ async function noteRoutes(fastify, options) {
     try {
       const { id } = request.params;
       
-      const note = await noteService.getNoteById(id);
+      const note = await noteService.getNoteById(request.user.id, id);
       
       if (!note) {
         return reply.status(404).send({
@@ -203,11 +392,54 @@ async function noteRoutes(fastify, options) {
     }
   });
 
+  // GET /notes/:id/rendered - Get the body of a note as sanitized HTML
+  fastify.get('/notes/:id/rendered', {
+    schema: {
+      tags: ['Notes'],
+      description: 'Render the body of a note as HTML. Markdown bodies are rendered and sanitized (no scripts, event handlers or javascript: URLs), plain bodies are escaped into paragraphs',
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'MongoDB ObjectId' }
+        }
+      },
+      response: {
+        200: noteSchemas.renderedNote,
+        404: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      
+      const rendered = await noteService.renderNote(request.user.id, id);
+      
+      if (!rendered) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Note not found',
+          statusCode: 404
+        });
+      }
+      
+      reply.send(rendered);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
   // GET /notes/search - Search notes by title/body
   fastify.get('/notes/search', {
     schema: {
       tags: ['Notes'],
-      description: 'Search notes by title and body content',
+      description: 'Search notes by title and body content. Cursor mode returns { items, nextCursor, prevCursor, total } ordered by sortBy instead of relevance',
       querystring: {
         type: 'object',
         required: ['q'],
@@ -215,7 +447,11 @@ async function noteRoutes(fastify, options) {
           q: { type: 'string', minLength: 1, description: 'Search query' },
           limit: { type: 'integer', minimum: 1, maximum: 50, default: 20 },
           skip: { type: 'integer', minimum: 0, default: 0 },
-          useRegex: { type: 'boolean', default: false, description: 'Use regex search instead of text search' }
+          useRegex: { type: 'boolean', default: false, description: 'Use case-insensitive substring search instead of text search, the query is matched literally' },
+          sortBy: { type: 'string', enum: ['createdAt', 'updatedAt', 'title'], default: 'createdAt', description: 'Sort key in cursor mode' },
+          sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc', description: 'Sort order in cursor mode' },
+          ...cursorQueryProperties,
+          ...noteSchemas.filterQueryProperties
         }
       },
       response: {
@@ -224,6 +460,7 @@ async function noteRoutes(fastify, options) {
           items: noteSchemas.searchResult
         },
         400: noteSchemas.error,
+        401: noteSchemas.error,
         500: noteSchemas.error
       }
     }
@@ -239,13 +476,33 @@ async function noteRoutes(fastify, options) {
         });
       }
       
+      let cursorOptions;
+      let filters;
+      try {
+        cursorOptions = resolveCursorOptions(request.query);
+        filters = parseNoteFilters(request.query);
+      } catch (queryError) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: queryError.message,
+          statusCode: 400
+        });
+      }
+      
       const options = {
         limit: parseInt(limit),
         skip: parseInt(skip),
-        useRegex: useRegex === 'true' || useRegex === true
+        useRegex: useRegex === 'true' || useRegex === true,
+        filters
       };
       
-      const results = await noteService.searchNotes(q, options);
+      if (cursorOptions) {
+        const page = await noteService.searchNotesPage(request.user.id, q, { ...options, ...cursorOptions });
+        reply.serializer(reply.compileSerializationSchema(noteSchemas.searchResultPage));
+        return reply.send(page);
+      }
+      
+      const results = await noteService.searchNotes(request.user.id, q, options);
       reply.send(results);
     } catch (error) {
       fastify.log.error(error);
@@ -261,32 +518,25 @@ async function noteRoutes(fastify, options) {
   fastify.get('/notes/vector-search', {
     schema: {
       tags: ['Notes', 'Vector Search'],
-      description: 'Semantic search using vector embeddings',
+      description: 'Semantic search over note passages, one result per note with its best-matching passage. With the Qdrant store, titlePrefix is matched against at most the 1000 closest notes',
       querystring: {
         type: 'object',
         required: ['q'],
         properties: {
           q: { type: 'string', minLength: 1, description: 'Search query' },
           limit: { type: 'integer', minimum: 1, maximum: 20, default: 10 },
-          threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.7, description: 'Similarity threshold' }
+          threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.7, description: 'Similarity threshold' },
+          ...noteSchemas.filterQueryProperties
         }
       },
       response: {
         200: {
           type: 'array',
-          items: {
-            type: 'object',
-            properties: {
-              id: { type: 'string' },
-              title: { type: 'string' },
-              body: { type: 'string' },
-              score: { type: 'number' },
-              createdAt: { type: 'string' }
-            }
-          }
+          items: noteSchemas.vectorResult
         },
         400: noteSchemas.error,
         503: noteSchemas.error,
+        401: noteSchemas.error,
         500: noteSchemas.error
       }
     }
@@ -302,6 +552,17 @@ async function noteRoutes(fastify, options) {
         });
       }
       
+      let filters;
+      try {
+        filters = parseNoteFilters(request.query);
+      } catch (filterError) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: filterError.message,
+          statusCode: 400
+        });
+      }
+      
       // Check if vector service is available
       const isHealthy = await vectorService.healthCheck();
       if (!isHealthy) {
@@ -314,7 +575,9 @@ async function noteRoutes(fastify, options) {
       
       const options = {
         limit: parseInt(limit),
-        threshold: parseFloat(threshold)
+        threshold: parseFloat(threshold),
+        ownerId: request.user.id,
+        filters
       };
       
       const results = await vectorService.vectorSearch(q, options);
@@ -329,28 +592,185 @@ async function noteRoutes(fastify, options) {
     }
   });
 
-  // PUT /notes/:id - Update a note
-  fastify.put('/notes/:id', {
+  // GET /notes/:id/related - Notes similar to a note
+  fastify.get('/notes/:id/related', {
     schema: {
-      tags: ['Notes'],
-      description: 'Update a note by ID',
+      tags: ['Notes', 'Vector Search'],
+      description: 'Notes most similar to a note ("see also"), compared by the note\'s stored embedding. No embedding is generated, notes not indexed yet answer 409',
       params: {
         type: 'object',
         properties: {
           id: { type: 'string', description: 'MongoDB ObjectId' }
         }
       },
-      body: {
+      querystring: {
         type: 'object',
         properties: {
-          title: { type: 'string', maxLength: 200 },
-          body: { type: 'string', maxLength: 10000 },
-          tags: { type: 'array', items: { type: 'string' } }
+          limit: { type: 'integer', minimum: 1, maximum: 50, default: 5 },
+          threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.5, description: 'Similarity threshold' },
+          ...noteSchemas.filterQueryProperties
         }
       },
+      response: {
+        200: {
+          type: 'array',
+          items: noteSchemas.vectorResult
+        },
+        400: noteSchemas.error,
+        404: noteSchemas.error,
+        409: noteSchemas.error,
+        503: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { limit = 5, threshold = 0.5 } = request.query;
+      
+      let filters;
+      try {
+        filters = parseNoteFilters(request.query);
+      } catch (filterError) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: filterError.message,
+          statusCode: 400
+        });
+      }
+      
+      const isHealthy = await vectorService.healthCheck();
+      if (!isHealthy) {
+        return reply.status(503).send({
+          error: 'Service Unavailable',
+          message: 'Vector search service is not available',
+          statusCode: 503
+        });
+      }
+      
+      let related;
+      try {
+        related = await vectorService.relatedNotes(request.user.id, id, { limit, threshold, filters });
+      } catch (relatedError) {
+        if (relatedError.code === 'NOTE_NOT_EMBEDDED') {
+          return reply.status(409).send({
+            error: 'Conflict',
+            message: relatedError.message,
+            statusCode: 409
+          });
+        }
+        throw relatedError;
+      }
+      
+      if (!related) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Note not found',
+          statusCode: 404
+        });
+      }
+      
+      reply.send(related);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // GET /notes/hybrid-search - Fused keyword and semantic search
+  fastify.get('/notes/hybrid-search', {
+    schema: {
+      tags: ['Notes', 'Vector Search'],
+      description: 'Hybrid search fusing MongoDB text relevance with vector similarity (reciprocal rank fusion or weighted scores)',
+      querystring: {
+        type: 'object',
+        required: ['q'],
+        properties: {
+          q: { type: 'string', minLength: 1, description: 'Search query' },
+          limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 },
+          mode: { type: 'string', enum: ['rrf', 'weighted'], default: 'rrf', description: 'Fusion method' },
+          rrfK: { type: 'integer', minimum: 1, maximum: 1000, default: 60, description: 'RRF rank constant' },
+          textWeight: { type: 'number', minimum: 0, maximum: 1, default: 0.5, description: 'Weight of the text source' },
+          vectorWeight: { type: 'number', minimum: 0, maximum: 1, default: 0.5, description: 'Weight of the vector source' },
+          threshold: { type: 'number', minimum: 0, maximum: 1, default: 0.3, description: 'Minimum vector similarity for candidates' },
+          ...noteSchemas.filterQueryProperties
+        }
+      },
+      response: {
+        200: {
+          type: 'array',
+          items: noteSchemas.hybridResult
+        },
+        400: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { q, limit = 10, mode = 'rrf', rrfK = 60, textWeight = 0.5, vectorWeight = 0.5, threshold = 0.3 } = request.query;
+      
+      if (!q || q.trim().length === 0) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: 'Search query is required',
+          statusCode: 400
+        });
+      }
+      
+      let filters;
+      try {
+        filters = parseNoteFilters(request.query);
+      } catch (filterError) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: filterError.message,
+          statusCode: 400
+        });
+      }
+      
+      const results = await searchService.hybridSearch(request.user.id, q, {
+        limit: parseInt(limit),
+        mode,
+        rrfK: parseInt(rrfK),
+        textWeight: parseFloat(textWeight),
+        vectorWeight: parseFloat(vectorWeight),
+        threshold: parseFloat(threshold),
+        filters
+      });
+      reply.send(results);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // PUT /notes/:id - Update a note
+  fastify.put('/notes/:id', {
+    schema: {
+      tags: ['Notes'],
+      description: 'Update a note by ID',
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'MongoDB ObjectId' }
+        }
+      },
+      body: noteSchemas.updateNote,
       response: {
         200: noteSchemas.note,
+        400: noteSchemas.error,
         404: noteSchemas.error,
+        401: noteSchemas.error,
         500: noteSchemas.error
       }
     }
@@ -359,7 +779,7 @@ async function noteRoutes(fastify, options) {
       const { id } = request.params;
       const updateData = request.body;
       
-      const note = await noteService.updateNote(id, updateData);
+      const note = await noteService.updateNote(request.user.id, id, updateData);
       
       if (!note) {
         return reply.status(404).send({
@@ -371,6 +791,13 @@ async function noteRoutes(fastify, options) {
       
       reply.send(note);
     } catch (error) {
+      if (error instanceof TagValidationError) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: error.message,
+          statusCode: 400
+        });
+      }
       fastify.log.error(error);
       reply.status(500).send({
         error: 'Internal Server Error',
@@ -380,28 +807,38 @@ async function noteRoutes(fastify, options) {
     }
   });
 
-  // DELETE /notes/:id - Delete a note
+  // DELETE /notes/:id - Move a note to the trash, or delete it permanently
   fastify.delete('/notes/:id', {
     schema: {
       tags: ['Notes'],
-      description: 'Delete a note by ID',
+      description: 'Move a note to the trash, or delete it permanently with ?permanent=true',
       params: {
         type: 'object',
         properties: {
           id: { type: 'string', description: 'MongoDB ObjectId' }
         }
       },
+      querystring: {
+        type: 'object',
+        properties: {
+          permanent: { type: 'boolean', default: false, description: 'Skip the trash and delete immediately' }
+        }
+      },
       response: {
         204: { type: 'null' },
         404: noteSchemas.error,
+        401: noteSchemas.error,
         500: noteSchemas.error
       }
     }
   }, async (request, reply) => {
     try {
       const { id } = request.params;
+      const { permanent = false } = request.query;
       
-      const deleted = await noteService.deleteNote(id);
+      const deleted = permanent
+        ? await noteService.permanentlyDeleteNote(request.user.id, id)
+        : await noteService.deleteNote(request.user.id, id);
       
       if (!deleted) {
         return reply.status(404).send({
@@ -411,14 +848,90 @@ async function noteRoutes(fastify, options) {
         });
       }
       
-      // Remove from vector index
-      try {
-        await vectorService.removeNote(id);
-      } catch (vectorError) {
-        fastify.log.warn('Failed to remove note from vector index:', vectorError.message);
+      reply.status(204).send();
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // GET /notes/trash - List trashed notes
+  fastify.get('/notes/trash', {
+    schema: {
+      tags: ['Notes'],
+      description: 'List notes in the trash, most recently deleted first',
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+          skip: { type: 'integer', minimum: 0, default: 0 }
+        }
+      },
+      response: {
+        200: {
+          type: 'array',
+          items: noteSchemas.note
+        },
+        401: noteSchemas.error,
+        500: noteSchemas.error
       }
+    }
+  }, async (request, reply) => {
+    try {
+      const { limit = 50, skip = 0 } = request.query;
       
-      reply.status(204).send();
+      const notes = await noteService.getTrash(request.user.id, {
+        limit: parseInt(limit),
+        skip: parseInt(skip)
+      });
+      reply.send(notes);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // POST /notes/:id/restore - Restore a note from the trash
+  fastify.post('/notes/:id/restore', {
+    schema: {
+      tags: ['Notes'],
+      description: 'Restore a note from the trash',
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'MongoDB ObjectId' }
+        }
+      },
+      response: {
+        200: noteSchemas.note,
+        404: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      
+      const note = await noteService.restoreNote(request.user.id, id);
+      
+      if (!note) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Note not found in trash',
+          statusCode: 404
+        });
+      }
+      
+      reply.send(note);
     } catch (error) {
       fastify.log.error(error);
       reply.status(500).send({
@@ -441,19 +954,53 @@ async function noteRoutes(fastify, options) {
             totalNotes: { type: 'number' },
             recentNotes: { type: 'number' },
             lastWeek: { type: 'number' },
-            vectorStats: { type: 'object' }
+            trashedNotes: { type: 'number' },
+            indexStatus: {
+              type: 'object',
+              properties: {
+                pending: { type: 'number' },
+                indexed: { type: 'number' },
+                failed: { type: 'number' }
+              }
+            },
+            embedding: {
+              type: 'object',
+              properties: {
+                provider: { type: 'string' },
+                model: { type: 'string' },
+                dimension: { type: 'integer' },
+                cache: {
+                  type: 'object',
+                  properties: {
+                    hits: { type: 'integer' },
+                    misses: { type: 'integer' },
+                    hitRate: { type: 'number' },
+                    memoryHits: { type: 'integer' },
+                    persistentHits: { type: 'integer' },
+                    persistentErrors: { type: 'integer' },
+                    memoryEntries: { type: 'integer' },
+                    memoryMaxEntries: { type: 'integer' },
+                    persistent: { type: 'boolean' }
+                  }
+                }
+              }
+            },
+            vectorStats: { type: 'object', additionalProperties: true, description: 'Vector store counts of the caller\'s notes' }
           }
         },
+        401: noteSchemas.error,
         500: noteSchemas.error
       }
     }
   }, async (request, reply) => {
     try {
-      const stats = await noteService.getNotesStats();
-      const vectorStats = await vectorService.getStats();
+      const stats = await noteService.getNotesStats(request.user.id);
+      // Counts are limited to the caller's notes, store-wide numbers are not shared
+      const vectorStats = await vectorService.getStats(request.user.id);
       
       reply.send({
         ...stats,
+        embedding: embeddingService.getStats(),
         vectorStats
       });
     } catch (error) {
@@ -0,0 +1,234 @@
+const noteService = require('../services/noteService');
+const revisionService = require('../services/revisionService');
+const noteSchemas = require('./schemas');
+
+/**
+ * Fastify routes for note revision history
+ * List, fetch, diff and restore revisions of a note
+ */
+async function revisionRoutes(fastify, options) {
+
+  const noteParams = {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'MongoDB ObjectId' }
+    }
+  };
+
+  const revisionParams = {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'MongoDB ObjectId' },
+      revision: { type: 'integer', minimum: 1, description: 'Revision number' }
+    }
+  };
+
+  const notFound = (reply, message) => reply.status(404).send({
+    error: 'Not Found',
+    message,
+    statusCode: 404
+  });
+
+  // GET /notes/:id/revisions - List revisions of a note
+  fastify.get('/notes/:id/revisions', {
+    schema: {
+      tags: ['Revisions'],
+      description: 'List revisions of a note, newest first',
+      params: noteParams,
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+          skip: { type: 'integer', minimum: 0, default: 0 }
+        }
+      },
+      response: {
+        200: {
+          type: 'array',
+          items: noteSchemas.revision
+        },
+        401: noteSchemas.error,
+        404: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { limit = 50, skip = 0 } = request.query;
+
+      const note = await noteService.getNoteById(request.user.id, id);
+      if (!note) {
+        return notFound(reply, 'Note not found');
+      }
+
+      const revisions = await revisionService.listRevisions(request.user.id, id, { limit, skip });
+      reply.send(revisions);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // GET /notes/:id/revisions/diff - Line-level diff between two revisions
+  fastify.get('/notes/:id/revisions/diff', {
+    schema: {
+      tags: ['Revisions'],
+      description: 'Line-level diff between two revisions of a note',
+      params: noteParams,
+      querystring: {
+        type: 'object',
+        required: ['from', 'to'],
+        properties: {
+          from: { type: 'integer', minimum: 1, description: 'Base revision number' },
+          to: { type: 'integer', minimum: 1, description: 'Target revision number' }
+        }
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            from: { type: 'number' },
+            to: { type: 'number' },
+            title: {
+              type: 'object',
+              properties: {
+                changed: { type: 'boolean' },
+                from: { type: 'string' },
+                to: { type: 'string' }
+              }
+            },
+            format: {
+              type: 'object',
+              properties: {
+                changed: { type: 'boolean' },
+                from: { type: 'string' },
+                to: { type: 'string' }
+              }
+            },
+            body: {
+              type: 'object',
+              properties: {
+                added: { type: 'number' },
+                removed: { type: 'number' },
+                changes: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      type: { type: 'string', enum: ['equal', 'added', 'removed'] },
+                      oldLine: { type: 'number' },
+                      newLine: { type: 'number' },
+                      value: { type: 'string' }
+                    }
+                  }
+                }
+              }
+            },
+            tags: {
+              type: 'object',
+              properties: {
+                added: { type: 'array', items: { type: 'string' } },
+                removed: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          }
+        },
+        401: noteSchemas.error,
+        404: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { from, to } = request.query;
+
+      const diff = await revisionService.diffRevisions(request.user.id, id, from, to);
+      if (!diff) {
+        return notFound(reply, 'Revision not found');
+      }
+
+      reply.send(diff);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // GET /notes/:id/revisions/:revision - Fetch a single revision
+  fastify.get('/notes/:id/revisions/:revision', {
+    schema: {
+      tags: ['Revisions'],
+      description: 'Get a single revision of a note',
+      params: revisionParams,
+      response: {
+        200: noteSchemas.revision,
+        401: noteSchemas.error,
+        404: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id, revision } = request.params;
+
+      const snapshot = await revisionService.getRevision(request.user.id, id, revision);
+      if (!snapshot) {
+        return notFound(reply, 'Revision not found');
+      }
+
+      reply.send(snapshot);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // POST /notes/:id/revisions/:revision/restore - Restore a revision as the new head
+  fastify.post('/notes/:id/revisions/:revision/restore', {
+    schema: {
+      tags: ['Revisions'],
+      description: 'Restore an old revision as the new head of the note',
+      params: revisionParams,
+      response: {
+        200: noteSchemas.note,
+        401: noteSchemas.error,
+        404: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { id, revision } = request.params;
+
+      const note = await noteService.restoreRevision(request.user.id, id, revision, request.user.id);
+      if (!note) {
+        return notFound(reply, 'Note or revision not found');
+      }
+
+      reply.send(note);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+}
+
+module.exports = revisionRoutes;
@@ -0,0 +1,435 @@
+const { MAX_TAG_LENGTH, MAX_TAGS_PER_NOTE } = require('../utils/tagUtils');
+const { NOTE_FORMATS } = require('../utils/markdownUtils');
+
+// Swagger schemas shared by all mod-notes routes
+const noteSchemas = {
+  note: {
+    type: 'object',
+    properties: {
+      _id: { type: 'string' },
+      title: { type: 'string' },
+      body: { type: 'string' },
+      format: { type: 'string', enum: NOTE_FORMATS, default: 'plain' },
+      tags: { 
+        type: 'array',
+        items: { type: 'string' }
+      },
+      revision: { type: 'number' },
+      deletedAt: { type: 'string', format: 'date-time', nullable: true },
+      indexStatus: { type: 'string', enum: ['pending', 'indexed', 'failed'], description: 'Vector index sync state' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  renderedNote: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      format: { type: 'string', enum: NOTE_FORMATS },
+      html: { type: 'string', description: 'Sanitized HTML of the body' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  attachment: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      noteId: { type: 'string' },
+      filename: { type: 'string' },
+      contentType: { type: 'string' },
+      size: { type: 'number', description: 'Size in bytes' },
+      uploadedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  linkedNote: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      tags: {
+        type: 'array',
+        items: { type: 'string' }
+      },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  brokenLink: {
+    type: 'object',
+    properties: {
+      sourceId: { type: 'string' },
+      sourceTitle: { type: 'string' },
+      target: { type: 'string', description: 'Link target as written in the body' },
+      kind: { type: 'string', enum: ['title', 'id'] },
+      reason: { type: 'string', enum: ['missing', 'trashed'] }
+    }
+  },
+  duplicateCandidate: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      match: { type: 'string', enum: ['exact', 'similar'], description: 'Same content hash, or an embedding similarity of at least the threshold' },
+      score: { type: 'number', description: 'Cosine similarity, 1 for exact matches' }
+    }
+  },
+  revision: {
+    type: 'object',
+    properties: {
+      noteId: { type: 'string' },
+      revision: { type: 'number' },
+      title: { type: 'string' },
+      body: { type: 'string' },
+      format: { type: 'string', enum: NOTE_FORMATS, default: 'plain' },
+      tags: {
+        type: 'array',
+        items: { type: 'string' }
+      },
+      authorId: { type: 'string' },
+      changedFields: {
+        type: 'array',
+        items: { type: 'string' }
+      },
+      restoredFrom: { type: 'number' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  createNote: {
+    type: 'object',
+    required: ['title', 'body'],
+    properties: {
+      title: { 
+        type: 'string',
+        minLength: 1,
+        maxLength: 200,
+        description: 'Note title'
+      },
+      body: { 
+        type: 'string',
+        minLength: 1,
+        maxLength: 10000,
+        description: 'Note content'
+      },
+      format: {
+        type: 'string',
+        enum: NOTE_FORMATS,
+        default: 'plain',
+        description: 'Body format, markdown bodies can be rendered as HTML'
+      },
+      tags: {
+        type: 'array',
+        maxItems: MAX_TAGS_PER_NOTE,
+        items: { type: 'string', maxLength: MAX_TAG_LENGTH },
+        description: 'Optional tags for the note (case-folded, max 50 characters each)'
+      }
+    }
+  },
+  updateNote: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', maxLength: 200 },
+      body: { type: 'string', maxLength: 10000 },
+      format: { type: 'string', enum: NOTE_FORMATS },
+      tags: {
+        type: 'array',
+        maxItems: MAX_TAGS_PER_NOTE,
+        items: { type: 'string', maxLength: MAX_TAG_LENGTH },
+        description: 'Optional tags for the note (case-folded, max 50 characters each)'
+      }
+    }
+  },
+  bulkResult: {
+    type: 'object',
+    properties: {
+      atomic: { type: 'boolean' },
+      committed: { type: 'boolean', description: 'False when an atomic request was rolled back' },
+      summary: {
+        type: 'object',
+        properties: {
+          total: { type: 'number' },
+          created: { type: 'number' },
+          updated: { type: 'number' },
+          deleted: { type: 'number' },
+          failed: { type: 'number' },
+          skipped: { type: 'number' }
+        }
+      },
+      results: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'number', description: 'Position of the operation in the request' },
+            op: { type: 'string' },
+            status: { type: 'string', enum: ['created', 'updated', 'deleted', 'failed', 'skipped'] },
+            id: { type: 'string', nullable: true },
+            error: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  importResult: {
+    type: 'object',
+    properties: {
+      format: { type: 'string' },
+      dedupe: { type: 'boolean' },
+      summary: {
+        type: 'object',
+        properties: {
+          total: { type: 'number', description: 'Rows found in the file' },
+          created: { type: 'number' },
+          duplicates: { type: 'number' },
+          failed: { type: 'number' }
+        }
+      },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            row: { type: 'number', description: 'Line number (jsonl, csv) or position of the file in the archive (markdown)' },
+            file: { type: 'string', description: 'File in the archive (markdown)' },
+            error: { type: 'string' }
+          }
+        }
+      },
+      duplicates: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            row: { type: 'number' },
+            file: { type: 'string' },
+            title: { type: 'string' },
+            existingId: { type: 'string', description: 'Existing note with the same title and body' },
+            duplicateOfRow: { type: 'number', description: 'Earlier row with the same title and body' }
+          }
+        }
+      }
+    }
+  },
+  searchResult: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      body: { type: 'string' },
+      score: { type: 'number' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  vectorResult: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      body: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      score: { type: 'number' },
+      createdAt: { type: 'string' },
+      passage: {
+        type: 'object',
+        description: 'Best-matching passage of the note, offsets are character positions in the body',
+        properties: {
+          chunkIndex: { type: 'integer' },
+          start: { type: 'integer' },
+          end: { type: 'integer' },
+          text: { type: 'string' }
+        }
+      }
+    }
+  },
+  hybridResult: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      body: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      score: { type: 'number' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      sources: {
+        type: 'object',
+        properties: {
+          text: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              score: { type: 'number' },
+              rank: { type: 'number' }
+            }
+          },
+          vector: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              score: { type: 'number' },
+              rank: { type: 'number' }
+            }
+          }
+        }
+      }
+    }
+  },
+  tag: {
+    type: 'object',
+    properties: {
+      tag: { type: 'string' },
+      count: { type: 'number' },
+      lastUsedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  tagSuggestion: {
+    type: 'object',
+    properties: {
+      tag: { type: 'string' },
+      confidence: { type: 'number', description: '0-1, combines similarity and keywords' },
+      similarity: { type: 'number', nullable: true, description: 'Embedding similarity to the tag\'s notes, 1 when as close as they are to each other (null without embeddings)' },
+      keywords: { type: 'number', description: 'Keyword overlap with the tag\'s notes, the tag name itself counts for half' },
+      matchedKeywords: { type: 'array', items: { type: 'string' }, description: 'Stemmed keywords the note shares with the tag\'s notes' },
+      noteCount: { type: 'number', description: 'Notes using the tag' }
+    }
+  },
+  job: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      type: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed'] },
+      params: {
+        type: 'object',
+        properties: {
+          batchSize: { type: 'number' },
+          concurrency: { type: 'number' },
+          ownerId: { type: 'string', nullable: true }
+        }
+      },
+      progress: {
+        type: 'object',
+        properties: {
+          total: { type: 'number' },
+          processed: { type: 'number' },
+          succeeded: { type: 'number' },
+          failed: { type: 'number' },
+          percent: { type: 'number' }
+        }
+      },
+      throughput: {
+        type: 'object',
+        properties: {
+          notesPerSecond: { type: 'number' },
+          activeSeconds: { type: 'number' },
+          etaSeconds: { type: 'number', nullable: true }
+        }
+      },
+      failures: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            noteId: { type: 'string' },
+            error: { type: 'string' },
+            at: { type: 'string', format: 'date-time' }
+          }
+        }
+      },
+      attempts: { type: 'number' },
+      lastError: { type: 'string', nullable: true },
+      createdBy: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' },
+      startedAt: { type: 'string', format: 'date-time', nullable: true },
+      finishedAt: { type: 'string', format: 'date-time', nullable: true },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string' },
+      events: { type: 'array', items: { type: 'string' } },
+      description: { type: 'string' },
+      active: { type: 'boolean' },
+      secret: { type: 'string', description: 'Only returned when the webhook is created' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  webhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      webhookId: { type: 'string' },
+      eventId: { type: 'string' },
+      event: { type: 'string' },
+      status: { type: 'string', enum: ['pending', 'delivered', 'dead'] },
+      attempts: { type: 'number' },
+      nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+      lastError: { type: 'string', nullable: true },
+      deliveredAt: { type: 'string', format: 'date-time', nullable: true },
+      log: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            at: { type: 'string', format: 'date-time' },
+            statusCode: { type: 'number' },
+            durationMs: { type: 'number' },
+            error: { type: 'string' }
+          }
+        }
+      },
+      payload: { type: 'object', additionalProperties: true },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      message: { type: 'string' },
+      statusCode: { type: 'number' }
+    }
+  }
+};
+
+// Structured filter query parameters accepted by listing and search endpoints
+noteSchemas.filterQueryProperties = {
+  tags: { type: 'string', description: 'Comma separated tags to match' },
+  tagsMode: { type: 'string', enum: ['any', 'all'], default: 'any', description: 'Match any or all of the tags' },
+  excludeTags: { type: 'string', description: 'Comma separated tags the note must not have' },
+  createdAfter: { type: 'string', description: 'ISO date, only notes created at or after' },
+  createdBefore: { type: 'string', description: 'ISO date, only notes created at or before' },
+  updatedAfter: { type: 'string', description: 'ISO date, only notes updated at or after' },
+  updatedBefore: { type: 'string', description: 'ISO date, only notes updated at or before' },
+  titlePrefix: { type: 'string', maxLength: 200, description: 'Case-sensitive title prefix' }
+};
+
+/**
+ * Build the response envelope used by cursor-paginated endpoints
+ * @param {Object} itemSchema - Schema of a single item
+ * @returns {Object} Page schema
+ */
+function pageOf(itemSchema) {
+  return {
+    type: 'object',
+    properties: {
+      items: {
+        type: 'array',
+        items: itemSchema
+      },
+      nextCursor: { type: 'string', nullable: true },
+      prevCursor: { type: 'string', nullable: true },
+      total: { type: 'number' }
+    }
+  };
+}
+
+noteSchemas.notePage = pageOf(noteSchemas.note);
+noteSchemas.searchResultPage = pageOf(noteSchemas.searchResult);
+
+module.exports = noteSchemas;
@@ -0,0 +1,235 @@
+const tagService = require('../services/tagService');
+const tagSuggestionService = require('../services/tagSuggestionService');
+const noteSchemas = require('./schemas');
+const { MAX_TAG_LENGTH, normalizeTags, TagValidationError } = require('../utils/tagUtils');
+
+/**
+ * Fastify routes for tag management
+ * List tags with usage counts, rename a tag, merge several tags into one and
+ * suggest tags for note content
+ */
+async function tagRoutes(fastify, options) {
+
+  const tagName = { type: 'string', minLength: 1, maxLength: MAX_TAG_LENGTH };
+
+  const tagChangeResult = {
+    type: 'object',
+    properties: {
+      tag: { type: 'string' },
+      notesUpdated: { type: 'number' }
+    }
+  };
+
+  // GET /tags - List tags with usage counts
+  fastify.get('/tags', {
+    schema: {
+      tags: ['Tags'],
+      description: 'List tags with the number of (non-trashed) notes using them',
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 500, default: 100 },
+          skip: { type: 'integer', minimum: 0, default: 0 },
+          sortBy: { type: 'string', enum: ['count', 'name'], default: 'count' },
+          prefix: { type: 'string', maxLength: MAX_TAG_LENGTH, description: 'Only tags starting with this prefix' }
+        }
+      },
+      response: {
+        200: {
+          type: 'array',
+          items: noteSchemas.tag
+        },
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { limit = 100, skip = 0, sortBy = 'count', prefix } = request.query;
+
+      const tags = await tagService.listTags(request.user.id, { limit, skip, sortBy, prefix });
+      reply.send(tags);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // PUT /tags/:tag - Rename a tag across all notes
+  fastify.put('/tags/:tag', {
+    schema: {
+      tags: ['Tags'],
+      description: 'Rename a tag on every note. Renaming onto an existing tag merges them',
+      params: {
+        type: 'object',
+        properties: {
+          tag: { type: 'string', description: 'Existing tag' }
+        }
+      },
+      body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { ...tagName, description: 'New tag name' }
+        }
+      },
+      response: {
+        200: tagChangeResult,
+        400: noteSchemas.error,
+        401: noteSchemas.error,
+        404: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { tag } = request.params;
+      const { name } = request.body;
+
+      const result = await tagService.renameTag(request.user.id, tag, name);
+
+      if (result.notesUpdated === 0) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'No notes use this tag',
+          statusCode: 404
+        });
+      }
+
+      reply.send(result);
+    } catch (error) {
+      if (error instanceof TagValidationError) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: error.message,
+          statusCode: 400
+        });
+      }
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // POST /tags/merge - Merge several tags into one
+  fastify.post('/tags/merge', {
+    schema: {
+      tags: ['Tags'],
+      description: 'Merge several tags into a target tag on every note',
+      body: {
+        type: 'object',
+        required: ['sources', 'target'],
+        properties: {
+          sources: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 100,
+            items: tagName,
+            description: 'Tags to merge away'
+          },
+          target: { ...tagName, description: 'Tag to merge into' }
+        }
+      },
+      response: {
+        200: tagChangeResult,
+        400: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { sources, target } = request.body;
+
+      const result = await tagService.mergeTags(request.user.id, sources, target);
+      reply.send(result);
+    } catch (error) {
+      if (error instanceof TagValidationError) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: error.message,
+          statusCode: 400
+        });
+      }
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // POST /notes/suggest-tags - Suggest existing tags for note content
+  fastify.post('/notes/suggest-tags', {
+    schema: {
+      tags: ['Tags'],
+      description: 'Suggest tags from the existing tag vocabulary for a note that is being written. Each tag is scored by the similarity of the note\'s embedding to the centroid of the notes using the tag and by keyword overlap with them; without embeddings the keyword score is used alone. Nothing is stored',
+      body: {
+        type: 'object',
+        required: ['body'],
+        properties: {
+          title: { ...noteSchemas.createNote.properties.title, minLength: 0 },
+          body: noteSchemas.createNote.properties.body,
+          format: noteSchemas.createNote.properties.format,
+          tags: { ...noteSchemas.createNote.properties.tags, description: 'Tags the note already has, they are not suggested' }
+        }
+      },
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 20, default: 5 },
+          minConfidence: { type: 'number', minimum: 0, maximum: 1, default: 0.2 }
+        }
+      },
+      response: {
+        200: {
+          type: 'array',
+          items: noteSchemas.tagSuggestion
+        },
+        400: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { title = '', body, format, tags = [] } = request.body;
+      const { limit = 5, minConfidence = 0.2 } = request.query;
+
+      let existing;
+      try {
+        existing = normalizeTags(tags);
+      } catch (tagError) {
+        return reply.status(400).send({
+          error: 'Bad Request',
+          message: tagError.message,
+          statusCode: 400
+        });
+      }
+
+      const suggestions = await tagSuggestionService.suggestTags(
+        request.user.id,
+        { title, body, format, tags: existing },
+        { limit, minConfidence }
+      );
+      reply.send(suggestions);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+}
+
+module.exports = tagRoutes;
@@ -0,0 +1,319 @@
+const Webhook = require('../models/Webhook');
+const webhookService = require('../services/webhookService');
+const noteSchemas = require('./schemas');
+
+const webhookParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', description: 'Webhook id' }
+  }
+};
+
+const webhookFields = {
+  url: { type: 'string', format: 'uri', pattern: '^https?://', maxLength: 2048, description: 'http(s) URL receiving the POST requests, on a public address' },
+  events: {
+    type: 'array',
+    items: { type: 'string', enum: Webhook.EVENTS },
+    minItems: 1,
+    description: 'Subscribed event types (default: all)'
+  },
+  description: { type: 'string', maxLength: 500 },
+  secret: { type: 'string', minLength: 16, maxLength: 256, description: 'Signing secret (default: generated)' },
+  active: { type: 'boolean' }
+};
+
+/**
+ * Fastify routes for webhook subscriptions to note events
+ * Deliveries are signed with the webhook secret, see the README for verifying them
+ */
+async function webhookRoutes(fastify, options) {
+
+  // POST /webhooks - Create a webhook
+  fastify.post('/webhooks', {
+    schema: {
+      tags: ['Webhooks'],
+      description: 'Subscribe a URL to note events. Each event is POSTed as JSON, signed with HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>" in the X-Webhook-Signature header. The secret is only returned in this response',
+      body: {
+        type: 'object',
+        required: ['url'],
+        properties: webhookFields
+      },
+      response: {
+        201: noteSchemas.webhook,
+        400: noteSchemas.error,
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const webhook = await webhookService.createWebhook(request.user.id, request.body);
+      reply.status(201).send(webhook);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // GET /webhooks - List webhooks
+  fastify.get('/webhooks', {
+    schema: {
+      tags: ['Webhooks'],
+      description: 'List the caller\'s webhooks, newest first',
+      response: {
+        200: {
+          type: 'array',
+          items: noteSchemas.webhook
+        },
+        401: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      reply.send(await webhookService.listWebhooks(request.user.id));
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // GET /webhooks/:id - Get a webhook
+  fastify.get('/webhooks/:id', {
+    schema: {
+      tags: ['Webhooks'],
+      description: 'Get a webhook by ID',
+      params: webhookParams,
+      response: {
+        200: noteSchemas.webhook,
+        401: noteSchemas.error,
+        404: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const webhook = await webhookService.getWebhook(request.user.id, request.params.id);
+      if (!webhook) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Webhook not found',
+          statusCode: 404
+        });
+      }
+      reply.send(webhook);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // PUT /webhooks/:id - Update a webhook
+  fastify.put('/webhooks/:id', {
+    schema: {
+      tags: ['Webhooks'],
+      description: 'Update a webhook; missing fields are kept. Disabling it stops new deliveries and dead-letters pending ones',
+      params: webhookParams,
+      body: {
+        type: 'object',
+        minProperties: 1,
+        properties: webhookFields
+      },
+      response: {
+        200: noteSchemas.webhook,
+        400: noteSchemas.error,
+        401: noteSchemas.error,
+        404: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const webhook = await webhookService.updateWebhook(request.user.id, request.params.id, request.body);
+      if (!webhook) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Webhook not found',
+          statusCode: 404
+        });
+      }
+      reply.send(webhook);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // DELETE /webhooks/:id - Delete a webhook
+  fastify.delete('/webhooks/:id', {
+    schema: {
+      tags: ['Webhooks'],
+      description: 'Delete a webhook together with its deliveries',
+      params: webhookParams,
+      response: {
+        204: { type: 'null' },
+        401: noteSchemas.error,
+        404: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const deleted = await webhookService.deleteWebhook(request.user.id, request.params.id);
+      if (!deleted) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Webhook not found',
+          statusCode: 404
+        });
+      }
+      reply.status(204).send();
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // POST /webhooks/:id/ping - Send a test delivery
+  fastify.post('/webhooks/:id/ping', {
+    schema: {
+      tags: ['Webhooks'],
+      description: 'Queue a signed ping event for the webhook, whatever events it is subscribed to. Follow it in the delivery log',
+      params: webhookParams,
+      response: {
+        202: noteSchemas.webhookDelivery,
+        401: noteSchemas.error,
+        404: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const delivery = await webhookService.ping(request.user.id, request.params.id);
+      if (!delivery) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Webhook not found',
+          statusCode: 404
+        });
+      }
+      reply.status(202).send(delivery);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // GET /webhooks/:id/deliveries - Delivery log of a webhook
+  fastify.get('/webhooks/:id/deliveries', {
+    schema: {
+      tags: ['Webhooks'],
+      description: 'List the deliveries of a webhook, newest first, with their payload and their most recent attempts. Deliveries are kept for 30 days after their last change',
+      params: webhookParams,
+      querystring: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['pending', 'delivered', 'dead'] },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+          skip: { type: 'integer', minimum: 0, default: 0 }
+        }
+      },
+      response: {
+        200: {
+          type: 'array',
+          items: noteSchemas.webhookDelivery
+        },
+        401: noteSchemas.error,
+        404: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const { status, limit = 50, skip = 0 } = request.query;
+
+      const deliveries = await webhookService.listDeliveries(request.user.id, request.params.id, { status, limit, skip });
+      if (!deliveries) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Webhook not found',
+          statusCode: 404
+        });
+      }
+      reply.send(deliveries);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+
+  // POST /webhooks/:id/deliveries/:deliveryId/redeliver - Send a delivery again
+  fastify.post('/webhooks/:id/deliveries/:deliveryId/redeliver', {
+    schema: {
+      tags: ['Webhooks'],
+      description: 'Queue a delivery again with a new round of attempts, for example a dead-lettered one after the receiver was fixed',
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', description: 'Webhook id' },
+          deliveryId: { type: 'string', description: 'Delivery id' }
+        }
+      },
+      response: {
+        202: noteSchemas.webhookDelivery,
+        401: noteSchemas.error,
+        404: noteSchemas.error,
+        500: noteSchemas.error
+      }
+    }
+  }, async (request, reply) => {
+    try {
+      const delivery = await webhookService.redeliver(request.user.id, request.params.id, request.params.deliveryId);
+      if (!delivery) {
+        return reply.status(404).send({
+          error: 'Not Found',
+          message: 'Delivery not found',
+          statusCode: 404
+        });
+      }
+      reply.status(202).send(delivery);
+    } catch (error) {
+      fastify.log.error(error);
+      reply.status(500).send({
+        error: 'Internal Server Error',
+        message: error.message,
+        statusCode: 500
+      });
+    }
+  });
+}
+
+module.exports = webhookRoutes;
@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const { pipeline } = require('stream/promises');
+const Note = require('../models/Note');
+
+// GridFS bucket holding attachments (collections attachments.files and attachments.chunks)
+const BUCKET_NAME = 'attachments';
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+// Screenshots, documents and logs. SVG and HTML are left out on purpose: they can
+// carry scripts that would run when a download is opened in the browser.
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'application/json',
+  'application/zip',
+  'application/gzip'
+];
+
+// Types browsers can display safely, everything else is downloaded
+const INLINE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf'];
+
+/**
+ * Error for uploads that are rejected by the size or type limits
+ */
+class AttachmentRejectedError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Service for files attached to notes, stored in GridFS on the mongoose connection
+ * Files carry their note and owner in metadata. Attachments of trashed notes are kept
+ * (hidden) so a restore brings them back; they are removed when the note is purged.
+ */
+class AttachmentService {
+  constructor() {
+    this.maxBytes = DEFAULT_MAX_BYTES;
+    this.allowedTypes = DEFAULT_ALLOWED_TYPES;
+    this.gridFSBucket = null;
+  }
+
+  /**
+   * Configure the upload limits
+   * @param {Object} options - { maxBytes, allowedTypes (array or comma separated, "image/*" wildcards allowed) }
+   */
+  configure(options = {}) {
+    if (options.maxBytes) {
+      this.maxBytes = Number(options.maxBytes);
+    }
+    if (options.allowedTypes) {
+      const types = Array.isArray(options.allowedTypes) ? options.allowedTypes : String(options.allowedTypes).split(',');
+      this.allowedTypes = types.map(type => type.trim().toLowerCase()).filter(Boolean);
+    }
+  }
+
+  /**
+   * GridFS bucket, created on first use once the connection is open
+   * @returns {GridFSBucket} Bucket
+   */
+  bucket() {
+    if (!this.gridFSBucket) {
+      this.gridFSBucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+    }
+    return this.gridFSBucket;
+  }
+
+  /**
+   * Files collection of the bucket
+   */
+  files() {
+    return mongoose.connection.db.collection(`${BUCKET_NAME}.files`);
+  }
+
+  /**
+   * Create the index used to list the attachments of a note
+   */
+  async initialize() {
+    try {
+      await this.files().createIndex({ 'metadata.noteId': 1, uploadDate: 1 });
+    } catch (error) {
+      console.warn('Failed to create attachment index:', error.message);
+    }
+  }
+
+  /**
+   * Whether a MIME type is allowed
+   * @param {string} contentType - MIME type, parameters are ignored
+   * @returns {boolean} True if allowed
+   */
+  isAllowedType(contentType) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    return this.allowedTypes.some(allowed => (
+      allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+    ));
+  }
+
+  /**
+   * Find an active note of an owner
+   * @returns {Promise<Object|null>} Note id holder or null
+   */
+  async findNote(ownerId, noteId) {
+    if (!mongoose.isValidObjectId(noteId)) {
+      return null;
+    }
+    return Note.findOne({ _id: noteId, ownerId, deletedAt: null }).select('_id').lean();
+  }
+
+  /**
+   * Store an uploaded file
+   * The stream is written to GridFS as it arrives; an upload that turns out too large
+   * is removed again.
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} noteId - MongoDB ObjectId of the note
+   * @param {Object} file - { filename, contentType, stream }
+   * @returns {Promise<Object|null>} Attachment or null if the note does not exist
+   */
+  async uploadAttachment(ownerId, noteId, file) {
+    const note = await this.findNote(ownerId, noteId);
+    if (!note) {
+      file.stream.resume();
+      return null;
+    }
+
+    const contentType = String(file.contentType || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+    if (!this.isAllowedType(contentType)) {
+      file.stream.resume();
+      throw new AttachmentRejectedError(`File type ${contentType} is not allowed`, 415);
+    }
+
+    const upload = this.bucket().openUploadStream(file.filename || 'attachment', {
+      metadata: { noteId: note._id, ownerId, contentType }
+    });
+
+    try {
+      await pipeline(file.stream, upload);
+    } catch (error) {
+      await upload.abort().catch(() => {});
+      throw new Error(`Failed to store attachment: ${error.message}`);
+    }
+
+    // The multipart parser stops reading at the size limit and marks the stream truncated
+    if (file.stream.truncated) {
+      await this.bucket().delete(upload.id).catch(() => {});
+      throw new AttachmentRejectedError(`File exceeds the ${this.maxBytes} byte limit`, 413);
+    }
+
+    return this.toAttachment(await this.files().findOne({ _id: upload.id }));
+  }
+
+  /**
+   * List the attachments of a note, oldest first
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} noteId - MongoDB ObjectId of the note
+   * @returns {Promise<Array|null>} Attachments or null if the note does not exist
+   */
+  async listAttachments(ownerId, noteId) {
+    try {
+      const note = await this.findNote(ownerId, noteId);
+      if (!note) {
+        return null;
+      }
+
+      const files = await this.files()
+        .find({ 'metadata.noteId': note._id, 'metadata.ownerId': ownerId })
+        .sort({ uploadDate: 1 })
+        .toArray();
+      return files.map(file => this.toAttachment(file));
+    } catch (error) {
+      throw new Error(`Failed to list attachments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the GridFS file of an attachment
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} noteId - MongoDB ObjectId of the note
+   * @param {string} attachmentId - GridFS file id
+   * @returns {Promise<Object|null>} GridFS file document or null if not found
+   */
+  async getAttachmentFile(ownerId, noteId, attachmentId) {
+    try {
+      if (!mongoose.isValidObjectId(attachmentId) || !(await this.findNote(ownerId, noteId))) {
+        return null;
+      }
+      return await this.files().findOne({
+        _id: new mongoose.Types.ObjectId(attachmentId),
+        'metadata.noteId': new mongoose.Types.ObjectId(noteId),
+        'metadata.ownerId': ownerId
+      });
+    } catch (error) {
+      throw new Error(`Failed to retrieve attachment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stream the content of an attachment
+   * @param {Object} file - GridFS file document
+   * @param {Object} range - Optional { start, end } with end inclusive
+   * @returns {Readable} Content stream
+   */
+  openDownloadStream(file, range) {
+    const options = range ? { start: range.start, end: range.end + 1 } : undefined;
+    return this.bucket().openDownloadStream(file._id, options);
+  }
+
+  /**
+   * Delete an attachment
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} noteId - MongoDB ObjectId of the note
+   * @param {string} attachmentId - GridFS file id
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  async deleteAttachment(ownerId, noteId, attachmentId) {
+    const file = await this.getAttachmentFile(ownerId, noteId, attachmentId);
+    if (!file) {
+      return false;
+    }
+
+    try {
+      await this.bucket().delete(file._id);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to delete attachment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove all attachments of notes (used when notes are purged)
+   * @param {Array<string>} noteIds - MongoDB ObjectIds of the notes
+   * @returns {Promise<number>} Number of files removed
+   */
+  async deleteNoteAttachments(noteIds) {
+    try {
+      const files = await this.files()
+        .find({ 'metadata.noteId': { $in: noteIds.map(id => new mongoose.Types.ObjectId(String(id))) } })
+        .project({ _id: 1 })
+        .toArray();
+      for (const file of files) {
+        await this.bucket().delete(file._id);
+      }
+      return files.length;
+    } catch (error) {
+      throw new Error(`Failed to delete attachments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether browsers may display a type inline
+   * @param {string} contentType - MIME type
+   * @returns {boolean} True for images and PDFs
+   */
+  isInline(contentType) {
+    return INLINE_TYPES.includes(contentType);
+  }
+
+  /**
+   * API representation of a GridFS file
+   * @param {Object} file - GridFS file document
+   * @returns {Object} { id, noteId, filename, contentType, size, uploadedAt }
+   */
+  toAttachment(file) {
+    return {
+      id: file._id.toString(),
+      noteId: file.metadata.noteId.toString(),
+      filename: file.filename,
+      contentType: file.metadata.contentType,
+      size: file.length,
+      uploadedAt: file.uploadDate
+    };
+  }
+}
+
+const attachmentService = new AttachmentService();
+attachmentService.AttachmentRejectedError = AttachmentRejectedError;
+
+module.exports = attachmentService;
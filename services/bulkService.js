@@ -0,0 +1,410 @@
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const noteService = require('./noteService');
+const revisionService = require('./revisionService');
+const linkService = require('./linkService');
+const changeFeedService = require('./changeFeedService');
+const { normalizeTags } = require('../utils/tagUtils');
+
+// Largest number of operations accepted in one bulk request
+const MAX_BULK_OPERATIONS = 500;
+
+/**
+ * Error aborting an all-or-nothing bulk request, carries the per-item failures
+ */
+class BulkAbortError extends Error {
+  constructor(failures) {
+    super('Bulk request rolled back');
+    this.failures = failures;
+  }
+}
+
+/**
+ * Service for mixed create/update/delete requests on many notes
+ * Every operation is checked before anything is written, then each kind of
+ * operation is applied with one MongoDB batch write. Like single-note writes,
+ * changed notes are queued for the index worker, which embeds them in batches.
+ */
+class BulkService {
+  constructor() {
+    this.transactionsSupported = null;
+  }
+
+  /**
+   * Whether MongoDB supports multi-document transactions (replica set or sharded cluster)
+   * @returns {Promise<boolean>} True if transactions can be used
+   */
+  async supportsTransactions() {
+    if (this.transactionsSupported === null) {
+      try {
+        const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+        this.transactionsSupported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+      } catch (error) {
+        console.warn('Failed to detect MongoDB topology:', error.message);
+        return false;
+      }
+    }
+    return this.transactionsSupported;
+  }
+
+  /**
+   * Apply a list of operations
+   * Operations are { index, op ('create'|'update'|'delete'), id, title, body, tags, format, permanent }
+   * and must already match the request schema. Each note id may appear once.
+   * In atomic mode the writes run in one transaction: if any operation fails, none is applied.
+   * With keepTimestamps, creates keep the createdAt/updatedAt they carry (used by imports).
+   * @param {string} ownerId - Id of the owning user
+   * @param {Array<Object>} operations - Operations, index is their position in the request
+   * @param {Object} options - { atomic, keepTimestamps }
+   * @returns {Promise<Object>} { committed, results: [{ index, op, status, id, error }] }
+   */
+  async applyOperations(ownerId, operations, options = {}) {
+    const { atomic = false, keepTimestamps = false } = options;
+
+    try {
+      const plan = await this.plan(ownerId, operations, { keepTimestamps });
+
+      if (atomic && plan.failures.length > 0) {
+        return this.rolledBack(operations, plan.failures);
+      }
+
+      if (!atomic) {
+        const applied = await this.write(ownerId, plan, {});
+        this.announce(plan, applied);
+        await this.updateLinks(ownerId, plan, applied);
+        return { committed: true, results: this.collect(operations, [...plan.failures, ...applied]) };
+      }
+
+      const session = await mongoose.startSession();
+      let applied;
+      try {
+        await session.withTransaction(async () => {
+          // The callback is retried on transient errors, so results are rebuilt every time
+          applied = await this.write(ownerId, plan, { session, atomic: true });
+        });
+      } finally {
+        await session.endSession();
+      }
+      this.announce(plan, applied);
+      await this.updateLinks(ownerId, plan, applied);
+      return { committed: true, results: this.collect(operations, applied) };
+    } catch (error) {
+      if (error instanceof BulkAbortError) {
+        return this.rolledBack(operations, error.failures);
+      }
+      throw new Error(`Failed to apply bulk operations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate operations against the current notes without writing anything
+   * @param {string} ownerId - Id of the owning user
+   * @param {Array<Object>} operations - Operations
+   * @param {Object} options - { keepTimestamps }
+   * @returns {Promise<Object>} { creates, updates, trashes, purges, failures }
+   */
+  async plan(ownerId, operations, options = {}) {
+    const plan = { creates: [], updates: [], trashes: [], purges: [], failures: [] };
+    const fail = (operation, error) => plan.failures.push({ index: operation.index, op: operation.op, id: operation.id, status: 'failed', error });
+
+    const seen = new Set();
+    const targets = [];
+    for (const operation of operations) {
+      if (operation.op === 'create') {
+        this.planCreate(ownerId, operation, plan, fail, options);
+      } else if (!mongoose.isValidObjectId(operation.id)) {
+        fail(operation, 'Invalid note id');
+      } else if (seen.has(String(operation.id))) {
+        fail(operation, 'Note already targeted by another operation in this request');
+      } else {
+        seen.add(String(operation.id));
+        targets.push(operation);
+      }
+    }
+
+    if (targets.length === 0) {
+      return plan;
+    }
+
+    const existing = await Note.find({ _id: { $in: targets.map(operation => operation.id) }, ownerId, purgedAt: null }).lean();
+    const byId = new Map(existing.map(note => [note._id.toString(), note]));
+
+    for (const operation of targets) {
+      const note = byId.get(String(operation.id));
+      const active = note && !note.deletedAt;
+
+      if (operation.op === 'update') {
+        if (!active) {
+          fail(operation, 'Note not found');
+          continue;
+        }
+        try {
+          const { updateObj, changedFields } = noteService.prepareUpdate(note, operation);
+          plan.updates.push({ operation, note, updateObj, changedFields });
+        } catch (error) {
+          fail(operation, error.message);
+        }
+      } else if (operation.permanent) {
+        // Permanent deletes also apply to notes in the trash
+        if (!note) {
+          fail(operation, 'Note not found');
+        } else {
+          plan.purges.push({ operation, note });
+        }
+      } else if (!active) {
+        fail(operation, 'Note not found');
+      } else {
+        plan.trashes.push({ operation, note });
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Build and validate a new note document
+   */
+  planCreate(ownerId, operation, plan, fail, options = {}) {
+    const { title, body, tags = [], format = 'plain', createdAt, updatedAt } = operation;
+    if (!title || !body || !title.trim() || !body.trim()) {
+      fail(operation, 'Title and body are required');
+      return;
+    }
+
+    try {
+      const fields = { ownerId, title: title.trim(), body: body.trim(), tags: normalizeTags(tags), format };
+      if (options.keepTimestamps) {
+        // Timestamps already set are kept by insertMany
+        Object.assign(fields, { createdAt, updatedAt: updatedAt || createdAt });
+      }
+      const note = new Note(fields);
+      const validationError = note.validateSync();
+      if (validationError) {
+        fail(operation, validationError.message);
+        return;
+      }
+      plan.creates.push({ operation, note });
+    } catch (error) {
+      fail(operation, error.message);
+    }
+  }
+
+  /**
+   * Apply a plan with one batch write per kind of operation
+   * In atomic mode any failure throws a BulkAbortError to roll the transaction back
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} plan - Result of plan()
+   * @param {Object} options - { session, atomic }
+   * @returns {Promise<Array>} Results of the applied and failed operations
+   */
+  async write(ownerId, plan, options) {
+    const { session, atomic = false } = options;
+    const results = [];
+    const revisions = [];
+    const failures = [];
+    const succeed = (operation, status, id) => results.push({ index: operation.index, op: operation.op, id: String(id), status });
+    const fail = (operation, error) => failures.push({ index: operation.index, op: operation.op, id: operation.id, status: 'failed', error });
+
+    // Creates: one insert, failed documents are reported per item
+    if (plan.creates.length > 0) {
+      const failedCreates = new Map();
+      try {
+        await Note.insertMany(plan.creates.map(({ note }) => note), { session, ordered: atomic });
+      } catch (error) {
+        if (!error.writeErrors || atomic) {
+          throw error;
+        }
+        error.writeErrors.forEach(writeError => failedCreates.set(writeError.index, writeError.errmsg || writeError.message));
+      }
+
+      plan.creates.forEach(({ operation, note }, position) => {
+        if (failedCreates.has(position)) {
+          fail(operation, failedCreates.get(position));
+        } else {
+          succeed(operation, 'created', note._id);
+          revisions.push({ note: note.toObject(), authorId: ownerId, changedFields: noteService.REVISIONED_FIELDS });
+        }
+      });
+    }
+
+    // Updates: conditioned on the outbox version read while planning, so a note
+    // changed concurrently is reported instead of silently overwritten
+    if (plan.updates.length > 0) {
+      // One timestamp for the whole request also identifies the notes this request updated
+      const updatedAt = new Date();
+      const prepared = plan.updates.map(entry => {
+        const version = (entry.note.outbox || {}).version;
+        const embed = noteService.needsEmbedding(entry.changedFields);
+        const revision = (entry.note.revision || 1) + (entry.changedFields.length > 0 ? 1 : 0);
+        return { ...entry, version, embed, revision };
+      });
+
+      const result = await Note.bulkWrite(prepared.map(({ note, updateObj, version, embed, revision }) => ({
+        updateOne: {
+          filter: { _id: note._id, ownerId, deletedAt: null, 'outbox.version': version === undefined ? { $exists: false } : version },
+          update: {
+            $set: { ...updateObj, updatedAt, revision, ...Note.pendingIndexFields({ embed }) },
+            $inc: { 'outbox.version': 1 }
+          },
+          timestamps: false
+        }
+      })), { session, ordered: false });
+
+      let appliedIds = null;
+      if (result.matchedCount < prepared.length) {
+        const applied = await Note.find({ _id: { $in: prepared.map(({ note }) => note._id) }, updatedAt })
+          .select('_id')
+          .session(session || null)
+          .lean();
+        appliedIds = new Set(applied.map(note => note._id.toString()));
+      }
+
+      for (const entry of prepared) {
+        const { operation, note, updateObj, changedFields, revision } = entry;
+        if (appliedIds && !appliedIds.has(note._id.toString())) {
+          fail(operation, 'Note was modified concurrently, retry the operation');
+          continue;
+        }
+
+        succeed(operation, 'updated', note._id);
+        if (!note.revision) {
+          // Notes created before revision history existed get a baseline revision first
+          revisions.push({ note: { ...note, revision: 1 }, authorId: note.ownerId });
+        }
+        if (changedFields.length > 0) {
+          revisions.push({ note: { ...note, ...updateObj, updatedAt, revision }, authorId: ownerId, changedFields });
+        }
+      }
+    }
+
+    // Deletes: one update per kind, moving to the trash or queueing the purge
+    if (plan.trashes.length > 0) {
+      const deletedAt = new Date();
+      await Note.updateMany(
+        { _id: { $in: plan.trashes.map(({ note }) => note._id) }, ownerId, deletedAt: null },
+        { $set: { deletedAt, ...Note.pendingIndexFields() }, $inc: { 'outbox.version': 1 } },
+        { session }
+      );
+      const trashed = await Note.find({ _id: { $in: plan.trashes.map(({ note }) => note._id) }, deletedAt })
+        .select('_id')
+        .session(session || null)
+        .lean();
+      const trashedIds = new Set(trashed.map(note => note._id.toString()));
+
+      plan.trashes.forEach(({ operation, note }) => {
+        if (trashedIds.has(note._id.toString())) {
+          succeed(operation, 'deleted', note._id);
+        } else {
+          fail(operation, 'Note not found');
+        }
+      });
+    }
+
+    if (plan.purges.length > 0) {
+      // Purged with an explicit time, so notes purged concurrently are told apart below
+      const purgedAt = new Date();
+      await Note.updateMany(
+        { _id: { $in: plan.purges.map(({ note }) => note._id) }, ownerId, purgedAt: null },
+        [{ $set: noteService.purgeFields(purgedAt) }],
+        { session }
+      );
+      const purged = await Note.find({ _id: { $in: plan.purges.map(({ note }) => note._id) }, purgedAt })
+        .select('_id')
+        .session(session || null)
+        .lean();
+      const purgedIds = new Set(purged.map(note => note._id.toString()));
+
+      plan.purges.forEach(({ operation, note }) => {
+        if (purgedIds.has(note._id.toString())) {
+          succeed(operation, 'deleted', note._id);
+        } else {
+          fail(operation, 'Note not found');
+        }
+      });
+    }
+
+    if (atomic && failures.length > 0) {
+      throw new BulkAbortError(failures);
+    }
+
+    await revisionService.recordRevisions(revisions, { session });
+
+    return [...results, ...failures];
+  }
+
+  /**
+   * Update the link graph for the notes a request created or changed
+   * Runs after the writes are committed, like single-note creates and updates
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} plan - Result of plan()
+   * @param {Array<Object>} applied - Results of write()
+   */
+  async updateLinks(ownerId, plan, applied) {
+    const succeeded = new Set(applied.filter(result => result.status !== 'failed').map(result => result.index));
+
+    const created = plan.creates
+      .filter(({ operation }) => succeeded.has(operation.index))
+      .map(({ note }) => note.toObject());
+    const changed = plan.updates
+      .filter(({ operation, changedFields }) => succeeded.has(operation.index) && changedFields.length > 0)
+      .map(({ note, updateObj }) => ({ before: note, after: { ...note, ...updateObj } }));
+
+    const bodyChanges = changed.filter(({ before, after }) => before.title === after.title && before.body !== after.body);
+    await linkService.syncLinks(ownerId, [...created, ...bodyChanges.map(({ after }) => after)]);
+    await linkService.relinkTitles(ownerId, created);
+
+    // Renames also rewrite the links pointing to the note
+    for (const { before, after } of changed.filter(({ before, after }) => before.title !== after.title)) {
+      await noteService.updateLinks(ownerId, after, before);
+    }
+  }
+
+  /**
+   * Publish the changes of a request to the change feed, once they are committed
+   * @param {Object} plan - Result of plan()
+   * @param {Array<Object>} applied - Results of write()
+   */
+  announce(plan, applied) {
+    const succeeded = new Set(applied.filter(result => result.status !== 'failed').map(result => result.index));
+    const done = entries => entries.filter(({ operation }) => succeeded.has(operation.index));
+    const deletedAt = new Date();
+
+    changeFeedService.publish('created', done(plan.creates).map(({ note }) => note.toObject()));
+    changeFeedService.publish('updated', done(plan.updates)
+      .filter(({ changedFields }) => changedFields.length > 0)
+      .map(({ note, updateObj }) => ({ ...note, ...updateObj, revision: (note.revision || 1) + 1 })));
+    changeFeedService.publish('deleted', done(plan.trashes).map(({ note }) => ({ ...note, deletedAt })));
+    changeFeedService.publish('deleted', done(plan.purges).map(({ note }) => ({ ...note, deletedAt: note.deletedAt || deletedAt })), { permanent: true });
+  }
+
+  /**
+   * Results in request order
+   */
+  collect(operations, results) {
+    const byIndex = new Map(results.map(result => [result.index, result]));
+    return operations.map(operation => byIndex.get(operation.index));
+  }
+
+  /**
+   * Result of an atomic request that was not applied
+   * Failed operations keep their error, all others are reported as not applied
+   */
+  rolledBack(operations, failures) {
+    const byIndex = new Map(failures.map(failure => [failure.index, failure]));
+    return {
+      committed: false,
+      results: operations.map(operation => byIndex.get(operation.index) || {
+        index: operation.index,
+        op: operation.op,
+        id: operation.id,
+        status: 'skipped',
+        error: 'Not applied, another operation in this atomic request failed'
+      })
+    };
+  }
+}
+
+const bulkService = new BulkService();
+bulkService.MAX_BULK_OPERATIONS = MAX_BULK_OPERATIONS;
+
+module.exports = bulkService;
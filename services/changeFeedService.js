@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const { matchesNoteFilters } = require('../utils/filterUtils');
+
+const SOURCES = ['auto', 'change-stream', 'emitter'];
+
+// Fields whose change is announced as an update; index, outbox and derived fields are not
+const ANNOUNCED_FIELDS = ['title', 'body', 'tags', 'format', 'revision'];
+
+// Change stream failures in a row after which the feed falls back to the emitter
+const MAX_STREAM_FAILURES = 5;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+/**
+ * Service pushing note changes (created, updated, deleted, restored) to subscribers
+ * Events come from a MongoDB change stream when the deployment supports them (replica
+ * set or sharded cluster), so writes of every instance and of other tools are seen.
+ * Otherwise the services publish their own writes to an in-process emitter, which
+ * only sees the writes of this process. Recent events are kept in a ring buffer, so a
+ * client reconnecting with the id of the last event it received gets what it missed.
+ */
+class ChangeFeedService {
+  constructor() {
+    this.source = 'auto';
+    this.bufferSize = 1000;
+    this.mode = 'emitter';
+    this.buffer = [];
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.stream = null;
+    this.streamFailures = 0;
+    this.retryTimer = null;
+    this.resumeToken = null;
+    this.preImages = false;
+    this.bootId = crypto.randomBytes(4).toString('hex');
+    this.sequence = 0;
+    this.logger = console;
+  }
+
+  /**
+   * Start the feed
+   * @param {Object} options - { source ('auto', 'change-stream' or 'emitter'), bufferSize, logger }
+   */
+  async start(options = {}) {
+    await this.stop();
+
+    if (options.source) {
+      if (!SOURCES.includes(options.source)) {
+        throw new Error(`Invalid change feed source: ${options.source}`);
+      }
+      this.source = options.source;
+    }
+    if (options.bufferSize) {
+      const bufferSize = Number(options.bufferSize);
+      if (!(Number.isInteger(bufferSize) && bufferSize > 0)) {
+        throw new Error(`Invalid change feed buffer size: ${options.bufferSize}`);
+      }
+      this.bufferSize = bufferSize;
+    }
+    if (options.logger) this.logger = options.logger;
+
+    this.mode = 'emitter';
+    this.streamFailures = 0;
+    if (this.source === 'emitter') {
+      return;
+    }
+
+    if (this.source === 'auto' && !(await this.supportsChangeStreams())) {
+      this.logger.info('MongoDB change streams are not available (standalone server), note events only cover this process');
+      return;
+    }
+
+    this.mode = 'change-stream';
+    this.preImages = await this.enablePreImages();
+    this.openStream();
+  }
+
+  /**
+   * Stop listening for changes, subscribers stay registered
+   */
+  async stop() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    if (this.stream) {
+      const stream = this.stream;
+      this.stream = null;
+      await stream.close().catch(() => {});
+    }
+    this.mode = 'emitter';
+  }
+
+  /**
+   * Whether the connected deployment is a replica set or sharded cluster
+   * @returns {Promise<boolean>} True if change streams can be opened
+   */
+  async supportsChangeStreams() {
+    try {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      return Boolean(hello.setName) || hello.msg === 'isdbgrid';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Record pre-images of changed notes (MongoDB 6.0+)
+   * A purged note can be removed by the index worker before the change stream looks it
+   * up, its pre-image is then the only place its owner is known.
+   * @returns {Promise<boolean>} True if change events can include pre-images
+   */
+  async enablePreImages() {
+    try {
+      await mongoose.connection.db.command({ collMod: Note.collection.collectionName, changeStreamPreAndPostImages: { enabled: true } });
+      return true;
+    } catch (error) {
+      this.logger.warn(`Note pre-images are not available, permanent deletions can be missed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Open the change stream, resuming after the last seen change if there is one
+   */
+  openStream() {
+    const pipeline = [
+      { $match: { operationType: { $in: ['insert', 'update', 'replace'] } } },
+      // Only the summary of the note is sent to clients, skip the large fields
+      { $project: {
+        'fullDocument.body': 0, 'fullDocument.searchText': 0, 'fullDocument.embedding': 0, 'fullDocument.chunks': 0,
+        'fullDocumentBeforeChange.body': 0, 'fullDocumentBeforeChange.searchText': 0,
+        'fullDocumentBeforeChange.embedding': 0, 'fullDocumentBeforeChange.chunks': 0
+      } }
+    ];
+    const options = { fullDocument: 'updateLookup' };
+    if (this.preImages) {
+      options.fullDocumentBeforeChange = 'whenAvailable';
+    }
+    if (this.resumeToken) {
+      options.resumeAfter = this.resumeToken;
+    }
+
+    const stream = Note.watch(pipeline, options);
+    this.stream = stream;
+
+    stream.on('change', change => {
+      this.streamFailures = 0;
+      this.resumeToken = change._id;
+      const event = this.fromChange(change);
+      if (event) {
+        this.dispatch(event);
+      }
+    });
+
+    stream.on('error', error => {
+      if (this.stream !== stream) {
+        return;
+      }
+      this.stream = null;
+      stream.close().catch(() => {});
+      this.streamFailures++;
+
+      if (this.streamFailures >= MAX_STREAM_FAILURES) {
+        this.mode = 'emitter';
+        this.logger.error(`Note change stream failed ${this.streamFailures} times, note events only cover this process: ${error.message}`);
+        return;
+      }
+
+      const delay = Math.min(1000 * 2 ** (this.streamFailures - 1), MAX_RETRY_DELAY_MS);
+      this.logger.warn(`Note change stream failed, reopening in ${delay}ms: ${error.message}`);
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        if (this.mode === 'change-stream') {
+          this.openStream();
+        }
+      }, delay);
+      this.retryTimer.unref();
+    });
+  }
+
+  /**
+   * Turn a change stream event into a note event
+   * Updates that only touch index, outbox or derived fields are not announced, neither
+   * are changes to notes in the trash. A purge is announced from the pre-image when the
+   * note was deleted before the lookup; other changes to deleted notes are skipped.
+   * @param {Object} change - Change stream event
+   * @returns {Object|null} { id, ownerId, type, note, permanent } or null to skip it
+   */
+  fromChange(change) {
+    const { updatedFields = {}, removedFields = [] } = change.updateDescription || {};
+
+    if (change.operationType === 'update' && updatedFields.purgedAt) {
+      const note = change.fullDocument || change.fullDocumentBeforeChange;
+      if (!note) {
+        return null;
+      }
+      return { id: change._id._data, ownerId: note.ownerId, type: 'deleted', note: this.summarize({ ...note, ...updatedFields }), permanent: true };
+    }
+
+    const note = change.fullDocument;
+    if (!note) {
+      return null;
+    }
+
+    const event = { id: change._id._data, ownerId: note.ownerId, note: this.summarize(note) };
+
+    if (change.operationType === 'insert') {
+      return { ...event, type: 'created' };
+    }
+    if (change.operationType === 'replace') {
+      return note.deletedAt ? null : { ...event, type: 'updated' };
+    }
+
+    const fields = [...Object.keys(updatedFields), ...removedFields].map(field => field.split('.')[0]);
+
+    if (fields.includes('deletedAt')) {
+      return { ...event, type: note.deletedAt ? 'deleted' : 'restored' };
+    }
+    if (!note.deletedAt && fields.some(field => ANNOUNCED_FIELDS.includes(field))) {
+      return { ...event, type: 'updated' };
+    }
+    return null;
+  }
+
+  /**
+   * Announce a note change made by this process
+   * Ignored while the change stream is active, it reports the same write itself
+   * @param {string} type - 'created', 'updated', 'deleted' or 'restored'
+   * @param {Object|Array<Object>} notes - Note(s) after the change
+   * @param {Object} extra - Additional event fields, e.g. { permanent: true }
+   */
+  publish(type, notes, extra = {}) {
+    if (this.mode !== 'emitter') {
+      return;
+    }
+
+    for (const note of [].concat(notes)) {
+      if (!note) {
+        continue;
+      }
+      this.sequence++;
+      this.dispatch({ id: `${this.bootId}-${this.sequence}`, ownerId: note.ownerId, type, note: this.summarize(note), ...extra });
+    }
+  }
+
+  /**
+   * Summary of a note sent with its events
+   * @param {Object} note - Note
+   * @returns {Object} { id, title, tags, revision, createdAt, updatedAt, deletedAt }
+   */
+  summarize(note) {
+    return {
+      id: note._id.toString(),
+      title: note.title,
+      tags: note.tags || [],
+      revision: note.revision || 1,
+      createdAt: note.createdAt,
+      updatedAt: note.updatedAt,
+      deletedAt: note.deletedAt || null
+    };
+  }
+
+  /**
+   * Stamp an event, keep it in the buffer and hand it to the subscribers
+   * @param {Object} event - Event without timestamp
+   */
+  dispatch(event) {
+    const stamped = { ...event, at: new Date().toISOString() };
+    this.buffer.push(stamped);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.splice(0, this.buffer.length - this.bufferSize);
+    }
+    this.emitter.emit('event', stamped);
+  }
+
+  /**
+   * Receive the events of an owner's notes
+   * With lastEventId, the buffered events after it are delivered first. When that
+   * event is no longer buffered (or came from another instance) the listener gets a
+   * 'reset' event instead: events were missed and the client should reload its notes.
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} options - { filters (see parseNoteFilters), lastEventId }
+   * @param {Function} listener - Called with each event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(ownerId, options, listener) {
+    const { filters = {}, lastEventId } = options;
+    const matches = event => event.ownerId === ownerId && matchesNoteFilters(event.note, filters);
+    const deliver = ({ ownerId: owner, ...event }) => listener(event);
+
+    if (lastEventId) {
+      const position = this.buffer.findIndex(event => event.id === lastEventId);
+      if (position === -1) {
+        const latest = this.buffer[this.buffer.length - 1];
+        listener({ id: latest ? latest.id : '', type: 'reset', at: new Date().toISOString() });
+      } else {
+        this.buffer.slice(position + 1).filter(matches).forEach(deliver);
+      }
+    }
+
+    return this.onEvent(event => {
+      if (matches(event)) {
+        deliver(event);
+      }
+    });
+  }
+
+  /**
+   * Receive the events of every owner as they happen, without replay
+   * @param {Function} listener - Called with each event, including its ownerId
+   * @returns {Function} Unsubscribe function
+   */
+  onEvent(listener) {
+    this.emitter.on('event', listener);
+    return () => this.emitter.off('event', listener);
+  }
+}
+
+const changeFeedService = new ChangeFeedService();
+changeFeedService.SOURCES = SOURCES;
+
+module.exports = changeFeedService;
@@ -0,0 +1,263 @@
+const Note = require('../models/Note');
+const embeddingService = require('./embeddingService');
+const { normalizeVector, kMeans, simplifiedSilhouette, seededRandom } = require('../utils/vectorUtils');
+const { toPlainText } = require('../utils/markdownUtils');
+const { keywordForms } = require('../utils/keywordUtils');
+
+// Largest number of notes clustered in one request
+const MAX_CLUSTER_NOTES = 5000;
+
+// Largest k, given or tried by the automatic choice
+const MAX_CLUSTERS = 50;
+
+// Notes the automatic choice of k compares clusterings on
+const AUTO_K_SAMPLE = 500;
+
+// Clusterings kept in memory (one per owner and parameter set)
+const MAX_CACHE_ENTRIES = 100;
+
+/**
+ * Service grouping an owner's notes into topics by their stored embeddings
+ * Runs spherical k-means over the note-level embeddings kept in MongoDB, so it
+ * works the same with the local store and with Qdrant. Notes not embedded yet, or
+ * embedded by another provider, are left out. Results are cached per owner and
+ * parameters; a cached result is used as long as the owner's notes are unchanged.
+ */
+class ClusterService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Cluster the owner's (non-trashed) notes
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} options - { k (omit for automatic), maxK, maxNotes, representatives, terms }
+   * @returns {Promise<Object>} { k, auto, silhouette, clustered, skipped, truncated, cached, computedAt, clusters }
+   */
+  async getClusters(ownerId, options = {}) {
+    const { k, maxK = 10, maxNotes = 2000, representatives = 3, terms = 5 } = options;
+    const params = { k: k || null, maxK, maxNotes, representatives, terms };
+
+    try {
+      const fingerprint = await this.fingerprint(ownerId);
+      const key = `${ownerId}:${JSON.stringify(params)}`;
+
+      const entry = this.cache.get(key);
+      if (entry && entry.fingerprint === fingerprint) {
+        return { ...entry.result, cached: true };
+      }
+
+      const result = await this.compute(ownerId, params);
+      this.cache.delete(key);
+      this.cache.set(key, { fingerprint, result });
+      if (this.cache.size > MAX_CACHE_ENTRIES) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+
+      return { ...result, cached: false };
+    } catch (error) {
+      throw new Error(`Failed to cluster notes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Summary of the owner's notes that changes whenever a note is created, edited,
+   * (re-)embedded, trashed, restored or deleted
+   * @param {string} ownerId - Id of the owning user
+   * @returns {Promise<string>} Fingerprint
+   */
+  async fingerprint(ownerId) {
+    const [summary] = await Note.aggregate([
+      { $match: { ownerId, deletedAt: null } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          updatedAt: { $max: '$updatedAt' },
+          indexedAt: { $max: '$outbox.indexedAt' },
+          version: { $sum: '$outbox.version' }
+        }
+      }
+    ]);
+
+    const dimension = embeddingService.getDimension();
+    if (!summary) {
+      return `0:${dimension}`;
+    }
+    const time = value => (value ? new Date(value).getTime() : 0);
+    return `${summary.count}:${time(summary.updatedAt)}:${time(summary.indexedAt)}:${summary.version}:${dimension}`;
+  }
+
+  /**
+   * Drop the cached clusterings of an owner, or of everyone
+   * @param {string} ownerId - Id of the owning user (optional)
+   */
+  invalidate(ownerId) {
+    if (ownerId === undefined) {
+      this.cache.clear();
+      return;
+    }
+    for (const key of this.cache.keys()) {
+      if (key.startsWith(`${ownerId}:`)) {
+        this.cache.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Load the embedded notes and cluster them
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} params - Normalized options of getClusters
+   * @returns {Promise<Object>} Clustering without the cached flag
+   */
+  async compute(ownerId, params) {
+    const { maxNotes, representatives, terms } = params;
+
+    const loaded = await Note.find({ ownerId, deletedAt: null })
+      .select('title body format searchText tags embedding updatedAt')
+      .sort({ updatedAt: -1, _id: -1 })
+      .limit(maxNotes + 1)
+      .lean();
+
+    const truncated = loaded.length > maxNotes;
+    if (truncated) {
+      loaded.pop();
+    }
+
+    // Without an active provider, the embeddings of the most recent note set the dimension
+    const embedded = loaded.filter(note => note.embedding && note.embedding.length > 0);
+    const dimension = embeddingService.getDimension() || (embedded.length > 0 ? embedded[0].embedding.length : 0);
+    const notes = embedded.filter(note => note.embedding.length === dimension);
+    const result = {
+      k: 0,
+      auto: !params.k,
+      silhouette: null,
+      clustered: notes.length,
+      skipped: loaded.length - notes.length,
+      truncated,
+      computedAt: new Date().toISOString(),
+      clusters: []
+    };
+    if (notes.length === 0) {
+      return result;
+    }
+
+    const vectors = notes.map(note => normalizeVector(note.embedding));
+    const k = params.k ? Math.min(params.k, notes.length) : this.chooseK(vectors, params.maxK);
+    const clustering = kMeans(vectors, k);
+
+    result.k = k;
+    result.silhouette = k > 1 ? round(simplifiedSilhouette(vectors, clustering)) : null;
+    result.clusters = this.describeClusters(notes, clustering, { representatives, terms });
+    return result;
+  }
+
+  /**
+   * Pick k by the simplified silhouette of the clusterings for k = 2..maxK
+   * Compared on a fixed sample of the notes, so the cost does not grow with the collection
+   * @param {Array<Array>} vectors - Unit vectors
+   * @param {number} maxK - Largest k to try
+   * @returns {number} Best k (1 when there are too few notes to split)
+   */
+  chooseK(vectors, maxK) {
+    let sample = vectors;
+    if (vectors.length > AUTO_K_SAMPLE) {
+      const random = seededRandom(7);
+      const indexes = vectors.map((vector, i) => i);
+      for (let i = indexes.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+      }
+      sample = indexes.slice(0, AUTO_K_SAMPLE).map(i => vectors[i]);
+    }
+
+    // At least two notes per cluster on average
+    const largest = Math.min(maxK, Math.floor(sample.length / 2));
+    let best = { k: 1, score: -Infinity };
+    for (let k = 2; k <= largest; k++) {
+      const score = simplifiedSilhouette(sample, kMeans(sample, k));
+      if (score > best.score) {
+        best = { k, score };
+      }
+    }
+    return best.k;
+  }
+
+  /**
+   * Describe the clusters: size, the notes nearest to the centroid and the terms
+   * that are most over-represented in the cluster compared to all clustered notes
+   * @param {Array<Object>} notes - Clustered notes
+   * @param {Object} clustering - Result of kMeans
+   * @param {Object} options - { representatives, terms }
+   * @returns {Array<Object>} Clusters, largest first
+   */
+  describeClusters(notes, clustering, options) {
+    const { assignments, similarities } = clustering;
+
+    const keywords = notes.map(note => keywordForms(
+      `${note.title}\n${typeof note.searchText === 'string' ? note.searchText : toPlainText(note.body, note.format)}`
+    ));
+    const documentCounts = new Map();
+    keywords.forEach(forms => forms.forEach((word, term) => documentCounts.set(term, (documentCounts.get(term) || 0) + 1)));
+
+    const clusters = clustering.centroids.map(() => ({ members: [] }));
+    notes.forEach((note, i) => clusters[assignments[i]].members.push(i));
+
+    return clusters
+      .filter(cluster => cluster.members.length > 0)
+      .map(({ members }) => {
+        const termCounts = new Map();
+        const wordForms = new Map();
+        for (const i of members) {
+          keywords[i].forEach((word, term) => {
+            termCounts.set(term, (termCounts.get(term) || 0) + 1);
+            const formCounts = wordForms.get(term) || new Map();
+            formCounts.set(word, (formCounts.get(word) || 0) + 1);
+            wordForms.set(term, formCounts);
+          });
+        }
+
+        // Terms shared by several notes of the cluster come before terms of a single note
+        const topTerms = [...termCounts]
+          .map(([term, count]) => ({ term, shared: count > 1, lift: count / members.length - documentCounts.get(term) / notes.length }))
+          .filter(({ lift }) => lift > 0 || clusters.length === 1)
+          .sort((a, b) => b.shared - a.shared || b.lift - a.lift || a.term.localeCompare(b.term))
+          .slice(0, options.terms)
+          .map(({ term }) => [...wordForms.get(term)].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0]);
+
+        const nearest = [...members]
+          .sort((a, b) => similarities[b] - similarities[a])
+          .slice(0, options.representatives);
+
+        return {
+          size: members.length,
+          label: topTerms.join(', '),
+          terms: topTerms,
+          cohesion: round(members.reduce((sum, i) => sum + similarities[i], 0) / members.length),
+          representatives: nearest.map(i => ({
+            id: notes[i]._id.toString(),
+            title: notes[i].title,
+            tags: notes[i].tags || [],
+            updatedAt: notes[i].updatedAt,
+            similarity: round(similarities[i])
+          }))
+        };
+      })
+      .sort((a, b) => b.size - a.size || b.cohesion - a.cohesion);
+  }
+}
+
+/**
+ * Round a score to three decimals
+ * @param {number} value - Score
+ * @returns {number} Rounded score
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+const clusterService = new ClusterService();
+clusterService.MAX_CLUSTER_NOTES = MAX_CLUSTER_NOTES;
+clusterService.MAX_CLUSTERS = MAX_CLUSTERS;
+
+module.exports = clusterService;
@@ -0,0 +1,213 @@
+const Note = require('../models/Note');
+const vectorService = require('./vectorService');
+const embeddingService = require('./embeddingService');
+const { contentHash } = require('../utils/hashUtils');
+const { normalizeVector, dotProduct } = require('../utils/vectorUtils');
+
+const DEFAULT_THRESHOLD = 0.9;
+
+// Largest number of notes compared pairwise by the duplicates report
+const MAX_REPORT_NOTES = 2000;
+
+/**
+ * Service finding notes with the same or nearly the same content
+ * Exact duplicates share the content hash of their body. Near-duplicates have a
+ * cosine similarity of at least the threshold between their embeddings; they are
+ * only found while vector search is available and once the notes are indexed.
+ */
+class DuplicateService {
+  constructor() {
+    this.threshold = DEFAULT_THRESHOLD;
+    this.checkOnCreate = false;
+  }
+
+  /**
+   * Configure the default threshold and whether POST /notes checks for duplicates
+   * @param {Object} options - { threshold (0-1), checkOnCreate (boolean or 'true'/'false') }
+   */
+  configure(options = {}) {
+    if (options.threshold !== undefined && options.threshold !== '') {
+      const threshold = Number(options.threshold);
+      if (!(threshold >= 0 && threshold <= 1)) {
+        throw new Error(`Invalid duplicate threshold: ${options.threshold}`);
+      }
+      this.threshold = threshold;
+    }
+    if (options.checkOnCreate !== undefined) {
+      this.checkOnCreate = options.checkOnCreate === true || options.checkOnCreate === 'true';
+    }
+  }
+
+  /**
+   * Find existing (non-trashed) notes that duplicate a new note
+   * A failing embedding provider or vector store is logged and leaves only the exact matches
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} noteData - { title, body, format }
+   * @param {Object} options - { threshold, limit }
+   * @returns {Promise<Array<Object>>} [{ id, title, createdAt, match: 'exact'|'similar', score }], exact matches first
+   */
+  async findDuplicates(ownerId, noteData, options = {}) {
+    const { threshold = this.threshold, limit = 5 } = options;
+    const note = { title: noteData.title.trim(), body: noteData.body.trim(), format: noteData.format || 'plain' };
+
+    try {
+      const exact = await Note.find({ ownerId, deletedAt: null, contentHash: contentHash(note.body) })
+        .select('_id title createdAt')
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+
+      const candidates = exact.map(match => ({
+        id: match._id.toString(),
+        title: match.title,
+        createdAt: match.createdAt,
+        match: 'exact',
+        score: 1
+      }));
+
+      const similar = await this.findSimilar(ownerId, note, { threshold, limit: limit + candidates.length });
+      for (const match of similar) {
+        if (candidates.length >= limit) {
+          break;
+        }
+        if (!candidates.some(candidate => candidate.id === match.id)) {
+          candidates.push(match);
+        }
+      }
+
+      return candidates;
+    } catch (error) {
+      throw new Error(`Failed to find duplicates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Semantic matches of a note that is not stored yet, best first
+   * @returns {Promise<Array<Object>>} Candidates with match 'similar', empty without vector search
+   */
+  async findSimilar(ownerId, note, options) {
+    if (!vectorService.isInitialized) {
+      return [];
+    }
+
+    try {
+      const vector = await vectorService.embedNote(note);
+      const results = await vectorService.store.search(vector, { limit: options.limit, threshold: options.threshold, ownerId });
+
+      return results.map(result => ({
+        id: String(result.id),
+        title: result.payload.title,
+        createdAt: result.payload.createdAt,
+        match: 'similar',
+        score: result.score
+      }));
+    } catch (error) {
+      console.warn(`Near-duplicate check failed, only exact duplicates are reported: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Group an owner's (non-trashed) notes into clusters of duplicates
+   * Notes are linked when they share a content hash or their stored embeddings have a
+   * cosine similarity of at least the threshold; clusters are the connected groups.
+   * Only the maxNotes most recently updated notes are compared, notes without an
+   * embedding of the current provider are matched by hash only. The comparison yields
+   * to the event loop after every note and keeps one score per group instead of the
+   * pairs, so large reports neither stall other requests nor grow with the matches.
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} options - { threshold, maxNotes }
+   * @returns {Promise<Object>} { threshold, scanned, truncated, clusters: [{ size, exact, score, notes }] }
+   */
+  async findDuplicateClusters(ownerId, options = {}) {
+    const { threshold = this.threshold, maxNotes = 1000 } = options;
+
+    try {
+      const notes = await Note.find({ ownerId, deletedAt: null })
+        .select('_id title tags contentHash embedding createdAt updatedAt')
+        .sort({ updatedAt: -1, _id: -1 })
+        .limit(maxNotes + 1)
+        .lean();
+
+      const truncated = notes.length > maxNotes;
+      if (truncated) {
+        notes.pop();
+      }
+
+      const dimension = embeddingService.getDimension();
+      const vectors = notes.map(note => (
+        note.embedding && note.embedding.length > 0 && note.embedding.length === dimension ? normalizeVector(note.embedding) : null
+      ));
+
+      const parent = notes.map((note, index) => index);
+      // A group's score is the lowest similarity of the pairs that joined it, kept on its root
+      const scores = notes.map(() => 1);
+      const find = index => {
+        while (parent[index] !== index) {
+          parent[index] = parent[parent[index]];
+          index = parent[index];
+        }
+        return index;
+      };
+
+      // Each pair of duplicates joins the groups of its two notes
+      for (let i = 0; i < notes.length; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+        for (let j = i + 1; j < notes.length; j++) {
+          let score = null;
+          if (notes[i].contentHash && notes[i].contentHash === notes[j].contentHash) {
+            score = 1;
+          } else if (vectors[i] && vectors[j]) {
+            const similarity = dotProduct(vectors[i], vectors[j]);
+            if (similarity >= threshold) {
+              score = similarity;
+            }
+          }
+          if (score !== null) {
+            // A pair within one group does not join anything and leaves its score alone
+            const rootI = find(i);
+            const rootJ = find(j);
+            if (rootI !== rootJ) {
+              parent[rootI] = rootJ;
+              scores[rootJ] = Math.min(scores[rootI], scores[rootJ], score);
+            }
+          }
+        }
+      }
+
+      const groups = new Map();
+      notes.forEach((note, index) => {
+        const root = find(index);
+        if (!groups.has(root)) {
+          groups.set(root, { members: [], score: scores[root] });
+        }
+        groups.get(root).members.push(note);
+      });
+
+      const clusters = [...groups.values()]
+        .filter(group => group.members.length > 1)
+        .map(group => ({
+          size: group.members.length,
+          exact: group.members.every(note => note.contentHash && note.contentHash === group.members[0].contentHash),
+          score: group.score,
+          notes: group.members.map(note => ({
+            id: note._id.toString(),
+            title: note.title,
+            tags: note.tags || [],
+            createdAt: note.createdAt,
+            updatedAt: note.updatedAt
+          }))
+        }))
+        .sort((a, b) => b.size - a.size || b.score - a.score);
+
+      return { threshold, scanned: notes.length, truncated, clusters };
+    } catch (error) {
+      throw new Error(`Failed to find duplicate clusters: ${error.message}`);
+    }
+  }
+}
+
+const duplicateService = new DuplicateService();
+duplicateService.MAX_REPORT_NOTES = MAX_REPORT_NOTES;
+
+module.exports = duplicateService;
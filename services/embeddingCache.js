@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const EmbeddingCache = require('../models/EmbeddingCache');
+
+/**
+ * Least recently used map with a fixed number of entries
+ * A Map iterates in insertion order, so re-inserting on access keeps the oldest entry first
+ */
+class LruMap {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const value = this.entries.get(key);
+    if (value !== undefined) {
+      this.entries.delete(key);
+      this.entries.set(key, value);
+    }
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Two-tier cache of embeddings keyed by provider, model, dimension and content hash
+ * An in-memory LRU answers repeated texts within a process, MongoDB keeps embeddings
+ * across restarts and instances. The persistent tier is best effort: when MongoDB
+ * fails, embeddings are still generated and returned.
+ */
+class EmbeddingCacheService {
+  constructor() {
+    this.memory = new LruMap(1000);
+    this.persistent = true;
+    this.model = EmbeddingCache;
+    this.resetStats();
+  }
+
+  /**
+   * Configure the cache tiers
+   * @param {Object} options - { maxEntries (in-memory tier size, 0 disables it), persistent }
+   */
+  configure(options = {}) {
+    if (options.maxEntries !== undefined) {
+      this.memory = new LruMap(Math.max(0, Number(options.maxEntries)));
+    }
+    if (options.persistent !== undefined) {
+      this.persistent = Boolean(options.persistent);
+    }
+  }
+
+  resetStats() {
+    this.counters = { memoryHits: 0, persistentHits: 0, misses: 0, persistentErrors: 0 };
+  }
+
+  /**
+   * Normalize content before hashing: texts that differ only in Unicode
+   * composition or whitespace share an embedding
+   * @param {string} text - Text
+   * @returns {string} Normalized text
+   */
+  normalizeContent(text) {
+    return text.normalize('NFC').trim().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Cache key of a text for a provider
+   * @param {Object} provider - { name, model, dimension }
+   * @param {string} text - Text
+   * @returns {string} Key
+   */
+  key(provider, text) {
+    const hash = crypto.createHash('sha256').update(this.normalizeContent(text)).digest('hex');
+    return `${provider.name}:${provider.model}:${provider.dimension}:${hash}`;
+  }
+
+  /**
+   * Embed texts through the cache
+   * Only texts missing from both tiers are passed to embed, each distinct text once
+   * @param {Object} provider - { name, model, dimension }
+   * @param {Array<string>} texts - Texts
+   * @param {Function} embed - async (texts) => embeddings for cache misses
+   * @returns {Promise<Array<Array<number>>>} Embeddings in the order of the texts
+   */
+  async getOrCreate(provider, texts, embed) {
+    const keys = texts.map(text => this.key(provider, text));
+    const found = new Map();
+
+    for (const key of new Set(keys)) {
+      const embedding = this.memory.maxEntries > 0 ? this.memory.get(key) : undefined;
+      if (embedding) {
+        found.set(key, embedding);
+        this.counters.memoryHits++;
+      }
+    }
+
+    let missing = [...new Set(keys)].filter(key => !found.has(key));
+    if (missing.length > 0 && this.persistent) {
+      const stored = await this.readPersistent(missing);
+      for (const [key, embedding] of stored) {
+        found.set(key, embedding);
+        this.remember(key, embedding);
+        this.counters.persistentHits++;
+      }
+      missing = missing.filter(key => !found.has(key));
+    }
+
+    if (missing.length > 0) {
+      this.counters.misses += missing.length;
+
+      const textByKey = new Map(keys.map((key, index) => [key, texts[index]]));
+      const embeddings = await embed(missing.map(key => textByKey.get(key)));
+      missing.forEach((key, index) => {
+        found.set(key, embeddings[index]);
+        this.remember(key, embeddings[index]);
+      });
+
+      if (this.persistent) {
+        await this.writePersistent(provider, missing.map((key, index) => ({ key, embedding: embeddings[index] })));
+      }
+    }
+
+    return keys.map(key => found.get(key));
+  }
+
+  /**
+   * Store an embedding in the in-memory tier
+   */
+  remember(key, embedding) {
+    if (this.memory.maxEntries > 0) {
+      this.memory.set(key, embedding);
+    }
+  }
+
+  /**
+   * Look up keys in MongoDB and refresh their expiry
+   * @param {Array<string>} keys - Cache keys
+   * @returns {Promise<Map>} key -> embedding
+   */
+  async readPersistent(keys) {
+    try {
+      const entries = await this.model.find({ key: { $in: keys } }).select('key embedding').lean();
+      if (entries.length > 0) {
+        await this.model.updateMany({ key: { $in: entries.map(entry => entry.key) } }, { $set: { lastUsedAt: new Date() } });
+      }
+      return new Map(entries.map(entry => [entry.key, entry.embedding]));
+    } catch (error) {
+      this.counters.persistentErrors++;
+      console.warn('Embedding cache lookup failed:', error.message);
+      return new Map();
+    }
+  }
+
+  /**
+   * Store new embeddings in MongoDB
+   * @param {Object} provider - { name, model }
+   * @param {Array<Object>} entries - [{ key, embedding }]
+   */
+  async writePersistent(provider, entries) {
+    try {
+      const now = new Date();
+      await this.model.bulkWrite(entries.map(({ key, embedding }) => ({
+        updateOne: {
+          filter: { key },
+          update: {
+            $set: { embedding, lastUsedAt: now },
+            $setOnInsert: { provider: provider.name, model: provider.model, createdAt: now }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+    } catch (error) {
+      this.counters.persistentErrors++;
+      console.warn('Embedding cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Cache counters since startup
+   * @returns {Object} { hits, misses, hitRate, memoryHits, persistentHits, persistentErrors, memoryEntries, memoryMaxEntries, persistent }
+   */
+  getStats() {
+    const { memoryHits, persistentHits, misses, persistentErrors } = this.counters;
+    const hits = memoryHits + persistentHits;
+    const lookups = hits + misses;
+
+    return {
+      hits,
+      misses,
+      hitRate: lookups === 0 ? 0 : Math.round((hits / lookups) * 1000) / 1000,
+      memoryHits,
+      persistentHits,
+      persistentErrors,
+      memoryEntries: this.memory.size,
+      memoryMaxEntries: this.memory.maxEntries,
+      persistent: this.persistent
+    };
+  }
+
+  /**
+   * Empty the in-memory tier
+   */
+  clear() {
+    this.memory.clear();
+  }
+}
+
+module.exports = new EmbeddingCacheService();
@@ -0,0 +1,32 @@
+const OpenAIProvider = require('./openaiProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const OfflineProvider = require('./offlineProvider');
+
+/**
+ * Available embedding providers
+ * A provider has a name, model and dimension and implements initialize and embed(texts)
+ */
+const EMBEDDING_PROVIDERS = {
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  offline: OfflineProvider
+};
+
+/**
+ * Create an embedding provider by name
+ * @param {string} name - Provider name
+ * @param {Object} options - Provider specific options
+ * @returns {Object} Embedding provider instance
+ */
+function createEmbeddingProvider(name, options = {}) {
+  const Provider = EMBEDDING_PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown embedding provider: ${name} (expected one of ${Object.keys(EMBEDDING_PROVIDERS).join(', ')})`);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  EMBEDDING_PROVIDERS,
+  createEmbeddingProvider
+};
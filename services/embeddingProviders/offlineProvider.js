@@ -0,0 +1,31 @@
+const { embedText } = require('../../utils/textEmbedding');
+
+/**
+ * Built-in embedding provider that needs no network access
+ * Hashed word and character n-gram TF-IDF vectors (see utils/textEmbedding.js): lexical
+ * rather than semantic similarity, but meaningful enough for development, tests and
+ * deployments without an embedding API
+ */
+class OfflineProvider {
+  /**
+   * @param {Object} options - { dimension }
+   */
+  constructor(options = {}) {
+    this.name = 'offline';
+    this.model = 'offline-hashed-tfidf';
+    this.dimension = Number(options.dimension) || 1536;
+  }
+
+  async initialize() {}
+
+  /**
+   * Embed several texts locally
+   * @param {Array<string>} texts - Non-empty texts
+   * @returns {Promise<Array<Array<number>>>} Embeddings in the order of the texts
+   */
+  async embed(texts) {
+    return texts.map(text => embedText(text, this.dimension));
+  }
+}
+
+module.exports = OfflineProvider;
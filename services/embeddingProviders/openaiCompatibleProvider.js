@@ -0,0 +1,55 @@
+const { OpenAI } = require('openai');
+const OpenAIProvider = require('./openaiProvider');
+
+/**
+ * Embedding provider for any server implementing the OpenAI embeddings API
+ * (for example Ollama, LM Studio, LocalAI, vLLM or text-embeddings-inference)
+ * The dimension is taken from the configuration or probed once at startup
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  /**
+   * @param {Object} options - { baseURL, apiKey, model, dimension }
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'openai-compatible';
+    this.model = options.model;
+    this.dimension = Number(options.dimension) || null;
+    // Local servers often have small batch limits
+    this.maxBatchSize = 32;
+  }
+
+  /**
+   * Validate the configuration, create the client and probe the dimension if needed
+   */
+  async initialize() {
+    if (!this.baseURL) {
+      throw new Error('The openai-compatible embedding provider requires a base URL (EMBEDDING_BASE_URL)');
+    }
+    if (!this.model) {
+      throw new Error('The openai-compatible embedding provider requires a model name (EMBEDDING_MODEL)');
+    }
+
+    // Local servers usually do not check the key, but the client requires one
+    this.client = new OpenAI({ apiKey: this.apiKey || 'not-needed', baseURL: this.baseURL });
+
+    if (!this.dimension) {
+      try {
+        const response = await this.client.embeddings.create({ ...this.requestOptions(), input: ['dimension probe'] });
+        this.dimension = response.data[0].embedding.length;
+      } catch (error) {
+        throw new Error(`Failed to probe the embedding dimension at ${this.baseURL}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Compatible servers do not support shortened vectors, always request the native size
+   * @returns {Object} Request parameters
+   */
+  requestOptions() {
+    return { model: this.model, encoding_format: 'float' };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,86 @@
+const { OpenAI } = require('openai');
+
+// Native output size of the OpenAI embedding models
+const MODEL_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536
+};
+
+/**
+ * Embedding provider using the OpenAI embeddings API
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} options - { apiKey, model, dimension }
+   */
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey;
+    this.baseURL = options.baseURL;
+    this.model = options.model || 'text-embedding-3-small';
+    this.dimension = Number(options.dimension) || MODEL_DIMENSIONS[this.model] || null;
+    // Inputs per request, well below the API limits on inputs and tokens per request
+    this.maxBatchSize = 256;
+    this.client = null;
+  }
+
+  /**
+   * Validate the configuration and create the API client
+   */
+  async initialize() {
+    if (!this.apiKey) {
+      throw new Error('The openai embedding provider requires an API key (OPENAI_API_KEY)');
+    }
+    if (!this.dimension) {
+      throw new Error(`Unknown dimension for embedding model ${this.model}, set EMBEDDING_DIMENSION`);
+    }
+
+    this.client = new OpenAI({ apiKey: this.apiKey, baseURL: this.baseURL });
+  }
+
+  /**
+   * Extra request parameters for the embeddings endpoint
+   * text-embedding-3 models can return shortened vectors on request
+   * @returns {Object} Request parameters
+   */
+  requestOptions() {
+    const options = { model: this.model, encoding_format: 'float' };
+    if (this.model.startsWith('text-embedding-3') && this.dimension !== MODEL_DIMENSIONS[this.model]) {
+      options.dimensions = this.dimension;
+    }
+    return options;
+  }
+
+  /**
+   * Embed several texts in one request
+   * @param {Array<string>} texts - Non-empty texts
+   * @returns {Promise<Array<Array<number>>>} Embeddings in the order of the texts
+   */
+  async embed(texts) {
+    const response = await this.client.embeddings.create({
+      ...this.requestOptions(),
+      input: texts
+    });
+
+    if (!response.data || response.data.length !== texts.length) {
+      throw new Error(`Invalid embedding response from ${this.name}`);
+    }
+
+    // The API reports the input index of every embedding
+    const embeddings = [...response.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+
+    const wrongSize = embeddings.find(embedding => embedding.length !== this.dimension);
+    if (wrongSize) {
+      throw new Error(`Embedding model ${this.model} returned ${wrongSize.length} dimensions, expected ${this.dimension}`);
+    }
+
+    return embeddings;
+  }
+}
+
+OpenAIProvider.MODEL_DIMENSIONS = MODEL_DIMENSIONS;
+
+module.exports = OpenAIProvider;
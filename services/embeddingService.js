@@ -0,0 +1,120 @@
+const { createEmbeddingProvider } = require('./embeddingProviders');
+const embeddingCache = require('./embeddingCache');
+
+/**
+ * Generates embeddings through the configured embedding provider
+ * The provider is selected once at startup; its dimension decides the size of
+ * the vector store collection. Every request goes through the embedding cache,
+ * so a text is only sent to the provider once
+ */
+class EmbeddingService {
+  constructor() {
+    this.provider = null;
+  }
+
+  /**
+   * Select and initialize the embedding provider
+   * Defaults to OpenAI when an API key is configured and to the offline provider otherwise
+   * @param {Object} options - { provider ('openai'|'openai-compatible'|'offline'), model, dimension, baseURL, apiKey, openaiApiKey, cache: { maxEntries, persistent } }
+   */
+  async initialize(options = {}) {
+    embeddingCache.configure(options.cache);
+
+    const name = options.provider || (options.openaiApiKey ? 'openai' : 'offline');
+
+    const provider = createEmbeddingProvider(name, {
+      model: options.model,
+      dimension: options.dimension,
+      baseURL: options.baseURL,
+      apiKey: name === 'openai' ? options.apiKey || options.openaiApiKey : options.apiKey
+    });
+
+    try {
+      await provider.initialize();
+    } catch (error) {
+      throw new Error(`Failed to initialize embedding provider ${name}: ${error.message}`);
+    }
+
+    this.provider = provider;
+    console.log(`Embedding provider: ${name} (${provider.model}, ${provider.dimension} dimensions)`);
+  }
+
+  /**
+   * The active provider
+   * @returns {Object} Embedding provider
+   */
+  getProvider() {
+    if (!this.provider) {
+      throw new Error('Embedding service not initialized');
+    }
+    return this.provider;
+  }
+
+  /**
+   * Dimension of the vectors produced by the active provider
+   * @returns {number|null} Dimension, or null before initialization
+   */
+  getDimension() {
+    return this.provider ? this.provider.dimension : null;
+  }
+
+  /**
+   * Describe the active provider
+   * @returns {Object} { provider, model, dimension }
+   */
+  describe() {
+    const provider = this.getProvider();
+    return { provider: provider.name, model: provider.model, dimension: provider.dimension };
+  }
+
+  /**
+   * Provider description and cache counters for the stats endpoint
+   * @returns {Object} { provider, model, dimension, cache }
+   */
+  getStats() {
+    const description = this.provider ? this.describe() : {};
+    return { ...description, cache: embeddingCache.getStats() };
+  }
+
+  /**
+   * Generate vector embedding for text content
+   * @param {string} text - Text to embed
+   * @returns {Promise<Array>} Vector embedding
+   */
+  async generateEmbedding(text) {
+    const [embedding] = await this.generateEmbeddings([text]);
+    return embedding;
+  }
+
+  /**
+   * Generate vector embeddings for several texts
+   * Cached texts are answered from the cache, the rest is sent in as few
+   * requests as the provider's batch limit allows
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<Array<Array>>} Embeddings in the order of the texts
+   */
+  async generateEmbeddings(texts) {
+    if (texts.some(text => !text || text.trim().length === 0)) {
+      throw new Error('Text content is required for embedding generation');
+    }
+
+    const provider = this.getProvider();
+    const trimmed = texts.map(text => text.trim());
+
+    try {
+      return await embeddingCache.getOrCreate(provider, trimmed, async (missing) => {
+        const batchSize = provider.maxBatchSize || missing.length;
+        const embeddings = [];
+        for (let start = 0; start < missing.length; start += batchSize) {
+          embeddings.push(...await provider.embed(missing.slice(start, start + batchSize)));
+        }
+        return embeddings;
+      });
+    } catch (error) {
+      console.error(`Embedding generation failed (${provider.name}):`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = new EmbeddingService();
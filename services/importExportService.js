@@ -0,0 +1,217 @@
+const Note = require('../models/Note');
+const bulkService = require('./bulkService');
+const { createNoteFormat } = require('./noteFormats');
+const { buildMongoFilter } = require('../utils/filterUtils');
+const { contentHash } = require('../utils/hashUtils');
+const { NOTE_FORMATS } = require('../utils/markdownUtils');
+
+// Largest number of notes accepted in one import
+const MAX_IMPORT_ROWS = 10000;
+
+// Fields written to exports, embeddings and index state stay out
+const EXPORT_FIELDS = '_id title body format tags createdAt updatedAt';
+
+/**
+ * Service for exporting notes to files and importing them back
+ * Formats live in services/noteFormats, this service selects notes, validates
+ * imported rows and creates them through the bulk service.
+ */
+class ImportExportService {
+
+  /**
+   * Stream the notes of an owner in a file format
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} formatName - jsonl, csv or markdown
+   * @param {Object} filters - Structured filters (see parseNoteFilters)
+   * @returns {Object} { stream, contentType, extension }
+   */
+  exportNotes(ownerId, formatName, filters) {
+    const format = createNoteFormat(formatName);
+    const cursor = Note.find({ ownerId, deletedAt: null, ...buildMongoFilter(filters) })
+      .select(EXPORT_FIELDS)
+      .sort({ createdAt: 1, _id: 1 })
+      .lean()
+      .cursor();
+
+    const records = (async function* toRecords(service) {
+      for await (const note of cursor) {
+        yield service.toExportRecord(note);
+      }
+    })(this);
+
+    return {
+      stream: format.createExportStream(records),
+      contentType: format.contentType,
+      extension: format.extension
+    };
+  }
+
+  /**
+   * Exported representation of a note
+   * @param {Object} note - Lean note
+   * @returns {Object} { id, title, body, format, tags, createdAt, updatedAt }
+   */
+  toExportRecord(note) {
+    return {
+      id: note._id.toString(),
+      title: note.title,
+      body: note.body,
+      format: note.format || 'plain',
+      tags: note.tags || [],
+      createdAt: new Date(note.createdAt).toISOString(),
+      updatedAt: new Date(note.updatedAt).toISOString()
+    };
+  }
+
+  /**
+   * Parse an import file into rows
+   * Errors in single rows are kept on the row, unreadable files throw
+   * @param {string} formatName - jsonl, csv or markdown
+   * @param {Buffer} buffer - File content
+   * @returns {Promise<Array<Object>>} [{ row, file?, fields }] or [{ row, file?, error }]
+   */
+  async parseImportFile(formatName, buffer) {
+    const format = createNoteFormat(formatName);
+    // One row over the limit is enough to reject the file, archives stop reading there
+    const rows = await format.parse(buffer, { maxRows: MAX_IMPORT_ROWS + 1 });
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new Error(`An import can contain at most ${MAX_IMPORT_ROWS} notes`);
+    }
+    return rows;
+  }
+
+  /**
+   * Import parsed rows
+   * Every row is validated on its own, invalid rows are reported and the rest is created.
+   * Exported ids are not reused, imported notes get new ids but keep their timestamps.
+   * With dedupe, rows matching an existing note (or an earlier row) by title and
+   * content hash of the body are skipped.
+   * @param {string} ownerId - Id of the owning user
+   * @param {Array<Object>} rows - Result of parseImportFile
+   * @param {Object} options - { format, dedupe }
+   * @returns {Promise<Object>} { format, dedupe, summary, errors, duplicates }
+   */
+  async importNotes(ownerId, rows, options = {}) {
+    const { format, dedupe = false } = options;
+
+    try {
+      const report = { format, dedupe, summary: { total: rows.length, created: 0, duplicates: 0, failed: 0 }, errors: [], duplicates: [] };
+      const fail = (row, error) => report.errors.push({ row: row.row, file: row.file, error });
+
+      const candidates = [];
+      for (const row of rows) {
+        if (row.error) {
+          fail(row, row.error);
+          continue;
+        }
+        try {
+          candidates.push({ row, operation: this.toCreateOperation(row.fields) });
+        } catch (error) {
+          fail(row, error.message);
+        }
+      }
+
+      const accepted = dedupe ? await this.removeDuplicates(ownerId, candidates, report) : candidates;
+
+      for (let start = 0; start < accepted.length; start += bulkService.MAX_BULK_OPERATIONS) {
+        const batch = accepted.slice(start, start + bulkService.MAX_BULK_OPERATIONS);
+        const { results } = await bulkService.applyOperations(
+          ownerId,
+          batch.map(({ operation }, index) => ({ ...operation, index })),
+          { keepTimestamps: true }
+        );
+        results.forEach((result, index) => {
+          if (result.status === 'created') {
+            report.summary.created++;
+          } else {
+            fail(batch[index].row, result.error);
+          }
+        });
+      }
+
+      report.errors.sort((a, b) => a.row - b.row);
+      report.summary.failed = report.errors.length;
+      report.summary.duplicates = report.duplicates.length;
+      return report;
+    } catch (error) {
+      throw new Error(`Failed to import notes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate the fields of an imported row and turn them into a create operation
+   * @param {Object} fields - { title, body, format, tags, createdAt, updatedAt }
+   * @returns {Object} Create operation for the bulk service
+   */
+  toCreateOperation(fields) {
+    const { title, body, format = 'plain', tags = [], createdAt, updatedAt } = fields;
+
+    if (typeof title !== 'string' || !title.trim()) {
+      throw new Error('title is required and must be a string');
+    }
+    if (typeof body !== 'string' || !body.trim()) {
+      throw new Error('body is required and must be a string');
+    }
+    if (!NOTE_FORMATS.includes(format)) {
+      throw new Error(`format must be one of ${NOTE_FORMATS.join(', ')}`);
+    }
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      throw new Error('tags must be an array of strings');
+    }
+
+    const operation = { op: 'create', title, body, format, tags };
+    for (const [name, value] of Object.entries({ createdAt, updatedAt })) {
+      if (value === undefined || value === null) {
+        continue;
+      }
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        throw new Error(`${name} is not a valid date`);
+      }
+      operation[name] = date;
+    }
+    return operation;
+  }
+
+  /**
+   * Drop rows that duplicate an existing note or an earlier row
+   * @param {string} ownerId - Id of the owning user
+   * @param {Array<Object>} candidates - [{ row, operation }]
+   * @param {Object} report - Import report, duplicates are added to it
+   * @returns {Promise<Array<Object>>} Remaining candidates
+   */
+  async removeDuplicates(ownerId, candidates, report) {
+    const key = (title, body) => `${title.trim()}\n${contentHash(body)}`;
+
+    const existing = new Map();
+    const titles = [...new Set(candidates.map(({ operation }) => operation.title.trim()))];
+    for (let start = 0; start < titles.length; start += 1000) {
+      const notes = await Note.find({ ownerId, deletedAt: null, title: { $in: titles.slice(start, start + 1000) } })
+        .select('_id title body')
+        .lean();
+      notes.forEach(note => existing.set(key(note.title, note.body), note._id.toString()));
+    }
+
+    const seen = new Map();
+    return candidates.filter(({ row, operation }) => {
+      const rowKey = key(operation.title, operation.body);
+      const duplicate = { row: row.row, file: row.file, title: operation.title.trim() };
+
+      if (existing.has(rowKey)) {
+        report.duplicates.push({ ...duplicate, existingId: existing.get(rowKey) });
+        return false;
+      }
+      if (seen.has(rowKey)) {
+        report.duplicates.push({ ...duplicate, duplicateOfRow: seen.get(rowKey) });
+        return false;
+      }
+      seen.set(rowKey, row.row);
+      return true;
+    });
+  }
+}
+
+const importExportService = new ImportExportService();
+importExportService.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
+
+module.exports = importExportService;
@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const Note = require('../models/Note');
+const attachmentService = require('./attachmentService');
+const embeddingService = require('./embeddingService');
+const linkService = require('./linkService');
+const revisionService = require('./revisionService');
+const vectorService = require('./vectorService');
+
+// A claimed change must be completed within this time or another worker retries it
+const LOCK_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 10 * 60 * 1000;
+
+/**
+ * Background worker applying the note outbox to the vector store
+ * Note mutations mark the note as pending in the same write (see Note.pendingIndexFields).
+ * The worker claims due notes, applies the current state of each note to the
+ * vector store and only then marks it indexed, so every change is applied at
+ * least once. Failed attempts are retried with exponential backoff until
+ * maxAttempts, after which the note is marked failed.
+ */
+class IndexWorker {
+  constructor() {
+    this.intervalMs = 1000;
+    this.batchSize = 50;
+    this.maxAttempts = 8;
+    this.baseDelayMs = 1000;
+    this.timer = null;
+    this.running = false;
+    this.logger = console;
+  }
+
+  /**
+   * Start polling the outbox
+   * @param {Object} options - { intervalMs, batchSize, maxAttempts, baseDelayMs, logger }
+   */
+  start(options = {}) {
+    this.stop();
+
+    if (options.intervalMs !== undefined) this.intervalMs = Number(options.intervalMs);
+    if (options.batchSize !== undefined) this.batchSize = Number(options.batchSize);
+    if (options.maxAttempts !== undefined) this.maxAttempts = Number(options.maxAttempts);
+    if (options.baseDelayMs !== undefined) this.baseDelayMs = Number(options.baseDelayMs);
+    if (options.logger) this.logger = options.logger;
+
+    this.timer = setInterval(() => {
+      this.drain().catch(error => {
+        this.logger.error(`Index worker failed: ${error.message}`);
+      });
+    }, this.intervalMs);
+
+    // Do not keep the process alive just for the worker
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling the outbox
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Process due changes until the outbox has no more full batches
+   * @returns {Promise<number>} Number of notes processed
+   */
+  async drain() {
+    // Skip if the previous run is still going
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    try {
+      let processed = 0;
+      for (;;) {
+        const count = await this.processBatch();
+        processed += count;
+        if (count < this.batchSize) {
+          break;
+        }
+      }
+      return processed;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Claim a batch of due notes for this worker
+   * @returns {Promise<Object>} { token, notes }
+   */
+  async claimBatch() {
+    const now = new Date();
+    const due = {
+      indexStatus: 'pending',
+      'outbox.nextAttemptAt': { $lte: now },
+      $or: [{ 'outbox.lockedUntil': null }, { 'outbox.lockedUntil': { $lt: now } }]
+    };
+
+    // Without a vector store only permanent deletes can be completed
+    if (!vectorService.isInitialized) {
+      due.purgedAt = { $ne: null };
+    }
+
+    const candidates = await Note.find(due)
+      .sort({ 'outbox.nextAttemptAt': 1 })
+      .limit(this.batchSize)
+      .select('_id')
+      .lean();
+
+    if (candidates.length === 0) {
+      return { token: null, notes: [] };
+    }
+
+    // Re-check the due condition while claiming so concurrent workers never share a note
+    const token = crypto.randomUUID();
+    await Note.updateMany(
+      { ...due, _id: { $in: candidates.map(note => note._id) } },
+      { $set: { 'outbox.lockToken': token, 'outbox.lockedUntil': new Date(now.getTime() + LOCK_MS) } },
+      { timestamps: false }
+    );
+
+    const notes = await Note.find({ 'outbox.lockToken': token }).lean();
+    return { token, notes };
+  }
+
+  /**
+   * Claim and apply one batch of changes
+   * @returns {Promise<number>} Number of notes processed
+   */
+  async processBatch() {
+    const { token, notes } = await this.claimBatch();
+    if (notes.length === 0) {
+      return 0;
+    }
+
+    const purged = notes.filter(note => note.purgedAt);
+    const live = notes.filter(note => !note.purgedAt);
+    // Stored embeddings of another dimension come from a previous embedding provider,
+    // notes without passages were embedded before chunking
+    const dimension = embeddingService.getDimension();
+    const needsEmbedding = note => (note.outbox || {}).embed !== false ||
+      !note.embedding || note.embedding.length === 0 ||
+      !note.chunks || note.chunks.length === 0 ||
+      (dimension !== null && note.embedding.length !== dimension);
+    const toEmbed = live.filter(needsEmbedding);
+    const toRefresh = live.filter(note => !needsEmbedding(note));
+
+    await this.applyPurges(purged, token);
+    await this.applyEmbeds(toEmbed, token);
+    await this.applyRefreshes(toRefresh, token);
+
+    return notes.length;
+  }
+
+  /**
+   * Remove permanently deleted notes from the vector store, delete their revisions,
+   * links and attachments, then the notes themselves
+   * The note is deleted last, so a failure leaves it claimable for the next attempt
+   * @param {Array<Object>} notes - Claimed purged notes
+   * @param {string} token - Claim token
+   */
+  async applyPurges(notes, token) {
+    if (notes.length === 0) {
+      return;
+    }
+
+    try {
+      const ids = notes.map(note => note._id.toString());
+      if (vectorService.isInitialized) {
+        await vectorService.removeNotes(ids);
+      }
+
+      await Promise.all(ids.map(id => revisionService.deleteRevisions(id)));
+      await linkService.removeNotes(ids);
+      await attachmentService.deleteNoteAttachments(ids);
+      await Note.deleteMany({ _id: { $in: notes.map(note => note._id) }, purgedAt: { $ne: null } });
+    } catch (error) {
+      await this.fail(notes, token, () => error.message);
+    }
+  }
+
+  /**
+   * Re-embed notes whose title or body changed (or that were never embedded)
+   * @param {Array<Object>} notes - Claimed notes
+   * @param {string} token - Claim token
+   */
+  async applyEmbeds(notes, token) {
+    if (notes.length === 0) {
+      return;
+    }
+
+    try {
+      const { indexed, failed } = await vectorService.indexNotes(notes);
+      const errors = new Map(failed.map(failure => [failure.noteId, failure.error]));
+      const indexedIds = new Set(indexed);
+
+      await this.complete(notes.filter(note => indexedIds.has(note._id.toString())), token);
+      await this.fail(notes.filter(note => errors.has(note._id.toString())), token, note => errors.get(note._id.toString()));
+    } catch (error) {
+      await this.fail(notes, token, () => error.message);
+    }
+  }
+
+  /**
+   * Push metadata-only changes (tags, trash state, timestamps) with the stored embeddings
+   * @param {Array<Object>} notes - Claimed notes
+   * @param {string} token - Claim token
+   */
+  async applyRefreshes(notes, token) {
+    if (notes.length === 0) {
+      return;
+    }
+
+    try {
+      await vectorService.refreshNotes(notes);
+      await this.complete(notes, token);
+    } catch (error) {
+      await this.fail(notes, token, () => error.message);
+    }
+  }
+
+  /**
+   * Mark notes indexed, unless they changed again while being processed
+   * @param {Array<Object>} notes - Processed notes
+   * @param {string} token - Claim token
+   */
+  async complete(notes, token) {
+    if (notes.length === 0) {
+      return;
+    }
+
+    const now = new Date();
+    await Note.bulkWrite(notes.map(note => ({
+      updateOne: {
+        filter: { _id: note._id, 'outbox.version': (note.outbox || {}).version, 'outbox.lockToken': token },
+        update: {
+          $set: {
+            indexStatus: 'indexed',
+            'outbox.embed': false,
+            'outbox.attempts': 0,
+            'outbox.lastError': null,
+            'outbox.indexedAt': now,
+            'outbox.lockToken': null,
+            'outbox.lockedUntil': null
+          }
+        },
+        timestamps: false
+      }
+    })), { ordered: false });
+
+    // Notes that changed in the meantime stay pending and are picked up again
+    await this.release(notes, token);
+  }
+
+  /**
+   * Record a failed attempt and schedule a retry with exponential backoff
+   * @param {Array<Object>} notes - Failed notes
+   * @param {string} token - Claim token
+   * @param {Function} errorFor - note -> error message
+   */
+  async fail(notes, token, errorFor) {
+    if (notes.length === 0) {
+      return;
+    }
+
+    const now = Date.now();
+    await Note.bulkWrite(notes.map(note => {
+      const attempts = ((note.outbox || {}).attempts || 0) + 1;
+      const exhausted = attempts >= this.maxAttempts;
+      const delay = Math.min(this.baseDelayMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+      return {
+        updateOne: {
+          filter: { _id: note._id, 'outbox.version': (note.outbox || {}).version, 'outbox.lockToken': token },
+          update: {
+            $set: {
+              indexStatus: exhausted ? 'failed' : 'pending',
+              'outbox.attempts': attempts,
+              'outbox.nextAttemptAt': new Date(now + delay),
+              'outbox.lastError': errorFor(note),
+              'outbox.lockToken': null,
+              'outbox.lockedUntil': null
+            }
+          },
+          timestamps: false
+        }
+      };
+    }), { ordered: false });
+
+    await this.release(notes, token);
+    this.logger.warn(`Failed to index ${notes.length} notes: ${errorFor(notes[0])}`);
+  }
+
+  /**
+   * Drop this worker's claim on notes that were not completed
+   * @param {Array<Object>} notes - Claimed notes
+   * @param {string} token - Claim token
+   */
+  async release(notes, token) {
+    await Note.updateMany(
+      { _id: { $in: notes.map(note => note._id) }, 'outbox.lockToken': token },
+      { $set: { 'outbox.lockToken': null, 'outbox.lockedUntil': null } },
+      { timestamps: false }
+    );
+  }
+
+  /**
+   * Queue failed notes for another round of attempts
+   * @param {string} ownerId - Optional owner scope
+   * @returns {Promise<number>} Number of notes queued again
+   */
+  async retryFailed(ownerId) {
+    try {
+      const filter = { indexStatus: 'failed' };
+      if (ownerId) filter.ownerId = ownerId;
+
+      const result = await Note.updateMany(
+        filter,
+        { $set: Note.pendingIndexFields() },
+        { timestamps: false }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Failed to retry failed notes: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new IndexWorker();
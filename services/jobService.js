@@ -0,0 +1,344 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const Note = require('../models/Note');
+const vectorService = require('./vectorService');
+
+// A running job must renew its lease within this time or another worker takes over
+const LEASE_MS = 2 * 60 * 1000;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * Background admin jobs
+ * Jobs are stored in MongoDB and checkpointed after every step, so a job that
+ * was interrupted by a crash or restart is resumed where it left off once its
+ * lease expires
+ */
+class JobService {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.intervalMs = 60 * 1000;
+    this.timer = null;
+    this.stopping = false;
+    this.active = new Map(); // jobId -> run promise
+    this.logger = console;
+  }
+
+  /**
+   * Start picking up queued and interrupted jobs
+   * @param {Object} options - { intervalMs, logger }
+   */
+  start(options = {}) {
+    this.stop();
+    this.stopping = false;
+
+    if (options.intervalMs !== undefined) this.intervalMs = Number(options.intervalMs);
+    if (options.logger) this.logger = options.logger;
+
+    const resume = () => this.resumeStalled().catch(error => {
+      this.logger.error(`Failed to resume jobs: ${error.message}`);
+    });
+
+    resume();
+    this.timer = setInterval(resume, this.intervalMs);
+
+    // Do not keep the process alive just for the job poller
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the poller and let running jobs finish their current step
+   * Their leases are released so another worker can resume them right away
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    this.stopping = true;
+    await Promise.allSettled([...this.active.values()]);
+  }
+
+  /**
+   * Queue a reindex of notes into the vector store and start it
+   * Only one reindex can be queued or running at a time
+   * @param {string} createdBy - Id of the requesting user
+   * @param {Object} params - { batchSize, concurrency, ownerId }
+   * @returns {Promise<Object>} { job, created } where created is false if a reindex was already active
+   */
+  async startReindex(createdBy, params = {}) {
+    try {
+      const { batchSize = 100, concurrency = 2, ownerId = null } = params;
+      const total = await Note.countDocuments(ownerId ? { ownerId, purgedAt: null } : { purgedAt: null });
+
+      let job;
+      try {
+        job = await Job.create({
+          type: 'reindex',
+          params: { batchSize, concurrency, ownerId },
+          createdBy,
+          progress: { total },
+          active: true
+        });
+      } catch (error) {
+        // The unique index on active jobs rejects a second concurrent reindex
+        if (error.code === 11000) {
+          const existing = await Job.findOne({ type: 'reindex', active: true });
+          if (existing) {
+            return { job: existing.toStatus(), created: false };
+          }
+        }
+        throw error;
+      }
+
+      this.launch(job._id);
+      return { job: job.toStatus(), created: true };
+    } catch (error) {
+      throw new Error(`Failed to start reindex: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resume a failed job from its last checkpoint
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} { job, resumed } or null if not found
+   */
+  async resumeJob(id) {
+    try {
+      const job = await Job.findById(id);
+      if (!job) {
+        return null;
+      }
+      if (job.status !== 'failed') {
+        return { job: job.toStatus(), resumed: false };
+      }
+
+      let resumed;
+      try {
+        resumed = await Job.findOneAndUpdate(
+          { _id: id, status: 'failed' },
+          { $set: { status: 'queued', active: true, lastError: null, finishedAt: null } },
+          { new: true }
+        );
+      } catch (error) {
+        // Another job of the same type is active
+        if (error.code === 11000) {
+          return { job: job.toStatus(), resumed: false };
+        }
+        throw error;
+      }
+
+      if (!resumed) {
+        return { job: (await Job.findById(id)).toStatus(), resumed: false };
+      }
+
+      this.launch(resumed._id);
+      return { job: resumed.toStatus(), resumed: true };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw new Error(`Failed to resume job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the status report of a job
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} Job status or null if not found
+   */
+  async getJob(id) {
+    try {
+      const job = await Job.findById(id);
+      return job ? job.toStatus() : null;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw new Error(`Failed to fetch job: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick up queued jobs and running jobs whose worker stopped renewing the lease
+   * @returns {Promise<number>} Number of jobs launched
+   */
+  async resumeStalled() {
+    if (!vectorService.isInitialized) {
+      return 0;
+    }
+
+    const stalled = await Job.find({
+      status: { $in: ACTIVE_STATUSES },
+      $or: [{ leaseOwner: null }, { leaseExpiresAt: { $lt: new Date() } }]
+    }).select('_id').lean();
+
+    stalled.forEach(job => this.launch(job._id));
+    return stalled.length;
+  }
+
+  /**
+   * Run a job in the background unless this process already runs it
+   * @param {ObjectId} jobId - Job ID
+   */
+  launch(jobId) {
+    const key = jobId.toString();
+    if (this.active.has(key) || this.stopping) {
+      return;
+    }
+
+    const run = this.run(jobId)
+      .catch(error => {
+        this.logger.error(`Job ${key} crashed: ${error.message}`);
+      })
+      .finally(() => {
+        this.active.delete(key);
+      });
+    this.active.set(key, run);
+  }
+
+  /**
+   * Claim a job and work through it until it is done, fails or the worker stops
+   * @param {ObjectId} jobId - Job ID
+   */
+  async run(jobId) {
+    const now = new Date();
+    const job = await Job.findOneAndUpdate(
+      {
+        _id: jobId,
+        status: { $in: ACTIVE_STATUSES },
+        $or: [{ leaseOwner: null }, { leaseExpiresAt: { $lt: now } }]
+      },
+      [{
+        $set: {
+          status: 'running',
+          leaseOwner: this.workerId,
+          leaseExpiresAt: new Date(now.getTime() + LEASE_MS),
+          startedAt: { $ifNull: ['$startedAt', '$$NOW'] },
+          attempts: { $add: ['$attempts', 1] }
+        }
+      }],
+      { new: true }
+    );
+
+    // Someone else holds the lease or the job already finished
+    if (!job) {
+      return;
+    }
+
+    if (job.attempts > 1) {
+      this.logger.info(`Resuming job ${job._id} after note ${job.checkpoint || '(start)'}`);
+    }
+
+    try {
+      const finished = await this.runReindex(job);
+      if (!finished) {
+        return;
+      }
+
+      await Job.updateOne({ _id: job._id, leaseOwner: this.workerId }, {
+        $set: { status: 'completed', finishedAt: new Date(), leaseOwner: null, leaseExpiresAt: null, active: false }
+      });
+      this.logger.info(`Job ${job._id} completed`);
+    } catch (error) {
+      await Job.updateOne({ _id: job._id, leaseOwner: this.workerId }, {
+        $set: {
+          status: 'failed',
+          lastError: error.message,
+          finishedAt: new Date(),
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          active: false
+        }
+      });
+      this.logger.error(`Job ${job._id} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stream notes in id order and index them in batches
+   * Each step reads concurrency * batchSize notes, indexes the batches in parallel
+   * and then checkpoints the last note id, so a resumed job repeats at most one step
+   * @param {Object} job - Claimed job document
+   * @returns {Promise<boolean>} True when all notes were processed, false when stopped early
+   */
+  async runReindex(job) {
+    const { batchSize = 100, concurrency = 2, ownerId = null } = job.params || {};
+    let checkpoint = job.checkpoint;
+
+    for (;;) {
+      if (this.stopping) {
+        // Hand the job over instead of waiting for the lease to expire
+        await Job.updateOne(
+          { _id: job._id, leaseOwner: this.workerId },
+          { $set: { leaseOwner: null, leaseExpiresAt: null } }
+        );
+        return false;
+      }
+
+      const stepStarted = Date.now();
+      const filter = { purgedAt: null };
+      if (ownerId) filter.ownerId = ownerId;
+      if (checkpoint) filter._id = { $gt: checkpoint };
+
+      // Trashed notes are indexed too (flagged as trashed) so a restore finds them
+      const notes = await Note.find(filter)
+        .sort({ _id: 1 })
+        .limit(batchSize * concurrency)
+        .select('ownerId title body format searchText tags createdAt updatedAt deletedAt')
+        .lean();
+
+      if (notes.length === 0) {
+        return true;
+      }
+
+      const batches = [];
+      for (let i = 0; i < notes.length; i += batchSize) {
+        batches.push(notes.slice(i, i + batchSize));
+      }
+      const results = await Promise.all(batches.map(batch => vectorService.indexNotes(batch)));
+
+      const indexedIds = results.flatMap(result => result.indexed);
+      const failures = results.flatMap(result => result.failed);
+      checkpoint = notes[notes.length - 1]._id;
+
+      // Settle failed and never-tracked notes; pending ones are left to the index worker
+      await Note.updateMany(
+        { _id: { $in: indexedIds }, indexStatus: { $ne: 'pending' } },
+        {
+          $set: {
+            indexStatus: 'indexed',
+            'outbox.embed': false,
+            'outbox.attempts': 0,
+            'outbox.lastError': null,
+            'outbox.indexedAt': new Date()
+          }
+        },
+        { timestamps: false }
+      );
+
+      const update = await Job.updateOne({ _id: job._id, leaseOwner: this.workerId }, {
+        $set: { checkpoint, leaseExpiresAt: new Date(Date.now() + LEASE_MS) },
+        $inc: {
+          'progress.processed': notes.length,
+          'progress.succeeded': indexedIds.length,
+          'progress.failed': failures.length,
+          activeMs: Date.now() - stepStarted
+        },
+        $push: {
+          failures: { $each: failures.map(failure => ({ ...failure, at: new Date() })), $slice: -Job.MAX_RECORDED_FAILURES }
+        }
+      });
+
+      // The lease expired and another worker took over
+      if (update.matchedCount === 0) {
+        this.logger.warn(`Lost the lease on job ${job._id}, stopping`);
+        return false;
+      }
+    }
+  }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,411 @@
+const Note = require('../models/Note');
+const NoteLink = require('../models/NoteLink');
+const { escapeRegex } = require('../utils/filterUtils');
+const { linkKey, parseWikiLinks } = require('../utils/linkUtils');
+
+// Bounds of GET /notes/graph
+const MAX_GRAPH_DEPTH = 5;
+const MAX_GRAPH_NODES = 2000;
+
+// Fields of the notes returned as graph nodes and backlinks
+const NODE_FIELDS = '_id title tags deletedAt updatedAt';
+
+/**
+ * Service for wiki links between notes
+ * Links are parsed from note bodies and stored as edges (NoteLink), one per distinct
+ * target. Title links resolve to the oldest active note with that title, id links
+ * to the note with that id. Unresolved links are kept with a null target and
+ * resolved when a note with a matching title is created or renamed.
+ */
+class LinkService {
+
+  /**
+   * Replace the stored links of notes with the links in their bodies
+   * @param {string} ownerId - Id of the owning user
+   * @param {Array<Object>} notes - Notes with _id and body
+   */
+  async syncLinks(ownerId, notes) {
+    if (notes.length === 0) {
+      return;
+    }
+
+    try {
+      const parsed = notes.map(note => ({ note, links: parseWikiLinks(note.body) }));
+      const targets = await this.resolveTargets(ownerId, parsed.flatMap(({ links }) => links));
+
+      const edges = [];
+      for (const { note, links } of parsed) {
+        for (const link of links) {
+          const targetId = targets.get(`${link.kind}:${link.key}`) || null;
+          // A note linking to itself is not an edge of the graph
+          if (targetId && String(targetId) === String(note._id)) {
+            continue;
+          }
+          edges.push({ ownerId, sourceId: note._id, targetId, kind: link.kind, target: link.target, targetKey: link.key });
+        }
+      }
+
+      await NoteLink.deleteMany({ ownerId, sourceId: { $in: notes.map(note => note._id) } });
+      if (edges.length > 0) {
+        await NoteLink.insertMany(edges);
+      }
+    } catch (error) {
+      throw new Error(`Failed to update note links: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find the notes that parsed links point to
+   * @param {string} ownerId - Id of the owning user
+   * @param {Array<Object>} links - Parsed links
+   * @returns {Promise<Map>} 'kind:key' to note ObjectId
+   */
+  async resolveTargets(ownerId, links) {
+    const resolved = new Map();
+    const ids = [...new Set(links.filter(link => link.kind === 'id').map(link => link.key))];
+    const titles = [...new Set(links.filter(link => link.kind === 'title').map(link => link.key))];
+
+    if (ids.length > 0) {
+      // Trashed notes stay link targets, restoring them repairs the link
+      const notes = await Note.find({ _id: { $in: ids }, ownerId, purgedAt: null }).select('_id').lean();
+      notes.forEach(note => resolved.set(`id:${note._id.toString()}`, note._id));
+    }
+
+    for (let start = 0; start < titles.length; start += 500) {
+      const patterns = titles.slice(start, start + 500).map(key => new RegExp(`^${escapeRegex(key)}$`, 'i'));
+      const notes = await Note.find({ ownerId, deletedAt: null, title: { $in: patterns } })
+        .select('_id title')
+        .sort({ createdAt: 1, _id: 1 })
+        .lean();
+      for (const note of notes) {
+        const key = `title:${linkKey(note.title)}`;
+        if (!resolved.has(key)) {
+          resolved.set(key, note._id);
+        }
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Point title links at notes that now carry the linked title
+   * Called for new and renamed notes: broken links with a matching title are
+   * resolved, links resolved through a title the note no longer has are broken.
+   * @param {string} ownerId - Id of the owning user
+   * @param {Array<Object>} notes - Notes with _id and title
+   */
+  async relinkTitles(ownerId, notes) {
+    if (notes.length === 0) {
+      return;
+    }
+
+    try {
+      await NoteLink.bulkWrite(notes.flatMap(note => [
+        {
+          updateMany: {
+            filter: { ownerId, kind: 'title', targetId: note._id, targetKey: { $ne: linkKey(note.title) } },
+            update: { $set: { targetId: null } }
+          }
+        },
+        {
+          updateMany: {
+            filter: { ownerId, kind: 'title', targetKey: linkKey(note.title), targetId: null, sourceId: { $ne: note._id } },
+            update: { $set: { targetId: note._id } }
+          }
+        }
+      ]), { ordered: true });
+    } catch (error) {
+      throw new Error(`Failed to update note links: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ids of the notes linking to a note by its title
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} noteId - MongoDB ObjectId of the linked note
+   * @returns {Promise<Array>} Source note ObjectIds
+   */
+  async titleLinkSources(ownerId, noteId) {
+    return NoteLink.distinct('sourceId', { ownerId, kind: 'title', targetId: noteId });
+  }
+
+  /**
+   * Remove the links of purged notes, links pointing to them become broken
+   * @param {Array<string>} noteIds - MongoDB ObjectIds of the purged notes
+   */
+  async removeNotes(noteIds) {
+    try {
+      await NoteLink.deleteMany({ sourceId: { $in: noteIds } });
+      await NoteLink.updateMany({ targetId: { $in: noteIds } }, { $set: { targetId: null } });
+    } catch (error) {
+      throw new Error(`Failed to remove note links: ${error.message}`);
+    }
+  }
+
+  /**
+   * Notes linking to a note, most recently updated first
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} noteId - MongoDB ObjectId
+   * @returns {Promise<Array|null>} [{ id, title, tags, updatedAt }] or null if the note does not exist
+   */
+  async getBacklinks(ownerId, noteId) {
+    try {
+      const note = await Note.findOne({ _id: noteId, ownerId, deletedAt: null }).select('_id').lean();
+      if (!note) {
+        return null;
+      }
+
+      const sourceIds = await NoteLink.distinct('sourceId', { ownerId, targetId: note._id });
+      const sources = await Note.find({ _id: { $in: sourceIds }, ownerId, deletedAt: null })
+        .select(NODE_FIELDS)
+        .sort({ updatedAt: -1 })
+        .lean();
+      return sources.map(source => this.toNode(source));
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw new Error(`Failed to retrieve backlinks: ${error.message}`);
+    }
+  }
+
+  /**
+   * Broken links of an owner's active notes
+   * A link is broken when no note matches it ('missing') or the note is in the trash ('trashed')
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} options - { limit, skip }
+   * @returns {Promise<Array>} [{ sourceId, sourceTitle, target, kind, reason }]
+   */
+  async getBrokenLinks(ownerId, options = {}) {
+    try {
+      const { limit = 100, skip = 0 } = options;
+
+      const edges = await NoteLink.find({ ownerId }).sort({ sourceId: 1, createdAt: 1 }).lean();
+      const notes = await this.loadNotes(ownerId, edges.flatMap(edge => [edge.sourceId, edge.targetId]));
+
+      return edges
+        .filter(edge => this.isActive(notes.get(String(edge.sourceId))))
+        .map(edge => ({ edge, reason: this.brokenReason(edge, notes) }))
+        .filter(({ reason }) => reason)
+        .slice(skip, skip + limit)
+        .map(({ edge, reason }) => ({
+          sourceId: edge.sourceId.toString(),
+          sourceTitle: notes.get(String(edge.sourceId)).title,
+          target: edge.target,
+          kind: edge.kind,
+          reason
+        }));
+    } catch (error) {
+      throw new Error(`Failed to retrieve broken links: ${error.message}`);
+    }
+  }
+
+  /**
+   * Link graph of an owner's active notes
+   * Without a root, every note that links or is linked to is a node. With a root, the
+   * graph holds the notes within depth links of it, following links both ways.
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} options - { rootId, depth, maxNodes }
+   * @returns {Promise<Object|null>} { root, depth, nodes, edges, broken, truncated } or null if the root does not exist
+   */
+  async getGraph(ownerId, options = {}) {
+    try {
+      const { rootId, depth = 1, maxNodes = 500 } = options;
+
+      let distances;
+      let truncated = false;
+      if (rootId) {
+        const root = await Note.findOne({ _id: rootId, ownerId, deletedAt: null }).select('_id').lean();
+        if (!root) {
+          return null;
+        }
+        ({ distances, truncated } = await this.traverse(ownerId, root._id, Math.min(depth, MAX_GRAPH_DEPTH), maxNodes));
+      }
+
+      const edgeFilter = distances
+        ? { ownerId, sourceId: { $in: [...distances.keys()] } }
+        : { ownerId };
+      const edges = await NoteLink.find(edgeFilter).lean();
+      const notes = await this.loadNotes(ownerId, [...(distances ? distances.keys() : []), ...edges.flatMap(edge => [edge.sourceId, edge.targetId])]);
+      const activeEdges = edges.filter(edge => this.isActive(notes.get(String(edge.sourceId))));
+
+      if (!distances) {
+        // Keep the best connected notes when the graph is too large
+        const degree = new Map();
+        for (const edge of activeEdges) {
+          const ids = this.brokenReason(edge, notes) ? [String(edge.sourceId)] : [String(edge.sourceId), String(edge.targetId)];
+          ids.forEach(id => degree.set(id, (degree.get(id) || 0) + 1));
+        }
+        const ranked = [...degree.keys()].sort((a, b) => degree.get(b) - degree.get(a) || a.localeCompare(b));
+        truncated = ranked.length > maxNodes;
+        distances = new Map(ranked.slice(0, maxNodes).map(id => [id, undefined]));
+      }
+
+      const inGraph = id => distances.has(String(id));
+      const graphEdges = new Map();
+      const broken = [];
+      for (const edge of activeEdges.filter(edge => inGraph(edge.sourceId))) {
+        const reason = this.brokenReason(edge, notes);
+        if (reason) {
+          broken.push({ source: edge.sourceId.toString(), target: edge.target, kind: edge.kind, reason });
+        } else if (inGraph(edge.targetId)) {
+          const key = `${edge.sourceId}:${edge.targetId}`;
+          graphEdges.set(key, { source: edge.sourceId.toString(), target: edge.targetId.toString() });
+        }
+      }
+
+      const nodes = [...distances.entries()].map(([id, distance]) => ({
+        ...this.toNode(notes.get(String(id))),
+        ...(distance === undefined ? {} : { depth: distance })
+      }));
+
+      return {
+        root: rootId ? String(rootId) : null,
+        depth: rootId ? Math.min(depth, MAX_GRAPH_DEPTH) : null,
+        nodes,
+        edges: [...graphEdges.values()],
+        broken,
+        truncated
+      };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw new Error(`Failed to build note graph: ${error.message}`);
+    }
+  }
+
+  /**
+   * Breadth-first walk over resolved links from a root note, in both directions
+   * @param {string} ownerId - Id of the owning user
+   * @param {ObjectId} rootId - Root note
+   * @param {number} depth - Largest distance from the root
+   * @param {number} maxNodes - Largest number of notes
+   * @returns {Promise<Object>} { distances: Map of note id to distance, truncated }
+   */
+  async traverse(ownerId, rootId, depth, maxNodes) {
+    const distances = new Map([[String(rootId), 0]]);
+    let frontier = [rootId];
+
+    for (let distance = 1; distance <= depth && frontier.length > 0; distance++) {
+      const edges = await NoteLink.find({
+        ownerId,
+        targetId: { $ne: null },
+        $or: [{ sourceId: { $in: frontier } }, { targetId: { $in: frontier } }]
+      }).lean();
+
+      const candidates = [...new Set(edges.flatMap(edge => [String(edge.sourceId), String(edge.targetId)]))]
+        .filter(id => !distances.has(id));
+      const notes = await this.loadNotes(ownerId, candidates);
+
+      frontier = [];
+      for (const id of candidates) {
+        if (!this.isActive(notes.get(id))) {
+          continue;
+        }
+        if (distances.size >= maxNodes) {
+          return { distances, truncated: true };
+        }
+        distances.set(id, distance);
+        frontier.push(notes.get(id)._id);
+      }
+    }
+
+    return { distances, truncated: false };
+  }
+
+  /**
+   * Parse the links of notes stored before links were tracked
+   * Runs only while no links are stored, so it does nothing once applied
+   * @returns {Promise<number>} Number of notes whose links were stored
+   */
+  async backfillLinks() {
+    try {
+      if (await NoteLink.estimatedDocumentCount() > 0) {
+        return 0;
+      }
+
+      let count = 0;
+      const cursor = Note.find({ deletedAt: null, body: /\[\[/ })
+        .select('_id ownerId body')
+        .sort({ ownerId: 1, _id: 1 })
+        .lean()
+        .cursor();
+
+      let batch = [];
+      const flush = async () => {
+        if (batch.length > 0) {
+          await this.syncLinks(batch[0].ownerId, batch);
+          count += batch.length;
+          batch = [];
+        }
+      };
+
+      for await (const note of cursor) {
+        if (batch.length >= 500 || (batch.length > 0 && batch[0].ownerId !== note.ownerId)) {
+          await flush();
+        }
+        batch.push(note);
+      }
+      await flush();
+
+      return count;
+    } catch (error) {
+      throw new Error(`Failed to backfill note links: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the (not purged) notes with the given ids
+   * @returns {Promise<Map>} Note id string to lean note
+   */
+  async loadNotes(ownerId, ids) {
+    const unique = [...new Set(ids.filter(Boolean).map(String))];
+    const notes = new Map();
+    for (let start = 0; start < unique.length; start += 1000) {
+      const found = await Note.find({ _id: { $in: unique.slice(start, start + 1000) }, ownerId, purgedAt: null })
+        .select(NODE_FIELDS)
+        .lean();
+      found.forEach(note => notes.set(note._id.toString(), note));
+    }
+    return notes;
+  }
+
+  /**
+   * Whether a loaded note exists and is not in the trash
+   */
+  isActive(note) {
+    return Boolean(note && !note.deletedAt);
+  }
+
+  /**
+   * Why a link is broken
+   * @returns {string|null} 'missing', 'trashed' or null if the link resolves to an active note
+   */
+  brokenReason(edge, notes) {
+    const target = edge.targetId ? notes.get(String(edge.targetId)) : null;
+    if (!target) {
+      return 'missing';
+    }
+    return target.deletedAt ? 'trashed' : null;
+  }
+
+  /**
+   * Graph node or backlink representation of a note
+   */
+  toNode(note) {
+    return {
+      id: note._id.toString(),
+      title: note.title,
+      tags: note.tags || [],
+      updatedAt: note.updatedAt
+    };
+  }
+}
+
+const linkService = new LinkService();
+linkService.MAX_GRAPH_DEPTH = MAX_GRAPH_DEPTH;
+linkService.MAX_GRAPH_NODES = MAX_GRAPH_NODES;
+
+module.exports = linkService;
@@ -0,0 +1,94 @@
+const { Readable } = require('stream');
+const { formatCsvRow, parseCsv } = require('../../utils/csvUtils');
+
+// Exported columns, tags are joined with commas inside their cell
+const COLUMNS = ['id', 'title', 'body', 'format', 'tags', 'createdAt', 'updatedAt'];
+
+// Spreadsheets run cells starting with =, +, -, @, tab or carriage return as formulas.
+// Cells already starting with ' are escaped too, so import can tell the escape apart
+const ESCAPED_PREFIX = /^[=+\-@\t\r']/;
+
+/**
+ * Keep a spreadsheet from running a cell as a formula by prefixing it with '
+ * @param {*} value - Cell value
+ * @returns {*} Escaped value
+ */
+function escapeFormula(value) {
+  return typeof value === 'string' && ESCAPED_PREFIX.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Undo escapeFormula on import
+ * @param {string} value - Cell value
+ * @returns {string} Original value
+ */
+function unescapeFormula(value) {
+  return value.startsWith('\'') && ESCAPED_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+/**
+ * CSV with a header row, one note per record
+ * Import matches columns by header name (case-insensitive), unknown columns are ignored.
+ * Exported cells starting with =, +, -, @, tab or carriage return get a leading ' so
+ * spreadsheets show them as text, and so do cells starting with '; import removes it again.
+ */
+class CsvFormat {
+  constructor() {
+    this.name = 'csv';
+    this.contentType = 'text/csv; charset=utf-8';
+    this.extension = 'csv';
+  }
+
+  /**
+   * Stream notes as CSV
+   * @param {AsyncIterable<Object>} records - Export records
+   * @returns {Readable} Output stream
+   */
+  createExportStream(records) {
+    return Readable.from((async function* lines() {
+      yield formatCsvRow(COLUMNS);
+      for await (const record of records) {
+        yield formatCsvRow(COLUMNS.map(column => escapeFormula(column === 'tags' ? record.tags.join(', ') : record[column])));
+      }
+    })());
+  }
+
+  /**
+   * Parse an import file, rows are numbered by the line they start on
+   * @param {Buffer} buffer - File content
+   * @returns {Promise<Array<Object>>} [{ row, fields }] or [{ row, error }]
+   */
+  async parse(buffer) {
+    const [header, ...records] = parseCsv(buffer.toString('utf8'));
+    if (!header) {
+      return [];
+    }
+
+    const columns = header.values.map(name => {
+      const normalized = name.trim().toLowerCase();
+      return COLUMNS.find(column => column.toLowerCase() === normalized);
+    });
+    if (!columns.includes('title') || !columns.includes('body')) {
+      throw new Error('CSV header must contain title and body columns');
+    }
+
+    return records.map(({ line, values }) => {
+      if (values.length > columns.length) {
+        return { row: line, error: `Expected at most ${columns.length} values, found ${values.length}` };
+      }
+
+      const fields = {};
+      values.forEach((value, index) => {
+        if (columns[index] && value !== '') {
+          fields[columns[index]] = unescapeFormula(value);
+        }
+      });
+      if (fields.tags !== undefined) {
+        fields.tags = fields.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+      }
+      return { row: line, fields };
+    });
+  }
+}
+
+module.exports = CsvFormat;
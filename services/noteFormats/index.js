@@ -0,0 +1,32 @@
+const JsonlFormat = require('./jsonlFormat');
+const CsvFormat = require('./csvFormat');
+const MarkdownFormat = require('./markdownFormat');
+
+/**
+ * Available import/export formats
+ * A format has a name, contentType and extension and implements
+ * createExportStream(records) and parse(buffer, { maxRows })
+ */
+const NOTE_FORMATS = {
+  jsonl: JsonlFormat,
+  csv: CsvFormat,
+  markdown: MarkdownFormat
+};
+
+/**
+ * Create an import/export format by name
+ * @param {string} name - Format name
+ * @returns {Object} Format instance
+ */
+function createNoteFormat(name) {
+  const Format = NOTE_FORMATS[name];
+  if (!Format) {
+    throw new Error(`Unknown note format: ${name} (expected one of ${Object.keys(NOTE_FORMATS).join(', ')})`);
+  }
+  return new Format();
+}
+
+module.exports = {
+  NOTE_FORMATS,
+  createNoteFormat
+};
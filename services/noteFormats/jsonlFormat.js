@@ -0,0 +1,53 @@
+const { Readable } = require('stream');
+
+/**
+ * JSON Lines: one note object per line
+ */
+class JsonlFormat {
+  constructor() {
+    this.name = 'jsonl';
+    this.contentType = 'application/x-ndjson';
+    this.extension = 'jsonl';
+  }
+
+  /**
+   * Stream notes as JSON Lines
+   * @param {AsyncIterable<Object>} records - Export records
+   * @returns {Readable} Output stream
+   */
+  createExportStream(records) {
+    return Readable.from((async function* lines() {
+      for await (const record of records) {
+        yield `${JSON.stringify(record)}\n`;
+      }
+    })());
+  }
+
+  /**
+   * Parse an import file, each non-empty line is one row
+   * @param {Buffer} buffer - File content
+   * @returns {Promise<Array<Object>>} [{ row, fields }] or [{ row, error }]
+   */
+  async parse(buffer) {
+    const rows = [];
+    buffer.toString('utf8').split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      const row = index + 1;
+      try {
+        const fields = JSON.parse(line);
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+          rows.push({ row, error: 'Line is not a JSON object' });
+        } else {
+          rows.push({ row, fields });
+        }
+      } catch (error) {
+        rows.push({ row, error: `Invalid JSON: ${error.message}` });
+      }
+    });
+    return rows;
+  }
+}
+
+module.exports = JsonlFormat;
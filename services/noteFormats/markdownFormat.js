@@ -0,0 +1,192 @@
+const yaml = require('js-yaml');
+const yazl = require('yazl');
+const yauzl = require('yauzl');
+
+// Largest Markdown file read from an import archive
+const MAX_ENTRY_BYTES = 1024 * 1024;
+
+// Largest total size of the Markdown files read from an import archive
+const MAX_ARCHIVE_BYTES = 100 * 1024 * 1024;
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Markdown archive: a zip with one .md file per note
+ * Title, tags and timestamps are kept in YAML front matter, the body follows it
+ */
+class MarkdownFormat {
+  constructor() {
+    this.name = 'markdown';
+    this.contentType = 'application/zip';
+    this.extension = 'zip';
+  }
+
+  /**
+   * Stream notes as a zip of Markdown files
+   * @param {AsyncIterable<Object>} records - Export records
+   * @returns {Readable} Output stream
+   */
+  createExportStream(records) {
+    const zip = new yazl.ZipFile();
+
+    (async () => {
+      for await (const record of records) {
+        zip.addBuffer(Buffer.from(this.toMarkdown(record)), this.fileName(record), {
+          mtime: new Date(record.updatedAt)
+        });
+      }
+      zip.end();
+    })().catch(error => zip.outputStream.destroy(error));
+
+    return zip.outputStream;
+  }
+
+  /**
+   * Markdown document of a note
+   * @param {Object} record - Export record
+   * @returns {string} Front matter and body
+   */
+  toMarkdown(record) {
+    const { body, ...meta } = record;
+    return `---\n${yaml.dump(meta, { lineWidth: -1 })}---\n\n${body}\n`;
+  }
+
+  /**
+   * Archive entry name, the id keeps names unique when titles repeat
+   * @param {Object} record - Export record
+   * @returns {string} File name
+   */
+  fileName(record) {
+    const slug = record.title
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 60)
+      .replace(/-+$/, '');
+    return `${slug || 'note'}-${record.id}.md`;
+  }
+
+  /**
+   * Parse a Markdown document
+   * Without front matter, or without a title in it, the file name is the title.
+   * The body is Markdown unless the front matter says otherwise
+   * @param {string} text - Document
+   * @param {string} fileName - Entry name
+   * @returns {Object} Fields
+   */
+  fromMarkdown(text, fileName) {
+    let meta = {};
+    let body = text.replace(/^\ufeff/, '');
+
+    const match = body.match(FRONT_MATTER);
+    if (match) {
+      meta = yaml.load(match[1]) || {};
+      if (typeof meta !== 'object' || Array.isArray(meta)) {
+        throw new Error('Front matter must be a YAML mapping');
+      }
+      body = body.slice(match[0].length);
+    }
+
+    const title = meta.title === undefined
+      ? fileName.split('/').pop().replace(/\.md$/i, '')
+      : meta.title;
+    return { format: 'markdown', ...meta, title, body };
+  }
+
+  /**
+   * Parse an import archive, every .md entry is one row
+   * Reading stops after maxRows rows, and archives expanding to more than
+   * maxBytes of Markdown are rejected
+   * @param {Buffer} buffer - Zip file
+   * @param {Object} options - { maxRows, maxBytes (default: MAX_ARCHIVE_BYTES) }
+   * @returns {Promise<Array<Object>>} [{ row, file, fields }] or [{ row, file, error }]
+   */
+  async parse(buffer, options = {}) {
+    const { maxRows = Infinity, maxBytes = MAX_ARCHIVE_BYTES } = options;
+
+    const zip = await new Promise((resolve, reject) => {
+      yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zipFile) => (
+        error ? reject(new Error(`Invalid zip archive: ${error.message}`)) : resolve(zipFile)
+      ));
+    });
+
+    const rows = [];
+    let totalBytes = 0;
+    try {
+      for await (const entry of this.entries(zip)) {
+        const file = entry.fileName;
+        if (file.endsWith('/') || !/\.md$/i.test(file) || file.startsWith('__MACOSX/')) {
+          continue;
+        }
+        if (rows.length >= maxRows) {
+          break;
+        }
+
+        const row = rows.length + 1;
+        if (entry.uncompressedSize > MAX_ENTRY_BYTES) {
+          rows.push({ row, file, error: `File exceeds ${MAX_ENTRY_BYTES} bytes` });
+          continue;
+        }
+        // yauzl checks the declared sizes while reading, so they can be trusted
+        totalBytes += entry.uncompressedSize;
+        if (totalBytes > maxBytes) {
+          throw new Error(`Archive exceeds ${maxBytes} bytes of Markdown files`);
+        }
+        try {
+          const text = await this.readEntry(zip, entry);
+          rows.push({ row, file, fields: this.fromMarkdown(text, file) });
+        } catch (error) {
+          rows.push({ row, file, error: error.message });
+        }
+      }
+    } finally {
+      zip.close();
+    }
+    return rows;
+  }
+
+  /**
+   * Iterate the entries of a zip opened with lazyEntries
+   */
+  async *entries(zip) {
+    while (true) {
+      const entry = await new Promise((resolve, reject) => {
+        const onEntry = value => { cleanup(); resolve(value); };
+        const onEnd = () => { cleanup(); resolve(null); };
+        const onError = error => { cleanup(); reject(new Error(`Invalid zip archive: ${error.message}`)); };
+        const cleanup = () => {
+          zip.off('entry', onEntry);
+          zip.off('end', onEnd);
+          zip.off('error', onError);
+        };
+        zip.on('entry', onEntry);
+        zip.on('end', onEnd);
+        zip.on('error', onError);
+        zip.readEntry();
+      });
+      if (!entry) {
+        return;
+      }
+      yield entry;
+    }
+  }
+
+  /**
+   * Read an entry as UTF-8 text
+   */
+  async readEntry(zip, entry) {
+    const stream = await new Promise((resolve, reject) => {
+      zip.openReadStream(entry, (error, readStream) => (error ? reject(error) : resolve(readStream)));
+    });
+
+    const buffers = [];
+    for await (const data of stream) {
+      buffers.push(data);
+    }
+    return Buffer.concat(buffers).toString('utf8');
+  }
+}
+
+module.exports = MarkdownFormat;
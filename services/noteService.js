@@ -1,5 +1,19 @@
 const Note = require('../models/Note');
-const { generateEmbedding } = require('../utils/vectorUtils');
+const revisionService = require('./revisionService');
+const linkService = require('./linkService');
+const changeFeedService = require('./changeFeedService');
+const { paginate } = require('../utils/cursorUtils');
+const { buildMongoFilter, escapeRegex } = require('../utils/filterUtils');
+const { normalizeTags, TagValidationError } = require('../utils/tagUtils');
+const { toPlainText, renderHtml } = require('../utils/markdownUtils');
+const { rewriteWikiLinks } = require('../utils/linkUtils');
+const { contentHash } = require('../utils/hashUtils');
+
+// Fields tracked in revision history
+const REVISIONED_FIELDS = ['title', 'body', 'tags', 'format'];
+
+// Text index used before the plain text of bodies was stored in searchText
+const LEGACY_TEXT_INDEX = 'title_text_body_text';
 
 /**
  * AI-generated service layer for note operations
@@ -8,57 +22,66 @@ const { generateEmbedding } = require('../utils/vectorUtils');
 class NoteService {
   
   /**
-   * Create a new note with optional vector embedding
+   * Create a new note
+   * New notes start with indexStatus 'pending', the index worker embeds them
+   * @param {string} ownerId - Id of the user creating the note
    * @param {Object} noteData - Note data containing title and body
-   * @param {boolean} generateVector - Whether to generate vector embedding
    * @returns {Promise<Object>} Created note
    */
-  async createNote(noteData, generateVector = false) {
+  async createNote(ownerId, noteData) {
     try {
-      const { title, body, tags = [] } = noteData;
+      const { title, body, tags = [], format = 'plain' } = noteData;
       
       // Validate required fields
+      if (!ownerId) {
+        throw new Error('Owner id is required');
+      }
       if (!title || !body) {
         throw new Error('Title and body are required');
       }
       
       // Create base note object
       const noteObj = {
+        ownerId,
         title: title.trim(),
         body: body.trim(),
-        tags: tags.map(tag => tag.trim()).filter(Boolean)
+        tags: normalizeTags(tags),
+        format
       };
       
-      // Generate vector embedding if requested
-      if (generateVector) {
-        try {
-          const content = `${title} ${body}`;
-          noteObj.embedding = await generateEmbedding(content);
-        } catch (embeddingError) {
-          // Log warning but don't fail the operation
-          console.warn('Failed to generate embedding:', embeddingError.message);
-        }
-      }
-      
       const note = new Note(noteObj);
       const savedNote = await note.save();
       
-      return savedNote.toObject();
+      // The created note is the first revision
+      await revisionService.recordRevision(savedNote, {
+        authorId: ownerId,
+        changedFields: REVISIONED_FIELDS
+      });
+      
+      await this.updateLinks(ownerId, savedNote);
+      
+      const created = savedNote.toObject();
+      changeFeedService.publish('created', created);
+      return created;
     } catch (error) {
+      if (error instanceof TagValidationError) {
+        throw error;
+      }
       throw new Error(`Failed to create note: ${error.message}`);
     }
   }
   
   /**
-   * Retrieve all notes with pagination
-   * @param {Object} options - Query options
+   * Retrieve all notes of an owner with pagination
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} options - Query options, options.filters holds structured filters
    * @returns {Promise<Array>} Array of notes
    */
-  async getAllNotes(options = {}) {
+  async getAllNotes(ownerId, options = {}) {
     try {
-      const { limit = 50, skip = 0, sortBy = 'createdAt', sortOrder = -1 } = options;
+      const { limit = 50, skip = 0, sortBy = 'createdAt', sortOrder = -1, filters } = options;
       
-      const notes = await Note.find({})
+      const notes = await Note.find({ ownerId, deletedAt: null, ...buildMongoFilter(filters) })
         .sort({ [sortBy]: sortOrder })
         .limit(limit)
         .skip(skip)
@@ -70,14 +93,44 @@ class NoteService {
     }
   }
   
+  /**
+   * Retrieve a page of notes using keyset (cursor) pagination
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} options - { limit, sortBy, sortOrder, cursor (decoded), includeTotal, filters }
+   * @returns {Promise<Object>} { items, nextCursor, prevCursor, total? }
+   */
+  async getNotesPage(ownerId, options = {}) {
+    try {
+      const { includeTotal = false, filters } = options;
+      const baseFilter = { ownerId, deletedAt: null, ...buildMongoFilter(filters) };
+      
+      const page = await paginate(
+        (cursorFilter, sort, limit) => Note.find({ $and: [baseFilter, cursorFilter] })
+          .sort(sort)
+          .limit(limit)
+          .lean(),
+        options
+      );
+      
+      if (includeTotal) {
+        page.total = await Note.countDocuments(baseFilter);
+      }
+      
+      return page;
+    } catch (error) {
+      throw new Error(`Failed to retrieve notes: ${error.message}`);
+    }
+  }
+  
   /**
    * Get a note by its MongoDB _id
+   * @param {string} ownerId - Id of the owning user
    * @param {string} id - MongoDB ObjectId
    * @returns {Promise<Object|null>} Note or null if not found
    */
-  async getNoteById(id) {
+  async getNoteById(ownerId, id) {
     try {
-      const note = await Note.findById(id).lean();
+      const note = await Note.findOne({ _id: id, ownerId, deletedAt: null }).lean();
       return note;
     } catch (error) {
       if (error.name === 'CastError') {
@@ -87,33 +140,57 @@ class NoteService {
     }
   }
   
+  /**
+   * Render the body of a note as sanitized HTML
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} id - MongoDB ObjectId
+   * @returns {Promise<Object|null>} { id, title, format, html, updatedAt } or null if not found
+   */
+  async renderNote(ownerId, id) {
+    const note = await this.getNoteById(ownerId, id);
+    if (!note) {
+      return null;
+    }
+    
+    const format = note.format || 'plain';
+    return {
+      id: note._id.toString(),
+      title: note.title,
+      format,
+      html: renderHtml(note.body, format),
+      updatedAt: note.updatedAt
+    };
+  }
+  
   /**
    * Search notes by title and body using MongoDB text search
+   * @param {string} ownerId - Id of the owning user
    * @param {string} query - Search query
-   * @param {Object} options - Search options
+   * @param {Object} options - Search options, options.filters holds structured filters
    * @returns {Promise<Array>} Array of matching notes
    */
-  async searchNotes(query, options = {}) {
+  async searchNotes(ownerId, query, options = {}) {
     try {
       if (!query || query.trim().length === 0) {
         return [];
       }
       
-      const { limit = 20, skip = 0, useRegex = false } = options;
+      const { limit = 20, skip = 0, useRegex = false, filters } = options;
+      const filter = { ownerId, deletedAt: null, ...buildMongoFilter(filters) };
       
       let results;
       
       if (useRegex) {
         // Use regex search as fallback
-        results = await Note.searchByRegex(query.trim(), { limit, skip });
+        results = await Note.searchByRegex(query.trim(), { limit, skip, filter });
       } else {
         // Use MongoDB text search (preferred)
         try {
-          results = await Note.searchByText(query.trim(), { limit, skip });
+          results = await Note.searchByText(query.trim(), { limit, skip, filter });
         } catch (textSearchError) {
           // Fall back to regex search if text search fails
           console.warn('Text search failed, falling back to regex:', textSearchError.message);
-          results = await Note.searchByRegex(query.trim(), { limit, skip });
+          results = await Note.searchByRegex(query.trim(), { limit, skip, filter });
         }
       }
       
@@ -124,47 +201,237 @@ class NoteService {
   }
   
   /**
-   * Update a note by ID
+   * Search notes with keyset (cursor) pagination
+   * Results are ordered by the sort key instead of relevance so pages stay stable
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} query - Search query
+   * @param {Object} options - { limit, sortBy, sortOrder, cursor (decoded), includeTotal, useRegex, filters }
+   * @returns {Promise<Object>} { items, nextCursor, prevCursor, total? }
+   */
+  async searchNotesPage(ownerId, query, options = {}) {
+    try {
+      const { includeTotal = false, useRegex = false, filters } = options;
+      const trimmed = query.trim();
+      const scope = { ownerId, deletedAt: null, ...buildMongoFilter(filters) };
+      
+      const textFilter = { ...scope, $text: { $search: trimmed } };
+      // The query is matched literally, it is only turned into a regex when one is needed
+      const regexFilter = () => {
+        const regex = new RegExp(escapeRegex(trimmed), 'i');
+        return { ...scope, $or: [{ title: regex }, { searchText: regex }] };
+      };
+      
+      const runPage = (baseFilter) => paginate(
+        (cursorFilter, sort, limit) => Note.find({ $and: [baseFilter, cursorFilter] })
+          .sort(sort)
+          .limit(limit),
+        options
+      );
+      
+      let baseFilter = useRegex ? regexFilter() : textFilter;
+      let page;
+      try {
+        page = await runPage(baseFilter);
+      } catch (textSearchError) {
+        if (useRegex) {
+          throw textSearchError;
+        }
+        // Fall back to regex search if text search fails
+        console.warn('Text search failed, falling back to regex:', textSearchError.message);
+        baseFilter = regexFilter();
+        page = await runPage(baseFilter);
+      }
+      
+      page.items = page.items.map(note => note.toSearchResult());
+      
+      if (includeTotal) {
+        page.total = await Note.countDocuments(baseFilter);
+      }
+      
+      return page;
+    } catch (error) {
+      throw new Error(`Failed to search notes: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Update a note by ID, recording a revision when content changes
+   * @param {string} ownerId - Id of the owning user
    * @param {string} id - MongoDB ObjectId
    * @param {Object} updateData - Data to update
+   * @param {Object} options - { authorId, restoredFrom }
    * @returns {Promise<Object|null>} Updated note or null if not found
    */
-  async updateNote(id, updateData) {
+  async updateNote(ownerId, id, updateData, options = {}) {
     try {
-      const { title, body, tags } = updateData;
+      const { title, body, tags, format } = updateData;
+      const { authorId = ownerId, restoredFrom } = options;
       
-      const updateObj = {
-        updatedAt: Date.now()
-      };
+      const existing = await Note.findOne({ _id: id, ownerId, deletedAt: null }).lean();
+      if (!existing) {
+        return null;
+      }
+      
+      const { updateObj, changedFields } = this.prepareUpdate(existing, { title, body, tags, format });
+      
+      // Notes created before revision history existed get a baseline revision first
+      if (!existing.revision) {
+        await revisionService.recordRevision({ ...existing, revision: 1 }, { authorId: existing.ownerId });
+        await Note.updateOne({ _id: id, revision: { $exists: false } }, { $set: { revision: 1 } });
+      }
       
-      if (title) updateObj.title = title.trim();
-      if (body) updateObj.body = body.trim();
-      if (tags) updateObj.tags = tags.map(tag => tag.trim()).filter(Boolean);
+      // Queue the change for the vector index in the same write
+      const embed = this.needsEmbedding(changedFields);
+      const update = {
+        $set: { ...updateObj, ...Note.pendingIndexFields({ embed }) },
+        $inc: { 'outbox.version': 1 }
+      };
+      if (changedFields.length > 0) {
+        update.$inc.revision = 1;
+      }
       
-      const note = await Note.findByIdAndUpdate(
-        id,
-        updateObj,
+      const note = await Note.findOneAndUpdate(
+        { _id: id, ownerId, deletedAt: null },
+        update,
         { new: true, runValidators: true }
       ).lean();
       
+      if (note && changedFields.length > 0) {
+        await revisionService.recordRevision(note, { authorId, changedFields, restoredFrom });
+        changeFeedService.publish('updated', note);
+        await this.updateLinks(ownerId, note, existing, authorId);
+      }
+      
       return note;
     } catch (error) {
       if (error.name === 'CastError') {
         return null;
       }
+      if (error instanceof TagValidationError) {
+        throw error;
+      }
       throw new Error(`Failed to update note: ${error.message}`);
     }
   }
   
   /**
-   * Delete a note by ID
+   * Compute the fields to set for an update and which revisioned fields change
+   * @param {Object} existing - Current note
+   * @param {Object} updateData - { title, body, tags, format }, missing fields are kept
+   * @returns {Object} { updateObj, changedFields }
+   */
+  prepareUpdate(existing, updateData) {
+    const { title, body, tags, format } = updateData;
+    const updateObj = {
+      updatedAt: Date.now()
+    };
+    
+    if (title) updateObj.title = title.trim();
+    if (body) updateObj.body = body.trim();
+    if (tags) updateObj.tags = normalizeTags(tags);
+    if (format) updateObj.format = format;
+    
+    const current = { ...existing, format: existing.format || 'plain' };
+    const changedFields = REVISIONED_FIELDS.filter(field =>
+      updateObj[field] !== undefined &&
+      JSON.stringify(updateObj[field]) !== JSON.stringify(current[field])
+    );
+    
+    // Keep the derived plain text in step with the body
+    if (changedFields.includes('body') || changedFields.includes('format')) {
+      updateObj.searchText = toPlainText(updateObj.body || existing.body, updateObj.format || current.format);
+    }
+    if (changedFields.includes('body')) {
+      updateObj.contentHash = contentHash(updateObj.body);
+    }
+    
+    return { updateObj, changedFields };
+  }
+  
+  /**
+   * Keep the link graph in step with a created or changed note
+   * A changed body re-parses the note's [[links]]. A new title resolves broken links
+   * to it, and [[Old Title]] links in the notes linking to it are rewritten (as a
+   * new revision of those notes).
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} note - Note after the change
+   * @param {Object} previous - Note before the change, omitted for new notes
+   * @param {string} authorId - Id of the user making the change
+   */
+  async updateLinks(ownerId, note, previous, authorId = ownerId) {
+    if (!previous || previous.body !== note.body) {
+      await linkService.syncLinks(ownerId, [note]);
+    }
+    if (previous && previous.title === note.title) {
+      return;
+    }
+    
+    if (previous) {
+      const sourceIds = await linkService.titleLinkSources(ownerId, note._id);
+      for (const sourceId of sourceIds) {
+        const source = await Note.findOne({ _id: sourceId, ownerId, deletedAt: null }).select('body').lean();
+        if (!source) {
+          continue;
+        }
+        const body = rewriteWikiLinks(source.body, previous.title, note.title);
+        if (body !== source.body) {
+          await this.updateNote(ownerId, sourceId, { body }, { authorId });
+        }
+      }
+    }
+    await linkService.relinkTitles(ownerId, [note]);
+  }
+  
+  /**
+   * Whether changed fields alter the embedded text (title and plain text of the body)
+   * @param {Array<string>} changedFields - Changed revisioned fields
+   * @returns {boolean} True if the note must be re-embedded
+   */
+  needsEmbedding(changedFields) {
+    return ['title', 'body', 'format'].some(field => changedFields.includes(field));
+  }
+  
+  /**
+   * Restore an old revision as the new head of a note
+   * @param {string} ownerId - Id of the owning user
    * @param {string} id - MongoDB ObjectId
-   * @returns {Promise<boolean>} True if deleted, false if not found
+   * @param {number} revision - Revision number to restore
+   * @param {string} authorId - Id of the user restoring the revision
+   * @returns {Promise<Object|null>} Updated note or null if note/revision not found
    */
-  async deleteNote(id) {
+  async restoreRevision(ownerId, id, revision, authorId = ownerId) {
+    const snapshot = await revisionService.getRevision(ownerId, id, revision);
+    if (!snapshot) {
+      return null;
+    }
+    
+    return this.updateNote(ownerId, id, {
+      title: snapshot.title,
+      body: snapshot.body,
+      tags: snapshot.tags,
+      format: snapshot.format || 'plain'
+    }, { authorId, restoredFrom: revision });
+  }
+  
+  /**
+   * Move a note to the trash (soft delete)
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} id - MongoDB ObjectId
+   * @returns {Promise<boolean>} True if trashed, false if not found
+   */
+  async deleteNote(ownerId, id) {
     try {
-      const result = await Note.findByIdAndDelete(id);
-      return !!result;
+      const note = await Note.findOneAndUpdate(
+        { _id: id, ownerId, deletedAt: null },
+        {
+          $set: { deletedAt: new Date(), ...Note.pendingIndexFields() },
+          $inc: { 'outbox.version': 1 }
+        },
+        { new: true }
+      ).lean();
+      
+      changeFeedService.publish('deleted', note);
+      return !!note;
     } catch (error) {
       if (error.name === 'CastError') {
         return false;
@@ -174,20 +441,248 @@ class NoteService {
   }
   
   /**
-   * Get notes statistics
+   * Permanently delete a note (active or trashed) and its history
+   * The note disappears immediately; the index worker removes it from the
+   * vector store and then deletes the document and its revisions
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} id - MongoDB ObjectId
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  async permanentlyDeleteNote(ownerId, id) {
+    try {
+      const note = await Note.findOneAndUpdate(
+        { _id: id, ownerId, purgedAt: null },
+        [{ $set: this.purgeFields() }],
+        { new: true }
+      ).lean();
+      
+      changeFeedService.publish('deleted', note, { permanent: true });
+      return !!note;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return false;
+      }
+      throw new Error(`Failed to permanently delete note: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Restore a note from the trash
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} id - MongoDB ObjectId
+   * @returns {Promise<Object|null>} Restored note or null if not in the trash
+   */
+  async restoreNote(ownerId, id) {
+    try {
+      const note = await Note.findOneAndUpdate(
+        { _id: id, ownerId, deletedAt: { $ne: null }, purgedAt: null },
+        {
+          $set: { deletedAt: null, ...Note.pendingIndexFields() },
+          $inc: { 'outbox.version': 1 }
+        },
+        { new: true }
+      ).lean();
+      
+      changeFeedService.publish('restored', note);
+      return note;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw new Error(`Failed to restore note: ${error.message}`);
+    }
+  }
+  
+  /**
+   * List the notes in an owner's trash, most recently deleted first
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} Array of trashed notes
+   */
+  async getTrash(ownerId, options = {}) {
+    try {
+      const { limit = 50, skip = 0 } = options;
+      
+      const notes = await Note.find({ ownerId, deletedAt: { $ne: null }, purgedAt: null })
+        .sort({ deletedAt: -1 })
+        .limit(limit)
+        .skip(skip)
+        .lean();
+      
+      return notes;
+    } catch (error) {
+      throw new Error(`Failed to retrieve trash: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Permanently delete notes that have been in the trash since before a cutoff
+   * Like permanentlyDeleteNote, the documents are removed by the index worker
+   * @param {Date} cutoff - Notes trashed at or before this date are deleted
+   * @returns {Promise<number>} Number of notes queued for deletion
+   */
+  async purgeTrash(cutoff) {
+    try {
+      const expired = { deletedAt: { $ne: null, $lte: cutoff }, purgedAt: null };
+      const notes = await Note.find(expired).select('ownerId title tags revision createdAt updatedAt deletedAt').lean();
+      if (notes.length === 0) {
+        return 0;
+      }
+      
+      // The trash state is part of the filter, so notes restored in the meantime survive
+      const result = await Note.updateMany(
+        { ...expired, _id: { $in: notes.map(note => note._id) } },
+        [{ $set: this.purgeFields() }]
+      );
+      
+      let purged = notes;
+      if (result.modifiedCount < notes.length) {
+        const restored = await Note.find({ _id: { $in: notes.map(note => note._id) }, purgedAt: null }).select('_id').lean();
+        const restoredIds = new Set(restored.map(note => note._id.toString()));
+        purged = notes.filter(note => !restoredIds.has(note._id.toString()));
+      }
+      changeFeedService.publish('deleted', purged, { permanent: true });
+      
+      return result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Failed to purge trash: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Update pipeline stage fields marking a note as permanently deleted
+   * and queueing its removal from the vector index
+   * @param {Date|string} purgedAt - Purge time (default: the server's time)
+   * @returns {Object} $set fields for an update pipeline
+   */
+  purgeFields(purgedAt = '$$NOW') {
+    return {
+      ...Note.pendingIndexFields(),
+      deletedAt: { $ifNull: ['$deletedAt', purgedAt] },
+      purgedAt,
+      'outbox.version': { $add: [{ $ifNull: ['$outbox.version', 0] }, 1] }
+    };
+  }
+  
+  /**
+   * Bring notes stored before bodies had a format up to date
+   * Notes without plain text get their body as plain text (they are all plain notes)
+   * and the old title/body text index is replaced by the title/searchText one.
+   * Safe to run on every startup, it does nothing once applied.
+   * @returns {Promise<number>} Number of notes updated
+   */
+  async migrateSearchText() {
+    try {
+      const result = await Note.updateMany(
+        { searchText: { $exists: false } },
+        [{ $set: { searchText: '$body', format: { $ifNull: ['$format', 'plain'] } } }],
+        { timestamps: false }
+      );
+      
+      let indexes = [];
+      try {
+        indexes = await Note.collection.indexes();
+      } catch (error) {
+        // A new database has no notes collection yet
+        if (error.codeName !== 'NamespaceNotFound') {
+          throw error;
+        }
+      }
+      if (indexes.some(index => index.name === LEGACY_TEXT_INDEX)) {
+        // A collection can only have one text index, so the new one is built after the drop
+        await Note.collection.dropIndex(LEGACY_TEXT_INDEX);
+        await Note.createIndexes();
+      }
+      
+      return result.modifiedCount;
+    } catch (error) {
+      throw new Error(`Failed to migrate search text: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Hash the bodies of notes stored before content hashes were kept
+   * Safe to run on every startup, it does nothing once applied.
+   * @returns {Promise<number>} Number of notes updated
+   */
+  async migrateContentHash() {
+    try {
+      let count = 0;
+      const cursor = Note.find({ contentHash: { $exists: false }, purgedAt: null })
+        .select('_id body')
+        .lean()
+        .cursor();
+      
+      let batch = [];
+      const flush = async () => {
+        if (batch.length > 0) {
+          await Note.bulkWrite(batch, { ordered: false });
+          count += batch.length;
+          batch = [];
+        }
+      };
+      
+      for await (const note of cursor) {
+        batch.push({
+          updateOne: {
+            filter: { _id: note._id },
+            update: { $set: { contentHash: contentHash(note.body) } },
+            timestamps: false
+          }
+        });
+        if (batch.length >= 500) {
+          await flush();
+        }
+      }
+      await flush();
+      
+      return count;
+    } catch (error) {
+      throw new Error(`Failed to migrate content hashes: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Count an owner's notes per vector index status
+   * @param {string} ownerId - Id of the owning user
+   * @returns {Promise<Object>} { pending, indexed, failed }
+   */
+  async getIndexStatusCounts(ownerId) {
+    const counts = await Note.aggregate([
+      { $match: { ownerId, purgedAt: null } },
+      { $group: { _id: '$indexStatus', count: { $sum: 1 } } }
+    ]);
+    
+    const result = { pending: 0, indexed: 0, failed: 0 };
+    for (const { _id: status, count } of counts) {
+      // Notes created before the outbox existed have no status and count as pending
+      result[status || 'pending'] += count;
+    }
+    return result;
+  }
+  
+  /**
+   * Get notes statistics for an owner
+   * @param {string} ownerId - Id of the owning user
    * @returns {Promise<Object>} Statistics object
    */
-  async getNotesStats() {
+  async getNotesStats(ownerId) {
     try {
-      const totalNotes = await Note.countDocuments();
+      const totalNotes = await Note.countDocuments({ ownerId, deletedAt: null });
       const recentNotes = await Note.countDocuments({
+        ownerId,
+        deletedAt: null,
         createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
       });
+      const trashedNotes = await Note.countDocuments({ ownerId, deletedAt: { $ne: null }, purgedAt: null });
+      const indexStatus = await this.getIndexStatusCounts(ownerId);
       
       return {
         totalNotes,
         recentNotes,
-        lastWeek: recentNotes
+        lastWeek: recentNotes,
+        trashedNotes,
+        indexStatus
       };
     } catch (error) {
       throw new Error(`Failed to get notes statistics: ${error.message}`);
@@ -195,4 +690,7 @@ class NoteService {
   }
 }
 
-module.exports = new NoteService();
\ No newline at end of file
+const noteService = new NoteService();
+noteService.REVISIONED_FIELDS = REVISIONED_FIELDS;
+
+module.exports = noteService;
\ No newline at end of file
@@ -0,0 +1,159 @@
+const NoteRevision = require('../models/NoteRevision');
+const { diffLines, diffTags } = require('../utils/diffUtils');
+
+/**
+ * Service layer for note revision history
+ * Revisions are full snapshots so any two of them can be compared directly
+ */
+class RevisionService {
+
+  /**
+   * Store an immutable snapshot of a note
+   * @param {Object} note - Note after the change (must carry its revision number)
+   * @param {Object} options - { authorId, changedFields, restoredFrom }
+   * @returns {Promise<Object>} Created revision
+   */
+  async recordRevision(note, options = {}) {
+    try {
+      const { authorId = note.ownerId, changedFields = [], restoredFrom } = options;
+
+      const revision = await NoteRevision.create({
+        noteId: note._id,
+        ownerId: note.ownerId,
+        revision: note.revision || 1,
+        title: note.title,
+        body: note.body,
+        format: note.format || 'plain',
+        tags: note.tags || [],
+        authorId,
+        changedFields,
+        restoredFrom
+      });
+
+      return revision.toObject();
+    } catch (error) {
+      throw new Error(`Failed to record revision: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store snapshots of several notes in one write
+   * @param {Array<Object>} entries - [{ note, authorId, changedFields, restoredFrom }]
+   * @param {Object} options - { session } to write inside a transaction
+   */
+  async recordRevisions(entries, options = {}) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    try {
+      await NoteRevision.insertMany(entries.map(({ note, authorId = note.ownerId, changedFields = [], restoredFrom }) => ({
+        noteId: note._id,
+        ownerId: note.ownerId,
+        revision: note.revision || 1,
+        title: note.title,
+        body: note.body,
+        format: note.format || 'plain',
+        tags: note.tags || [],
+        authorId,
+        changedFields,
+        restoredFrom
+      })), { session: options.session });
+    } catch (error) {
+      throw new Error(`Failed to record revisions: ${error.message}`);
+    }
+  }
+
+  /**
+   * List revisions of a note, newest first
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} noteId - MongoDB ObjectId of the note
+   * @param {Object} options - { limit, skip }
+   * @returns {Promise<Array>} Revision summaries
+   */
+  async listRevisions(ownerId, noteId, options = {}) {
+    try {
+      const { limit = 50, skip = 0 } = options;
+
+      const revisions = await NoteRevision.find({ noteId, ownerId })
+        .sort({ revision: -1 })
+        .skip(skip)
+        .limit(limit);
+
+      return revisions.map(revision => revision.toSummary());
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return [];
+      }
+      throw new Error(`Failed to list revisions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a single revision
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} noteId - MongoDB ObjectId of the note
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object|null>} Revision or null if not found
+   */
+  async getRevision(ownerId, noteId, revision) {
+    try {
+      return await NoteRevision.findOne({ noteId, ownerId, revision }).lean();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw new Error(`Failed to retrieve revision: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compute a line-level diff between two revisions
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} noteId - MongoDB ObjectId of the note
+   * @param {number} from - Base revision number
+   * @param {number} to - Target revision number
+   * @returns {Promise<Object|null>} Diff or null if a revision is missing
+   */
+  async diffRevisions(ownerId, noteId, from, to) {
+    const [fromRevision, toRevision] = await Promise.all([
+      this.getRevision(ownerId, noteId, from),
+      this.getRevision(ownerId, noteId, to)
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return null;
+    }
+
+    return {
+      from,
+      to,
+      title: {
+        changed: fromRevision.title !== toRevision.title,
+        from: fromRevision.title,
+        to: toRevision.title
+      },
+      format: {
+        changed: (fromRevision.format || 'plain') !== (toRevision.format || 'plain'),
+        from: fromRevision.format || 'plain',
+        to: toRevision.format || 'plain'
+      },
+      body: diffLines(fromRevision.body, toRevision.body),
+      tags: diffTags(fromRevision.tags, toRevision.tags)
+    };
+  }
+
+  /**
+   * Remove the history of a note (used when a note is permanently deleted)
+   * @param {string} noteId - MongoDB ObjectId of the note
+   */
+  async deleteRevisions(noteId) {
+    try {
+      await NoteRevision.deleteMany({ noteId });
+    } catch (error) {
+      throw new Error(`Failed to delete revisions: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new RevisionService();
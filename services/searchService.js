@@ -0,0 +1,100 @@
+const Note = require('../models/Note');
+const vectorService = require('./vectorService');
+const { buildMongoFilter } = require('../utils/filterUtils');
+const { reciprocalRankFusion, weightedScoreFusion } = require('../utils/rankFusion');
+
+/**
+ * Hybrid search combining MongoDB text relevance with vector similarity
+ * Keyword search catches exact identifiers, semantic search catches paraphrases
+ */
+class SearchService {
+
+  /**
+   * Run text and vector search and fuse the two rankings
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} query - Search query
+   * @param {Object} options - { limit, mode ('rrf'|'weighted'), rrfK, textWeight, vectorWeight, threshold, filters }
+   * @returns {Promise<Array>} Fused results with per-source scores and ranks
+   */
+  async hybridSearch(ownerId, query, options = {}) {
+    const {
+      limit = 10,
+      mode = 'rrf',
+      rrfK = 60,
+      textWeight = 0.5,
+      vectorWeight = 0.5,
+      threshold = 0.3,
+      filters = {}
+    } = options;
+
+    // Fetch more candidates than requested so fusion has something to work with
+    const candidates = Math.min(limit * 3, 100);
+    const trimmed = query.trim();
+
+    const [textResults, vectorResults] = await Promise.all([
+      this.textCandidates(ownerId, trimmed, candidates, filters),
+      this.vectorCandidates(ownerId, trimmed, candidates, threshold, filters)
+    ]);
+
+    const rankings = { text: textResults, vector: vectorResults };
+    const weights = { text: textWeight, vector: vectorWeight };
+    const fused = mode === 'weighted'
+      ? weightedScoreFusion(rankings, { weights })
+      : reciprocalRankFusion(rankings, { k: rrfK, weights });
+
+    // Load the current notes so stale or trashed vector hits are dropped
+    const top = fused.slice(0, limit * 2);
+    const notes = await Note.find({
+      _id: { $in: top.map(result => result.id) },
+      ownerId,
+      deletedAt: null
+    });
+    const notesById = new Map(notes.map(note => [note._id.toString(), note]));
+
+    return top
+      .filter(result => notesById.has(result.id))
+      .slice(0, limit)
+      .map(result => ({
+        ...notesById.get(result.id).toSearchResult(),
+        tags: notesById.get(result.id).tags,
+        score: result.score,
+        sources: result.sources
+      }));
+  }
+
+  /**
+   * Ranked MongoDB text search candidates
+   * @returns {Promise<Array>} [{ id, score }]
+   */
+  async textCandidates(ownerId, query, limit, filters) {
+    try {
+      const filter = { ownerId, deletedAt: null, ...buildMongoFilter(filters) };
+      const results = await Note.searchByText(query, { limit, filter }).select('_id').lean();
+
+      return results.map(note => ({ id: note._id.toString(), score: note.score }));
+    } catch (error) {
+      console.warn('Text search failed during hybrid search:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Ranked vector search candidates, empty when the vector store is unavailable
+   * @returns {Promise<Array>} [{ id, score }]
+   */
+  async vectorCandidates(ownerId, query, limit, threshold, filters) {
+    if (!vectorService.isInitialized) {
+      return [];
+    }
+
+    try {
+      const results = await vectorService.vectorSearch(query, { limit, threshold, ownerId, filters });
+      return results.map(result => ({ id: String(result.id), score: result.score }));
+    } catch (error) {
+      console.warn('Vector search failed during hybrid search:', error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = new SearchService();
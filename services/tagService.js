@@ -0,0 +1,145 @@
+const Note = require('../models/Note');
+const revisionService = require('./revisionService');
+const changeFeedService = require('./changeFeedService');
+const { normalizeTag, TagValidationError } = require('../utils/tagUtils');
+const { escapeRegex } = require('../utils/filterUtils');
+
+/**
+ * Service layer for tag management
+ * Tags live on the notes themselves, so listing is an aggregation and
+ * renames/merges rewrite the tag arrays of every affected note
+ */
+class TagService {
+
+  /**
+   * List an owner's tags with usage counts
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} options - { limit, skip, sortBy ('count'|'name'), prefix }
+   * @returns {Promise<Array>} Array of { tag, count, lastUsedAt }
+   */
+  async listTags(ownerId, options = {}) {
+    try {
+      const { limit = 100, skip = 0, sortBy = 'count', prefix } = options;
+
+      const pipeline = [
+        { $match: { ownerId, deletedAt: null } },
+        { $unwind: '$tags' }
+      ];
+
+      if (prefix) {
+        pipeline.push({ $match: { tags: { $regex: `^${escapeRegex(normalizeTag(prefix))}` } } });
+      }
+
+      pipeline.push(
+        {
+          $group: {
+            _id: '$tags',
+            count: { $sum: 1 },
+            lastUsedAt: { $max: '$updatedAt' }
+          }
+        },
+        { $sort: sortBy === 'name' ? { _id: 1 } : { count: -1, _id: 1 } },
+        { $skip: skip },
+        { $limit: limit },
+        { $project: { _id: 0, tag: '$_id', count: 1, lastUsedAt: 1 } }
+      );
+
+      return await Note.aggregate(pipeline);
+    } catch (error) {
+      throw new Error(`Failed to list tags: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rename a tag on every note of an owner
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} from - Existing tag
+   * @param {string} to - New tag name
+   * @returns {Promise<Object>} { tag, notesUpdated }
+   */
+  async renameTag(ownerId, from, to) {
+    return this.mergeTags(ownerId, [from], to);
+  }
+
+  /**
+   * Merge several tags into one on every note of an owner
+   * Notes keep their tag order, the target takes the place of the first merged tag
+   * @param {string} ownerId - Id of the owning user
+   * @param {Array<string>} sources - Tags to merge away
+   * @param {string} target - Tag to merge into
+   * @returns {Promise<Object>} { tag, notesUpdated }
+   */
+  async mergeTags(ownerId, sources, target) {
+    try {
+      const normalizedTarget = normalizeTag(target);
+      if (!normalizedTarget) {
+        throw new TagValidationError('Target tag is required');
+      }
+
+      const normalizedSources = [...new Set(sources.map(normalizeTag))]
+        .filter(tag => tag && tag !== normalizedTarget);
+
+      if (normalizedSources.length === 0) {
+        return { tag: normalizedTarget, notesUpdated: 0 };
+      }
+
+      // Trashed notes are included so a restore brings back consistent tags
+      const affected = await Note.find({ ownerId, purgedAt: null, tags: { $in: normalizedSources } })
+        .select('_id')
+        .lean();
+      const ids = affected.map(note => note._id);
+
+      if (ids.length === 0) {
+        return { tag: normalizedTarget, notesUpdated: 0 };
+      }
+
+      // Replace sources with the target, then drop duplicates while keeping order
+      await Note.updateMany({ _id: { $in: ids }, ownerId }, [
+        {
+          $set: {
+            tags: {
+              $reduce: {
+                input: {
+                  $map: {
+                    input: '$tags',
+                    as: 'tag',
+                    in: { $cond: [{ $in: ['$$tag', normalizedSources] }, normalizedTarget, '$$tag'] }
+                  }
+                },
+                initialValue: [],
+                in: {
+                  $cond: [
+                    { $in: ['$$this', '$$value'] },
+                    '$$value',
+                    { $concatArrays: ['$$value', ['$$this']] }
+                  ]
+                }
+              }
+            },
+            revision: { $add: [{ $ifNull: ['$revision', 1] }, 1] },
+            updatedAt: '$$NOW',
+            // Queue the new tags for the vector index in the same write
+            ...Note.pendingIndexFields(),
+            'outbox.version': { $add: [{ $ifNull: ['$outbox.version', 0] }, 1] }
+          }
+        }
+      ]);
+
+      // Record the change in each note's history
+      const updatedNotes = await Note.find({ _id: { $in: ids } }).lean();
+      for (const note of updatedNotes) {
+        await revisionService.recordRevision(note, { authorId: ownerId, changedFields: ['tags'] });
+      }
+      changeFeedService.publish('updated', updatedNotes.filter(note => !note.deletedAt));
+
+      return { tag: normalizedTarget, notesUpdated: updatedNotes.length };
+    } catch (error) {
+      if (error instanceof TagValidationError) {
+        throw error;
+      }
+      throw new Error(`Failed to merge tags: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new TagService();
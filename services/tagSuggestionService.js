@@ -0,0 +1,245 @@
+const Note = require('../models/Note');
+const vectorService = require('./vectorService');
+const embeddingService = require('./embeddingService');
+const { cosineSimilarity, averageEmbeddings } = require('../utils/vectorUtils');
+const { toPlainText } = require('../utils/markdownUtils');
+const { tokenize, stem } = require('../utils/textEmbedding');
+const { extractKeywords, tagNameStems } = require('../utils/keywordUtils');
+const { MAX_TAGS_PER_NOTE } = require('../utils/tagUtils');
+
+// Most recently updated tagged notes the tag profiles are built from
+const MAX_PROFILE_NOTES = 1000;
+
+// Keywords kept per tag, the ones most typical of the tag compared to all tagged notes
+const PROFILE_KEYWORDS = 25;
+
+// Share of a tag's keyword weight a note must contain for full keyword overlap
+const KEYWORD_SATURATION = 0.5;
+
+// Weight of the embedding similarity in the confidence, the rest is keyword overlap
+const SIMILARITY_WEIGHT = 0.6;
+
+const DEFAULT_AUTO_TAG_CONFIDENCE = 0.5;
+const DEFAULT_MAX_AUTO_TAGS = 3;
+
+/**
+ * Service suggesting tags for a note from the owner's existing tag vocabulary
+ * Each tag gets a profile from the notes using it: the centroid of their stored
+ * embeddings and the keywords typical of them. A note is scored against every
+ * profile by embedding similarity and keyword overlap. Embeddings come from the
+ * configured provider, so with the offline provider no network call is made;
+ * without embeddings the suggestions rest on keywords alone.
+ */
+class TagSuggestionService {
+  constructor() {
+    this.autoTagOnCreate = false;
+    this.autoTagConfidence = DEFAULT_AUTO_TAG_CONFIDENCE;
+    this.maxAutoTags = DEFAULT_MAX_AUTO_TAGS;
+  }
+
+  /**
+   * Configure the auto-tag mode of POST /notes
+   * @param {Object} options - { autoTagOnCreate (boolean or 'true'/'false'), autoTagConfidence (0-1), maxAutoTags }
+   */
+  configure(options = {}) {
+    if (options.autoTagOnCreate !== undefined) {
+      this.autoTagOnCreate = options.autoTagOnCreate === true || options.autoTagOnCreate === 'true';
+    }
+    if (options.autoTagConfidence !== undefined && options.autoTagConfidence !== '') {
+      const confidence = Number(options.autoTagConfidence);
+      if (!(confidence >= 0 && confidence <= 1)) {
+        throw new Error(`Invalid auto-tag confidence: ${options.autoTagConfidence}`);
+      }
+      this.autoTagConfidence = confidence;
+    }
+    if (options.maxAutoTags) {
+      this.maxAutoTags = Number(options.maxAutoTags);
+    }
+  }
+
+  /**
+   * Suggest existing tags for a note
+   * Tags the note already has are not suggested
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} noteData - { title, body, format, tags }
+   * @param {Object} options - { limit, minConfidence }
+   * @returns {Promise<Array<Object>>} [{ tag, confidence, similarity, keywords, matchedKeywords, noteCount }], best first
+   */
+  async suggestTags(ownerId, noteData, options = {}) {
+    const { limit = 5, minConfidence = 0.2 } = options;
+    const note = {
+      title: (noteData.title || '').trim(),
+      body: (noteData.body || '').trim(),
+      format: noteData.format || 'plain'
+    };
+    const existing = new Set(noteData.tags || []);
+
+    try {
+      const profiles = await this.buildProfiles(ownerId);
+      if (profiles.size === 0) {
+        return [];
+      }
+
+      const text = `${note.title}\n${toPlainText(note.body, note.format)}`;
+      const keywords = extractKeywords(text);
+      const stems = new Set(tokenize(text).map(stem));
+      const vector = await this.embed(note);
+
+      const suggestions = [];
+      for (const profile of profiles.values()) {
+        if (existing.has(profile.tag)) {
+          continue;
+        }
+
+        const similarity = vector && profile.centroid
+          ? Math.max(0, Math.min(1, cosineSimilarity(vector, profile.centroid) / profile.cohesion))
+          : null;
+
+        const matched = profile.keywords.filter(({ term }) => keywords.has(term));
+        const matchedWeight = matched.reduce((sum, { weight }) => sum + weight, 0);
+        const overlap = profile.keywordWeight > 0 ? Math.min(1, matchedWeight / profile.keywordWeight / KEYWORD_SATURATION) : 0;
+        const nameMatch = profile.nameStems.length > 0 && profile.nameStems.every(term => stems.has(term));
+        const keywordScore = nameMatch ? 0.5 + 0.5 * overlap : overlap;
+
+        const confidence = similarity === null
+          ? keywordScore
+          : SIMILARITY_WEIGHT * similarity + (1 - SIMILARITY_WEIGHT) * keywordScore;
+
+        if (confidence >= minConfidence && confidence > 0) {
+          suggestions.push({
+            tag: profile.tag,
+            confidence: round(confidence),
+            similarity: similarity === null ? null : round(similarity),
+            keywords: round(keywordScore),
+            matchedKeywords: matched.slice(0, 5).map(({ term }) => term),
+            noteCount: profile.noteCount
+          });
+        }
+      }
+
+      return suggestions
+        .sort((a, b) => b.confidence - a.confidence || b.noteCount - a.noteCount || a.tag.localeCompare(b.tag))
+        .slice(0, limit);
+    } catch (error) {
+      throw new Error(`Failed to suggest tags: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tags to add to a new note in auto-tag mode: confident suggestions, as many as fit
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} noteData - { title, body, format, tags }
+   * @returns {Promise<Array<string>>} Tags to add (none of them already on the note)
+   */
+  async autoTags(ownerId, noteData) {
+    const room = Math.min(this.maxAutoTags, MAX_TAGS_PER_NOTE - (noteData.tags || []).length);
+    if (room <= 0) {
+      return [];
+    }
+
+    const suggestions = await this.suggestTags(ownerId, noteData, { limit: room, minConfidence: this.autoTagConfidence });
+    return suggestions.map(suggestion => suggestion.tag);
+  }
+
+  /**
+   * Note-level embedding of the note, null when no embedding can be generated
+   * @param {Object} note - { title, body, format }
+   * @returns {Promise<Array|null>} Embedding
+   */
+  async embed(note) {
+    if (!embeddingService.getDimension() || !note.body) {
+      return null;
+    }
+
+    try {
+      return await vectorService.embedNote(note);
+    } catch (error) {
+      console.warn(`Embedding for tag suggestions failed, using keywords only: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Build the profile of every tag used by the owner's recently updated (non-trashed) notes
+   * Keyword weights are how much more often a keyword appears in the tag's notes than in
+   * tagged notes overall, so words every note shares do not count. The centroid is the
+   * average of the stored embeddings of the current provider, and the cohesion the mean
+   * similarity of those notes to it: similarity to the centroid is divided by it, so a
+   * note as close as the tag's own notes scores 1 whatever the provider's scale.
+   * @param {string} ownerId - Id of the owning user
+   * @returns {Promise<Map>} Tag to { tag, noteCount, centroid, cohesion, keywords: [{ term, weight }], keywordWeight, nameStems }
+   */
+  async buildProfiles(ownerId) {
+    const notes = await Note.find({ ownerId, deletedAt: null, 'tags.0': { $exists: true } })
+      .select('title body format searchText tags embedding')
+      .sort({ updatedAt: -1 })
+      .limit(MAX_PROFILE_NOTES)
+      .lean();
+
+    const dimension = embeddingService.getDimension();
+    const documentCounts = new Map();
+    const tags = new Map();
+
+    for (const note of notes) {
+      const text = `${note.title}\n${typeof note.searchText === 'string' ? note.searchText : toPlainText(note.body, note.format)}`;
+      const keywords = extractKeywords(text);
+      keywords.forEach(term => documentCounts.set(term, (documentCounts.get(term) || 0) + 1));
+
+      const vector = note.embedding && note.embedding.length > 0 && note.embedding.length === dimension ? note.embedding : null;
+      for (const tag of new Set(note.tags)) {
+        if (!tags.has(tag)) {
+          tags.set(tag, { noteCount: 0, vectors: [], termCounts: new Map() });
+        }
+        const entry = tags.get(tag);
+        entry.noteCount++;
+        if (vector) {
+          entry.vectors.push(vector);
+        }
+        keywords.forEach(term => entry.termCounts.set(term, (entry.termCounts.get(term) || 0) + 1));
+      }
+    }
+
+    const profiles = new Map();
+    for (const [tag, entry] of tags) {
+      const keywords = [...entry.termCounts]
+        .map(([term, count]) => ({ term, weight: count / entry.noteCount - documentCounts.get(term) / notes.length }))
+        .filter(({ weight }) => weight > 0)
+        .sort((a, b) => b.weight - a.weight || a.term.localeCompare(b.term))
+        .slice(0, PROFILE_KEYWORDS);
+
+      let centroid = null;
+      let cohesion = 1;
+      if (entry.vectors.length > 0) {
+        centroid = averageEmbeddings(entry.vectors);
+        const similarities = entry.vectors.map(vector => cosineSimilarity(vector, centroid));
+        cohesion = Math.max(similarities.reduce((sum, value) => sum + value, 0) / similarities.length, Number.EPSILON);
+      }
+
+      profiles.set(tag, {
+        tag,
+        noteCount: entry.noteCount,
+        centroid,
+        cohesion,
+        keywords,
+        keywordWeight: keywords.reduce((sum, { weight }) => sum + weight, 0),
+        nameStems: tagNameStems(tag)
+      });
+    }
+
+    return profiles;
+  }
+}
+
+/**
+ * Round a score to three decimals
+ * @param {number} value - Score
+ * @returns {number} Rounded score
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+const tagSuggestionService = new TagSuggestionService();
+tagSuggestionService.MAX_PROFILE_NOTES = MAX_PROFILE_NOTES;
+
+module.exports = tagSuggestionService;
@@ -0,0 +1,76 @@
+const noteService = require('./noteService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Background purge of trashed notes
+ * Hard-deletes notes once they have been in the trash longer than the retention period;
+ * the index worker removes them from the vector store and deletes the documents
+ */
+class TrashService {
+  constructor() {
+    this.retentionDays = 30;
+    this.intervalMs = 60 * 60 * 1000;
+    this.timer = null;
+    this.running = false;
+    this.logger = console;
+  }
+
+  /**
+   * Start the periodic purge
+   * @param {Object} options - { retentionDays, intervalMs, logger }
+   */
+  start(options = {}) {
+    this.stop();
+
+    if (options.retentionDays !== undefined) this.retentionDays = Number(options.retentionDays);
+    if (options.intervalMs !== undefined) this.intervalMs = Number(options.intervalMs);
+    if (options.logger) this.logger = options.logger;
+
+    this.timer = setInterval(() => {
+      this.purgeExpired().catch(error => {
+        this.logger.error(`Trash purge failed: ${error.message}`);
+      });
+    }, this.intervalMs);
+
+    // Do not keep the process alive just for the purge
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the periodic purge
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Purge every note whose retention period has expired
+   * @returns {Promise<number>} Number of notes queued for deletion
+   */
+  async purgeExpired() {
+    // Skip if the previous run is still going
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    try {
+      const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS);
+      const purged = await noteService.purgeTrash(cutoff);
+
+      if (purged > 0) {
+        this.logger.info(`Purged ${purged} notes from the trash`);
+      }
+
+      return purged;
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new TrashService();
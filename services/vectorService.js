@@ -1,110 +1,286 @@
-const { QdrantClient } = require('@qdrant/qdrant-js');
-const { generateEmbedding } = require('../utils/vectorUtils');
+const Note = require('../models/Note');
+const embeddingService = require('./embeddingService');
+const { createVectorStore } = require('./vectorStores');
+const { chunkText } = require('../utils/chunkUtils');
+const { toPlainText } = require('../utils/markdownUtils');
+const { averageEmbeddings } = require('../utils/vectorUtils');
 
 /**
- * AI-generated vector search service using Qdrant
- * Handles semantic search capabilities for notes
+ * AI-generated vector search service
+ * Handles semantic search capabilities for notes on top of a pluggable vector
+ * store: Qdrant, or a local in-memory index over the embeddings in MongoDB
  */
 class VectorService {
   constructor() {
-    this.client = null;
-    this.collectionName = 'notes';
-    this.vectorSize = 1536; // OpenAI embedding size
+    this.store = null;
+    this.backend = null;
+    this.chunkOptions = {};
     this.isInitialized = false;
   }
 
   /**
-   * Initialize Qdrant client and collection
+   * Select and initialize the vector store
+   * Defaults to Qdrant when a URL is configured and to the local store otherwise;
+   * backend 'none' disables vector search. Requires an initialized embedding service,
+   * whose dimension sizes the store. A store that cannot be reached disables vector
+   * search; an unknown backend or a store with the wrong dimension fails startup
+   * @param {Object} options - { backend ('qdrant'|'local'|'none'), qdrantUrl, qdrantApiKey, qdrantCollection, chunkSize, chunkOverlap }
    */
-  async initialize() {
+  async initialize(options = {}) {
+    const backend = options.backend || (options.qdrantUrl ? 'qdrant' : 'local');
+    this.chunkOptions = {
+      chunkSize: Number(options.chunkSize) || undefined,
+      overlap: options.chunkOverlap === undefined || options.chunkOverlap === '' ? undefined : Number(options.chunkOverlap)
+    };
+
+    if (backend === 'none') {
+      console.log('Vector store disabled, vector search unavailable');
+      return;
+    }
+
+    // Configuration errors are thrown as is, they will not go away by retrying
+    this.store = createVectorStore(backend, {
+      url: options.qdrantUrl,
+      apiKey: options.qdrantApiKey,
+      collectionName: options.qdrantCollection,
+      vectorSize: embeddingService.getProvider().dimension,
+      toPayload: note => this.buildIndexPayload(note),
+      toText: note => this.noteText(note)
+    });
+
     try {
-      if (process.env.QDRANT_URL) {
-        this.client = new QdrantClient({
-          url: process.env.QDRANT_URL,
-          apiKey: process.env.QDRANT_API_KEY
-        });
-
-        // Create collection if it doesn't exist
-        await this.ensureCollection();
-        this.isInitialized = true;
-        console.log('Vector service initialized successfully');
-      } else {
-        console.log('Qdrant URL not configured, vector search disabled');
-      }
+      await this.store.initialize();
+      this.backend = backend;
+      this.isInitialized = true;
+      console.log(`Vector service initialized successfully (${backend} store)`);
     } catch (error) {
-      console.error('Failed to initialize vector service:', error.message);
+      this.store = null;
       this.isInitialized = false;
+
+      if (error.code === 'EMBEDDING_DIMENSION_MISMATCH') {
+        throw error;
+      }
+      console.error('Failed to initialize vector service:', error.message);
     }
   }
 
   /**
-   * Ensure the notes collection exists in Qdrant
+   * Build the filterable payload stored next to a note's vector
+   * @param {Object} note - Note document
+   * @returns {Object} Payload without the body
    */
-  async ensureCollection() {
-    try {
-      const collections = await this.client.getCollections();
-      const collectionExists = collections.collections.some(
-        col => col.name === this.collectionName
-      );
-
-      if (!collectionExists) {
-        await this.client.createCollection(this.collectionName, {
-          vectors: {
-            size: this.vectorSize,
-            distance: 'Cosine'
-          }
-        });
-        console.log(`Created collection: ${this.collectionName}`);
+  buildPayload(note) {
+    const createdAt = new Date(note.createdAt || Date.now());
+    const updatedAt = new Date(note.updatedAt || createdAt);
+
+    return {
+      ownerId: note.ownerId,
+      title: note.title,
+      tags: note.tags || [],
+      createdAt: createdAt.toISOString(),
+      updatedAt: updatedAt.toISOString(),
+      createdAtTs: createdAt.getTime(),
+      updatedAtTs: updatedAt.getTime()
+    };
+  }
+
+  /**
+   * Full payload written when a note is (re-)indexed
+   * Shared by all passages of the note
+   * @param {Object} note - Note document
+   * @returns {Object} Payload with truncated body and trash state
+   */
+  buildIndexPayload(note) {
+    return {
+      ...this.buildPayload(note),
+      body: this.noteText(note).substring(0, 500), // Store truncated plain text
+      trashed: Boolean(note.deletedAt)
+    };
+  }
+
+  /**
+   * Text of a note that is embedded: the body, with Markdown syntax stripped
+   * @param {Object} note - Note document
+   * @returns {string} Plain text
+   */
+  noteText(note) {
+    return typeof note.searchText === 'string' ? note.searchText : toPlainText(note.body, note.format);
+  }
+
+  /**
+   * Split the text of a note into the overlapping passages that are embedded
+   * @param {Object} note - Note document
+   * @returns {Array<Object>} [{ start, end, text }] with offsets into the plain text
+   */
+  chunkNote(note) {
+    return chunkText(this.noteText(note), this.chunkOptions);
+  }
+
+  /**
+   * Text sent to the embedding provider for a passage: the title gives every passage its context
+   * @param {Object} note - Note document
+   * @param {Object} chunk - Passage from chunkNote
+   * @returns {string} Embedding input
+   */
+  passageInput(note, chunk) {
+    return `${note.title}\n${chunk.text}`;
+  }
+
+  /**
+   * Note-level embedding of a note that is not stored (yet), computed like the index does
+   * The passages go through the embedding cache, so indexing the same note later costs no request
+   * @param {Object} note - { title, body, format }
+   * @returns {Promise<Array>} Average of the passage embeddings
+   */
+  async embedNote(note) {
+    const chunks = this.chunkNote(note);
+    const embeddings = await embeddingService.generateEmbeddings(chunks.map(chunk => this.passageInput(note, chunk)));
+    return averageEmbeddings(embeddings);
+  }
+
+  /**
+   * Build the store record of a note: one vector per passage plus the shared payload
+   * @param {Object} note - Note document
+   * @param {Array<Object>} chunks - [{ start, end, embedding }] with offsets into the plain text
+   * @returns {Object} { id, payload, chunks: [{ vector, start, end, text }] }
+   */
+  toStoreRecord(note, chunks) {
+    const text = this.noteText(note);
+    return {
+      id: note._id.toString(),
+      payload: this.buildIndexPayload(note),
+      chunks: chunks.map(chunk => ({
+        vector: chunk.embedding,
+        start: chunk.start,
+        end: chunk.end,
+        text: text.substring(chunk.start, chunk.end)
+      }))
+    };
+  }
+
+  /**
+   * Embed the passages of several notes in one request and write them to MongoDB and the store
+   * The passages and their average (the note-level embedding) are stored on the note so
+   * they survive a change of store and metadata updates need no embedding call
+   * @param {Array<Object>} notes - Note documents
+   */
+  async writeIndex(notes) {
+    const chunked = notes.map(note => this.chunkNote(note));
+    const embeddings = await embeddingService.generateEmbeddings(
+      chunked.flatMap((chunks, index) => chunks.map(chunk => this.passageInput(notes[index], chunk)))
+    );
+
+    let offset = 0;
+    const records = notes.map((note, index) => {
+      const chunks = chunked[index].map(chunk => ({ start: chunk.start, end: chunk.end, embedding: embeddings[offset++] }));
+      return { note, chunks, embedding: averageEmbeddings(chunks.map(chunk => chunk.embedding)) };
+    });
+
+    // Storing the embeddings is not a user-visible change, keep updatedAt as is
+    await Note.bulkWrite(records.map(({ note, chunks, embedding }) => ({
+      updateOne: {
+        filter: { _id: note._id },
+        update: { $set: { embedding, chunks } },
+        timestamps: false
       }
+    })), { ordered: false });
+    await this.store.upsertMany(records.map(({ note, chunks }) => this.toStoreRecord(note, chunks)));
+  }
+
+  /**
+   * Index a note with vector embeddings of its passages
+   * @param {Object} note - Note document (_id, ownerId, title, body, tags, timestamps)
+   */
+  async indexNote(note) {
+    if (!this.isInitialized) {
+      console.warn('Vector service not initialized, skipping indexing');
+      return;
+    }
+
+    try {
+      await this.writeIndex([note]);
+      console.log(`Indexed note: ${note._id}`);
     } catch (error) {
-      console.error('Failed to ensure collection:', error.message);
+      console.error('Failed to index note:', error.message);
       throw error;
     }
   }
 
   /**
-   * Index a note with vector embedding
-   * @param {string} noteId - MongoDB note ID
-   * @param {string} title - Note title
-   * @param {string} body - Note body
+   * Index several notes with one embedding request and one store write
+   * If the batch fails, notes are retried one by one so a single bad note
+   * does not fail the whole batch
+   * @param {Array<Object>} notes - Note documents
+   * @returns {Promise<Object>} { indexed: [noteId], failed: [{ noteId, error }] }
    */
-  async indexNote(noteId, title, body) {
+  async indexNotes(notes) {
     if (!this.isInitialized) {
-      console.warn('Vector service not initialized, skipping indexing');
+      throw new Error('Vector service not initialized');
+    }
+    if (notes.length === 0) {
+      return { indexed: [], failed: [] };
+    }
+
+    try {
+      await this.writeIndex(notes);
+      return { indexed: notes.map(note => note._id.toString()), failed: [] };
+    } catch (batchError) {
+      console.warn(`Batch indexing failed, retrying notes individually: ${batchError.message}`);
+    }
+
+    const result = { indexed: [], failed: [] };
+    for (const note of notes) {
+      try {
+        await this.indexNote(note);
+        result.indexed.push(note._id.toString());
+      } catch (error) {
+        result.failed.push({ noteId: note._id.toString(), error: error.message });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Re-upsert notes with their stored embeddings and current metadata
+   * Used for metadata-only changes (tags, trash state), no embedding is generated
+   * and notes missing from the store are written back
+   * @param {Array<Object>} notes - Note documents including their embeddings
+   */
+  async refreshNotes(notes) {
+    if (!this.isInitialized) {
+      throw new Error('Vector service not initialized');
+    }
+    if (notes.length === 0) {
       return;
     }
 
     try {
-      const content = `${title} ${body}`;
-      const embedding = await generateEmbedding(content);
-
-      await this.client.upsert(this.collectionName, {
-        wait: true,
-        points: [
-          {
-            id: noteId,
-            vector: embedding,
-            payload: {
-              title,
-              body: body.substring(0, 500), // Store truncated body
-              createdAt: new Date().toISOString()
-            }
-          }
-        ]
-      });
-
-      console.log(`Indexed note: ${noteId}`);
+      await this.store.upsertMany(notes.map(note => this.toStoreRecord(note, this.storedChunks(note))));
     } catch (error) {
-      console.error('Failed to index note:', error.message);
+      console.error('Failed to refresh notes in index:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Passages stored on a note; notes embedded before chunking count as one passage
+   * @param {Object} note - Note document including its embeddings
+   * @returns {Array<Object>} [{ start, end, embedding }]
+   */
+  storedChunks(note) {
+    if (note.chunks && note.chunks.length > 0) {
+      return note.chunks;
+    }
+    return [{ start: 0, end: this.noteText(note).length, embedding: note.embedding }];
+  }
+
   /**
    * Search for similar notes using vector similarity
+   * Passages are grouped by note: every note appears once, scored by and returned
+   * with its best-matching passage. Results are always restricted to the notes of options.ownerId
    * @param {string} query - Search query
    * @param {Object} options - Search options
-   * @returns {Promise<Array>} Array of similar notes with scores
+   * @returns {Promise<Array>} Array of similar notes with scores and passages
    */
   async vectorSearch(query, options = {}) {
     if (!this.isInitialized) {
@@ -112,27 +288,19 @@ class VectorService {
     }
 
     try {
-      const { limit = 10, threshold = 0.7 } = options;
-      
+      const { limit = 10, threshold = 0.7, ownerId, filters = {} } = options;
+
+      if (!ownerId) {
+        throw new Error('Owner id is required for vector search');
+      }
+
       // Generate embedding for the query
-      const queryEmbedding = await generateEmbedding(query);
+      const queryEmbedding = await embeddingService.generateEmbedding(query);
 
       // Search for similar vectors
-      const searchResult = await this.client.search(this.collectionName, {
-        vector: queryEmbedding,
-        limit,
-        score_threshold: threshold,
-        with_payload: true
-      });
-
-      // Format results
-      return searchResult.map(result => ({
-        id: result.id,
-        score: result.score,
-        title: result.payload.title,
-        body: result.payload.body,
-        createdAt: result.payload.createdAt
-      }));
+      const searchResult = await this.store.search(queryEmbedding, { limit, threshold, ownerId, filters });
+
+      return searchResult.map(result => this.toSearchResult(result));
     } catch (error) {
       console.error('Vector search failed:', error.message);
       throw error;
@@ -140,42 +308,103 @@ class VectorService {
   }
 
   /**
-   * Remove a note from vector index
-   * @param {string} noteId - MongoDB note ID
+   * Find the notes most similar to a note, using the note's stored embedding
+   * No embedding is generated: the vector comes from the note in MongoDB or,
+   * for notes whose embedding is not stored there, from the vector store
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} noteId - MongoDB ObjectId of the note
+   * @param {Object} options - { limit, threshold, filters }
+   * @returns {Promise<Array|null>} Similar notes (without the note itself) or null if the note does not exist
    */
-  async removeNote(noteId) {
+  async relatedNotes(ownerId, noteId, options = {}) {
     if (!this.isInitialized) {
+      throw new Error('Vector service not initialized');
+    }
+
+    const { limit = 5, threshold = 0.5, filters = {} } = options;
+
+    let note;
+    try {
+      note = await Note.findOne({ _id: noteId, ownerId, deletedAt: null }).select('_id embedding').lean();
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw error;
+    }
+    if (!note) {
+      return null;
+    }
+
+    let vector = note.embedding && note.embedding.length > 0 ? note.embedding : await this.store.getNoteVector(note._id.toString());
+    if (vector && vector.length !== embeddingService.getDimension()) {
+      // Embedded by a previous provider, not comparable until re-embedded
+      vector = null;
+    }
+    if (!vector) {
+      const error = new Error('Note has not been embedded yet, retry once it is indexed');
+      error.code = 'NOTE_NOT_EMBEDDED';
+      throw error;
+    }
+
+    // The note itself is the best match, ask for one more result
+    const searchResult = await this.store.search(vector, { limit: limit + 1, threshold, ownerId, filters });
+
+    return searchResult
+      .filter(result => String(result.id) !== note._id.toString())
+      .slice(0, limit)
+      .map(result => this.toSearchResult(result));
+  }
+
+  /**
+   * API representation of a store search match
+   * @param {Object} result - { id, score, payload, passage }
+   * @returns {Object} { id, score, title, body, tags, createdAt, passage }
+   */
+  toSearchResult(result) {
+    return {
+      id: result.id,
+      score: result.score,
+      title: result.payload.title,
+      body: result.payload.body,
+      tags: result.payload.tags,
+      createdAt: result.payload.createdAt,
+      passage: result.passage
+    };
+  }
+
+  /**
+   * Remove several notes from the vector index in one request
+   * @param {Array<string>} noteIds - MongoDB note IDs
+   */
+  async removeNotes(noteIds) {
+    if (!this.isInitialized || noteIds.length === 0) {
       return;
     }
 
     try {
-      await this.client.delete(this.collectionName, {
-        wait: true,
-        points: [noteId]
-      });
+      await this.store.delete(noteIds.map(String));
 
-      console.log(`Removed note from index: ${noteId}`);
+      console.log(`Removed ${noteIds.length} notes from index`);
     } catch (error) {
-      console.error('Failed to remove note from index:', error.message);
+      console.error('Failed to remove notes from index:', error.message);
+      throw error;
     }
   }
 
   /**
-   * Get collection statistics
-   * @returns {Promise<Object>} Collection stats
+   * Get vector store statistics
+   * @param {string} ownerId - Only count the vectors of this owner (optional, store-wide otherwise)
+   * @returns {Promise<Object>} Store stats
    */
-  async getStats() {
+  async getStats(ownerId) {
     if (!this.isInitialized) {
       return { error: 'Vector service not initialized' };
     }
 
     try {
-      const info = await this.client.getCollection(this.collectionName);
-      return {
-        vectorCount: info.vectors_count,
-        indexedCount: info.indexed_vectors_count,
-        status: info.status
-      };
+      const stats = await this.store.getStats(ownerId);
+      return { backend: this.backend, ...stats };
     } catch (error) {
       console.error('Failed to get vector stats:', error.message);
       return { error: error.message };
@@ -192,8 +421,7 @@ class VectorService {
     }
 
     try {
-      await this.client.getCollections();
-      return true;
+      return await this.store.healthCheck();
     } catch (error) {
       console.error('Vector service health check failed:', error.message);
       return false;
@@ -201,4 +429,4 @@ class VectorService {
   }
 }
 
-module.exports = new VectorService();
\ No newline at end of file
+module.exports = new VectorService();
@@ -0,0 +1,32 @@
+const QdrantStore = require('./qdrantStore');
+const LocalStore = require('./localStore');
+
+/**
+ * Available vector store backends
+ * A backend implements initialize, upsertMany, setPayload, delete, search,
+ * getNoteVector, getStats and healthCheck (see qdrantStore.js and localStore.js). Records are notes
+ * with one vector per body passage; searches return each note once, with its best passage
+ */
+const VECTOR_STORES = {
+  qdrant: QdrantStore,
+  local: LocalStore
+};
+
+/**
+ * Create a vector store backend by name
+ * @param {string} name - Backend name ('qdrant' or 'local')
+ * @param {Object} options - Backend specific options
+ * @returns {Object} Vector store instance
+ */
+function createVectorStore(name, options = {}) {
+  const Store = VECTOR_STORES[name];
+  if (!Store) {
+    throw new Error(`Unknown vector store: ${name} (expected one of ${Object.keys(VECTOR_STORES).join(', ')})`);
+  }
+  return new Store(options);
+}
+
+module.exports = {
+  VECTOR_STORES,
+  createVectorStore
+};
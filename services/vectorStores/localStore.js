@@ -0,0 +1,192 @@
+const Note = require('../../models/Note');
+const { cosineSimilarity, averageEmbeddings } = require('../../utils/vectorUtils');
+const { matchesNoteFilters } = require('../../utils/filterUtils');
+
+/**
+ * In-process vector store over the embeddings stored on the notes in MongoDB
+ * All embeddings are loaded into memory at startup and kept warm by the write
+ * path, so searches are a brute-force cosine scan without any round trip.
+ * Suited to small deployments and offline environments (roughly 6KB of memory
+ * per 1536-dimension passage); the index is per process, so run a single instance
+ * or use Qdrant when scaling out.
+ */
+class LocalStore {
+  /**
+   * @param {Object} options - { toPayload(note), toText(note) (text passage offsets refer to), model, vectorSize }
+   */
+  constructor(options = {}) {
+    this.name = 'local';
+    this.model = options.model || Note;
+    this.vectorSize = options.vectorSize || null;
+    this.toPayload = options.toPayload || (note => ({ ownerId: note.ownerId }));
+    this.toText = options.toText || (note => note.body);
+    this.entries = new Map(); // noteId -> { payload, chunks: [{ vector, start, end, text }] }
+  }
+
+  /**
+   * Load every stored embedding into memory
+   * Embeddings of another dimension (from a previous embedding provider) are
+   * skipped until the notes are re-embedded
+   */
+  async initialize() {
+    this.entries.clear();
+    let mismatched = 0;
+
+    const cursor = this.model
+      .find({ embedding: { $exists: true, $ne: [] } })
+      .select('ownerId title body format searchText tags createdAt updatedAt deletedAt embedding chunks')
+      .lean()
+      .cursor();
+
+    for await (const note of cursor) {
+      if (this.vectorSize && note.embedding.length !== this.vectorSize) {
+        mismatched++;
+        continue;
+      }
+
+      // Notes embedded before chunking have a single passage
+      const text = this.toText(note);
+      const chunks = note.chunks && note.chunks.length > 0
+        ? note.chunks
+        : [{ start: 0, end: text.length, embedding: note.embedding }];
+
+      this.entries.set(note._id.toString(), {
+        payload: this.toPayload(note),
+        chunks: chunks.map(chunk => ({
+          vector: Float32Array.from(chunk.embedding),
+          start: chunk.start,
+          end: chunk.end,
+          text: text.substring(chunk.start, chunk.end)
+        }))
+      });
+    }
+
+    console.log(`Loaded ${this.entries.size} notes into the local vector index`);
+    if (mismatched > 0) {
+      console.warn(`Skipped ${mismatched} embeddings that are not ${this.vectorSize}-dimensional, run POST /admin/reindex to re-embed them`);
+    }
+  }
+
+  /**
+   * Insert or replace the passages of several notes
+   * The embeddings themselves are persisted on the notes by the vector service
+   * @param {Array<Object>} records - [{ id, payload, chunks: [{ vector, start, end, text }] }] keyed by MongoDB note ID
+   */
+  async upsertMany(records) {
+    for (const record of records) {
+      this.entries.set(String(record.id), {
+        payload: record.payload,
+        chunks: record.chunks.map(chunk => ({ ...chunk, vector: Float32Array.from(chunk.vector) }))
+      });
+    }
+  }
+
+  /**
+   * Merge metadata into already indexed notes
+   * @param {Array<string>} noteIds - MongoDB note IDs
+   * @param {Object} payload - Fields to set
+   */
+  async setPayload(noteIds, payload) {
+    for (const noteId of noteIds) {
+      const entry = this.entries.get(String(noteId));
+      if (entry) {
+        entry.payload = { ...entry.payload, ...payload };
+      }
+    }
+  }
+
+  /**
+   * Delete notes and all their passages from the index
+   * @param {Array<string>} noteIds - MongoDB note IDs
+   */
+  async delete(noteIds) {
+    noteIds.forEach(noteId => this.entries.delete(String(noteId)));
+  }
+
+  /**
+   * Note-level vector of an indexed note, the average of its passage vectors
+   * @param {string} noteId - MongoDB note ID
+   * @returns {Promise<Array|null>} Vector or null if the note is not indexed
+   */
+  async getNoteVector(noteId) {
+    const entry = this.entries.get(String(noteId));
+    if (!entry || entry.chunks.length === 0) {
+      return null;
+    }
+    return averageEmbeddings(entry.chunks.map(chunk => Array.from(chunk.vector)));
+  }
+
+  /**
+   * Find the notes of an owner whose passages are closest to a vector
+   * @param {Array<number>} vector - Query embedding
+   * @param {Object} options - { limit, threshold, ownerId, filters }
+   * @returns {Promise<Array>} [{ id, score, payload, passage }] best first, one per note
+   */
+  async search(vector, options) {
+    const { limit = 10, threshold = 0, ownerId, filters = {} } = options;
+    const matches = [];
+
+    for (const [id, entry] of this.entries) {
+      const { payload } = entry;
+      if (payload.ownerId !== ownerId || payload.trashed) continue;
+      if (!matchesNoteFilters(payload, filters)) continue;
+
+      let best = null;
+      entry.chunks.forEach((chunk, index) => {
+        // Embeddings from a different model cannot be compared
+        if (chunk.vector.length !== vector.length) return;
+
+        const score = cosineSimilarity(vector, chunk.vector);
+        if (!best || score > best.score) {
+          best = { score, index, chunk };
+        }
+      });
+
+      if (best && best.score >= threshold) {
+        const { chunk } = best;
+        matches.push({
+          id,
+          score: best.score,
+          payload,
+          passage: { chunkIndex: best.index, start: chunk.start, end: chunk.end, text: chunk.text }
+        });
+      }
+    }
+
+    return matches
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get index statistics
+   * @param {string} ownerId - Only count the notes of this owner (optional)
+   * @returns {Promise<Object>} Index stats
+   */
+  async getStats(ownerId) {
+    let noteCount = 0;
+    let vectorCount = 0;
+    for (const entry of this.entries.values()) {
+      if (ownerId !== undefined && entry.payload.ownerId !== ownerId) continue;
+      noteCount++;
+      vectorCount += entry.chunks.length;
+    }
+
+    return {
+      noteCount,
+      vectorCount,
+      indexedCount: vectorCount,
+      status: 'green'
+    };
+  }
+
+  /**
+   * The index lives in memory, so it is healthy once loaded
+   * @returns {Promise<boolean>} True when healthy
+   */
+  async healthCheck() {
+    return true;
+  }
+}
+
+module.exports = LocalStore;
@@ -0,0 +1,315 @@
+const { QdrantClient } = require('@qdrant/qdrant-js');
+const { matchesNoteFilters } = require('../../utils/filterUtils');
+const { averageEmbeddings } = require('../../utils/vectorUtils');
+
+// Qdrant payload filters cannot match a title prefix, so titlePrefix searches check
+// growing numbers of the closest notes, up to this many
+const MAX_PREFIX_CANDIDATES = 1000;
+
+/**
+ * Vector store backed by a Qdrant collection
+ * Filters are compiled into Qdrant payload conditions so they use the payload indexes
+ */
+class QdrantStore {
+  /**
+   * @param {Object} options - { url, apiKey, collectionName, vectorSize }
+   */
+  constructor(options = {}) {
+    this.name = 'qdrant';
+    this.url = options.url;
+    this.apiKey = options.apiKey;
+    this.collectionName = options.collectionName || 'notes';
+    this.vectorSize = options.vectorSize || 1536;
+    this.client = null;
+  }
+
+  /**
+   * Connect to Qdrant and make sure the collection exists
+   */
+  async initialize() {
+    if (!this.url) {
+      throw new Error('Qdrant URL not configured');
+    }
+
+    this.client = new QdrantClient({ url: this.url, apiKey: this.apiKey });
+    await this.ensureCollection();
+  }
+
+  /**
+   * Ensure the notes collection exists in Qdrant
+   */
+  async ensureCollection() {
+    const collections = await this.client.getCollections();
+    const collectionExists = collections.collections.some(
+      col => col.name === this.collectionName
+    );
+
+    if (!collectionExists) {
+      await this.client.createCollection(this.collectionName, {
+        vectors: {
+          size: this.vectorSize,
+          distance: 'Cosine'
+        }
+      });
+      console.log(`Created collection: ${this.collectionName} (${this.vectorSize} dimensions)`);
+    } else {
+      await this.checkDimension();
+    }
+
+    // Index the fields used for grouping passages and for per-user and structured filtering
+    const payloadIndexes = {
+      noteId: 'keyword',
+      chunkIndex: 'integer',
+      ownerId: 'keyword',
+      tags: 'keyword',
+      createdAtTs: 'integer',
+      updatedAtTs: 'integer'
+    };
+    for (const [fieldName, fieldSchema] of Object.entries(payloadIndexes)) {
+      await this.client.createPayloadIndex(this.collectionName, {
+        field_name: fieldName,
+        field_schema: fieldSchema,
+        wait: true
+      });
+    }
+  }
+
+  /**
+   * Refuse to use an existing collection created for a different embedding size
+   */
+  async checkDimension() {
+    const info = await this.client.getCollection(this.collectionName);
+    const vectors = info.config && info.config.params && info.config.params.vectors;
+    const size = vectors && vectors.size;
+
+    if (size !== this.vectorSize) {
+      const error = new Error(
+        `Qdrant collection ${this.collectionName} stores ${size}-dimension vectors but the embedding ` +
+        `provider produces ${this.vectorSize}. Use another collection (QDRANT_COLLECTION) or delete ` +
+        'the collection and run POST /admin/reindex'
+      );
+      error.code = 'EMBEDDING_DIMENSION_MISMATCH';
+      throw error;
+    }
+  }
+
+  /**
+   * Qdrant point ids must be unsigned integers or UUIDs, so the 24 hex digits
+   * of a MongoDB ObjectId and the passage index (8 hex digits) form a UUID
+   * @param {string} noteId - MongoDB note ID
+   * @param {number} chunkIndex - Passage index within the note
+   * @returns {string} Point id
+   */
+  toPointId(noteId, chunkIndex) {
+    const hex = String(noteId).padStart(24, '0') + chunkIndex.toString(16).padStart(8, '0');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+  }
+
+  /**
+   * Filter matching every point of the given notes
+   * @param {Array<string>} noteIds - MongoDB note IDs
+   * @returns {Object} Qdrant filter
+   */
+  notesFilter(noteIds) {
+    return { must: [{ key: 'noteId', match: { any: noteIds.map(String) } }] };
+  }
+
+  /**
+   * Insert or replace the passages of several notes in one request
+   * Passages left over from a longer previous version of a note are deleted afterwards
+   * @param {Array<Object>} records - [{ id, payload, chunks: [{ vector, start, end, text }] }] keyed by MongoDB note ID
+   */
+  async upsertMany(records) {
+    await this.client.upsert(this.collectionName, {
+      wait: true,
+      points: records.flatMap(record => record.chunks.map((chunk, chunkIndex) => ({
+        id: this.toPointId(record.id, chunkIndex),
+        vector: chunk.vector,
+        payload: {
+          ...record.payload,
+          noteId: String(record.id),
+          chunkIndex,
+          start: chunk.start,
+          end: chunk.end,
+          text: chunk.text
+        }
+      })))
+    });
+
+    await this.client.delete(this.collectionName, {
+      wait: true,
+      filter: {
+        should: records.map(record => ({
+          must: [{ key: 'noteId', match: { value: String(record.id) } }],
+          must_not: [{ key: 'chunkIndex', range: { lt: record.chunks.length } }]
+        }))
+      }
+    });
+  }
+
+  /**
+   * Merge metadata into already indexed notes
+   * @param {Array<string>} noteIds - MongoDB note IDs
+   * @param {Object} payload - Fields to set
+   */
+  async setPayload(noteIds, payload) {
+    await this.client.setPayload(this.collectionName, {
+      wait: true,
+      payload,
+      filter: this.notesFilter(noteIds)
+    });
+  }
+
+  /**
+   * Delete notes and all their passages from the collection
+   * @param {Array<string>} noteIds - MongoDB note IDs
+   */
+  async delete(noteIds) {
+    await this.client.delete(this.collectionName, {
+      wait: true,
+      filter: this.notesFilter(noteIds)
+    });
+  }
+
+  /**
+   * Note-level vector of an indexed note, the average of its passage vectors
+   * @param {string} noteId - MongoDB note ID
+   * @returns {Promise<Array|null>} Vector or null if the note is not indexed
+   */
+  async getNoteVector(noteId) {
+    const vectors = [];
+    let offset;
+    do {
+      const page = await this.client.scroll(this.collectionName, {
+        filter: this.notesFilter([noteId]),
+        limit: 256,
+        offset,
+        with_payload: false,
+        with_vector: true
+      });
+      page.points.forEach(point => vectors.push(point.vector));
+      offset = page.next_page_offset;
+    } while (offset !== null && offset !== undefined);
+
+    return vectors.length > 0 ? averageEmbeddings(vectors) : null;
+  }
+
+  /**
+   * Translate normalized note filters into a Qdrant filter
+   * Title prefixes cannot be expressed in Qdrant and are applied afterwards
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} filters - Normalized filters from parseNoteFilters
+   * @returns {Object} Qdrant filter
+   */
+  buildSearchFilter(ownerId, filters = {}) {
+    const must = [{ key: 'ownerId', match: { value: ownerId } }];
+    const mustNot = [{ key: 'trashed', match: { value: true } }];
+    const { tags = [], tagsMode = 'any', excludeTags = [] } = filters;
+
+    if (tags.length > 0) {
+      if (tagsMode === 'all') {
+        tags.forEach(tag => must.push({ key: 'tags', match: { value: tag } }));
+      } else {
+        must.push({ key: 'tags', match: { any: tags } });
+      }
+    }
+    if (excludeTags.length > 0) {
+      mustNot.push({ key: 'tags', match: { any: excludeTags } });
+    }
+
+    const range = (after, before) => {
+      const condition = {};
+      if (after) condition.gte = after.getTime();
+      if (before) condition.lte = before.getTime();
+      return condition;
+    };
+    if (filters.createdAfter || filters.createdBefore) {
+      must.push({ key: 'createdAtTs', range: range(filters.createdAfter, filters.createdBefore) });
+    }
+    if (filters.updatedAfter || filters.updatedBefore) {
+      must.push({ key: 'updatedAtTs', range: range(filters.updatedAfter, filters.updatedBefore) });
+    }
+
+    return { must, must_not: mustNot };
+  }
+
+  /**
+   * Find the notes of an owner whose passages are closest to a vector
+   * Points are grouped by note so a long note fills one result, with its best passage.
+   * A titlePrefix is matched here after the search: more notes are requested until
+   * limit of them match, the candidates run out or MAX_PREFIX_CANDIDATES were checked.
+   * @param {Array<number>} vector - Query embedding
+   * @param {Object} options - { limit, threshold, ownerId, filters }
+   * @returns {Promise<Array>} [{ id, score, payload, passage }] best first, one per note
+   */
+  async search(vector, options) {
+    const { limit, threshold, ownerId, filters = {} } = options;
+    const filter = this.buildSearchFilter(ownerId, filters);
+
+    let candidates = limit;
+    for (;;) {
+      const { groups } = await this.client.searchPointGroups(this.collectionName, {
+        vector,
+        filter,
+        group_by: 'noteId',
+        group_size: 1,
+        limit: candidates,
+        score_threshold: threshold,
+        with_payload: true
+      });
+
+      const hits = groups
+        .map(group => group.hits[0])
+        .filter(hit => hit && (!filters.titlePrefix || matchesNoteFilters(hit.payload, { titlePrefix: filters.titlePrefix })));
+
+      const exhausted = groups.length < candidates || candidates >= MAX_PREFIX_CANDIDATES;
+      if (!filters.titlePrefix || hits.length >= limit || exhausted) {
+        return hits.slice(0, limit).map(hit => ({
+          id: hit.payload.noteId,
+          score: hit.score,
+          payload: hit.payload,
+          passage: {
+            chunkIndex: hit.payload.chunkIndex || 0,
+            start: hit.payload.start || 0,
+            end: hit.payload.end === undefined ? (hit.payload.body || '').length : hit.payload.end,
+            text: hit.payload.text === undefined ? hit.payload.body : hit.payload.text
+          }
+        }));
+      }
+
+      candidates = Math.min(candidates * 4, MAX_PREFIX_CANDIDATES);
+    }
+  }
+
+  /**
+   * Get collection statistics
+   * @param {string} ownerId - Only count the points of this owner (optional)
+   * @returns {Promise<Object>} Collection stats
+   */
+  async getStats(ownerId) {
+    const info = await this.client.getCollection(this.collectionName);
+    if (ownerId !== undefined) {
+      const { count } = await this.client.count(this.collectionName, {
+        filter: { must: [{ key: 'ownerId', match: { value: ownerId } }] },
+        exact: true
+      });
+      return { vectorCount: count, status: info.status };
+    }
+    return {
+      vectorCount: info.points_count,
+      indexedCount: info.indexed_vectors_count,
+      status: info.status
+    };
+  }
+
+  /**
+   * Check that Qdrant is reachable
+   * @returns {Promise<boolean>} True when healthy
+   */
+  async healthCheck() {
+    await this.client.getCollections();
+    return true;
+  }
+}
+
+module.exports = QdrantStore;
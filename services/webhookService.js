@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const changeFeedService = require('./changeFeedService');
+const { generateSecret } = require('../utils/webhookUtils');
+
+// Delivery fields left out of the delivery log
+const INTERNAL_DELIVERY_FIELDS = '-lockToken -lockedUntil';
+
+/**
+ * Service for webhook subscriptions and their deliveries
+ * Every note event of the change feed becomes a delivery per active webhook of the
+ * owner subscribed to its type. Deliveries are stored in MongoDB and sent by the
+ * webhook worker, so they survive restarts and are retried until they succeed or
+ * are dead-lettered.
+ */
+class WebhookService {
+  constructor() {
+    this.unsubscribe = null;
+    this.logger = console;
+  }
+
+  /**
+   * Start queueing deliveries for the events of the change feed
+   * @param {Object} options - { logger }
+   */
+  start(options = {}) {
+    this.stop();
+    if (options.logger) this.logger = options.logger;
+
+    this.unsubscribe = changeFeedService.onEvent(event => {
+      this.enqueue(event).catch(error => {
+        this.logger.error(`Failed to queue webhook deliveries for event ${event.id}: ${error.message}`);
+      });
+    });
+  }
+
+  /**
+   * Stop queueing deliveries
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Queue a change feed event for the owner's active webhooks subscribed to it
+   * Each webhook gets an event once, also when several instances see it
+   * @param {Object} event - Change feed event { id, ownerId, type, note, permanent, at }
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async enqueue(event) {
+    const type = `note.${event.type}`;
+    const webhooks = await Webhook.find({ ownerId: event.ownerId, active: true, events: type }).select('_id').lean();
+    if (webhooks.length === 0) {
+      return 0;
+    }
+
+    const data = { note: event.note };
+    if (event.permanent) {
+      data.permanent = true;
+    }
+    const payload = { id: event.id, type, createdAt: event.at, data };
+
+    return this.insertDeliveries(webhooks.map(webhook => ({
+      webhookId: webhook._id,
+      ownerId: event.ownerId,
+      eventId: event.id,
+      event: type,
+      payload
+    })));
+  }
+
+  /**
+   * Insert deliveries, skipping those already queued
+   * @param {Array<Object>} deliveries - New deliveries
+   * @returns {Promise<number>} Number of deliveries inserted
+   */
+  async insertDeliveries(deliveries) {
+    try {
+      const inserted = await WebhookDelivery.insertMany(deliveries, { ordered: false });
+      return inserted.length;
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+        throw error;
+      }
+      return deliveries.length - writeErrors.length;
+    }
+  }
+
+  /**
+   * Create a webhook
+   * @param {string} ownerId - Id of the owning user
+   * @param {Object} data - { url, events, description, secret (generated when omitted), active }
+   * @returns {Promise<Object>} Webhook, including its secret
+   */
+  async createWebhook(ownerId, data) {
+    try {
+      const { url, events, description, secret, active } = data;
+      const webhook = await new Webhook({
+        ownerId,
+        url,
+        events: events ? [...new Set(events)] : undefined,
+        description,
+        secret: secret || generateSecret(),
+        active
+      }).save();
+
+      return { ...this.toWebhook(webhook), secret: webhook.secret };
+    } catch (error) {
+      throw new Error(`Failed to create webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the owner's webhooks, newest first
+   * @param {string} ownerId - Id of the owning user
+   * @returns {Promise<Array<Object>>} Webhooks without their secrets
+   */
+  async listWebhooks(ownerId) {
+    try {
+      const webhooks = await Webhook.find({ ownerId }).sort({ createdAt: -1 }).lean();
+      return webhooks.map(webhook => this.toWebhook(webhook));
+    } catch (error) {
+      throw new Error(`Failed to list webhooks: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a webhook
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} id - Webhook id
+   * @returns {Promise<Object|null>} Webhook without its secret, or null if not found
+   */
+  async getWebhook(ownerId, id) {
+    try {
+      const webhook = await Webhook.findOne({ _id: id, ownerId }).lean();
+      return webhook ? this.toWebhook(webhook) : null;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw new Error(`Failed to fetch webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a webhook, missing fields are kept
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} id - Webhook id
+   * @param {Object} data - { url, events, description, secret, active }
+   * @returns {Promise<Object|null>} Updated webhook without its secret, or null if not found
+   */
+  async updateWebhook(ownerId, id, data) {
+    try {
+      const update = {};
+      for (const field of ['url', 'description', 'secret', 'active']) {
+        if (data[field] !== undefined) {
+          update[field] = data[field];
+        }
+      }
+      if (data.events) {
+        update.events = [...new Set(data.events)];
+      }
+
+      const webhook = await Webhook.findOneAndUpdate(
+        { _id: id, ownerId },
+        { $set: update },
+        { new: true, runValidators: true }
+      ).lean();
+      return webhook ? this.toWebhook(webhook) : null;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw new Error(`Failed to update webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a webhook and its deliveries
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} id - Webhook id
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  async deleteWebhook(ownerId, id) {
+    try {
+      const webhook = await Webhook.findOneAndDelete({ _id: id, ownerId });
+      if (!webhook) {
+        return false;
+      }
+
+      await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+      return true;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return false;
+      }
+      throw new Error(`Failed to delete webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * Queue a ping delivery, to check that the receiver accepts signed requests
+   * Pings are sent whatever events the webhook is subscribed to
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} id - Webhook id
+   * @returns {Promise<Object|null>} Queued delivery, or null if the webhook is not found
+   */
+  async ping(ownerId, id) {
+    try {
+      const webhook = await Webhook.findOne({ _id: id, ownerId }).lean();
+      if (!webhook) {
+        return null;
+      }
+
+      const eventId = `ping-${crypto.randomUUID()}`;
+      const delivery = await new WebhookDelivery({
+        webhookId: webhook._id,
+        ownerId,
+        eventId,
+        event: 'ping',
+        payload: { id: eventId, type: 'ping', createdAt: new Date().toISOString(), data: { webhookId: webhook._id.toString() } }
+      }).save();
+
+      return this.toDelivery(delivery.toObject());
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw new Error(`Failed to ping webhook: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the deliveries of a webhook, newest first
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} id - Webhook id
+   * @param {Object} options - { status, limit, skip }
+   * @returns {Promise<Array<Object>|null>} Deliveries with their attempt log, or null if the webhook is not found
+   */
+  async listDeliveries(ownerId, id, options = {}) {
+    const { status, limit = 50, skip = 0 } = options;
+
+    try {
+      const webhook = await Webhook.findOne({ _id: id, ownerId }).select('_id').lean();
+      if (!webhook) {
+        return null;
+      }
+
+      const filter = { ownerId, webhookId: webhook._id };
+      if (status) {
+        filter.status = status;
+      }
+      const deliveries = await WebhookDelivery.find(filter)
+        .select(INTERNAL_DELIVERY_FIELDS)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      return deliveries.map(delivery => this.toDelivery(delivery));
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw new Error(`Failed to list webhook deliveries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a delivery again, whatever its status
+   * It gets a full new round of attempts; its log is kept. The claim of an attempt in
+   * flight is dropped, so its outcome is not recorded over the new round
+   * @param {string} ownerId - Id of the owning user
+   * @param {string} id - Webhook id
+   * @param {string} deliveryId - Delivery id
+   * @returns {Promise<Object|null>} Queued delivery, or null if not found
+   */
+  async redeliver(ownerId, id, deliveryId) {
+    try {
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { _id: deliveryId, webhookId: id, ownerId },
+        { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null, lockToken: null, lockedUntil: null } },
+        { new: true }
+      ).select(INTERNAL_DELIVERY_FIELDS).lean();
+
+      return delivery ? this.toDelivery(delivery) : null;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return null;
+      }
+      throw new Error(`Failed to redeliver webhook delivery: ${error.message}`);
+    }
+  }
+
+  /**
+   * Public representation of a webhook, without its secret
+   * @param {Object} webhook - Webhook document or plain object
+   * @returns {Object} { id, url, events, description, active, createdAt, updatedAt }
+   */
+  toWebhook(webhook) {
+    return {
+      id: webhook._id.toString(),
+      url: webhook.url,
+      events: webhook.events,
+      description: webhook.description || '',
+      active: webhook.active,
+      createdAt: webhook.createdAt,
+      updatedAt: webhook.updatedAt
+    };
+  }
+
+  /**
+   * Public representation of a delivery
+   * @param {Object} delivery - Plain delivery
+   * @returns {Object} { id, webhookId, eventId, event, status, attempts, nextAttemptAt, lastError, deliveredAt, log, payload, createdAt, updatedAt }
+   */
+  toDelivery(delivery) {
+    return {
+      id: delivery._id.toString(),
+      webhookId: delivery.webhookId.toString(),
+      eventId: delivery.eventId,
+      event: delivery.event,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+      lastError: delivery.lastError,
+      deliveredAt: delivery.deliveredAt,
+      log: delivery.log || [],
+      payload: delivery.payload,
+      createdAt: delivery.createdAt,
+      updatedAt: delivery.updatedAt
+    };
+  }
+}
+
+module.exports = new WebhookService();
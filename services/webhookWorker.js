@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { signPayload, isPrivateAddress, publicLookup } = require('../utils/webhookUtils');
+
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+/**
+ * Background worker sending queued webhook deliveries
+ * Claims due deliveries, POSTs the signed payload to the webhook URL and records the
+ * attempt. A 2xx answer completes the delivery; anything else (including timeouts and
+ * redirects) is retried with exponential backoff until maxAttempts, after which the
+ * delivery is dead-lettered until it is redelivered. Webhook URLs resolving to
+ * loopback, private or link-local addresses are refused unless allowPrivateAddresses
+ * is set, so tenants cannot reach internal services.
+ */
+class WebhookWorker {
+  constructor() {
+    this.intervalMs = 1000;
+    this.batchSize = 20;
+    this.maxAttempts = 8;
+    this.baseDelayMs = 30 * 1000;
+    this.timeoutMs = 10 * 1000;
+    this.allowPrivateAddresses = false;
+    this.timer = null;
+    this.running = false;
+    this.logger = console;
+  }
+
+  /**
+   * Start polling for due deliveries
+   * @param {Object} options - { intervalMs, batchSize, maxAttempts, baseDelayMs, timeoutMs, allowPrivateAddresses, logger }
+   */
+  start(options = {}) {
+    this.stop();
+
+    if (options.intervalMs !== undefined) this.intervalMs = Number(options.intervalMs);
+    if (options.batchSize !== undefined) this.batchSize = Number(options.batchSize);
+    if (options.maxAttempts !== undefined) this.maxAttempts = Number(options.maxAttempts);
+    if (options.baseDelayMs !== undefined) this.baseDelayMs = Number(options.baseDelayMs);
+    if (options.timeoutMs !== undefined) this.timeoutMs = Number(options.timeoutMs);
+    if (options.allowPrivateAddresses !== undefined) {
+      this.allowPrivateAddresses = options.allowPrivateAddresses === true || options.allowPrivateAddresses === 'true';
+    }
+    if (options.logger) this.logger = options.logger;
+
+    this.timer = setInterval(() => {
+      this.drain().catch(error => {
+        this.logger.error(`Webhook worker failed: ${error.message}`);
+      });
+    }, this.intervalMs);
+
+    // Do not keep the process alive just for the worker
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling for due deliveries
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Send due deliveries until there are no more full batches
+   * @returns {Promise<number>} Number of deliveries attempted
+   */
+  async drain() {
+    // Skip if the previous run is still going
+    if (this.running) {
+      return 0;
+    }
+
+    this.running = true;
+    try {
+      let processed = 0;
+      for (;;) {
+        const count = await this.processBatch();
+        processed += count;
+        if (count < this.batchSize) {
+          break;
+        }
+      }
+      return processed;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Claim a batch of due deliveries for this worker
+   * The claim outlasts the request timeout, so a delivery is only sent twice when a worker dies
+   * @returns {Promise<Object>} { token, deliveries }
+   */
+  async claimBatch() {
+    const now = new Date();
+    const due = {
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    };
+
+    const candidates = await WebhookDelivery.find(due)
+      .sort({ nextAttemptAt: 1 })
+      .limit(this.batchSize)
+      .select('_id')
+      .lean();
+
+    if (candidates.length === 0) {
+      return { token: null, deliveries: [] };
+    }
+
+    // Re-check the due condition while claiming so concurrent workers never share a delivery
+    const token = crypto.randomUUID();
+    await WebhookDelivery.updateMany(
+      { ...due, _id: { $in: candidates.map(delivery => delivery._id) } },
+      { $set: { lockToken: token, lockedUntil: new Date(now.getTime() + 2 * this.timeoutMs + 60 * 1000) } }
+    );
+
+    const deliveries = await WebhookDelivery.find({ lockToken: token }).lean();
+    return { token, deliveries };
+  }
+
+  /**
+   * Claim and send one batch of deliveries
+   * @returns {Promise<number>} Number of deliveries attempted
+   */
+  async processBatch() {
+    const { token, deliveries } = await this.claimBatch();
+    if (deliveries.length === 0) {
+      return 0;
+    }
+
+    const webhooks = await Webhook.find({ _id: { $in: [...new Set(deliveries.map(delivery => delivery.webhookId.toString()))] } }).lean();
+    const byId = new Map(webhooks.map(webhook => [webhook._id.toString(), webhook]));
+
+    const results = await Promise.all(deliveries.map(async delivery => {
+      const webhook = byId.get(delivery.webhookId.toString());
+      if (!webhook || !webhook.active) {
+        // Not sent, so it does not count as an attempt; redelivering once the webhook is enabled sends it
+        return { delivery, dead: true, entry: { at: new Date(), error: webhook ? 'Webhook is disabled' : 'Webhook was deleted' } };
+      }
+      return { delivery, entry: await this.send(webhook, delivery) };
+    }));
+
+    await this.record(results, token);
+    return deliveries.length;
+  }
+
+  /**
+   * POST a delivery to its webhook
+   * Only the status code of the answer is recorded: the attempt log is readable by the
+   * webhook owner, so the response body is never kept
+   * @param {Object} webhook - Webhook
+   * @param {Object} delivery - Delivery
+   * @returns {Promise<Object>} Attempt log entry { at, statusCode, durationMs, error }
+   */
+  send(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const at = new Date();
+    const started = Date.now();
+
+    return new Promise(resolve => {
+      let timer = null;
+      let finished = false;
+      const done = fields => {
+        if (!finished) {
+          finished = true;
+          clearTimeout(timer);
+          resolve({ at, durationMs: Date.now() - started, ...fields });
+        }
+      };
+
+      let url;
+      try {
+        url = new URL(webhook.url);
+        // IP literals are connected to without a lookup, so they are checked here
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+        if (!this.allowPrivateAddresses && net.isIP(host) && isPrivateAddress(host)) {
+          throw new Error(`Refusing to deliver to ${host}: private address`);
+        }
+      } catch (error) {
+        return done({ error: error.message });
+      }
+
+      const client = url.protocol === 'https:' ? https : http;
+      const request = client.request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'mod-notes-webhooks/1.0',
+          'X-Webhook-Id': delivery._id.toString(),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+        },
+        lookup: this.allowPrivateAddresses ? undefined : publicLookup
+      }, response => {
+        // Redirects are not followed, they count as failures like any other non-2xx answer
+        const statusCode = response.statusCode;
+        response.resume();
+        done(statusCode >= 200 && statusCode < 300 ? { statusCode } : { statusCode, error: `HTTP ${statusCode}` });
+      });
+
+      timer = setTimeout(() => request.destroy(new Error(`Timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+      request.on('error', error => done({ error: error.message }));
+      request.end(body);
+    });
+  }
+
+  /**
+   * Record the attempts: complete successful deliveries, schedule retries with
+   * exponential backoff and dead-letter deliveries out of attempts
+   * @param {Array<Object>} results - [{ delivery, entry, dead }]
+   * @param {string} token - Claim token
+   */
+  async record(results, token) {
+    const now = Date.now();
+    let failed = 0;
+
+    await WebhookDelivery.bulkWrite(results.map(({ delivery, entry, dead }) => {
+      const set = { lockToken: null, lockedUntil: null };
+      const attempts = delivery.attempts + (dead ? 0 : 1);
+
+      if (!entry.error) {
+        Object.assign(set, { status: 'delivered', attempts, deliveredAt: new Date(entry.at), lastError: null });
+      } else {
+        failed++;
+        const exhausted = dead || attempts >= this.maxAttempts;
+        const delay = Math.min(this.baseDelayMs * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+        Object.assign(set, {
+          status: exhausted ? 'dead' : 'pending',
+          attempts,
+          nextAttemptAt: new Date(now + delay),
+          lastError: entry.error
+        });
+      }
+
+      return {
+        updateOne: {
+          filter: { _id: delivery._id, lockToken: token },
+          update: {
+            $set: set,
+            $push: { log: { $each: [entry], $slice: -WebhookDelivery.MAX_LOGGED_ATTEMPTS } }
+          }
+        }
+      };
+    }), { ordered: false });
+
+    if (failed > 0) {
+      this.logger.warn(`Failed to deliver ${failed} webhook requests: ${results.find(({ entry }) => entry.error).entry.error}`);
+    }
+  }
+}
+
+module.exports = new WebhookWorker();
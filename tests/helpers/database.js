@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// Starting mongod (and downloading it on the first run) takes a while
+const STARTUP_TIMEOUT_MS = 120 * 1000;
+
+/**
+ * In-memory MongoDB for the integration tests
+ * A single-node replica set, so transactions and change streams work like in production
+ */
+
+/**
+ * Start the database and connect mongoose to it
+ * The collections and indexes of the models loaded so far are created before returning
+ * @returns {Promise<MongoMemoryReplSet>} Running replica set, pass it to stopDatabase
+ */
+async function startDatabase() {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+  return replSet;
+}
+
+/**
+ * Disconnect mongoose and stop the database
+ * @param {MongoMemoryReplSet} replSet - Result of startDatabase
+ */
+async function stopDatabase(replSet) {
+  await mongoose.disconnect();
+  if (replSet) {
+    await replSet.stop();
+  }
+}
+
+/**
+ * Remove the documents of every collection, indexes are kept
+ */
+async function clearDatabase() {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+module.exports = {
+  STARTUP_TIMEOUT_MS,
+  startDatabase,
+  stopDatabase,
+  clearDatabase
+};
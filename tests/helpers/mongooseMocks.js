@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stand-ins for Mongoose queries and lean notes, shared by the unit tests that mock
+ * the models with jest.spyOn
+ */
+
+/**
+ * Chainable query resolving to the results on lean()
+ * select, sort, skip and session are accepted and ignored, limit is applied
+ * @param {*|Function} results - Results, or a function computing them when the query runs
+ * @returns {Object} Query
+ */
+function mockQuery(results) {
+  let limit = null;
+  const query = {
+    select: () => query,
+    sort: () => query,
+    skip: () => query,
+    session: () => query,
+    limit: (count) => {
+      limit = count;
+      return query;
+    },
+    lean: async () => {
+      const value = typeof results === 'function' ? results() : results;
+      return Array.isArray(value) && limit !== null ? value.slice(0, limit) : value;
+    }
+  };
+  return query;
+}
+
+/**
+ * Lean note with the fields the services read
+ * @param {Object} fields - Fields overriding the defaults
+ * @returns {Object} Note
+ */
+function mockNote(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    ownerId: 'user-1',
+    title: 'Note',
+    body: 'Body',
+    tags: [],
+    deletedAt: null,
+    purgedAt: null,
+    createdAt: new Date('2024-01-01'),
+    updatedAt: new Date('2024-01-02'),
+    ...fields
+  };
+}
+
+module.exports = {
+  mockQuery,
+  mockNote
+};
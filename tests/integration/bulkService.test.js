@@ -0,0 +1,78 @@
+const Note = require('../../models/Note');
+const bulkService = require('../../services/bulkService');
+const noteService = require('../../services/noteService');
+const { STARTUP_TIMEOUT_MS, startDatabase, stopDatabase, clearDatabase } = require('../helpers/database');
+
+describe('Bulk Service Integration Tests', () => {
+  let replSet;
+
+  beforeAll(async () => {
+    replSet = await startDatabase();
+  }, STARTUP_TIMEOUT_MS);
+
+  afterAll(async () => {
+    await stopDatabase(replSet);
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should use transactions on the replica set', async () => {
+    expect(await bulkService.supportsTransactions()).toBe(true);
+  });
+
+  it('should apply creates, updates and deletes', async () => {
+    const kept = await noteService.createNote('user-1', { title: 'Kept', body: 'Body' });
+    const trashed = await noteService.createNote('user-1', { title: 'Trashed', body: 'Body' });
+
+    const { committed, results } = await bulkService.applyOperations('user-1', [
+      { index: 0, op: 'create', title: 'Created', body: 'Body' },
+      { index: 1, op: 'update', id: kept._id.toString(), title: 'Renamed' },
+      { index: 2, op: 'delete', id: trashed._id.toString() }
+    ], { atomic: true });
+
+    expect(committed).toBe(true);
+    expect(results.map(result => result.status)).not.toContain('failed');
+    expect((await Note.findById(kept._id).lean()).title).toBe('Renamed');
+    expect((await Note.findById(trashed._id).lean()).deletedAt).toBeInstanceOf(Date);
+    expect(await Note.countDocuments({ title: 'Created', ownerId: 'user-1' })).toBe(1);
+  });
+
+  it('should roll back the applied writes of an atomic request when a later one fails', async () => {
+    const note = await noteService.createNote('user-1', { title: 'Trashed', body: 'Body' });
+
+    // The note goes to the trash after planning, so the failure happens inside the transaction
+    const plan = bulkService.plan.bind(bulkService);
+    jest.spyOn(bulkService, 'plan').mockImplementation(async (...args) => {
+      const result = await plan(...args);
+      await noteService.deleteNote('user-1', note._id.toString());
+      return result;
+    });
+
+    const { committed, results } = await bulkService.applyOperations('user-1', [
+      { index: 0, op: 'create', title: 'Created', body: 'Body' },
+      { index: 1, op: 'delete', id: note._id.toString() }
+    ], { atomic: true });
+
+    expect(committed).toBe(false);
+    expect(results.map(result => result.status)).toEqual(['skipped', 'failed']);
+    expect(await Note.countDocuments({ title: 'Created' })).toBe(0);
+  });
+
+  it('should report a note purged after planning as not found', async () => {
+    const note = await noteService.createNote('user-1', { title: 'Purged', body: 'Body' });
+    const operations = [{ index: 0, op: 'delete', id: note._id.toString(), permanent: true }];
+
+    const plan = await bulkService.plan('user-1', operations);
+    await bulkService.applyOperations('user-1', operations);
+
+    expect(await bulkService.write('user-1', plan, {})).toEqual([
+      { index: 0, op: 'delete', id: note._id.toString(), status: 'failed', error: 'Note not found' }
+    ]);
+  });
+});
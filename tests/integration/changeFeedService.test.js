@@ -0,0 +1,75 @@
+const Note = require('../../models/Note');
+const changeFeedService = require('../../services/changeFeedService');
+const noteService = require('../../services/noteService');
+const { STARTUP_TIMEOUT_MS, startDatabase, stopDatabase, clearDatabase } = require('../helpers/database');
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * Wait for the next change feed event matching a predicate
+ */
+function nextEvent(predicate) {
+  return new Promise(resolve => {
+    const unsubscribe = changeFeedService.onEvent(event => {
+      if (predicate(event)) {
+        unsubscribe();
+        resolve(event);
+      }
+    });
+  });
+}
+
+describe('Change Feed Service Integration Tests', () => {
+  let replSet;
+
+  beforeAll(async () => {
+    replSet = await startDatabase();
+  }, STARTUP_TIMEOUT_MS);
+
+  afterAll(async () => {
+    await changeFeedService.stop();
+    await stopDatabase(replSet);
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    await changeFeedService.start({ source: 'change-stream', logger });
+  });
+
+  afterEach(async () => {
+    await changeFeedService.stop();
+  });
+
+  it('should announce notes written through the services', async () => {
+    const created = nextEvent(event => event.type === 'created');
+    const note = await noteService.createNote('user-1', { title: 'Streamed', body: 'Body' });
+
+    const event = await created;
+    expect(event.ownerId).toBe('user-1');
+    expect(event.note.id).toBe(note._id.toString());
+    expect(event.note.title).toBe('Streamed');
+    expect(event.note.body).toBeUndefined();
+  });
+
+  it('should announce a permanent deletion of a note removed before the stream saw it', async () => {
+    expect(changeFeedService.preImages).toBe(true);
+
+    const created = nextEvent(event => event.type === 'created');
+    const note = await noteService.createNote('user-1', { title: 'Purged', body: 'Body' });
+    await created;
+
+    // While the stream is closed the note is purged and removed, like the index worker does
+    await changeFeedService.stop();
+    await noteService.permanentlyDeleteNote('user-1', note._id.toString());
+    await Note.deleteOne({ _id: note._id });
+
+    const deleted = nextEvent(event => event.type === 'deleted');
+    await changeFeedService.start({ source: 'change-stream', logger });
+
+    const event = await deleted;
+    expect(event.ownerId).toBe('user-1');
+    expect(event.permanent).toBe(true);
+    expect(event.note.id).toBe(note._id.toString());
+    expect(event.note.title).toBe('Purged');
+  });
+});
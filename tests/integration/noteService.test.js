@@ -1,38 +1,30 @@
-const mongoose = require('mongoose');
 const Note = require('../../models/Note');
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const NoteLink = require('../../models/NoteLink');
+const NoteRevision = require('../../models/NoteRevision');
+const noteService = require('../../services/noteService');
+const indexWorker = require('../../services/indexWorker');
+const { STARTUP_TIMEOUT_MS, startDatabase, stopDatabase, clearDatabase } = require('../helpers/database');
 
 describe('Note Service Integration Tests', () => {
-  let mongoServer;
-  let connection;
-
-  before(async () => {
-    try {
-      mongoServer = await MongoMemoryServer.create();
-      const mongoUri = mongoServer.getUri();
-      connection = await mongoose.connect(mongoUri, {
-        useNewUrlParser: true,
-        useUnifiedTopology: true
-      });
-    } catch (error) {
-      console.error('Failed to start test database:', error);
-      throw error;
-    }
-  });
+  let replSet;
+
+  beforeAll(async () => {
+    replSet = await startDatabase();
+  }, STARTUP_TIMEOUT_MS);
 
-  after(async () => {
-    await mongoose.disconnect();
-    await mongoServer.stop();
+  afterAll(async () => {
+    await stopDatabase(replSet);
   });
 
   beforeEach(async () => {
-    await Note.deleteMany({});
+    await clearDatabase();
   });
 
   describe('Note Lifecycle', () => {
     it('should support full CRUD lifecycle', async () => {
       // Create
       const noteData = {
+        ownerId: 'user-1',
         title: 'Integration Test Note',
         body: 'Testing the full lifecycle',
         tags: ['test', 'integration']
@@ -40,38 +32,38 @@ describe('Note Service Integration Tests', () => {
       const note = new Note(noteData);
       const savedNote = await note.save();
       
-      expect(savedNote.title).to.equal(noteData.title);
-      expect(savedNote.body).to.equal(noteData.body);
+      expect(savedNote.title).toBe(noteData.title);
+      expect(savedNote.body).toBe(noteData.body);
       
       // Read
       const foundNote = await Note.findById(savedNote._id);
-      expect(foundNote.title).to.equal(noteData.title);
+      expect(foundNote.title).toBe(noteData.title);
       
       // Update
       foundNote.title = 'Updated Title';
       const updatedNote = await foundNote.save();
-      expect(updatedNote.title).to.equal('Updated Title');
+      expect(updatedNote.title).toBe('Updated Title');
       
       // Delete
       await Note.findByIdAndDelete(updatedNote._id);
       const deletedNote = await Note.findById(updatedNote._id);
-      expect(deletedNote).to.be.null;
+      expect(deletedNote).toBeNull();
     });
   });
 
   describe('Bulk Operations', () => {
     it('should handle bulk create and retrieve', async () => {
       const notesData = [
-        { title: 'Note 1', body: 'Body 1', tags: ['tag1'] },
-        { title: 'Note 2', body: 'Body 2', tags: ['tag2'] },
-        { title: 'Note 3', body: 'Body 3', tags: ['tag3'] }
+        { ownerId: 'user-1', title: 'Note 1', body: 'Body 1', tags: ['tag1'] },
+        { ownerId: 'user-1', title: 'Note 2', body: 'Body 2', tags: ['tag2'] },
+        { ownerId: 'user-1', title: 'Note 3', body: 'Body 3', tags: ['tag3'] }
       ];
 
       await Note.insertMany(notesData);
       
       const notes = await Note.find({}).sort({ title: 1 });
-      expect(notes).to.have.lengthOf(3);
-      expect(notes[0].title).to.equal('Note 1');
+      expect(notes).toHaveLength(3);
+      expect(notes[0].title).toBe('Note 1');
     });
   });
 
@@ -79,16 +71,19 @@ describe('Note Service Integration Tests', () => {
     beforeEach(async () => {
       await Note.create([
         { 
+          ownerId: 'user-1',
           title: 'JavaScript Guide', 
           body: 'Learn JavaScript programming',
           tags: ['javascript', 'programming']
         },
         { 
+          ownerId: 'user-1',
           title: 'Python Tutorial', 
           body: 'Python for beginners',
           tags: ['python', 'programming']
         },
         { 
+          ownerId: 'user-1',
           title: 'Node.js Basics', 
           body: 'JavaScript runtime environment',
           tags: ['javascript', 'node']
@@ -104,12 +99,12 @@ describe('Note Service Integration Tests', () => {
           { tags: 'javascript' }
         ]
       });
-      expect(javaScriptNotes).to.have.lengthOf(2);
+      expect(javaScriptNotes).toHaveLength(2);
 
       const programmingNotes = await Note.find({
         tags: 'programming'
       });
-      expect(programmingNotes).to.have.lengthOf(2);
+      expect(programmingNotes).toHaveLength(2);
     });
 
     it('should support complex queries', async () => {
@@ -119,7 +114,7 @@ describe('Note Service Integration Tests', () => {
           { title: { $regex: /guide|basics/i } }
         ]
       });
-      expect(notes).to.have.lengthOf(1);
+      expect(notes).toHaveLength(1);
     });
   });
 
@@ -129,53 +124,58 @@ describe('Note Service Integration Tests', () => {
       const longBody = 'B'.repeat(10000);
       
       const note = new Note({
+        ownerId: 'user-1',
         title: longTitle,
         body: longBody,
         tags: ['test']
       });
       
       const savedNote = await note.save();
-      expect(savedNote.title).to.have.lengthOf(200);
-      expect(savedNote.body).to.have.lengthOf(10000);
+      expect(savedNote.title).toHaveLength(200);
+      expect(savedNote.body).toHaveLength(10000);
     });
 
     it('should handle special characters', async () => {
       const note = new Note({
+        ownerId: 'user-1',
         title: 'Special !@#$%^&*()',
         body: 'Content with special chars: !@#$%^&*()',
         tags: ['special!@#']
       });
       
       const savedNote = await note.save();
-      expect(savedNote.title).to.equal('Special !@#$%^&*()');
+      expect(savedNote.title).toBe('Special !@#$%^&*()');
     });
 
     it('should handle empty tags array', async () => {
       const note = new Note({
+        ownerId: 'user-1',
         title: 'No Tags',
         body: 'This note has no tags',
         tags: []
       });
       
       const savedNote = await note.save();
-      expect(savedNote.tags).to.be.an('array').that.is.empty;
+      expect(savedNote.tags).toEqual([]);
     });
   });
 
   describe('Timestamps', () => {
     it('should auto-generate timestamps', async () => {
       const note = new Note({
+        ownerId: 'user-1',
         title: 'Timestamp Test',
         body: 'Testing timestamps'
       });
       
       const savedNote = await note.save();
-      expect(savedNote.createdAt).to.be.instanceOf(Date);
-      expect(savedNote.updatedAt).to.be.instanceOf(Date);
+      expect(savedNote.createdAt).toBeInstanceOf(Date);
+      expect(savedNote.updatedAt).toBeInstanceOf(Date);
     });
 
     it('should update timestamps on modification', async () => {
       const note = await Note.create({
+        ownerId: 'user-1',
         title: 'Original Title',
         body: 'Original Body'
       });
@@ -186,7 +186,49 @@ describe('Note Service Integration Tests', () => {
       note.title = 'Modified Title';
       const updatedNote = await note.save();
       
-      expect(updatedNote.updatedAt.getTime()).to.be.greaterThan(originalUpdatedAt.getTime());
+      expect(updatedNote.updatedAt.getTime()).toBeGreaterThan(originalUpdatedAt.getTime());
+    });
+  });
+
+  describe('Search', () => {
+    it('should match regex characters in the query literally', async () => {
+      await noteService.createNote('user-1', { title: 'Costs (2024)', body: 'Budget a+b' });
+      await noteService.createNote('user-1', { title: 'Costs 2024', body: 'Budget aab' });
+
+      const page = await noteService.searchNotesPage('user-1', 'a+b', { useRegex: true, limit: 10 });
+      expect(page.items.map(item => item.title)).toEqual(['Costs (2024)']);
+
+      const parenthesis = await noteService.searchNotesPage('user-1', '(2024', { useRegex: true, limit: 10 });
+      expect(parenthesis.items.map(item => item.title)).toEqual(['Costs (2024)']);
+    });
+  });
+
+  describe('Permanent Deletion', () => {
+    it('should delete the note after its revisions and links once the index worker runs', async () => {
+      const target = await noteService.createNote('user-1', { title: 'Target', body: 'Linked to' });
+      const source = await noteService.createNote('user-1', { title: 'Source', body: 'See [[Target]]' });
+      await noteService.updateNote('user-1', target._id.toString(), { body: 'Changed' });
+
+      expect(await NoteRevision.countDocuments({ noteId: target._id })).toBe(2);
+      expect(await NoteLink.countDocuments({ targetId: target._id })).toBe(1);
+
+      expect(await noteService.permanentlyDeleteNote('user-1', target._id.toString())).toBe(true);
+      expect(await noteService.getNoteById('user-1', target._id.toString())).toBeNull();
+
+      // Without a vector store the worker only claims purged notes
+      expect(await indexWorker.processBatch()).toBe(1);
+
+      expect(await Note.findById(target._id)).toBeNull();
+      expect(await NoteRevision.countDocuments({ noteId: target._id })).toBe(0);
+      expect(await NoteLink.countDocuments({ $or: [{ sourceId: target._id }, { targetId: target._id }] })).toBe(0);
+      expect(await Note.findById(source._id)).not.toBeNull();
+    });
+
+    it('should not purge a note twice', async () => {
+      const note = await noteService.createNote('user-1', { title: 'Once', body: 'Body' });
+
+      expect(await noteService.permanentlyDeleteNote('user-1', note._id.toString())).toBe(true);
+      expect(await noteService.permanentlyDeleteNote('user-1', note._id.toString())).toBe(false);
     });
   });
 });
@@ -0,0 +1,118 @@
+const http = require('http');
+const crypto = require('crypto');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const webhookService = require('../../services/webhookService');
+const webhookWorker = require('../../services/webhookWorker');
+const { STARTUP_TIMEOUT_MS, startDatabase, stopDatabase, clearDatabase } = require('../helpers/database');
+
+const event = {
+  id: 'event-1',
+  ownerId: 'user-1',
+  type: 'created',
+  note: { id: 'note-1', title: 'Note', tags: [] },
+  at: '2024-01-01T00:00:00.000Z'
+};
+
+describe('Webhook Service Integration Tests', () => {
+  let replSet;
+  let receiver;
+  let received;
+  let receiverUrl;
+
+  beforeAll(async () => {
+    replSet = await startDatabase();
+
+    receiver = http.createServer((request, response) => {
+      let body = '';
+      request.on('data', chunk => { body += chunk; });
+      request.on('end', () => {
+        received.push({ headers: request.headers, body });
+        response.statusCode = request.url === '/fail' ? 503 : 204;
+        response.end('internal details');
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+  }, STARTUP_TIMEOUT_MS);
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    await stopDatabase(replSet);
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    received = [];
+    webhookWorker.allowPrivateAddresses = true;
+    webhookWorker.logger = { warn: () => {}, error: () => {} };
+  });
+
+  afterEach(() => {
+    webhookWorker.allowPrivateAddresses = false;
+  });
+
+  it('should queue an event once per webhook', async () => {
+    await webhookService.createWebhook('user-1', { url: `${receiverUrl}/hook` });
+
+    expect(await webhookService.enqueue(event)).toBe(1);
+    expect(await webhookService.enqueue(event)).toBe(0);
+    expect(await WebhookDelivery.countDocuments({ eventId: 'event-1' })).toBe(1);
+  });
+
+  it('should send signed deliveries and record the attempts', async () => {
+    const webhook = await webhookService.createWebhook('user-1', { url: `${receiverUrl}/hook` });
+    await webhookService.enqueue(event);
+
+    expect(await webhookWorker.processBatch()).toBe(1);
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    const expected = crypto.createHmac('sha256', webhook.secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+    expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    expect(JSON.parse(body)).toMatchObject({ id: 'event-1', type: 'note.created' });
+
+    const [delivery] = await webhookService.listDeliveries('user-1', webhook.id);
+    expect(delivery.status).toBe('delivered');
+    expect(delivery.attempts).toBe(1);
+  });
+
+  it('should retry failed deliveries without keeping the response body', async () => {
+    const webhook = await webhookService.createWebhook('user-1', { url: `${receiverUrl}/fail` });
+    await webhookService.enqueue(event);
+
+    await webhookWorker.processBatch();
+
+    const [delivery] = await webhookService.listDeliveries('user-1', webhook.id);
+    expect(delivery.status).toBe('pending');
+    expect(delivery.lastError).toBe('HTTP 503');
+    expect(JSON.stringify(delivery.log)).not.toContain('internal details');
+  });
+
+  it('should not let an attempt in flight overwrite a redelivery', async () => {
+    const webhook = await webhookService.createWebhook('user-1', { url: `${receiverUrl}/fail` });
+    await webhookService.enqueue(event);
+
+    const { token, deliveries } = await webhookWorker.claimBatch();
+    const entry = await webhookWorker.send(webhook, deliveries[0]);
+    await webhookService.redeliver('user-1', webhook.id, deliveries[0]._id.toString());
+    await webhookWorker.record([{ delivery: deliveries[0], entry }], token);
+
+    const [delivery] = await webhookService.listDeliveries('user-1', webhook.id);
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts).toBe(0);
+    expect(delivery.lastError).toBeNull();
+    expect((await webhookWorker.claimBatch()).deliveries).toHaveLength(1);
+  });
+
+  it('should refuse private addresses unless they are allowed', async () => {
+    webhookWorker.allowPrivateAddresses = false;
+    const webhook = await webhookService.createWebhook('user-1', { url: `${receiverUrl}/hook` });
+    await webhookService.enqueue(event);
+
+    await webhookWorker.processBatch();
+
+    expect(received).toHaveLength(0);
+    const [delivery] = await webhookService.listDeliveries('user-1', webhook.id);
+    expect(delivery.lastError).toContain('private address');
+  });
+});
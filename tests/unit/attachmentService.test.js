@@ -0,0 +1,126 @@
+const { Readable, Writable } = require('stream');
+const mongoose = require('mongoose');
+const Note = require('../../models/Note');
+const attachmentService = require('../../services/attachmentService');
+
+describe('Attachment Service Unit Tests', () => {
+  const ownerId = 'user-1';
+  const noteId = new mongoose.Types.ObjectId();
+
+  let stored;
+  let deleted;
+  let bucket;
+
+  // Upload stream collecting the written bytes, like GridFSBucketWriteStream
+  const uploadStream = (filename, options) => {
+    const chunks = [];
+    const id = new mongoose.Types.ObjectId();
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      },
+      final(callback) {
+        stored.push({ _id: id, filename, length: Buffer.concat(chunks).length, uploadDate: new Date(), metadata: options.metadata });
+        callback();
+      }
+    });
+    stream.id = id;
+    stream.abort = jest.fn().mockResolvedValue();
+    return stream;
+  };
+
+  const upload = (content, extra = {}) => {
+    const stream = Readable.from([Buffer.from(content)]);
+    stream.truncated = extra.truncated || false;
+    return attachmentService.uploadAttachment(ownerId, noteId.toString(), {
+      filename: 'log.txt',
+      contentType: 'text/plain',
+      stream,
+      ...extra.file
+    });
+  };
+
+  beforeEach(() => {
+    stored = [];
+    deleted = [];
+    bucket = {
+      openUploadStream: jest.fn(uploadStream),
+      openDownloadStream: jest.fn(),
+      delete: jest.fn(async (id) => {
+        deleted.push(String(id));
+        stored = stored.filter(file => String(file._id) !== String(id));
+      })
+    };
+    jest.spyOn(attachmentService, 'bucket').mockReturnValue(bucket);
+    jest.spyOn(attachmentService, 'files').mockReturnValue({
+      findOne: async (query) => stored.find(file => String(file._id) === String(query._id)) || null,
+      find: () => {
+        const cursor = {
+          sort: () => cursor,
+          project: () => cursor,
+          toArray: async () => stored
+        };
+        return cursor;
+      }
+    });
+    jest.spyOn(Note, 'findOne').mockImplementation(() => ({
+      select: () => ({ lean: async () => ({ _id: noteId }) })
+    }));
+    attachmentService.configure({ allowedTypes: 'image/*, text/plain' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store an upload with the note and owner in metadata', async () => {
+    const attachment = await upload('hello');
+
+    expect(attachment).toMatchObject({ noteId: noteId.toString(), filename: 'log.txt', contentType: 'text/plain', size: 5 });
+    expect(bucket.openUploadStream.mock.calls[0][1].metadata).toEqual({ noteId, ownerId, contentType: 'text/plain' });
+  });
+
+  it('should check MIME types against the allowlist', async () => {
+    expect(attachmentService.isAllowedType('image/png')).toBe(true);
+    expect(attachmentService.isAllowedType('text/plain; charset=utf-8')).toBe(true);
+    expect(attachmentService.isAllowedType('text/html')).toBe(false);
+
+    await expect(upload('<script>', { file: { contentType: 'text/html' } }))
+      .rejects.toMatchObject({ statusCode: 415 });
+    expect(bucket.openUploadStream).not.toHaveBeenCalled();
+  });
+
+  it('should remove uploads cut off at the size limit', async () => {
+    await expect(upload('xxxx', { truncated: true })).rejects.toMatchObject({ statusCode: 413 });
+
+    expect(stored).toEqual([]);
+    expect(deleted).toHaveLength(1);
+  });
+
+  it('should not store files for missing notes', async () => {
+    Note.findOne.mockImplementation(() => ({ select: () => ({ lean: async () => null }) }));
+
+    expect(await upload('hello')).toBeNull();
+    expect(await attachmentService.uploadAttachment(ownerId, 'not-an-id', { stream: Readable.from([]) })).toBeNull();
+    expect(bucket.openUploadStream).not.toHaveBeenCalled();
+  });
+
+  it('should convert inclusive ranges to the exclusive GridFS end', () => {
+    const file = { _id: new mongoose.Types.ObjectId() };
+
+    attachmentService.openDownloadStream(file, { start: 2, end: 4 });
+    attachmentService.openDownloadStream(file);
+
+    expect(bucket.openDownloadStream.mock.calls[0][1]).toEqual({ start: 2, end: 5 });
+    expect(bucket.openDownloadStream.mock.calls[1][1]).toBeUndefined();
+  });
+
+  it('should delete all attachments of purged notes', async () => {
+    await upload('a');
+    await upload('b');
+
+    expect(await attachmentService.deleteNoteAttachments([noteId.toString()])).toBe(2);
+    expect(stored).toEqual([]);
+  });
+});
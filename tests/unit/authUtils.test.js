@@ -0,0 +1,114 @@
+const fastify = require('fastify');
+const {
+  createAuthHook,
+  verifyJwt,
+  signJwt,
+  parseApiKeys,
+  hashApiKey
+} = require('../../utils/authUtils');
+
+describe('Auth Utils Unit Tests', () => {
+  const secret = 'test-secret';
+
+  describe('verifyJwt', () => {
+    it('should verify a valid HS256 token', () => {
+      const token = signJwt({ sub: 'user-1', exp: Math.floor(Date.now() / 1000) + 60 }, secret);
+      const claims = verifyJwt(token, secret);
+      expect(claims.sub).toBe('user-1');
+    });
+
+    it('should reject a token signed with another secret', () => {
+      const token = signJwt({ sub: 'user-1' }, 'other-secret');
+      expect(() => verifyJwt(token, secret)).toThrow('Invalid token signature');
+    });
+
+    it('should reject expired tokens', () => {
+      const token = signJwt({ sub: 'user-1', exp: Math.floor(Date.now() / 1000) - 3600 }, secret);
+      expect(() => verifyJwt(token, secret)).toThrow('Token expired');
+    });
+
+    it('should reject the none algorithm', () => {
+      const header = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url');
+      const payload = Buffer.from(JSON.stringify({ sub: 'user-1' })).toString('base64url');
+      expect(() => verifyJwt(`${header}.${payload}.`, secret)).toThrow('Unsupported token algorithm');
+    });
+
+    it('should check issuer and audience when configured', () => {
+      const token = signJwt({ sub: 'user-1', iss: 'a', aud: ['b'] }, secret);
+      expect(verifyJwt(token, secret, { issuer: 'a', audience: 'b' }).sub).toBe('user-1');
+      expect(() => verifyJwt(token, secret, { issuer: 'x' })).toThrow('Invalid token issuer');
+      expect(() => verifyJwt(token, secret, { audience: 'x' })).toThrow('Invalid token audience');
+    });
+  });
+
+  describe('parseApiKeys', () => {
+    it('should parse key:owner strings', () => {
+      const keys = parseApiKeys('k1:alice, k2:bob');
+      expect(keys.get(hashApiKey('k1'))).toBe('alice');
+      expect(keys.get(hashApiKey('k2'))).toBe('bob');
+    });
+
+    it('should reject incomplete pairs', () => {
+      expect(() => parseApiKeys('k1:')).toThrow();
+    });
+  });
+
+  describe('createAuthHook', () => {
+    let app;
+
+    beforeEach(async () => {
+      app = fastify();
+      app.addHook('onRequest', createAuthHook({ apiKeys: { k1: 'alice', k2: 'root' }, jwtSecret: secret, adminUsers: 'root' }));
+      app.get('/me', async (request) => request.user);
+      await app.ready();
+    });
+
+    afterEach(async () => {
+      await app.close();
+    });
+
+    it('should reject anonymous requests', async () => {
+      const response = await app.inject({ method: 'GET', url: '/me' });
+      expect(response.statusCode).toBe(401);
+    });
+
+    it('should authenticate API keys', async () => {
+      const response = await app.inject({ method: 'GET', url: '/me', headers: { 'x-api-key': 'k1' } });
+      expect(response.statusCode).toBe(200);
+      expect(response.json()).toEqual({ id: 'alice', method: 'api-key', isAdmin: false });
+    });
+
+    it('should reject unknown API keys', async () => {
+      const response = await app.inject({ method: 'GET', url: '/me', headers: { 'x-api-key': 'nope' } });
+      expect(response.statusCode).toBe(401);
+    });
+
+    it('should authenticate bearer tokens', async () => {
+      const token = signJwt({ sub: 'bob' }, secret);
+      const response = await app.inject({
+        method: 'GET',
+        url: '/me',
+        headers: { authorization: `Bearer ${token}` }
+      });
+      expect(response.statusCode).toBe(200);
+      expect(response.json().id).toBe('bob');
+    });
+
+    it('should grant admin to configured owners', async () => {
+      const response = await app.inject({ method: 'GET', url: '/me', headers: { 'x-api-key': 'k2' } });
+      expect(response.json().isAdmin).toBe(true);
+    });
+
+    it('should grant admin to tokens with the admin role', async () => {
+      const request = (claims) => app.inject({
+        method: 'GET',
+        url: '/me',
+        headers: { authorization: `Bearer ${signJwt(claims, secret)}` }
+      });
+
+      expect((await request({ sub: 'bob', role: 'admin' })).json().isAdmin).toBe(true);
+      expect((await request({ sub: 'bob', roles: ['editor', 'admin'] })).json().isAdmin).toBe(true);
+      expect((await request({ sub: 'bob', role: 'editor' })).json().isAdmin).toBe(false);
+    });
+  });
+});
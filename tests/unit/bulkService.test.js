@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const Note = require('../../models/Note');
+const revisionService = require('../../services/revisionService');
+const linkService = require('../../services/linkService');
+const noteService = require('../../services/noteService');
+const bulkService = require('../../services/bulkService');
+const { mockQuery, mockNote } = require('../helpers/mongooseMocks');
+
+describe('Bulk Service Unit Tests', () => {
+  const ownerId = 'user-1';
+  const ids = [1, 2, 3, 4].map(() => new mongoose.Types.ObjectId());
+
+  const note = (id, extra = {}) => mockNote({
+    _id: id,
+    ownerId,
+    title: `Note ${id}`,
+    revision: 2,
+    outbox: { version: 5 },
+    ...extra
+  });
+
+  let stored;
+  let revisions;
+
+  beforeEach(() => {
+    stored = [note(ids[0]), note(ids[1]), note(ids[2], { deletedAt: new Date() })];
+    revisions = [];
+
+    // Re-reads after a batch update return the notes that carry the written timestamp
+    jest.spyOn(Note, 'find').mockImplementation((query) => {
+      const wanted = query._id.$in.map(String);
+      const matches = stored.filter(n => wanted.includes(String(n._id)));
+      return mockQuery(() => {
+        if (query.updatedAt) {
+          return matches.filter(n => n.updatedAt === query.updatedAt);
+        }
+        if (query.deletedAt) {
+          return matches.filter(n => n.deletedAt === query.deletedAt);
+        }
+        if (query.purgedAt) {
+          return matches.filter(n => n.purgedAt === query.purgedAt);
+        }
+        return matches;
+      });
+    });
+    jest.spyOn(Note, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(Note, 'bulkWrite').mockImplementation(async (ops) => {
+      let matchedCount = 0;
+      for (const { updateOne } of ops) {
+        const target = stored.find(n => String(n._id) === String(updateOne.filter._id));
+        if (target && target.outbox.version === updateOne.filter['outbox.version']) {
+          target.updatedAt = updateOne.update.$set.updatedAt;
+          matchedCount++;
+        }
+      }
+      return { matchedCount };
+    });
+    jest.spyOn(Note, 'updateMany').mockImplementation(async (filter, update) => {
+      if (update.$set && update.$set.deletedAt) {
+        stored
+          .filter(n => filter._id.$in.map(String).includes(String(n._id)) && !n.deletedAt)
+          .forEach(n => { n.deletedAt = update.$set.deletedAt; });
+      }
+      if (Array.isArray(update)) {
+        stored
+          .filter(n => filter._id.$in.map(String).includes(String(n._id)) && !n.purgedAt)
+          .forEach(n => { n.purgedAt = update[0].$set.purgedAt; });
+      }
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(revisionService, 'recordRevisions').mockImplementation(async (entries) => {
+      revisions.push(...entries);
+    });
+    jest.spyOn(linkService, 'syncLinks').mockResolvedValue();
+    jest.spyOn(linkService, 'relinkTitles').mockResolvedValue();
+    jest.spyOn(noteService, 'updateLinks').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should apply mixed operations with one batch write per kind', async () => {
+    const { committed, results } = await bulkService.applyOperations(ownerId, [
+      { index: 0, op: 'create', title: ' New ', body: 'Content', tags: ['Work'] },
+      { index: 1, op: 'update', id: String(ids[0]), title: 'Renamed' },
+      { index: 2, op: 'delete', id: String(ids[1]) },
+      { index: 3, op: 'delete', id: String(ids[2]), permanent: true }
+    ]);
+
+    expect(committed).toBe(true);
+    expect(results.map(r => r.status)).toEqual(['created', 'updated', 'deleted', 'deleted']);
+    expect(Note.insertMany).toHaveBeenCalledTimes(1);
+    expect(Note.insertMany.mock.calls[0][0][0]).toMatchObject({ title: 'New', tags: ['work'] });
+    expect(Note.bulkWrite).toHaveBeenCalledTimes(1);
+
+    const update = Note.bulkWrite.mock.calls[0][0][0].updateOne;
+    expect(update.filter['outbox.version']).toBe(5);
+    expect(update.update.$set).toMatchObject({ title: 'Renamed', revision: 3, indexStatus: 'pending', 'outbox.embed': true });
+
+    expect(revisions.map(r => r.changedFields)).toEqual([['title', 'body', 'tags', 'format'], ['title']]);
+  });
+
+  it('should update the links of created and changed notes', async () => {
+    await bulkService.applyOperations(ownerId, [
+      { index: 0, op: 'create', title: 'New', body: 'See [[Note 1]]' },
+      { index: 1, op: 'update', id: String(ids[0]), body: 'Now [[New]]' },
+      { index: 2, op: 'update', id: String(ids[1]), title: 'Renamed' }
+    ]);
+
+    const synced = linkService.syncLinks.mock.calls[0][1];
+    expect(synced.map(n => n.body)).toEqual(['See [[Note 1]]', 'Now [[New]]']);
+    expect(linkService.relinkTitles.mock.calls[0][1].map(n => n.title)).toEqual(['New']);
+    expect(noteService.updateLinks).toHaveBeenCalledTimes(1);
+    expect(noteService.updateLinks.mock.calls[0].slice(1).map(n => n.title)).toEqual(['Renamed', `Note ${ids[1]}`]);
+  });
+
+  it('should report failures per item and apply the rest', async () => {
+    const { committed, results } = await bulkService.applyOperations(ownerId, [
+      { index: 0, op: 'update', id: 'not-an-id', title: 'x' },
+      { index: 1, op: 'update', id: String(ids[3]), title: 'x' },
+      { index: 2, op: 'update', id: String(ids[2]), title: 'x' },
+      { index: 3, op: 'delete', id: String(ids[0]) },
+      { index: 4, op: 'update', id: String(ids[0]), title: 'x' },
+      { index: 5, op: 'create', title: '  ', body: 'x' }
+    ]);
+
+    expect(committed).toBe(true);
+    expect(results).toEqual([
+      expect.objectContaining({ index: 0, status: 'failed', error: 'Invalid note id' }),
+      expect.objectContaining({ index: 1, status: 'failed', error: 'Note not found' }),
+      expect.objectContaining({ index: 2, status: 'failed', error: 'Note not found' }),
+      expect.objectContaining({ index: 3, status: 'deleted' }),
+      expect.objectContaining({ index: 4, status: 'failed', error: expect.stringContaining('already targeted') }),
+      expect.objectContaining({ index: 5, status: 'failed', error: 'Title and body are required' })
+    ]);
+  });
+
+  it('should report notes modified concurrently', async () => {
+    Note.bulkWrite.mockImplementation(async () => ({ matchedCount: 0 }));
+
+    const { results } = await bulkService.applyOperations(ownerId, [
+      { index: 0, op: 'update', id: String(ids[0]), body: 'Changed' }
+    ]);
+
+    expect(results[0]).toMatchObject({ status: 'failed', error: expect.stringContaining('modified concurrently') });
+    expect(revisions).toEqual([]);
+  });
+
+  it('should report notes purged concurrently', async () => {
+    Note.updateMany.mockImplementation(async () => {
+      stored[2].purgedAt = new Date(0);
+      return { modifiedCount: 0 };
+    });
+
+    const { results } = await bulkService.applyOperations(ownerId, [
+      { index: 0, op: 'delete', id: String(ids[2]), permanent: true }
+    ]);
+
+    expect(results[0]).toMatchObject({ status: 'failed', error: 'Note not found' });
+  });
+
+  it('should keep the timestamps of created notes only when asked to', async () => {
+    const createdAt = new Date('2024-01-01T00:00:00.000Z');
+    const operation = { index: 0, op: 'create', title: 'A', body: 'a', createdAt };
+
+    await bulkService.applyOperations(ownerId, [operation], { keepTimestamps: true });
+    await bulkService.applyOperations(ownerId, [operation]);
+
+    expect(Note.insertMany.mock.calls[0][0][0]).toMatchObject({ createdAt, updatedAt: createdAt });
+    expect(Note.insertMany.mock.calls[1][0][0].createdAt).not.toEqual(createdAt);
+  });
+
+  it('should report failed inserts per item', async () => {
+    Note.insertMany.mockRejectedValue(Object.assign(new Error('bulk write error'), {
+      writeErrors: [{ index: 1, errmsg: 'duplicate key' }]
+    }));
+
+    const { results } = await bulkService.applyOperations(ownerId, [
+      { index: 0, op: 'create', title: 'A', body: 'a' },
+      { index: 1, op: 'create', title: 'B', body: 'b' }
+    ]);
+
+    expect(results.map(r => r.status)).toEqual(['created', 'failed']);
+    expect(results[1].error).toBe('duplicate key');
+  });
+
+  describe('atomic requests', () => {
+    let session;
+
+    beforeEach(() => {
+      session = {
+        withTransaction: jest.fn(async (callback) => callback()),
+        endSession: jest.fn()
+      };
+      jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    });
+
+    it('should write everything in one transaction', async () => {
+      const { committed } = await bulkService.applyOperations(ownerId, [
+        { index: 0, op: 'create', title: 'A', body: 'a' },
+        { index: 1, op: 'update', id: String(ids[0]), title: 'x' }
+      ], { atomic: true });
+
+      expect(committed).toBe(true);
+      expect(session.withTransaction).toHaveBeenCalledTimes(1);
+      expect(Note.insertMany.mock.calls[0][1]).toMatchObject({ session, ordered: true });
+      expect(Note.bulkWrite.mock.calls[0][1]).toMatchObject({ session });
+      expect(session.endSession).toHaveBeenCalled();
+    });
+
+    it('should write nothing when an operation is invalid', async () => {
+      const { committed, results } = await bulkService.applyOperations(ownerId, [
+        { index: 0, op: 'create', title: 'A', body: 'a' },
+        { index: 1, op: 'update', id: String(ids[3]), title: 'x' }
+      ], { atomic: true });
+
+      expect(committed).toBe(false);
+      expect(results.map(r => r.status)).toEqual(['skipped', 'failed']);
+      expect(mongoose.startSession).not.toHaveBeenCalled();
+      expect(Note.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should roll back when a write fails inside the transaction', async () => {
+      Note.bulkWrite.mockImplementation(async () => ({ matchedCount: 0 }));
+
+      const { committed, results } = await bulkService.applyOperations(ownerId, [
+        { index: 0, op: 'create', title: 'A', body: 'a' },
+        { index: 1, op: 'update', id: String(ids[0]), title: 'x' }
+      ], { atomic: true });
+
+      expect(committed).toBe(false);
+      expect(results.map(r => r.status)).toEqual(['skipped', 'failed']);
+      expect(revisionService.recordRevisions).not.toHaveBeenCalled();
+      expect(session.endSession).toHaveBeenCalled();
+    });
+  });
+});
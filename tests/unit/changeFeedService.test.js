@@ -0,0 +1,168 @@
+const { EventEmitter } = require('events');
+const Note = require('../../models/Note');
+const changeFeedService = require('../../services/changeFeedService');
+const { mockNote } = require('../helpers/mongooseMocks');
+
+describe('Change Feed Service Unit Tests', () => {
+  const note = (id, ownerId, tags = []) => mockNote({ _id: id, ownerId, title: `Note ${id}`, tags, revision: 2 });
+
+  let unsubscribers;
+  const subscribe = (ownerId, options = {}) => {
+    const events = [];
+    unsubscribers.push(changeFeedService.subscribe(ownerId, options, event => events.push(event)));
+    return events;
+  };
+
+  beforeEach(async () => {
+    unsubscribers = [];
+    changeFeedService.buffer = [];
+    await changeFeedService.start({ source: 'emitter', bufferSize: 1000 });
+  });
+
+  afterEach(() => {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    jest.restoreAllMocks();
+  });
+
+  it('should deliver published changes to subscribers of the owner', () => {
+    const events = subscribe('user-1');
+    const others = subscribe('user-2');
+
+    changeFeedService.publish('created', note('a', 'user-1'));
+    changeFeedService.publish('deleted', [note('b', 'user-1')], { permanent: true });
+
+    expect(others).toEqual([]);
+    expect(events.map(event => event.type)).toEqual(['created', 'deleted']);
+    expect(events[0]).toEqual({
+      id: expect.any(String),
+      type: 'created',
+      at: expect.any(String),
+      note: expect.objectContaining({ id: 'a', title: 'Note a', tags: [], revision: 2, deletedAt: null })
+    });
+    expect(events[0].note.body).toBeUndefined();
+    expect(events[1].permanent).toBe(true);
+  });
+
+  it('should filter events by tag', () => {
+    const events = subscribe('user-1', { filters: { tags: ['work', 'ops'] } });
+    const excluding = subscribe('user-1', { filters: { excludeTags: ['work'] } });
+
+    changeFeedService.publish('created', [note('a', 'user-1', ['work']), note('b', 'user-1', ['home']), note('c', 'user-1', ['ops'])]);
+
+    expect(events.map(event => event.note.id)).toEqual(['a', 'c']);
+    expect(excluding.map(event => event.note.id)).toEqual(['b', 'c']);
+  });
+
+  it('should replay buffered events after the last event id', () => {
+    changeFeedService.publish('created', [note('a', 'user-1'), note('b', 'user-2'), note('c', 'user-1')]);
+    const [first] = changeFeedService.buffer;
+
+    const events = subscribe('user-1', { lastEventId: first.id });
+    changeFeedService.publish('updated', note('a', 'user-1'));
+
+    expect(events.map(event => `${event.type}:${event.note.id}`)).toEqual(['created:c', 'updated:a']);
+  });
+
+  it('should send a reset when the last event id is not buffered', async () => {
+    await changeFeedService.start({ bufferSize: 2 });
+    changeFeedService.publish('created', [note('a', 'user-1'), note('b', 'user-1'), note('c', 'user-1')]);
+    const latest = changeFeedService.buffer[1];
+
+    expect(changeFeedService.buffer.map(event => event.note.id)).toEqual(['b', 'c']);
+    expect(subscribe('user-1', { lastEventId: 'unknown' })).toEqual([{ id: latest.id, type: 'reset', at: expect.any(String) }]);
+  });
+
+  it('should stop delivering after unsubscribing', () => {
+    const events = [];
+    const unsubscribe = changeFeedService.subscribe('user-1', {}, event => events.push(event));
+
+    unsubscribe();
+    changeFeedService.publish('created', note('a', 'user-1'));
+
+    expect(events).toEqual([]);
+  });
+
+  it('should ignore local changes while the change stream is active', () => {
+    const events = subscribe('user-1');
+
+    changeFeedService.mode = 'change-stream';
+    changeFeedService.publish('created', note('a', 'user-1'));
+    changeFeedService.mode = 'emitter';
+
+    expect(events).toEqual([]);
+  });
+
+  it('should reject invalid options', async () => {
+    await expect(changeFeedService.start({ source: 'polling' })).rejects.toThrow('Invalid change feed source');
+    await expect(changeFeedService.start({ bufferSize: -1 })).rejects.toThrow('Invalid change feed buffer size');
+  });
+
+  describe('fromChange', () => {
+    const change = (operationType, fullDocument, updatedFields = {}, removedFields = [], fullDocumentBeforeChange) => ({
+      _id: { _data: 'token-1' },
+      operationType,
+      fullDocument,
+      fullDocumentBeforeChange,
+      updateDescription: { updatedFields, removedFields }
+    });
+
+    it('should map inserts and edits', () => {
+      expect(changeFeedService.fromChange(change('insert', note('a', 'user-1')))).toEqual(
+        expect.objectContaining({ id: 'token-1', ownerId: 'user-1', type: 'created' })
+      );
+      expect(changeFeedService.fromChange(change('update', note('a', 'user-1'), { title: 'New', revision: 3, 'outbox.version': 4 })).type)
+        .toBe('updated');
+    });
+
+    it('should map trash, restore and purge', () => {
+      const trashed = { ...note('a', 'user-1'), deletedAt: new Date() };
+
+      expect(changeFeedService.fromChange(change('update', trashed, { deletedAt: trashed.deletedAt })).type).toBe('deleted');
+      expect(changeFeedService.fromChange(change('update', note('a', 'user-1'), { deletedAt: null })).type).toBe('restored');
+      expect(changeFeedService.fromChange(change('update', { ...trashed, purgedAt: new Date() }, { purgedAt: new Date() })))
+        .toEqual(expect.objectContaining({ type: 'deleted', permanent: true }));
+    });
+
+    it('should skip index-only updates, trashed notes and deleted documents', () => {
+      const trashed = { ...note('a', 'user-1'), deletedAt: new Date() };
+
+      expect(changeFeedService.fromChange(change('update', note('a', 'user-1'), { indexStatus: 'indexed', 'outbox.indexedAt': new Date() }))).toBeNull();
+      expect(changeFeedService.fromChange(change('update', note('a', 'user-1'), { embedding: [0.1], chunks: [] }))).toBeNull();
+      expect(changeFeedService.fromChange(change('update', trashed, { tags: ['merged'] }))).toBeNull();
+      expect(changeFeedService.fromChange(change('update', null, { title: 'Gone' }))).toBeNull();
+    });
+
+    it('should announce a purge from the pre-image once the note is deleted', () => {
+      const trashed = { ...note('a', 'user-1'), deletedAt: new Date('2024-01-03') };
+      const purgedAt = new Date('2024-01-04');
+
+      expect(changeFeedService.fromChange(change('update', null, { purgedAt, 'outbox.version': 3 }, [], trashed))).toEqual({
+        id: 'token-1',
+        ownerId: 'user-1',
+        type: 'deleted',
+        permanent: true,
+        note: expect.objectContaining({ id: 'a', title: 'Note a', deletedAt: trashed.deletedAt })
+      });
+      expect(changeFeedService.fromChange(change('update', null, { purgedAt }))).toBeNull();
+      expect(changeFeedService.fromChange(change('update', null, { title: 'Gone' }, [], trashed))).toBeNull();
+    });
+  });
+
+  describe('openStream', () => {
+    it('should ask for pre-images when they are enabled', () => {
+      const stream = Object.assign(new EventEmitter(), { close: async () => {} });
+      const watch = jest.spyOn(Note, 'watch').mockReturnValue(stream);
+
+      changeFeedService.preImages = true;
+      changeFeedService.openStream();
+      changeFeedService.preImages = false;
+      changeFeedService.openStream();
+      changeFeedService.stream = null;
+
+      const [[pipeline, options], [, withoutPreImages]] = watch.mock.calls;
+      expect(options).toEqual({ fullDocument: 'updateLookup', fullDocumentBeforeChange: 'whenAvailable' });
+      expect(withoutPreImages).toEqual({ fullDocument: 'updateLookup' });
+      expect(pipeline[1].$project).toEqual(expect.objectContaining({ 'fullDocumentBeforeChange.body': 0, 'fullDocument.embedding': 0 }));
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const { chunkText } = require('../../utils/chunkUtils');
+
+describe('Chunk Utils Unit Tests', () => {
+  const paragraph = (index) => `Paragraph ${index}. ` + 'Lorem ipsum dolor sit amet, consectetur adipiscing. '.repeat(6);
+  const longText = Array.from({ length: 10 }, (_, index) => paragraph(index)).join('\n\n');
+
+  it('should keep short text in one chunk', () => {
+    expect(chunkText('A short note.')).toEqual([{ start: 0, end: 13, text: 'A short note.' }]);
+  });
+
+  it('should report offsets into the original text', () => {
+    const chunks = chunkText(longText, { chunkSize: 500, overlap: 100 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      expect(longText.slice(chunk.start, chunk.end)).toBe(chunk.text);
+      expect(chunk.text.length).toBeLessThanOrEqual(500);
+      expect(chunk.text).toBe(chunk.text.trim());
+    });
+  });
+
+  it('should cover the whole text with overlapping chunks', () => {
+    const chunks = chunkText(longText, { chunkSize: 500, overlap: 100 });
+
+    expect(chunks[0].start).toBe(0);
+    expect(chunks[chunks.length - 1].end).toBe(longText.trimEnd().length);
+    for (let i = 1; i < chunks.length; i++) {
+      expect(chunks[i].start).toBeLessThan(chunks[i - 1].end);
+      expect(chunks[i].start).toBeGreaterThan(chunks[i - 1].start);
+    }
+  });
+
+  it('should prefer paragraph and sentence boundaries', () => {
+    const chunks = chunkText(longText, { chunkSize: 500, overlap: 100 });
+
+    chunks.slice(0, -1).forEach(chunk => expect(chunk.text).toMatch(/[.!?]$/));
+    chunks.slice(1).forEach(chunk => expect(chunk.text).toMatch(/^(Paragraph|Lorem)/));
+  });
+
+  it('should split text without boundaries into fixed windows', () => {
+    const chunks = chunkText('x'.repeat(2500), { chunkSize: 1000, overlap: 200 });
+    expect(chunks.map(chunk => [chunk.start, chunk.end])).toEqual([[0, 1000], [800, 1800], [1600, 2500]]);
+  });
+
+  it('should cap the overlap at half a chunk', () => {
+    const chunks = chunkText('word '.repeat(100), { chunkSize: 100, overlap: 500 });
+    expect(chunks.length).toBeLessThan(20);
+  });
+});
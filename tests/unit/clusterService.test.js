@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const Note = require('../../models/Note');
+const embeddingService = require('../../services/embeddingService');
+const clusterService = require('../../services/clusterService');
+const { embedText } = require('../../utils/textEmbedding');
+
+describe('Cluster Service Unit Tests', () => {
+  const ownerId = 'user-1';
+  const dimension = 512;
+
+  const raw = [
+    ['Kubernetes rollout', 'Deploy the api to the kubernetes cluster with two replicas.'],
+    ['Helm upgrade', 'Upgrade the helm chart on the production kubernetes cluster.'],
+    ['Cluster autoscaling', 'Configure the autoscaler for the kubernetes cluster nodes.'],
+    ['Index tuning', 'Add a compound index so the MongoDB listing query stops scanning.'],
+    ['Slow queries', 'Profile slow MongoDB queries with explain and add an index.'],
+    ['Query plan', 'The MongoDB query uses a collection scan and needs an index.'],
+    ['Chocolate cake', 'Mix flour, sugar and eggs, then bake the cake.'],
+    ['Sourdough', 'Knead the dough with flour and bake the bread.'],
+    ['Banana bread', 'Bake banana bread with flour, eggs and sugar.']
+  ];
+
+  let notes;
+  let version;
+
+  beforeEach(() => {
+    version = 1;
+    notes = raw.map(([title, body]) => ({
+      _id: new mongoose.Types.ObjectId(),
+      title,
+      body,
+      format: 'plain',
+      tags: [],
+      updatedAt: new Date(),
+      embedding: embedText(`${title}\n${body}`, dimension)
+    }));
+
+    jest.spyOn(Note, 'find').mockImplementation(() => {
+      let results = notes;
+      const query = {
+        select: () => query,
+        sort: () => query,
+        limit: (count) => {
+          results = results.slice(0, count);
+          return query;
+        },
+        lean: async () => results
+      };
+      return query;
+    });
+    jest.spyOn(Note, 'aggregate').mockImplementation(async () => [{ count: notes.length, updatedAt: null, indexedAt: null, version }]);
+    jest.spyOn(embeddingService, 'getDimension').mockReturnValue(dimension);
+    clusterService.invalidate();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const titlesOf = cluster => cluster.representatives.map(note => note.title).sort();
+
+  it('should group notes by topic with k', async () => {
+    const result = await clusterService.getClusters(ownerId, { k: 3, representatives: 3 });
+
+    expect(result).toEqual(expect.objectContaining({ k: 3, auto: false, clustered: 9, skipped: 0, truncated: false, cached: false }));
+    expect(result.clusters.map(titlesOf).sort()).toEqual([
+      ['Banana bread', 'Chocolate cake', 'Sourdough'],
+      ['Cluster autoscaling', 'Helm upgrade', 'Kubernetes rollout'],
+      ['Index tuning', 'Query plan', 'Slow queries']
+    ]);
+  });
+
+  it('should label clusters with their most typical terms', async () => {
+    const result = await clusterService.getClusters(ownerId, { k: 3, terms: 3 });
+    const labels = result.clusters.map(cluster => cluster.terms);
+
+    expect(labels).toEqual(expect.arrayContaining([
+      expect.arrayContaining(['kubernetes', 'cluster']),
+      expect.arrayContaining(['mongodb', 'index']),
+      expect.arrayContaining(['flour', 'bake'])
+    ]));
+    expect(result.clusters[0].label).toBe(result.clusters[0].terms.join(', '));
+  });
+
+  it('should choose k automatically', async () => {
+    const result = await clusterService.getClusters(ownerId);
+
+    expect(result.auto).toBe(true);
+    expect(result.k).toBeGreaterThanOrEqual(2);
+    expect(result.silhouette).toBeGreaterThan(0);
+    expect(result.clusters.reduce((sum, cluster) => sum + cluster.size, 0)).toBe(9);
+  });
+
+  it('should return nearest notes first and skip notes without a usable embedding', async () => {
+    notes.push({ _id: new mongoose.Types.ObjectId(), title: 'Pending', body: 'Not embedded', tags: [] });
+    notes.push({ _id: new mongoose.Types.ObjectId(), title: 'Old model', body: 'Other size', tags: [], embedding: [1, 0] });
+
+    const result = await clusterService.getClusters(ownerId, { k: 3, representatives: 2 });
+
+    expect(result.skipped).toBe(2);
+    for (const cluster of result.clusters) {
+      expect(cluster.size).toBe(3);
+      expect(cluster.representatives).toHaveLength(2);
+      expect(cluster.representatives[0].similarity).toBeGreaterThanOrEqual(cluster.representatives[1].similarity);
+    }
+  });
+
+  it('should serve cached clusters until a note changes', async () => {
+    await clusterService.getClusters(ownerId, { k: 2 });
+    const cached = await clusterService.getClusters(ownerId, { k: 2 });
+    expect(cached.cached).toBe(true);
+    expect(Note.find).toHaveBeenCalledTimes(1);
+
+    version = 2;
+    const recomputed = await clusterService.getClusters(ownerId, { k: 2 });
+    expect(recomputed.cached).toBe(false);
+    expect(Note.find).toHaveBeenCalledTimes(2);
+
+    expect((await clusterService.getClusters(ownerId, { k: 3 })).cached).toBe(false);
+  });
+
+  it('should handle owners without embedded notes', async () => {
+    notes = [];
+
+    const result = await clusterService.getClusters(ownerId);
+
+    expect(result).toEqual(expect.objectContaining({ k: 0, clustered: 0, clusters: [] }));
+  });
+});
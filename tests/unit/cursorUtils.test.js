@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const {
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  paginate
+} = require('../../utils/cursorUtils');
+
+// Minimal in-memory evaluation of the filters produced by buildCursorFilter
+function compare(a, b) {
+  const left = a instanceof Date ? a.getTime() : a.toString();
+  const right = b instanceof Date ? b.getTime() : b.toString();
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function matches(doc, filter) {
+  if (filter.$or) {
+    return filter.$or.some(clause => matches(doc, clause));
+  }
+  return Object.entries(filter).every(([field, condition]) => {
+    if (condition && condition.$gt !== undefined) return compare(doc[field], condition.$gt) > 0;
+    if (condition && condition.$lt !== undefined) return compare(doc[field], condition.$lt) < 0;
+    return compare(doc[field], condition) === 0;
+  });
+}
+
+function createQuery(docs) {
+  return async (filter, sort, limit) => {
+    const [[sortBy, order]] = Object.entries(sort);
+    return docs
+      .filter(doc => matches(doc, filter))
+      .sort((a, b) => (compare(a[sortBy], b[sortBy]) || compare(a._id, b._id)) * order)
+      .slice(0, limit);
+  };
+}
+
+describe('Cursor Utils Unit Tests', () => {
+  const base = new Date('2024-01-01T00:00:00Z').getTime();
+  // Pairs of notes share a timestamp so the _id tiebreaker matters
+  const docs = Array.from({ length: 7 }, (_, index) => ({
+    _id: new mongoose.Types.ObjectId(),
+    title: `Note ${index}`,
+    createdAt: new Date(base + Math.floor(index / 2) * 1000)
+  }));
+
+  it('should round-trip a cursor', () => {
+    const token = encodeCursor(docs[0], { sortBy: 'createdAt', sortOrder: -1 });
+    const cursor = decodeCursor(token);
+
+    expect(cursor.sortBy).toBe('createdAt');
+    expect(cursor.sortOrder).toBe(-1);
+    expect(cursor.direction).toBe('next');
+    expect(cursor.value).toEqual(docs[0].createdAt);
+    expect(cursor.id.toString()).toBe(docs[0]._id.toString());
+  });
+
+  it('should reject tampered cursors', () => {
+    const token = encodeCursor(docs[0], { sortBy: 'title', sortOrder: 1 });
+    const [data, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ s: 'title', o: 1, v: 'x', i: docs[1]._id.toString() })).toString('base64url');
+
+    expect(() => decodeCursor(`${forged}.${signature}`)).toThrow('Invalid cursor');
+    expect(() => decodeCursor(data)).toThrow('Invalid cursor');
+    expect(() => decodeCursor('garbage')).toThrow('Invalid cursor');
+  });
+
+  it('should build a tiebreaking range filter', () => {
+    const cursor = decodeCursor(encodeCursor(docs[2], { sortBy: 'createdAt', sortOrder: -1 }));
+    expect(buildCursorFilter(cursor)).toEqual({
+      $or: [
+        { createdAt: { $lt: docs[2].createdAt } },
+        { createdAt: docs[2].createdAt, _id: { $lt: docs[2]._id } }
+      ]
+    });
+  });
+
+  it('should walk forward and backward through every item exactly once', async () => {
+    const runQuery = createQuery(docs);
+    const options = { limit: 3, sortBy: 'createdAt', sortOrder: -1 };
+
+    const seen = [];
+    const pages = [];
+    let page = await paginate(runQuery, options);
+    pages.push(page);
+    seen.push(...page.items);
+    expect(page.prevCursor).toBeNull();
+
+    while (page.nextCursor) {
+      page = await paginate(runQuery, { ...options, cursor: decodeCursor(page.nextCursor) });
+      pages.push(page);
+      seen.push(...page.items);
+    }
+
+    expect(seen).toHaveLength(docs.length);
+    expect(new Set(seen.map(doc => doc._id.toString())).size).toBe(docs.length);
+
+    // Going back from the last page returns the previous page unchanged
+    const previous = await paginate(runQuery, { ...options, cursor: decodeCursor(page.prevCursor) });
+    expect(previous.items).toEqual(pages[pages.length - 2].items);
+    expect(previous.nextCursor).not.toBeNull();
+  });
+
+  it('should not skip items inserted while paging', async () => {
+    const live = docs.slice();
+    const runQuery = createQuery(live);
+    const options = { limit: 3, sortBy: 'createdAt', sortOrder: -1 };
+
+    const first = await paginate(runQuery, options);
+    live.push({ _id: new mongoose.Types.ObjectId(), title: 'New', createdAt: new Date(base + 60000) });
+    const second = await paginate(runQuery, { ...options, cursor: decodeCursor(first.nextCursor) });
+
+    const firstIds = first.items.map(doc => doc._id.toString());
+    expect(second.items.some(doc => firstIds.includes(doc._id.toString()))).toBe(false);
+    expect(second.items).toHaveLength(3);
+  });
+});
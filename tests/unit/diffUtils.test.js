@@ -0,0 +1,55 @@
+const { diffLines, diffTags } = require('../../utils/diffUtils');
+
+describe('Diff Utils Unit Tests', () => {
+  describe('diffLines', () => {
+    it('should report unchanged text as equal lines', () => {
+      const diff = diffLines('a\nb', 'a\nb');
+      expect(diff.added).toBe(0);
+      expect(diff.removed).toBe(0);
+      expect(diff.changes.every(change => change.type === 'equal')).toBe(true);
+    });
+
+    it('should detect added, removed and replaced lines', () => {
+      const diff = diffLines('a\nb\nc\nd', 'a\nx\nc\nd\ne');
+
+      expect(diff.changes).toEqual([
+        { type: 'equal', oldLine: 1, newLine: 1, value: 'a' },
+        { type: 'removed', oldLine: 2, value: 'b' },
+        { type: 'added', newLine: 2, value: 'x' },
+        { type: 'equal', oldLine: 3, newLine: 3, value: 'c' },
+        { type: 'equal', oldLine: 4, newLine: 4, value: 'd' },
+        { type: 'added', newLine: 5, value: 'e' }
+      ]);
+      expect(diff.added).toBe(2);
+      expect(diff.removed).toBe(1);
+    });
+
+    it('should handle empty texts', () => {
+      expect(diffLines('', 'a').changes).toEqual([{ type: 'added', newLine: 1, value: 'a' }]);
+      expect(diffLines('a', '').changes).toEqual([{ type: 'removed', oldLine: 1, value: 'a' }]);
+    });
+
+    it('should reproduce both texts from the edit script', () => {
+      const oldText = 'one\ntwo\nthree\nfour\nfive';
+      const newText = 'zero\none\nthree\nfour\nsix\nfive';
+      const { changes } = diffLines(oldText, newText);
+
+      const oldLines = changes.filter(change => change.type !== 'added').map(change => change.value);
+      const newLines = changes.filter(change => change.type !== 'removed').map(change => change.value);
+      expect(oldLines.join('\n')).toBe(oldText);
+      expect(newLines.join('\n')).toBe(newText);
+    });
+
+    it('should fall back to a full replacement for very large edits', () => {
+      const diff = diffLines('a\n'.repeat(3000), 'b\n'.repeat(3000));
+      expect(diff.removed).toBe(3001);
+      expect(diff.added).toBe(3001);
+    });
+  });
+
+  describe('diffTags', () => {
+    it('should list added and removed tags', () => {
+      expect(diffTags(['a', 'b'], ['b', 'c'])).toEqual({ added: ['c'], removed: ['a'] });
+    });
+  });
+});
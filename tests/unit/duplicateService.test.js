@@ -0,0 +1,140 @@
+const Note = require('../../models/Note');
+const embeddingService = require('../../services/embeddingService');
+const vectorService = require('../../services/vectorService');
+const duplicateService = require('../../services/duplicateService');
+const { contentHash } = require('../../utils/hashUtils');
+const { mockQuery, mockNote } = require('../helpers/mongooseMocks');
+
+describe('Duplicate Service Unit Tests', () => {
+  const ownerId = 'user-1';
+
+  let notes;
+  let store;
+
+  const note = (title, body, embedding) => {
+    const created = mockNote({ ownerId, title, body, contentHash: contentHash(body), embedding });
+    notes.push(created);
+    return created;
+  };
+
+  beforeEach(() => {
+    notes = [];
+    store = { search: jest.fn().mockResolvedValue([]) };
+    vectorService.store = store;
+    vectorService.isInitialized = true;
+
+    jest.spyOn(Note, 'find').mockImplementation(query => mockQuery(notes.filter(n => (
+      n.ownerId === query.ownerId && n.deletedAt === null && (!query.contentHash || n.contentHash === query.contentHash)
+    ))));
+    jest.spyOn(embeddingService, 'generateEmbeddings').mockImplementation(async (texts) => texts.map(() => [1, 0]));
+    jest.spyOn(embeddingService, 'getDimension').mockReturnValue(2);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    vectorService.store = null;
+    vectorService.isInitialized = false;
+    duplicateService.configure({ threshold: 0.9, checkOnCreate: false });
+  });
+
+  it('should report exact matches before similar ones', async () => {
+    const copy = note('Deploy', 'Run the deploy script.');
+    const similar = note('Deploying', 'Run the deployment script.');
+    store.search.mockResolvedValue([
+      { id: copy._id.toString(), score: 0.99, payload: { title: copy.title, createdAt: copy.createdAt.toISOString() } },
+      { id: similar._id.toString(), score: 0.95, payload: { title: similar.title, createdAt: similar.createdAt.toISOString() } }
+    ]);
+
+    const candidates = await duplicateService.findDuplicates(ownerId, { title: 'New', body: '  Run the deploy script.\n' });
+
+    expect(candidates.map(c => [c.id, c.match, c.score])).toEqual([
+      [copy._id.toString(), 'exact', 1],
+      [similar._id.toString(), 'similar', 0.95]
+    ]);
+  });
+
+  it('should embed the new note like the index worker and search with the threshold', async () => {
+    await duplicateService.findDuplicates(ownerId, { title: ' Deploy ', body: 'Run the deploy script.' }, { threshold: 0.8, limit: 3 });
+
+    expect(embeddingService.generateEmbeddings).toHaveBeenCalledWith(['Deploy\nRun the deploy script.']);
+    expect(store.search).toHaveBeenCalledWith([1, 0], { limit: 3, threshold: 0.8, ownerId });
+  });
+
+  it('should fall back to exact matches when the embedding fails', async () => {
+    const copy = note('Deploy', 'Run the deploy script.');
+    embeddingService.generateEmbeddings.mockRejectedValue(new Error('provider down'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const candidates = await duplicateService.findDuplicates(ownerId, { title: 'New', body: 'Run the deploy script.' });
+
+    expect(candidates.map(c => c.id)).toEqual([copy._id.toString()]);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('should only check exact matches without vector search', async () => {
+    vectorService.isInitialized = false;
+
+    const candidates = await duplicateService.findDuplicates(ownerId, { title: 'New', body: 'Something else' });
+
+    expect(candidates).toEqual([]);
+    expect(store.search).not.toHaveBeenCalled();
+  });
+
+  it('should cluster notes connected by hash or similarity', async () => {
+    const a = note('A', 'Restart the api service.', [1, 0]);
+    const b = note('B', 'Restart the api service.');
+    const c = note('C', 'Restart the API service now.', [0.96, 0.28]);
+    note('D', 'Bake bread at 220 degrees.', [0, 1]);
+
+    const report = await duplicateService.findDuplicateClusters(ownerId, { threshold: 0.9 });
+
+    expect(report.scanned).toBe(4);
+    expect(report.truncated).toBe(false);
+    expect(report.clusters).toHaveLength(1);
+    expect(report.clusters[0].notes.map(n => n.id).sort()).toEqual([a, b, c].map(n => n._id.toString()).sort());
+    expect(report.clusters[0].exact).toBe(false);
+    expect(report.clusters[0].score).toBeCloseTo(0.96);
+  });
+
+  it('should score clusters by the pairs that joined them only', async () => {
+    const angle = degrees => [Math.cos(degrees * Math.PI / 180), Math.sin(degrees * Math.PI / 180)];
+    // A-B (0.99) and A-C (0.95) join the cluster, B-C (0.90) is compared once both are in it
+    note('A', 'First', angle(0));
+    note('B', 'Second', angle(8.11));
+    note('C', 'Third', angle(-18.19));
+
+    const report = await duplicateService.findDuplicateClusters(ownerId, { threshold: 0.85 });
+
+    expect(report.clusters).toHaveLength(1);
+    expect(report.clusters[0].size).toBe(3);
+    expect(report.clusters[0].score).toBeCloseTo(0.95);
+  });
+
+  it('should yield to the event loop while comparing notes', async () => {
+    ['A', 'B', 'C'].forEach(title => note(title, `Body ${title}`, [1, 0]));
+    const yields = jest.spyOn(global, 'setImmediate');
+
+    const report = await duplicateService.findDuplicateClusters(ownerId);
+
+    expect(yields.mock.calls.length).toBeGreaterThanOrEqual(3);
+    expect(report.clusters).toEqual([expect.objectContaining({ size: 3, exact: false, score: 1 })]);
+  });
+
+  it('should skip embeddings of another dimension and flag truncated reports', async () => {
+    note('A', 'First', [1, 0, 0]);
+    note('B', 'Second', [1, 0, 0]);
+    note('C', 'Third', [1, 0]);
+
+    const report = await duplicateService.findDuplicateClusters(ownerId, { maxNotes: 2 });
+
+    expect(report).toEqual({ threshold: 0.9, scanned: 2, truncated: true, clusters: [] });
+  });
+
+  it('should validate the configured threshold', () => {
+    duplicateService.configure({ threshold: '0.8', checkOnCreate: 'true' });
+    expect(duplicateService.threshold).toBe(0.8);
+    expect(duplicateService.checkOnCreate).toBe(true);
+
+    expect(() => duplicateService.configure({ threshold: '2' })).toThrow('Invalid duplicate threshold');
+  });
+});
@@ -0,0 +1,101 @@
+const embeddingCache = require('../../services/embeddingCache');
+const embeddingService = require('../../services/embeddingService');
+
+describe('Embedding Cache Unit Tests', () => {
+  const provider = { name: 'offline', model: 'test-model', dimension: 2 };
+  const embed = jest.fn(async (texts) => texts.map(text => [text.length, 1]));
+
+  let stored;
+
+  beforeEach(() => {
+    stored = new Map();
+    embed.mockClear();
+    embeddingCache.configure({ maxEntries: 3, persistent: true });
+    embeddingCache.resetStats();
+    embeddingCache.model = {
+      find: jest.fn(({ key }) => ({
+        select: () => ({
+          lean: async () => key.$in.filter(k => stored.has(k)).map(k => ({ key: k, embedding: stored.get(k) }))
+        })
+      })),
+      updateMany: jest.fn().mockResolvedValue({}),
+      bulkWrite: jest.fn(async (ops) => {
+        ops.forEach(op => stored.set(op.updateOne.filter.key, op.updateOne.update.$set.embedding));
+      })
+    };
+  });
+
+  afterEach(() => {
+    embeddingCache.model = require('../../models/EmbeddingCache');
+    embeddingCache.configure({ maxEntries: 1000, persistent: true });
+  });
+
+  it('should only embed texts it has not seen', async () => {
+    await embeddingCache.getOrCreate(provider, ['alpha', 'beta'], embed);
+    const embeddings = await embeddingCache.getOrCreate(provider, ['beta', 'gamma', 'alpha'], embed);
+
+    expect(embed.mock.calls.map(call => call[0])).toEqual([['alpha', 'beta'], ['gamma']]);
+    expect(embeddings).toEqual([[4, 1], [5, 1], [5, 1]]);
+    expect(embeddingCache.getStats()).toMatchObject({ hits: 2, misses: 3, memoryHits: 2 });
+  });
+
+  it('should embed repeated texts of a batch once', async () => {
+    const embeddings = await embeddingCache.getOrCreate(provider, ['same', 'other', 'same'], embed);
+
+    expect(embed).toHaveBeenCalledWith(['same', 'other']);
+    expect(embeddings[0]).toBe(embeddings[2]);
+  });
+
+  it('should share embeddings between texts that differ only in whitespace', async () => {
+    await embeddingCache.getOrCreate(provider, ['Meeting  notes\nfor Monday'], embed);
+    await embeddingCache.getOrCreate(provider, ['Meeting notes for Monday'], embed);
+
+    expect(embed).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep providers and models apart', async () => {
+    await embeddingCache.getOrCreate(provider, ['alpha'], embed);
+    await embeddingCache.getOrCreate({ ...provider, model: 'other-model' }, ['alpha'], embed);
+    await embeddingCache.getOrCreate({ ...provider, dimension: 4 }, ['alpha'], embed);
+
+    expect(embed).toHaveBeenCalledTimes(3);
+  });
+
+  it('should fall back to MongoDB when the in-memory tier evicted an entry', async () => {
+    await embeddingCache.getOrCreate(provider, ['a', 'b', 'c', 'd'], embed);
+    expect(embeddingCache.getStats().memoryEntries).toBe(3);
+
+    const [embedding] = await embeddingCache.getOrCreate(provider, ['a'], embed);
+
+    expect(embedding).toEqual([1, 1]);
+    expect(embed).toHaveBeenCalledTimes(1);
+    expect(embeddingCache.getStats()).toMatchObject({ persistentHits: 1, memoryHits: 0 });
+    expect(embeddingCache.model.updateMany).toHaveBeenCalled();
+  });
+
+  it('should still embed when MongoDB fails', async () => {
+    embeddingCache.model.find = () => ({ select: () => ({ lean: async () => { throw new Error('connection lost'); } }) });
+    embeddingCache.model.bulkWrite = jest.fn().mockRejectedValue(new Error('connection lost'));
+
+    const embeddings = await embeddingCache.getOrCreate(provider, ['alpha'], embed);
+
+    expect(embeddings).toEqual([[5, 1]]);
+    expect(embeddingCache.getStats().persistentErrors).toBe(2);
+  });
+
+  it('should serve generateEmbedding from the cache', async () => {
+    await embeddingService.initialize({ provider: 'offline', dimension: 8 });
+    const providerEmbed = jest.spyOn(embeddingService.getProvider(), 'embed');
+
+    const first = await embeddingService.generateEmbedding('cached text');
+    const second = await embeddingService.generateEmbedding('  cached text ');
+
+    expect(second).toEqual(first);
+    expect(providerEmbed).toHaveBeenCalledTimes(1);
+    expect(embeddingService.getStats()).toMatchObject({
+      provider: 'offline',
+      cache: { hits: 1, misses: 1 }
+    });
+    embeddingService.provider = null;
+  });
+});
@@ -0,0 +1,145 @@
+const embeddingService = require('../../services/embeddingService');
+const { createEmbeddingProvider } = require('../../services/embeddingProviders');
+const OpenAIProvider = require('../../services/embeddingProviders/openaiProvider');
+const QdrantStore = require('../../services/vectorStores/qdrantStore');
+const embeddingCache = require('../../services/embeddingCache');
+
+describe('Embedding Service Unit Tests', () => {
+  beforeEach(() => {
+    embeddingCache.configure({ maxEntries: 0, persistent: false });
+  });
+
+  afterEach(() => {
+    embeddingService.provider = null;
+  });
+
+  describe('provider selection', () => {
+    it('should default to the offline provider without an API key', async () => {
+      await embeddingService.initialize({});
+
+      expect(embeddingService.describe()).toEqual({
+        provider: 'offline',
+        model: 'offline-hashed-tfidf',
+        dimension: 1536
+      });
+    });
+
+    it('should default to OpenAI when an API key is configured', async () => {
+      await embeddingService.initialize({ openaiApiKey: 'sk-test' });
+
+      expect(embeddingService.describe()).toEqual({
+        provider: 'openai',
+        model: 'text-embedding-3-small',
+        dimension: 1536
+      });
+    });
+
+    it('should use the declared dimension of the model', async () => {
+      await embeddingService.initialize({ openaiApiKey: 'sk-test', model: 'text-embedding-3-large' });
+      expect(embeddingService.getDimension()).toBe(3072);
+    });
+
+    it('should reject unknown providers', async () => {
+      await expect(embeddingService.initialize({ provider: 'nope' }))
+        .rejects.toThrow('Unknown embedding provider: nope');
+    });
+
+    it('should fail clearly on incomplete configuration', async () => {
+      await expect(embeddingService.initialize({ provider: 'openai' }))
+        .rejects.toThrow('Failed to initialize embedding provider openai: The openai embedding provider requires an API key');
+      await expect(embeddingService.initialize({ provider: 'openai-compatible', model: 'nomic-embed-text' }))
+        .rejects.toThrow('requires a base URL');
+      await expect(embeddingService.initialize({ provider: 'openai-compatible', baseURL: 'http://localhost:11434/v1' }))
+        .rejects.toThrow('requires a model name');
+      expect(embeddingService.getDimension()).toBeNull();
+    });
+  });
+
+  describe('generation', () => {
+    it('should embed with the configured dimension', async () => {
+      await embeddingService.initialize({ provider: 'offline', dimension: 64 });
+
+      const embeddings = await embeddingService.generateEmbeddings(['first note', 'second note']);
+
+      expect(embeddings).toHaveLength(2);
+      expect(embeddings[0]).toHaveLength(64);
+    });
+
+    it('should split large batches by the provider limit', async () => {
+      await embeddingService.initialize({ provider: 'offline', dimension: 8 });
+      const provider = embeddingService.getProvider();
+      provider.maxBatchSize = 2;
+      jest.spyOn(provider, 'embed');
+
+      const embeddings = await embeddingService.generateEmbeddings(['a', 'b', 'c', 'd', 'e']);
+
+      expect(embeddings).toHaveLength(5);
+      expect(provider.embed.mock.calls.map(call => call[0])).toEqual([['a', 'b'], ['c', 'd'], ['e']]);
+    });
+
+    it('should reject empty texts', async () => {
+      await embeddingService.initialize({ provider: 'offline' });
+      await expect(embeddingService.generateEmbedding('  ')).rejects.toThrow('Text content is required');
+    });
+
+    it('should fail before initialization', async () => {
+      await expect(embeddingService.generateEmbedding('text')).rejects.toThrow('Embedding service not initialized');
+    });
+  });
+
+  describe('OpenAI provider', () => {
+    const provider = (options) => {
+      const instance = createEmbeddingProvider('openai', { apiKey: 'sk-test', ...options });
+      instance.client = { embeddings: { create: jest.fn() } };
+      return instance;
+    };
+
+    it('should request shortened vectors only when the dimension differs', () => {
+      expect(provider({}).requestOptions()).not.toHaveProperty('dimensions');
+      expect(provider({ dimension: 256 }).requestOptions()).toMatchObject({ dimensions: 256 });
+    });
+
+    it('should return embeddings in input order', async () => {
+      const instance = provider({ dimension: 2 });
+      instance.client.embeddings.create.mockResolvedValue({
+        data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }]
+      });
+
+      expect(await instance.embed(['a', 'b'])).toEqual([[1, 0], [0, 1]]);
+    });
+
+    it('should reject embeddings of the wrong size', async () => {
+      const instance = provider({ dimension: 3 });
+      instance.client.embeddings.create.mockResolvedValue({ data: [{ index: 0, embedding: [1, 0] }] });
+
+      await expect(instance.embed(['a'])).rejects.toThrow('returned 2 dimensions, expected 3');
+    });
+
+    it('should know the native model sizes', () => {
+      expect(OpenAIProvider.MODEL_DIMENSIONS['text-embedding-ada-002']).toBe(1536);
+    });
+  });
+
+  describe('Qdrant collection size', () => {
+    const store = (size) => {
+      const instance = new QdrantStore({ url: 'http://localhost:6333', vectorSize: 768 });
+      instance.client = {
+        getCollections: jest.fn().mockResolvedValue({ collections: [{ name: 'notes' }] }),
+        getCollection: jest.fn().mockResolvedValue({ config: { params: { vectors: { size, distance: 'Cosine' } } } }),
+        createPayloadIndex: jest.fn().mockResolvedValue({})
+      };
+      return instance;
+    };
+
+    it('should accept a collection of the provider dimension', async () => {
+      await expect(store(768).checkDimension()).resolves.toBeUndefined();
+    });
+
+    it('should refuse a collection of another dimension', async () => {
+      const error = await store(1536).ensureCollection().catch(err => err);
+
+      expect(error.code).toBe('EMBEDDING_DIMENSION_MISMATCH');
+      expect(error.message).toContain('stores 1536-dimension vectors but the embedding provider produces 768');
+    });
+  });
+});
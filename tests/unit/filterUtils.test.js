@@ -0,0 +1,71 @@
+const {
+  parseNoteFilters,
+  buildMongoFilter,
+  matchesNoteFilters
+} = require('../../utils/filterUtils');
+
+describe('Filter Utils Unit Tests', () => {
+  describe('parseNoteFilters', () => {
+    it('should parse tag lists and modes', () => {
+      const filters = parseNoteFilters({ tags: 'infra, ops', tagsMode: 'all', excludeTags: 'archived' });
+      expect(filters.tags).toEqual(['infra', 'ops']);
+      expect(filters.tagsMode).toBe('all');
+      expect(filters.excludeTags).toEqual(['archived']);
+    });
+
+    it('should parse date ranges', () => {
+      const filters = parseNoteFilters({ updatedAfter: '2024-01-01', createdBefore: '2024-02-01T10:00:00Z' });
+      expect(filters.updatedAfter).toEqual(new Date('2024-01-01'));
+      expect(filters.createdBefore).toEqual(new Date('2024-02-01T10:00:00Z'));
+    });
+
+    it('should reject invalid dates', () => {
+      expect(() => parseNoteFilters({ createdAfter: 'yesterday' })).toThrow('Invalid date for createdAfter');
+    });
+  });
+
+  describe('buildMongoFilter', () => {
+    it('should return an empty filter when nothing is set', () => {
+      expect(buildMongoFilter(parseNoteFilters({}))).toEqual({});
+    });
+
+    it('should compile tags, ranges and title prefix', () => {
+      const filters = parseNoteFilters({
+        tags: 'infra',
+        excludeTags: 'archived',
+        updatedAfter: '2024-01-01',
+        titlePrefix: 'Meeting (Q1)'
+      });
+
+      expect(buildMongoFilter(filters)).toEqual({
+        tags: { $in: ['infra'], $nin: ['archived'] },
+        updatedAt: { $gte: new Date('2024-01-01') },
+        title: { $regex: '^Meeting \\(Q1\\)' }
+      });
+    });
+
+    it('should use $all when every tag is required', () => {
+      const filters = parseNoteFilters({ tags: 'a,b', tagsMode: 'all' });
+      expect(buildMongoFilter(filters).tags).toEqual({ $all: ['a', 'b'] });
+    });
+  });
+
+  describe('matchesNoteFilters', () => {
+    const note = {
+      title: 'Infra review',
+      tags: ['infra', 'ops'],
+      createdAt: '2024-01-10T00:00:00Z',
+      updatedAt: '2024-01-20T00:00:00Z'
+    };
+
+    it('should evaluate the same conditions in memory', () => {
+      expect(matchesNoteFilters(note, parseNoteFilters({ tags: 'infra,x' }))).toBe(true);
+      expect(matchesNoteFilters(note, parseNoteFilters({ tags: 'infra,x', tagsMode: 'all' }))).toBe(false);
+      expect(matchesNoteFilters(note, parseNoteFilters({ excludeTags: 'ops' }))).toBe(false);
+      expect(matchesNoteFilters(note, parseNoteFilters({ updatedAfter: '2024-01-15' }))).toBe(true);
+      expect(matchesNoteFilters(note, parseNoteFilters({ createdAfter: '2024-01-15' }))).toBe(false);
+      expect(matchesNoteFilters(note, parseNoteFilters({ titlePrefix: 'Infra' }))).toBe(true);
+      expect(matchesNoteFilters(note, parseNoteFilters({ titlePrefix: 'infra' }))).toBe(false);
+    });
+  });
+});
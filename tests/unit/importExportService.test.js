@@ -0,0 +1,115 @@
+const Note = require('../../models/Note');
+const bulkService = require('../../services/bulkService');
+const importExportService = require('../../services/importExportService');
+
+describe('Import/Export Service Unit Tests', () => {
+  const existing = [
+    { _id: 'existing-1', title: 'Standup', body: 'Daily notes' }
+  ];
+  let created;
+
+  beforeEach(() => {
+    created = [];
+    jest.spyOn(Note, 'find').mockReturnValue({
+      select: () => ({ lean: async () => existing })
+    });
+    jest.spyOn(bulkService, 'applyOperations').mockImplementation(async (ownerId, operations) => {
+      created.push(...operations);
+      return {
+        committed: true,
+        results: operations.map(operation => (operation.title === 'Rejected'
+          ? { index: operation.index, status: 'failed', error: 'Note validation failed' }
+          : { index: operation.index, status: 'created', id: `new-${operation.index}` }))
+      };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const rows = (...fields) => fields.map((value, index) => ({ row: index + 1, fields: value }));
+
+  it('should create valid rows with their timestamps and report the others', async () => {
+    const report = await importExportService.importNotes('user-1', [
+      ...rows(
+        { title: 'A', body: 'a', tags: ['x'], createdAt: '2024-01-01T00:00:00.000Z' },
+        { title: 'B' },
+        { title: 'C', body: 'c', tags: 'x' },
+        { title: 'D', body: 'd', updatedAt: 'yesterday' },
+        { title: 'E', body: 'e', format: 'html' },
+        { title: 'Rejected', body: 'r' }
+      ),
+      { row: 7, error: 'Invalid JSON: Unexpected token' }
+    ], { format: 'jsonl' });
+
+    expect(created).toHaveLength(2);
+    expect(created[0]).toMatchObject({ op: 'create', title: 'A', format: 'plain', createdAt: new Date('2024-01-01T00:00:00.000Z') });
+    expect(bulkService.applyOperations.mock.calls[0][2]).toEqual({ keepTimestamps: true });
+
+    expect(report.summary).toEqual({ total: 7, created: 1, duplicates: 0, failed: 6 });
+    expect(report.errors).toEqual([
+      { row: 2, error: 'body is required and must be a string' },
+      { row: 3, error: 'tags must be an array of strings' },
+      { row: 4, error: 'updatedAt is not a valid date' },
+      { row: 5, error: 'format must be one of plain, markdown' },
+      { row: 6, error: 'Note validation failed' },
+      { row: 7, error: 'Invalid JSON: Unexpected token' }
+    ]);
+    expect(Note.find).not.toHaveBeenCalled();
+  });
+
+  it('should skip duplicates of existing notes and earlier rows when deduping', async () => {
+    const report = await importExportService.importNotes('user-1', rows(
+      { title: ' Standup ', body: 'Daily notes\r\n' },
+      { title: 'Standup', body: 'Different notes' },
+      { title: 'Standup', body: 'Different notes' }
+    ), { format: 'jsonl', dedupe: true });
+
+    expect(created.map(operation => operation.body)).toEqual(['Different notes']);
+    expect(report.summary).toMatchObject({ total: 3, created: 1, duplicates: 2 });
+    expect(report.duplicates).toEqual([
+      { row: 1, title: 'Standup', existingId: 'existing-1' },
+      { row: 3, title: 'Standup', duplicateOfRow: 2 }
+    ]);
+    expect(Note.find.mock.calls[0][0]).toMatchObject({ ownerId: 'user-1', deletedAt: null, title: { $in: ['Standup'] } });
+  });
+
+  it('should create large imports in bulk sized batches', async () => {
+    const many = Array.from({ length: bulkService.MAX_BULK_OPERATIONS + 1 }, (_, i) => ({ title: `T${i}`, body: 'b' }));
+
+    const report = await importExportService.importNotes('user-1', rows(...many), { format: 'csv' });
+
+    expect(bulkService.applyOperations).toHaveBeenCalledTimes(2);
+    expect(report.summary.created).toBe(many.length);
+  });
+
+  it('should reject files with too many rows', async () => {
+    const lines = Array.from({ length: importExportService.MAX_IMPORT_ROWS + 1 }, () => '{"title":"a","body":"b"}').join('\n');
+
+    await expect(importExportService.parseImportFile('jsonl', Buffer.from(lines)))
+      .rejects.toThrow(`at most ${importExportService.MAX_IMPORT_ROWS} notes`);
+  });
+
+  it('should leave embeddings and index state out of exports', () => {
+    const record = importExportService.toExportRecord({
+      _id: { toString: () => 'id-1' },
+      title: 'T',
+      body: 'B',
+      tags: ['x'],
+      embedding: [0.1],
+      createdAt: new Date('2024-01-01'),
+      updatedAt: new Date('2024-01-02')
+    });
+
+    expect(record).toEqual({
+      id: 'id-1',
+      title: 'T',
+      body: 'B',
+      format: 'plain',
+      tags: ['x'],
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-02T00:00:00.000Z'
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const Note = require('../../models/Note');
+const attachmentService = require('../../services/attachmentService');
+const embeddingService = require('../../services/embeddingService');
+const linkService = require('../../services/linkService');
+const revisionService = require('../../services/revisionService');
+const vectorService = require('../../services/vectorService');
+const indexWorker = require('../../services/indexWorker');
+const { mockNote } = require('../helpers/mongooseMocks');
+
+describe('Index Worker Unit Tests', () => {
+  const note = (id, extra = {}) => mockNote({
+    _id: id,
+    title: `Note ${id}`,
+    embedding: [0.1, 0.2],
+    chunks: [{ start: 0, end: 4, embedding: [0.1, 0.2] }],
+    outbox: { version: 3, embed: false, attempts: 0 },
+    ...extra
+  });
+
+  let writes;
+
+  beforeEach(() => {
+    writes = [];
+    indexWorker.logger = { warn: jest.fn(), error: jest.fn(), info: jest.fn() };
+    vectorService.isInitialized = true;
+
+    jest.spyOn(Note, 'bulkWrite').mockImplementation(async (ops) => {
+      writes.push(...ops.map(op => op.updateOne));
+    });
+    jest.spyOn(Note, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Note, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    jest.spyOn(revisionService, 'deleteRevisions').mockResolvedValue();
+    jest.spyOn(attachmentService, 'deleteNoteAttachments').mockResolvedValue(0);
+    jest.spyOn(linkService, 'removeNotes').mockResolvedValue();
+    jest.spyOn(vectorService, 'indexNotes').mockImplementation(async (notes) => ({
+      indexed: notes.map(n => n._id),
+      failed: []
+    }));
+    jest.spyOn(vectorService, 'refreshNotes').mockResolvedValue();
+    jest.spyOn(vectorService, 'removeNotes').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    vectorService.isInitialized = false;
+  });
+
+  const claim = (notes) => jest.spyOn(indexWorker, 'claimBatch')
+    .mockResolvedValue({ token: 'token-1', notes });
+
+  it('should route notes by the kind of change', async () => {
+    claim([
+      note('a', { outbox: { version: 1, embed: true } }),
+      note('b'),
+      note('c', { embedding: undefined }),
+      note('d', { purgedAt: new Date() }),
+      note('e', { chunks: undefined })
+    ]);
+
+    const processed = await indexWorker.processBatch();
+
+    expect(processed).toBe(5);
+    expect(vectorService.indexNotes.mock.calls[0][0].map(n => n._id)).toEqual(['a', 'c', 'e']);
+    expect(vectorService.refreshNotes.mock.calls[0][0].map(n => n._id)).toEqual(['b']);
+    expect(vectorService.removeNotes).toHaveBeenCalledWith(['d']);
+    expect(revisionService.deleteRevisions).toHaveBeenCalledWith('d');
+    expect(linkService.removeNotes).toHaveBeenCalledWith(['d']);
+    expect(attachmentService.deleteNoteAttachments).toHaveBeenCalledWith(['d']);
+  });
+
+  it('should re-embed notes embedded with another dimension', async () => {
+    jest.spyOn(embeddingService, 'getDimension').mockReturnValue(3);
+    claim([
+      note('a'),
+      note('b', { embedding: [0.1, 0.2, 0.3], chunks: [{ start: 0, end: 4, embedding: [0.1, 0.2, 0.3] }] })
+    ]);
+
+    await indexWorker.processBatch();
+
+    expect(vectorService.indexNotes.mock.calls[0][0].map(n => n._id)).toEqual(['a']);
+    expect(vectorService.refreshNotes.mock.calls[0][0].map(n => n._id)).toEqual(['b']);
+  });
+
+  it('should only complete the version that was processed', async () => {
+    claim([note('b')]);
+
+    await indexWorker.processBatch();
+
+    expect(writes).toHaveLength(1);
+    expect(writes[0].filter).toEqual({ _id: 'b', 'outbox.version': 3, 'outbox.lockToken': 'token-1' });
+    expect(writes[0].update.$set).toMatchObject({ indexStatus: 'indexed', 'outbox.embed': false });
+  });
+
+  it('should schedule retries with exponential backoff', async () => {
+    claim([note('b', { outbox: { version: 3, embed: false, attempts: 2 } })]);
+    vectorService.refreshNotes.mockRejectedValue(new Error('store down'));
+
+    const before = Date.now();
+    await indexWorker.processBatch();
+
+    const { $set } = writes[0].update;
+    expect($set.indexStatus).toBe('pending');
+    expect($set['outbox.attempts']).toBe(3);
+    expect($set['outbox.lastError']).toBe('store down');
+    expect($set['outbox.nextAttemptAt'].getTime() - before).toBeGreaterThanOrEqual(4000);
+  });
+
+  it('should mark notes failed after the last attempt', async () => {
+    claim([note('b', { outbox: { version: 3, embed: false, attempts: indexWorker.maxAttempts - 1 } })]);
+    vectorService.refreshNotes.mockRejectedValue(new Error('store down'));
+
+    await indexWorker.processBatch();
+
+    expect(writes[0].update.$set.indexStatus).toBe('failed');
+  });
+
+  it('should record per-note embedding failures', async () => {
+    claim([note('a', { outbox: { version: 1, embed: true } }), note('c', { outbox: { version: 1, embed: true } })]);
+    vectorService.indexNotes.mockResolvedValue({
+      indexed: ['a'],
+      failed: [{ noteId: 'c', error: 'too long' }]
+    });
+
+    await indexWorker.processBatch();
+
+    const byId = Object.fromEntries(writes.map(write => [write.filter._id, write.update.$set]));
+    expect(byId.a.indexStatus).toBe('indexed');
+    expect(byId.c.indexStatus).toBe('pending');
+    expect(byId.c['outbox.lastError']).toBe('too long');
+  });
+
+  it('should keep purged notes when the vector store rejects the delete', async () => {
+    claim([note('d', { purgedAt: new Date() })]);
+    vectorService.removeNotes.mockRejectedValue(new Error('store down'));
+
+    await indexWorker.processBatch();
+
+    expect(Note.deleteMany).not.toHaveBeenCalled();
+    expect(writes[0].update.$set['outbox.lastError']).toBe('store down');
+  });
+
+  it('should delete purged notes after their dependents and keep them when that fails', async () => {
+    claim([note('d', { purgedAt: new Date() })]);
+    attachmentService.deleteNoteAttachments.mockRejectedValue(new Error('storage down'));
+
+    await indexWorker.processBatch();
+
+    expect(linkService.removeNotes).toHaveBeenCalledWith(['d']);
+    expect(Note.deleteMany).not.toHaveBeenCalled();
+    expect(writes[0].update.$set['outbox.lastError']).toBe('storage down');
+  });
+});
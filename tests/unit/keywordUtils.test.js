@@ -0,0 +1,22 @@
+const { keywordForms, extractKeywords, tagNameStems } = require('../../utils/keywordUtils');
+
+describe('Keyword Utils Unit Tests', () => {
+  it('should keep stemmed keywords without common words, short words or numbers', () => {
+    const keywords = extractKeywords('The deploys of the API to 2 clusters, deploy again in 2024');
+
+    expect([...keywords].sort()).toEqual(['api', 'cluster', 'deploy']);
+  });
+
+  it('should keep the first word form of every stem', () => {
+    expect([...keywordForms('Deploying clusters: one cluster for each deploying team')]).toEqual([
+      ['deploy', 'deploying'],
+      ['cluster', 'clusters'],
+      ['team', 'team']
+    ]);
+  });
+
+  it('should split tag names into stems', () => {
+    expect(tagNameStems('release notes')).toEqual(['release', 'note']);
+    expect(tagNameStems('++')).toEqual([]);
+  });
+});
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Note = require('../../models/Note');
+const NoteLink = require('../../models/NoteLink');
+const linkService = require('../../services/linkService');
+const noteService = require('../../services/noteService');
+const { mockQuery, mockNote } = require('../helpers/mongooseMocks');
+
+describe('Link Service Unit Tests', () => {
+  const ownerId = 'user-1';
+
+  let notes;
+  let links;
+
+  // Minimal query matching for the filters the service uses
+  const matchesValue = (value, condition) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof RegExp) && !(condition instanceof mongoose.Types.ObjectId)) {
+      if ('$in' in condition) {
+        return condition.$in.some(item => (item instanceof RegExp ? item.test(value) : String(item) === String(value)));
+      }
+      if ('$ne' in condition) {
+        return !matchesValue(value, condition.$ne);
+      }
+    }
+    if (condition === null) {
+      return value === null || value === undefined;
+    }
+    return String(value) === String(condition);
+  };
+  const matches = (doc, query) => Object.entries(query).every(([field, condition]) => (
+    field === '$or' ? condition.some(part => matches(doc, part)) : matchesValue(doc[field], condition)
+  ));
+  const note = (title, body = '', extra = {}) => {
+    const created = mockNote({ ownerId, title, body, ...extra });
+    notes.push(created);
+    return created;
+  };
+
+  beforeEach(() => {
+    notes = [];
+    links = [];
+
+    jest.spyOn(Note, 'find').mockImplementation(query => mockQuery(notes.filter(n => matches(n, query))));
+    jest.spyOn(Note, 'findOne').mockImplementation(query => mockQuery(notes.find(n => matches(n, query)) || null));
+    jest.spyOn(NoteLink, 'find').mockImplementation(query => mockQuery(links.filter(l => matches(l, query))));
+    jest.spyOn(NoteLink, 'distinct').mockImplementation(async (field, query) => (
+      [...new Map(links.filter(l => matches(l, query)).map(l => [String(l[field]), l[field]])).values()]
+    ));
+    jest.spyOn(NoteLink, 'deleteMany').mockImplementation(async (query) => {
+      links = links.filter(l => !matches(l, query));
+    });
+    jest.spyOn(NoteLink, 'insertMany').mockImplementation(async (edges) => {
+      links.push(...edges);
+    });
+    jest.spyOn(NoteLink, 'bulkWrite').mockImplementation(async (ops) => {
+      for (const { updateMany } of ops) {
+        links.filter(l => matches(l, updateMany.filter)).forEach(l => Object.assign(l, updateMany.update.$set));
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store resolved and broken links of a note', async () => {
+    const plan = note('Project Plan');
+    const trashed = note('Old', '', { deletedAt: new Date() });
+    const source = note('Source', `[[project plan]] [[${trashed._id}]] [[Missing]] [[Source]]`);
+
+    await linkService.syncLinks(ownerId, [source]);
+
+    expect(links.map(l => [l.kind, l.target, l.targetId && String(l.targetId)])).toEqual([
+      ['title', 'project plan', String(plan._id)],
+      ['id', String(trashed._id), String(trashed._id)],
+      ['title', 'Missing', null]
+    ]);
+
+    const broken = await linkService.getBrokenLinks(ownerId);
+    expect(broken.map(l => [l.target, l.reason])).toEqual([[String(trashed._id), 'trashed'], ['Missing', 'missing']]);
+  });
+
+  it('should resolve broken links when a note gets the linked title', async () => {
+    const source = note('Source', 'See [[Later]]');
+    await linkService.syncLinks(ownerId, [source]);
+
+    const later = note('Later');
+    await linkService.relinkTitles(ownerId, [later]);
+
+    expect(String(links[0].targetId)).toBe(String(later._id));
+    expect((await linkService.getBacklinks(ownerId, String(later._id))).map(n => n.title)).toEqual(['Source']);
+  });
+
+  it('should build the graph around a root up to the requested depth', async () => {
+    const a = note('A', '[[B]]');
+    const b = note('B', '[[C]] [[Nowhere]]');
+    const c = note('C', '[[D]]');
+    note('D');
+    await linkService.syncLinks(ownerId, notes.filter(n => n.body));
+
+    const graph = await linkService.getGraph(ownerId, { rootId: String(b._id), depth: 1 });
+
+    expect(graph.nodes.map(n => [n.title, n.depth]).sort()).toEqual([['A', 1], ['B', 0], ['C', 1]]);
+    expect(graph.edges).toEqual(expect.arrayContaining([
+      { source: String(a._id), target: String(b._id) },
+      { source: String(b._id), target: String(c._id) }
+    ]));
+    expect(graph.edges).toHaveLength(2);
+    expect(graph.broken).toEqual([{ source: String(b._id), target: 'Nowhere', kind: 'title', reason: 'missing' }]);
+
+    const full = await linkService.getGraph(ownerId, { maxNodes: 3 });
+    expect(full.nodes.map(n => n.title)).toEqual(['B', 'C', 'A']);
+    expect(full.truncated).toBe(true);
+  });
+
+  it('should rewrite title links when the linked note is renamed', async () => {
+    const target = note('Old Name');
+    const source = note('Source', 'See [[Old Name|here]]');
+    await linkService.syncLinks(ownerId, [source]);
+    jest.spyOn(noteService, 'updateNote').mockResolvedValue({});
+
+    await noteService.updateLinks(ownerId, { ...target, title: 'New Name' }, target);
+
+    expect(noteService.updateNote).toHaveBeenCalledWith(ownerId, source._id, { body: 'See [[New Name|here]]' }, { authorId: ownerId });
+  });
+});
@@ -0,0 +1,35 @@
+const { parseWikiLinks, rewriteWikiLinks, isLinkableTitle } = require('../../utils/linkUtils');
+
+describe('Link Utils Unit Tests', () => {
+  describe('parseWikiLinks', () => {
+    it('should parse title and id links once each', () => {
+      const id = '64b7f0c2a1b2c3d4e5f60718';
+      const links = parseWikiLinks(`See [[Project Plan]], [[ project plan |the plan]] and [[${id.toUpperCase()}]].`);
+
+      expect(links).toEqual([
+        { kind: 'title', target: 'Project Plan', key: 'project plan' },
+        { kind: 'id', target: id.toUpperCase(), key: id }
+      ]);
+    });
+
+    it('should ignore empty and malformed links', () => {
+      expect(parseWikiLinks('[[]] [[ ]] [[a\nb]] [single] [[x]')).toEqual([]);
+      expect(parseWikiLinks(undefined)).toEqual([]);
+    });
+  });
+
+  describe('rewriteWikiLinks', () => {
+    it('should rewrite links to the old title and keep labels', () => {
+      const body = 'A [[Old Name]], [[old name|label]] and [[Other]]';
+
+      expect(rewriteWikiLinks(body, 'Old Name', 'New Name'))
+        .toBe('A [[New Name]], [[New Name|label]] and [[Other]]');
+    });
+
+    it('should leave bodies alone when the new title cannot be linked', () => {
+      expect(isLinkableTitle('a | b')).toBe(false);
+      expect(isLinkableTitle('64b7f0c2a1b2c3d4e5f60718')).toBe(false);
+      expect(rewriteWikiLinks('[[Old]]', 'Old', 'New [draft]')).toBe('[[Old]]');
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const LocalStore = require('../../services/vectorStores/localStore');
+
+describe('Local Vector Store Unit Tests', () => {
+  const payload = (ownerId, extra = {}) => ({
+    ownerId,
+    title: 'Note',
+    tags: [],
+    createdAt: '2024-01-01T00:00:00.000Z',
+    updatedAt: '2024-01-01T00:00:00.000Z',
+    ...extra
+  });
+
+  let store;
+
+  // Index a note with one passage per vector, passages are 10 characters apart
+  const upsert = (id, vectors, notePayload) => store.upsertMany([{
+    id,
+    payload: notePayload,
+    chunks: vectors.map((vector, index) => ({ vector, start: index * 10, end: index * 10 + 10, text: `passage ${index}` }))
+  }]);
+
+  beforeEach(async () => {
+    store = new LocalStore();
+    await upsert('a', [[1, 0, 0]], payload('user-1', { title: 'Alpha', tags: ['work'] }));
+    await upsert('b', [[0.8, 0.6, 0]], payload('user-1', { title: 'Beta', tags: ['home'] }));
+    await upsert('c', [[0, 0, 1]], payload('user-1', { title: 'Gamma' }));
+    await upsert('d', [[1, 0, 0]], payload('user-2', { title: 'Other owner' }));
+  });
+
+  it('should rank notes by cosine similarity', async () => {
+    const results = await store.search([1, 0, 0], { limit: 10, threshold: 0, ownerId: 'user-1' });
+
+    expect(results.map(result => result.id)).toEqual(['a', 'b', 'c']);
+    expect(results[0].score).toBeCloseTo(1);
+    expect(results[1].score).toBeCloseTo(0.8);
+  });
+
+  it('should only return notes of the requesting owner', async () => {
+    const results = await store.search([1, 0, 0], { limit: 10, threshold: 0, ownerId: 'user-2' });
+    expect(results.map(result => result.id)).toEqual(['d']);
+  });
+
+  it('should apply the threshold and limit', async () => {
+    expect(await store.search([1, 0, 0], { limit: 10, threshold: 0.9, ownerId: 'user-1' }))
+      .toHaveLength(1);
+    expect(await store.search([1, 0, 0], { limit: 2, threshold: 0, ownerId: 'user-1' }))
+      .toHaveLength(2);
+  });
+
+  it('should apply structured filters', async () => {
+    const byTag = await store.search([1, 0, 0], {
+      limit: 10, threshold: 0, ownerId: 'user-1', filters: { tags: ['home'] }
+    });
+    const byPrefix = await store.search([1, 0, 0], {
+      limit: 10, threshold: 0, ownerId: 'user-1', filters: { titlePrefix: 'Gam' }
+    });
+
+    expect(byTag.map(result => result.id)).toEqual(['b']);
+    expect(byPrefix.map(result => result.id)).toEqual(['c']);
+  });
+
+  it('should hide trashed notes and show them again when restored', async () => {
+    await store.setPayload(['a'], { trashed: true });
+    let results = await store.search([1, 0, 0], { limit: 10, threshold: 0, ownerId: 'user-1' });
+    expect(results.map(result => result.id)).not.toContain('a');
+
+    await store.setPayload(['a'], { trashed: false });
+    results = await store.search([1, 0, 0], { limit: 10, threshold: 0, ownerId: 'user-1' });
+    expect(results[0].id).toBe('a');
+  });
+
+  it('should skip vectors of a different dimension', async () => {
+    await upsert('e', [[1, 0]], payload('user-1'));
+    const results = await store.search([1, 0, 0], { limit: 10, threshold: 0, ownerId: 'user-1' });
+    expect(results.map(result => result.id)).not.toContain('e');
+  });
+
+  it('should remove deleted notes', async () => {
+    await store.delete(['a', 'b']);
+    const stats = await store.getStats();
+    expect(stats.vectorCount).toBe(2);
+  });
+
+  it('should count the notes of one owner', async () => {
+    expect(await store.getStats('user-2')).toMatchObject({ noteCount: 1, vectorCount: 1 });
+    expect(await store.getStats('nobody')).toMatchObject({ noteCount: 0, vectorCount: 0 });
+    expect(await store.getStats()).toMatchObject({ noteCount: 4, vectorCount: 4 });
+  });
+
+  it('should return each note once with its best passage', async () => {
+    await upsert('long', [[0, 0, 1], [0.6, 0.8, 0], [0, 1, 0]], payload('user-1', { title: 'Long' }));
+
+    const results = await store.search([0, 1, 0], { limit: 10, threshold: 0.5, ownerId: 'user-1' });
+
+    expect(results.map(result => result.id)).toEqual(['long', 'b']);
+    expect(results[0].score).toBeCloseTo(1);
+    expect(results[0].passage).toEqual({ chunkIndex: 2, start: 20, end: 30, text: 'passage 2' });
+    expect(results[1].passage.chunkIndex).toBe(0);
+  });
+
+  it('should average the passages of a note into its vector', async () => {
+    await upsert('long', [[1, 0, 0], [0, 1, 0]], payload('user-1'));
+
+    const vector = await store.getNoteVector('long');
+
+    expect(vector[0]).toBeCloseTo(Math.SQRT1_2);
+    expect(vector[1]).toBeCloseTo(Math.SQRT1_2);
+    expect(await store.getNoteVector('missing')).toBeNull();
+  });
+
+  it('should replace all passages when a note is re-indexed', async () => {
+    await upsert('long', [[0, 1, 0], [0, 1, 0], [0, 1, 0]], payload('user-1'));
+    await upsert('long', [[0, 0, 1]], payload('user-1'));
+
+    const results = await store.search([0, 1, 0], { limit: 10, threshold: 0.5, ownerId: 'user-1' });
+    expect(results.map(result => result.id)).not.toContain('long');
+    expect(await store.getStats()).toMatchObject({ noteCount: 5, vectorCount: 5 });
+  });
+
+  it('should load stored embeddings on initialize', async () => {
+    const notes = [
+      { _id: 'n1', ownerId: 'user-1', title: 'Stored', body: 'Short body', embedding: [0, 1, 0], deletedAt: null },
+      { _id: 'n2', ownerId: 'user-1', title: 'Trashed', body: 'Short body', embedding: [0, 1, 0], deletedAt: new Date() },
+      {
+        _id: 'n3',
+        ownerId: 'user-1',
+        title: 'Chunked',
+        body: 'First passage. Second passage.',
+        embedding: [0.7, 0.7, 0],
+        chunks: [{ start: 0, end: 14, embedding: [1, 0, 0] }, { start: 15, end: 30, embedding: [0, 1, 0] }],
+        deletedAt: null
+      }
+    ];
+    const model = {
+      find: () => ({
+        select: () => ({ lean: () => ({ cursor: () => notes }) })
+      })
+    };
+    const loaded = new LocalStore({
+      model,
+      toPayload: note => ({ ownerId: note.ownerId, title: note.title, trashed: Boolean(note.deletedAt) })
+    });
+
+    await loaded.initialize();
+    const results = await loaded.search([0, 1, 0], { limit: 10, threshold: 0, ownerId: 'user-1' });
+
+    expect(results.map(result => result.id)).toEqual(['n1', 'n3']);
+    expect(results[0].passage).toEqual({ chunkIndex: 0, start: 0, end: 10, text: 'Short body' });
+    expect(results[1].passage).toEqual({ chunkIndex: 1, start: 15, end: 30, text: 'Second passage.' });
+  });
+});
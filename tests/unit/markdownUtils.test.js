@@ -0,0 +1,79 @@
+const { stripMarkdown, toPlainText, renderHtml } = require('../../utils/markdownUtils');
+
+describe('Markdown Utils Unit Tests', () => {
+  describe('stripMarkdown', () => {
+    it('should keep the text and drop the syntax', () => {
+      const markdown = [
+        '# Release **plan**',
+        '',
+        'Ship the *new* `index` with [the docs](https://example.com) ![diagram](d.png).',
+        '',
+        '- [x] migrate',
+        '- deploy',
+        '',
+        '> Tom &amp; Jerry',
+        '',
+        '| step | owner |',
+        '|------|-------|',
+        '| 1    | ops   |',
+        '',
+        '```js',
+        'if (a < b) {}',
+        '```'
+      ].join('\n');
+
+      expect(stripMarkdown(markdown)).toBe([
+        'Release plan',
+        'Ship the new index with the docs diagram.',
+        'migrate\ndeploy',
+        'Tom & Jerry',
+        'step owner\n1 ops',
+        'if (a < b) {}'
+      ].join('\n\n'));
+    });
+
+    it('should drop HTML tags and script content', () => {
+      expect(stripMarkdown('Hello <b>world</b>\n\n<div>inline <script>alert(1)</script></div>'))
+        .toBe('Hello world\n\ninline');
+    });
+
+    it('should leave plain bodies untouched', () => {
+      expect(toPlainText('**not** markdown', 'plain')).toBe('**not** markdown');
+      expect(toPlainText('**bold**', 'markdown')).toBe('bold');
+    });
+  });
+
+  describe('renderHtml', () => {
+    it('should render GitHub flavored Markdown', () => {
+      const html = renderHtml('# Title\n\n- [ ] task\n\n~~old~~ **new**', 'markdown');
+
+      expect(html).toContain('<h1>Title</h1>');
+      expect(html).toContain('<input disabled type="checkbox" />');
+      expect(html).toContain('<del>old</del> <strong>new</strong>');
+    });
+
+    it.each([
+      ['<script>alert(1)</script>', '<script'],
+      ['<img src="x.png" onerror="alert(1)">', 'onerror'],
+      ['[click](javascript:alert(1))', 'javascript:'],
+      ['<a href="https://example.com" onclick="steal()">x</a>', 'onclick'],
+      ['<iframe src="https://example.com"></iframe>', '<iframe'],
+      ['<svg><script>alert(1)</script></svg>', 'alert'],
+      ['![x](data:text/html;base64,PHNjcmlwdD4=)', 'data:'],
+      ['<input type="text" autofocus onfocus="alert(1)">', '<input'],
+      ['<style>body { display: none }</style>', 'display']
+    ])('should remove injected markup from %s', (markdown, forbidden) => {
+      expect(renderHtml(markdown, 'markdown')).not.toContain(forbidden);
+    });
+
+    it('should keep safe links and mark them nofollow', () => {
+      expect(renderHtml('[docs](https://example.com "Docs")', 'markdown'))
+        .toBe('<p><a href="https://example.com" title="Docs" rel="noopener noreferrer nofollow">docs</a></p>\n');
+    });
+
+    it('should escape plain bodies into paragraphs', () => {
+      expect(renderHtml('a <b> & "c"\nnext line\n\nsecond', 'plain'))
+        .toBe('<p>a &lt;b&gt; &amp; &quot;c&quot;<br>\nnext line</p>\n<p>second</p>');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const { createNoteFormat, NOTE_FORMATS } = require('../../services/noteFormats');
+const { parseCsv, formatCsvRow } = require('../../utils/csvUtils');
+
+describe('Note Formats Unit Tests', () => {
+  const records = [
+    {
+      id: '64b000000000000000000001',
+      title: 'Café, "quoted"',
+      body: 'Line 1\n\nLine, 2 with "quotes"',
+      format: 'plain',
+      tags: ['work', 'infra team'],
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-02-01T00:00:00.000Z'
+    },
+    {
+      id: '64b000000000000000000002',
+      title: 'Second',
+      body: '---\nnot front matter\n---',
+      format: 'markdown',
+      tags: [],
+      createdAt: '2024-03-01T00:00:00.000Z',
+      updatedAt: '2024-03-02T00:00:00.000Z'
+    }
+  ];
+
+  const exportToBuffer = async (format) => {
+    const buffers = [];
+    for await (const data of format.createExportStream((async function* all() { yield* records; })())) {
+      buffers.push(Buffer.from(data));
+    }
+    return Buffer.concat(buffers);
+  };
+
+  describe.each(Object.keys(NOTE_FORMATS))('%s', (name) => {
+    it('should parse its own export back into the same notes', async () => {
+      const format = createNoteFormat(name);
+      const rows = await format.parse(await exportToBuffer(format));
+
+      expect(rows).toHaveLength(2);
+      rows.forEach((row, index) => {
+        const { id, ...expected } = records[index];
+        expect(row.error).toBeUndefined();
+        expect({ tags: [], ...row.fields, body: row.fields.body.trim() }).toMatchObject({
+          ...expected,
+          createdAt: expect.anything(),
+          updatedAt: expect.anything()
+        });
+        expect(new Date(row.fields.createdAt).toISOString()).toBe(expected.createdAt);
+      });
+    });
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => createNoteFormat('xml')).toThrow('Unknown note format: xml');
+  });
+
+  describe('jsonl', () => {
+    it('should report invalid lines with their line number', async () => {
+      const rows = await createNoteFormat('jsonl').parse(Buffer.from('{"title":"a","body":"b"}\n\n[1]\n{oops\n'));
+
+      expect(rows).toEqual([
+        { row: 1, fields: { title: 'a', body: 'b' } },
+        { row: 3, error: 'Line is not a JSON object' },
+        { row: 4, error: expect.stringContaining('Invalid JSON') }
+      ]);
+    });
+  });
+
+  describe('csv', () => {
+    it('should match columns by header name and split tags', async () => {
+      const rows = await createNoteFormat('csv').parse(Buffer.from('Tags,Body,Title,Extra\r\n"a, b",text,Hello,x\r\n'));
+
+      expect(rows).toEqual([{ row: 2, fields: { title: 'Hello', body: 'text', tags: ['a', 'b'] } }]);
+    });
+
+    it('should require title and body columns', async () => {
+      await expect(createNoteFormat('csv').parse(Buffer.from('name,text\nx,y\n')))
+        .rejects.toThrow('CSV header must contain title and body columns');
+    });
+
+    it('should report records with too many values', async () => {
+      const rows = await createNoteFormat('csv').parse(Buffer.from('title,body\na,b,c\n'));
+      expect(rows[0]).toEqual({ row: 2, error: 'Expected at most 2 values, found 3' });
+    });
+
+    it('should keep spreadsheets from running exported cells as formulas', async () => {
+      const csv = createNoteFormat('csv');
+      const record = { ...records[1], title: '=HYPERLINK("http://evil")', body: '@SUM(1)', tags: ['+x'] };
+      const buffers = [];
+      for await (const data of csv.createExportStream((async function* one() { yield record; })())) {
+        buffers.push(Buffer.from(data));
+      }
+      const exported = Buffer.concat(buffers);
+
+      expect(exported.toString()).toContain('"\'=HYPERLINK(""http://evil"")",\'@SUM(1),markdown,\'+x,');
+      expect((await csv.parse(exported))[0].fields).toMatchObject({ title: record.title, body: record.body, tags: ['+x'] });
+    });
+
+    it('should round-trip values that already start with an apostrophe', async () => {
+      const csv = createNoteFormat('csv');
+      const record = { ...records[1], title: '\'=SUM(A1)', body: '\'quoted', tags: ['\'+x'] };
+      const buffers = [];
+      for await (const data of csv.createExportStream((async function* one() { yield record; })())) {
+        buffers.push(Buffer.from(data));
+      }
+      const exported = Buffer.concat(buffers);
+
+      expect(exported.toString()).toContain(',\'\'=SUM(A1),\'\'quoted,markdown,\'\'+x,');
+      expect((await csv.parse(exported))[0].fields).toMatchObject({ title: record.title, body: record.body, tags: ['\'+x'] });
+    });
+
+    it('should quote values that need it', () => {
+      expect(formatCsvRow(['plain', 'a,b', 'say "hi"', ' padded', null])).toBe('plain,"a,b","say ""hi"""," padded",\r\n');
+    });
+
+    it('should parse quoted values spanning lines', () => {
+      expect(parseCsv('\ufeffa,b\n"x\ny",z\n\nlast,row')).toEqual([
+        { line: 1, values: ['a', 'b'] },
+        { line: 2, values: ['x\ny', 'z'] },
+        { line: 5, values: ['last', 'row'] }
+      ]);
+      expect(() => parseCsv('a\n"open')).toThrow('Unterminated quoted value starting on line 2');
+    });
+  });
+
+  describe('markdown', () => {
+    const markdown = createNoteFormat('markdown');
+
+    it('should name files after the title and id', () => {
+      expect(markdown.fileName(records[0])).toBe('cafe-quoted-64b000000000000000000001.md');
+      expect(markdown.fileName({ id: 'x', title: '???' })).toBe('note-x.md');
+    });
+
+    it('should read documents without front matter', () => {
+      expect(markdown.fromMarkdown('# Plan\n\nSteps', 'folder/Project plan.md'))
+        .toEqual({ title: 'Project plan', format: 'markdown', body: '# Plan\n\nSteps' });
+    });
+
+    it('should stop reading archives at the row and size limits', async () => {
+      const many = Array.from({ length: 5 }, (value, index) => ({ ...records[1], id: `id-${index}`, title: `Note ${index}` }));
+      const buffers = [];
+      for await (const data of markdown.createExportStream((async function* all() { yield* many; })())) {
+        buffers.push(Buffer.from(data));
+      }
+      const archive = Buffer.concat(buffers);
+
+      expect((await markdown.parse(archive, { maxRows: 3 })).map(row => row.fields.title)).toEqual(['Note 0', 'Note 1', 'Note 2']);
+      await expect(markdown.parse(archive, { maxBytes: 300 })).rejects.toThrow('Archive exceeds 300 bytes of Markdown files');
+    });
+
+    it('should report invalid archives', async () => {
+      await expect(markdown.parse(Buffer.from('not a zip'))).rejects.toThrow('Invalid zip archive');
+    });
+  });
+});
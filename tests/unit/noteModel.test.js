@@ -0,0 +1,57 @@
+const Note = require('../../models/Note');
+const { contentHash } = require('../../utils/hashUtils');
+
+describe('Note Model Unit Tests', () => {
+  const markdownNote = () => new Note({
+    ownerId: 'user-1',
+    title: 'Runbook',
+    body: '# Restart\n\nRun **systemctl restart api** and check the [dashboard](https://example.com).',
+    format: 'markdown'
+  });
+
+  it('should derive the plain text of Markdown bodies on validation', async () => {
+    const note = markdownNote();
+    await note.validate();
+
+    expect(note.searchText).toBe('Restart\n\nRun systemctl restart api and check the dashboard.');
+
+    note.format = 'plain';
+    await note.validate();
+    expect(note.searchText).toBe(note.body);
+  });
+
+  it('should hash the body on validation', async () => {
+    const note = markdownNote();
+    await note.validate();
+    const hash = note.contentHash;
+
+    expect(hash).toBe(contentHash(note.body));
+
+    note.body = `${note.body}\n\nUpdated`;
+    await note.validate();
+    expect(note.contentHash).not.toBe(hash);
+  });
+
+  it('should build search snippets without Markdown syntax', async () => {
+    const note = markdownNote();
+    await note.validate();
+
+    const { body } = note.toSearchResult();
+    expect(body).not.toMatch(/[#*[\]]/);
+    expect(body).toContain('Run systemctl restart api');
+  });
+
+  it('should default to plain bodies', () => {
+    expect(new Note({ ownerId: 'user-1', title: 't', body: 'b' }).format).toBe('plain');
+  });
+
+  it('should match regex search queries literally', () => {
+    const query = Note.searchByRegex('(a+)+$', { filter: { ownerId: 'user-1' } });
+    const { ownerId, $or } = query.getFilter();
+
+    expect(ownerId).toBe('user-1');
+    expect($or[0].title.source).toBe('\\(a\\+\\)\\+\\$');
+    expect($or[1].searchText.test('costs (a+)+$ total')).toBe(true);
+    expect($or[1].searchText.test('aaaa')).toBe(false);
+  });
+});
@@ -1,29 +1,26 @@
-const sinon = require('sinon');
 const mongoose = require('mongoose');
 const Note = require('../../models/Note');
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const { STARTUP_TIMEOUT_MS, startDatabase, stopDatabase, clearDatabase } = require('../helpers/database');
+
 describe('Note Service Unit Tests', () => {
-  let mongoServer;
-  let connection;
+  let replSet;
 
-  before(async () => {
-    mongoServer = await MongoMemoryServer.create();
-    const mongoUri = mongoServer.getUri();
-    connection = await mongoose.connect(mongoUri);
-  });
+  beforeAll(async () => {
+    replSet = await startDatabase();
+  }, STARTUP_TIMEOUT_MS);
 
-  after(async () => {
-    await mongoose.disconnect();
-    await mongoServer.stop();
+  afterAll(async () => {
+    await stopDatabase(replSet);
   });
 
   beforeEach(async () => {
-    await Note.deleteMany({});
+    await clearDatabase();
   });
 
   describe('Create Note', () => {
     it('should create a note with valid data', async () => {
       const noteData = {
+        ownerId: 'user-1',
         title: 'Test Note',
         body: 'Test body content',
         tags: ['test', 'unit']
@@ -47,6 +44,7 @@ describe('Note Service Unit Tests', () => {
         await note.save();
       } catch (error) {
         expect(error).toBeInstanceOf(mongoose.Error.ValidationError);
+        expect(error.errors.ownerId).toBeDefined();
         expect(error.errors.title).toBeDefined();
         expect(error.errors.body).toBeDefined();
       }
@@ -54,6 +52,7 @@ describe('Note Service Unit Tests', () => {
 
     it('should trim whitespace from fields', async () => {
       const note = new Note({
+        ownerId: 'user-1',
         title: '  Test Title  ',
         body: '  Test Body  ',
         tags: ['  tag1  ', '  tag2  ']
@@ -69,9 +68,9 @@ describe('Note Service Unit Tests', () => {
   describe('Retrieve Notes', () => {
     beforeEach(async () => {
       await Note.create([
-        { title: 'Note 1', body: 'Body 1', tags: ['tag1'] },
-        { title: 'Note 2', body: 'Body 2', tags: ['tag2'] },
-        { title: 'Note 3', body: 'Body 3', tags: ['tag3'] }
+        { ownerId: 'user-1', title: 'Note 1', body: 'Body 1', tags: ['tag1'] },
+        { ownerId: 'user-1', title: 'Note 2', body: 'Body 2', tags: ['tag2'] },
+        { ownerId: 'user-1', title: 'Note 3', body: 'Body 3', tags: ['tag3'] }
       ]);
     });
 
@@ -102,6 +101,7 @@ describe('Note Service Unit Tests', () => {
 
     beforeEach(async () => {
       testNote = await Note.create({
+        ownerId: 'user-1',
         title: 'Original Title',
         body: 'Original Body',
         tags: ['original']
@@ -141,6 +141,7 @@ describe('Note Service Unit Tests', () => {
 
     beforeEach(async () => {
       testNote = await Note.create({
+        ownerId: 'user-1',
         title: 'To Delete',
         body: 'This will be deleted',
         tags: ['delete']
@@ -163,9 +164,9 @@ describe('Note Service Unit Tests', () => {
   describe('Search Notes', () => {
     beforeEach(async () => {
       await Note.create([
-        { title: 'JavaScript Guide', body: 'Learn JavaScript programming' },
-        { title: 'Python Tutorial', body: 'Python for beginners' },
-        { title: 'Node.js Basics', body: 'JavaScript runtime environment' }
+        { ownerId: 'user-1', title: 'JavaScript Guide', body: 'Learn JavaScript programming' },
+        { ownerId: 'user-1', title: 'Python Tutorial', body: 'Python for beginners' },
+        { ownerId: 'user-1', title: 'Node.js Basics', body: 'JavaScript runtime environment' }
       ]);
     });
 
@@ -0,0 +1,41 @@
+const QdrantStore = require('../../services/vectorStores/qdrantStore');
+
+describe('Qdrant Vector Store Unit Tests', () => {
+  // Groups of the closest notes, every fifth one titled with the searched prefix
+  const groups = Array.from({ length: 30 }, (_, index) => ({
+    hits: [{
+      score: 1 - index / 100,
+      payload: { noteId: `note-${index}`, ownerId: 'user-1', title: index % 5 === 4 ? `Meeting ${index}` : `Note ${index}`, text: 'passage' }
+    }]
+  }));
+
+  let store;
+
+  beforeEach(() => {
+    store = new QdrantStore({ url: 'http://qdrant' });
+    store.client = {
+      searchPointGroups: jest.fn(async (collection, request) => ({ groups: groups.slice(0, request.limit) }))
+    };
+  });
+
+  it('should request limit groups when no title prefix is given', async () => {
+    const results = await store.search([1, 0], { limit: 3, threshold: 0.5, ownerId: 'user-1' });
+
+    expect(results.map(result => result.id)).toEqual(['note-0', 'note-1', 'note-2']);
+    expect(store.client.searchPointGroups).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fetch more notes until limit of them match the title prefix', async () => {
+    const results = await store.search([1, 0], { limit: 3, threshold: 0.5, ownerId: 'user-1', filters: { titlePrefix: 'Meeting' } });
+
+    expect(results.map(result => result.id)).toEqual(['note-4', 'note-9', 'note-14']);
+    expect(store.client.searchPointGroups.mock.calls.map(([, request]) => request.limit)).toEqual([3, 12, 48]);
+  });
+
+  it('should return the matches found once the candidates run out', async () => {
+    const results = await store.search([1, 0], { limit: 10, threshold: 0.5, ownerId: 'user-1', filters: { titlePrefix: 'Meeting' } });
+
+    expect(results).toHaveLength(6);
+    expect(store.client.searchPointGroups).toHaveBeenCalledTimes(2);
+  });
+});
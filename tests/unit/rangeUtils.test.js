@@ -0,0 +1,39 @@
+const { parseRange, contentDisposition } = require('../../utils/rangeUtils');
+
+describe('Range Utils Unit Tests', () => {
+  describe('parseRange', () => {
+    it('should serve the whole file without a usable Range header', () => {
+      expect(parseRange(undefined, 100)).toBeNull();
+      expect(parseRange('bytes=-', 100)).toBeNull();
+      expect(parseRange('items=0-5', 100)).toBeNull();
+      expect(parseRange('bytes=0-1,5-6', 100)).toBeNull();
+      expect(parseRange('bytes=10-5', 100)).toBeNull();
+    });
+
+    it('should parse closed, open and suffix ranges', () => {
+      expect(parseRange('bytes=0-9', 100)).toEqual({ start: 0, end: 9 });
+      expect(parseRange('bytes=90-', 100)).toEqual({ start: 90, end: 99 });
+      expect(parseRange('bytes=-10', 100)).toEqual({ start: 90, end: 99 });
+    });
+
+    it('should clamp ranges reaching past the end', () => {
+      expect(parseRange('bytes=50-500', 100)).toEqual({ start: 50, end: 99 });
+      expect(parseRange('bytes=-500', 100)).toEqual({ start: 0, end: 99 });
+    });
+
+    it('should reject ranges starting after the end', () => {
+      expect(parseRange('bytes=100-', 100)).toEqual({ unsatisfiable: true });
+      expect(parseRange('bytes=-0', 100)).toEqual({ unsatisfiable: true });
+      expect(parseRange('bytes=0-', 0)).toEqual({ unsatisfiable: true });
+    });
+  });
+
+  describe('contentDisposition', () => {
+    it('should keep ASCII names and encode the UTF-8 name', () => {
+      expect(contentDisposition('attachment', 'log "1".txt'))
+        .toBe('attachment; filename="log _1_.txt"; filename*=UTF-8\'\'log%20%221%22.txt');
+      expect(contentDisposition('inline', 'résumé.pdf'))
+        .toBe('inline; filename="r_sum_.pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9.pdf');
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const { reciprocalRankFusion, weightedScoreFusion } = require('../../utils/rankFusion');
+
+describe('Rank Fusion Unit Tests', () => {
+  const rankings = {
+    text: [{ id: 'a', score: 4 }, { id: 'b', score: 2 }],
+    vector: [{ id: 'b', score: 0.9 }, { id: 'c', score: 0.8 }]
+  };
+
+  describe('reciprocalRankFusion', () => {
+    it('should favour documents found by both sources', () => {
+      const results = reciprocalRankFusion(rankings, { k: 60 });
+
+      expect(results.map(result => result.id)).toEqual(['b', 'a', 'c']);
+      expect(results[0].score).toBeCloseTo(1 / 62 + 1 / 61);
+    });
+
+    it('should report per-source scores and ranks', () => {
+      const [b, a] = reciprocalRankFusion(rankings);
+
+      expect(b.sources).toEqual({ text: { score: 2, rank: 2 }, vector: { score: 0.9, rank: 1 } });
+      expect(a.sources).toEqual({ text: { score: 4, rank: 1 }, vector: null });
+    });
+
+    it('should apply source weights', () => {
+      const results = reciprocalRankFusion(rankings, { weights: { text: 1, vector: 0 } });
+      expect(results[0].id).toBe('a');
+    });
+  });
+
+  describe('weightedScoreFusion', () => {
+    it('should normalize each source by its best score', () => {
+      const results = weightedScoreFusion(rankings, { weights: { text: 0.5, vector: 0.5 } });
+      const byId = Object.fromEntries(results.map(result => [result.id, result.score]));
+
+      expect(byId.a).toBeCloseTo(0.5);
+      expect(byId.b).toBeCloseTo(0.5 * 0.5 + 0.5);
+      expect(byId.c).toBeCloseTo(0.5 * (0.8 / 0.9));
+      expect(results[0].id).toBe('b');
+    });
+
+    it('should handle an empty source', () => {
+      const results = weightedScoreFusion({ text: [{ id: 'a', score: 1 }], vector: [] });
+      expect(results).toEqual([{ id: 'a', score: 1, sources: { text: { score: 1, rank: 1 }, vector: null } }]);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const Note = require('../../models/Note');
+const embeddingService = require('../../services/embeddingService');
+const tagSuggestionService = require('../../services/tagSuggestionService');
+const { embedText } = require('../../utils/textEmbedding');
+
+describe('Tag Suggestion Service Unit Tests', () => {
+  const ownerId = 'user-1';
+  const dimension = 512;
+  const embed = (title, body) => embedText(`${title}\n${body}`, dimension);
+
+  const raw = [
+    ['Kubernetes rollout', 'Deploy the api service to the staging cluster with two replicas and a readiness probe.', ['devops', 'kubernetes']],
+    ['Helm upgrade', 'Upgrade the helm chart for the ingress controller on the production cluster.', ['devops', 'kubernetes']],
+    ['CI pipeline', 'The deploy pipeline builds docker images and pushes them to the registry.', ['devops']],
+    ['Index tuning', 'Add a compound index on ownerId and createdAt so the MongoDB listing query stops scanning.', ['database']],
+    ['Slow queries', 'Profile slow MongoDB queries with explain and add missing indexes.', ['database']],
+    ['Chocolate cake', 'Mix flour, sugar, cocoa and eggs, then bake the cake for 35 minutes.', ['recipes']],
+    ['Sourdough', 'Feed the starter, knead the dough and bake the bread at 230 degrees.', ['recipes']]
+  ];
+
+  let notes;
+
+  beforeEach(() => {
+    notes = raw.map(([title, body, tags]) => ({ title, body, format: 'plain', tags, embedding: embed(title, body) }));
+
+    jest.spyOn(Note, 'find').mockImplementation(() => {
+      const query = {
+        select: () => query,
+        sort: () => query,
+        limit: () => query,
+        lean: async () => notes
+      };
+      return query;
+    });
+    jest.spyOn(embeddingService, 'getDimension').mockReturnValue(dimension);
+    jest.spyOn(embeddingService, 'generateEmbeddings').mockImplementation(async (texts) => texts.map(text => embedText(text, dimension)));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    tagSuggestionService.configure({ autoTagOnCreate: false, autoTagConfidence: 0.5, maxAutoTags: 3 });
+  });
+
+  it('should rank the tags of similar notes first', async () => {
+    const suggestions = await tagSuggestionService.suggestTags(ownerId, {
+      title: 'Banana bread',
+      body: 'Bake banana bread with flour, eggs and sugar.'
+    });
+
+    expect(suggestions[0].tag).toBe('recipes');
+    expect(suggestions[0].matchedKeywords).toEqual(expect.arrayContaining(['bake', 'flour']));
+    expect(suggestions[0].similarity).toBeGreaterThan(0.4);
+    expect(suggestions.map(s => s.tag)).toEqual(['recipes']);
+  });
+
+  it('should embed the note through the embedding service', async () => {
+    await tagSuggestionService.suggestTags(ownerId, { title: 'Query plan', body: 'The MongoDB query needs an index.' });
+
+    expect(embeddingService.generateEmbeddings).toHaveBeenCalledWith(['Query plan\nThe MongoDB query needs an index.']);
+  });
+
+  it('should not suggest tags the note already has', async () => {
+    const suggestions = await tagSuggestionService.suggestTags(ownerId, {
+      title: 'Cluster upgrade',
+      body: 'Roll out the new api version to the production cluster.',
+      tags: ['kubernetes']
+    });
+
+    expect(suggestions.map(s => s.tag)).not.toContain('kubernetes');
+    expect(suggestions[0].tag).toBe('devops');
+  });
+
+  it('should fall back to keywords when no embedding can be generated', async () => {
+    embeddingService.generateEmbeddings.mockRejectedValue(new Error('provider down'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const suggestions = await tagSuggestionService.suggestTags(ownerId, {
+      title: 'Cluster upgrade',
+      body: 'Roll out the new api version to the production cluster.'
+    });
+
+    expect(suggestions.map(s => s.tag)).toEqual(['kubernetes', 'devops']);
+    expect(suggestions.every(s => s.similarity === null && s.confidence === s.keywords)).toBe(true);
+  });
+
+  it('should count a mention of the tag name', async () => {
+    embeddingService.getDimension.mockReturnValue(null);
+
+    const [suggestion] = await tagSuggestionService.suggestTags(ownerId, { title: 'Note', body: 'Ask about the Databases budget.' });
+
+    expect(suggestion).toEqual(expect.objectContaining({ tag: 'database', keywords: 0.5, similarity: null, matchedKeywords: [] }));
+  });
+
+  it('should suggest nothing without tagged notes', async () => {
+    notes = [];
+
+    expect(await tagSuggestionService.suggestTags(ownerId, { title: 'A', body: 'B' })).toEqual([]);
+    expect(embeddingService.generateEmbeddings).not.toHaveBeenCalled();
+  });
+
+  it('should only auto-tag confident suggestions that fit on the note', async () => {
+    const noteData = { title: 'Banana bread', body: 'Bake banana bread with flour, eggs and sugar.', tags: [] };
+
+    expect(await tagSuggestionService.autoTags(ownerId, noteData)).toEqual(['recipes']);
+
+    tagSuggestionService.configure({ autoTagConfidence: 0.99 });
+    expect(await tagSuggestionService.autoTags(ownerId, noteData)).toEqual([]);
+
+    tagSuggestionService.configure({ autoTagConfidence: 0 });
+    const full = { ...noteData, tags: Array.from({ length: 20 }, (_, i) => `tag-${i}`) };
+    expect(await tagSuggestionService.autoTags(ownerId, full)).toEqual([]);
+  });
+});
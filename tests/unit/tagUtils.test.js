@@ -0,0 +1,38 @@
+const {
+  normalizeTag,
+  normalizeTags,
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_NOTE,
+  TagValidationError
+} = require('../../utils/tagUtils');
+
+describe('Tag Utils Unit Tests', () => {
+  it('should case fold and collapse whitespace', () => {
+    expect(normalizeTag('  Infra  Team ')).toBe('infra team');
+    expect(normalizeTag('INFRA')).toBe('infra');
+  });
+
+  it('should apply Unicode compatibility normalization', () => {
+    expect(normalizeTag('Ｉｎｆｒａ')).toBe('infra');
+  });
+
+  it('should reject tags that are too long', () => {
+    expect(() => normalizeTag('a'.repeat(MAX_TAG_LENGTH + 1))).toThrow(`exceeds ${MAX_TAG_LENGTH} characters`);
+    expect(normalizeTag('a'.repeat(MAX_TAG_LENGTH))).toHaveLength(MAX_TAG_LENGTH);
+  });
+
+  it('should reject tags that only exceed the limit once normalized', () => {
+    const tag = 'ﷺ'.repeat(3);
+    expect(() => normalizeTag(tag)).toThrow(TagValidationError);
+    expect(() => normalizeTags([tag])).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('should drop empty tags and duplicates after normalization', () => {
+    expect(normalizeTags(['Infra', 'infra', '  ', 'Ops'])).toEqual(['infra', 'ops']);
+  });
+
+  it('should limit the number of tags per note', () => {
+    const tags = Array.from({ length: MAX_TAGS_PER_NOTE + 1 }, (_, index) => `tag${index}`);
+    expect(() => normalizeTags(tags)).toThrow(`at most ${MAX_TAGS_PER_NOTE} tags`);
+  });
+});
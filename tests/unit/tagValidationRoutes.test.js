@@ -0,0 +1,82 @@
+const fastify = require('fastify');
+const Note = require('../../models/Note');
+const bulkService = require('../../services/bulkService');
+const { mockQuery, mockNote } = require('../helpers/mongooseMocks');
+
+// Three characters that pass the request schema but expand far beyond the tag limit under NFKC
+const expandingTag = 'ﷺ'.repeat(3);
+
+describe('Tag Validation Route Tests', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = fastify();
+    app.addHook('onRequest', async (request) => {
+      request.user = { id: 'user-1', isAdmin: false };
+    });
+    await app.register(require('../../routes/noteRoutes'));
+    await app.register(require('../../routes/tagRoutes'));
+    await app.ready();
+  });
+
+  afterEach(async () => {
+    await app.close();
+    jest.restoreAllMocks();
+  });
+
+  it('should answer 400 when a created note has a tag too long once normalized', async () => {
+    const save = jest.spyOn(Note.prototype, 'save');
+
+    const response = await app.inject({
+      method: 'POST',
+      url: '/notes',
+      payload: { title: 'Title', body: 'Body', tags: [expandingTag] }
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().message).toContain('exceeds 50 characters');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('should answer 400 when an update has a tag too long once normalized', async () => {
+    jest.spyOn(Note, 'findOne').mockReturnValue(mockQuery(mockNote({ revision: 1 })));
+    const findOneAndUpdate = jest.spyOn(Note, 'findOneAndUpdate');
+
+    const response = await app.inject({
+      method: 'PUT',
+      url: '/notes/507f1f77bcf86cd799439011',
+      payload: { tags: [expandingTag] }
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().message).toContain('exceeds 50 characters');
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('should fail the bulk item with a tag too long once normalized', async () => {
+    jest.spyOn(bulkService, 'supportsTransactions').mockResolvedValue(true);
+
+    const response = await app.inject({
+      method: 'POST',
+      url: '/notes/bulk',
+      payload: { atomic: true, operations: [{ op: 'create', title: 'Title', body: 'Body', tags: [expandingTag] }] }
+    });
+
+    expect(response.statusCode).toBe(400);
+    expect(response.json().results[0]).toMatchObject({ status: 'failed' });
+    expect(response.json().results[0].error).toContain('exceeds 50 characters');
+  });
+
+  it('should answer 400 when renaming or merging onto a tag too long once normalized', async () => {
+    const find = jest.spyOn(Note, 'find');
+
+    const renamed = await app.inject({ method: 'PUT', url: '/tags/infra', payload: { name: expandingTag } });
+    expect(renamed.statusCode).toBe(400);
+
+    const merged = await app.inject({ method: 'POST', url: '/tags/merge', payload: { sources: ['infra'], target: expandingTag } });
+    expect(merged.statusCode).toBe(400);
+    expect(merged.json().message).toContain('exceeds 50 characters');
+
+    expect(find).not.toHaveBeenCalled();
+  });
+});
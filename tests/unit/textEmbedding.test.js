@@ -0,0 +1,96 @@
+const { embedText, tokenize, stem, inverseDocumentFrequency } = require('../../utils/textEmbedding');
+const { cosineSimilarity } = require('../../utils/vectorUtils');
+
+describe('Offline Text Embedding Unit Tests', () => {
+  const similarity = (a, b) => cosineSimilarity(embedText(a, 512), embedText(b, 512));
+
+  const notes = {
+    mongo: 'Database tuning. Add a compound index on ownerId and createdAt so the MongoDB listing query stops scanning the whole collection.',
+    groceries: 'Weekend groceries. Buy milk, eggs, sourdough bread and coffee beans from the market.',
+    deploy: 'Kubernetes rollout. Deploy the api service to the staging cluster with two replicas and a readiness probe.',
+    cake: 'Chocolate cake. Mix flour, sugar, cocoa and eggs, then bake the cake for 35 minutes at 180 degrees.'
+  };
+
+  const rank = (query) => Object.keys(notes)
+    .map(id => ({ id, score: similarity(query, notes[id]) }))
+    .sort((a, b) => b.score - a.score)
+    .map(result => result.id);
+
+  describe('embedText', () => {
+    it('should be deterministic and normalized', () => {
+      const embedding = embedText('Meeting notes from Monday', 256);
+
+      expect(embedding).toEqual(embedText('Meeting notes from Monday', 256));
+      expect(embedding).toHaveLength(256);
+      const norm = Math.sqrt(embedding.reduce((sum, value) => sum + value * value, 0));
+      expect(norm).toBeCloseTo(1);
+    });
+
+    it('should distinguish texts made of the same characters', () => {
+      expect(similarity('listen', 'silent')).toBeLessThan(0.2);
+      expect(similarity('dusty', 'study')).toBeLessThan(0.2);
+    });
+
+    it('should embed texts without letters or digits', () => {
+      const embedding = embedText('!!!', 64);
+      expect(embedding.some(value => value !== 0)).toBe(true);
+    });
+
+    it('should ignore case and diacritics', () => {
+      expect(similarity('Café Résumé', 'cafe resume')).toBeCloseTo(1);
+    });
+  });
+
+  describe('relevance', () => {
+    it('should score overlapping vocabulary higher than unrelated text', () => {
+      const related = similarity('MongoDB index performance tuning', 'Speeding up queries with MongoDB indexes');
+      const unrelated = similarity('MongoDB index performance tuning', 'Grocery list: milk, eggs, bread');
+
+      expect(related).toBeGreaterThan(0.3);
+      expect(unrelated).toBeLessThan(0.05);
+    });
+
+    it('should not let common words dominate', () => {
+      expect(similarity('the cat sat on the mat', 'the dog ran to the park'))
+        .toBeLessThan(similarity('the cat sat on the mat', 'a cat'));
+    });
+
+    it('should match word forms and small typos', () => {
+      expect(similarity('indexes', 'index')).toBeGreaterThan(0.5);
+      expect(similarity('deploying services', 'deploy a service')).toBeGreaterThan(0.5);
+      expect(similarity('kubernetes', 'kubernets')).toBeGreaterThan(0.15);
+      expect(similarity('kubernetes', 'groceries')).toBeLessThan(0.05);
+    });
+
+    it('should prefer phrases in the same word order', () => {
+      expect(similarity('chocolate cake recipe', 'recipe for chocolate cake'))
+        .toBeGreaterThan(similarity('chocolate cake recipe', 'cake recipe without chocolate'));
+    });
+
+    it.each([
+      ['mongodb index', 'mongo'],
+      ['indexes for slow queries', 'mongo'],
+      ['buy coffee', 'groceries'],
+      ['deploy to kubernetes', 'deploy'],
+      ['how long to bake a cake', 'cake']
+    ])('should rank the matching note first for "%s"', (query, expected) => {
+      expect(rank(query)[0]).toBe(expected);
+    });
+  });
+
+  describe('text processing', () => {
+    it('should tokenize into lower case words', () => {
+      expect(tokenize('Hello, World! Ünïcode-text 42')).toEqual(['hello', 'world', 'unicode', 'text', '42']);
+    });
+
+    it('should strip common English suffixes', () => {
+      expect(['notes', 'queries', 'classes', 'indexing', 'tagged', 'status', 'boxes'].map(stem))
+        .toEqual(['note', 'query', 'class', 'index', 'tagg', 'status', 'box']);
+    });
+
+    it('should weight rare words above common ones', () => {
+      expect(inverseDocumentFrequency('the')).toBeCloseTo(1);
+      expect(inverseDocumentFrequency('which')).toBeLessThan(inverseDocumentFrequency('mongodb'));
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const Note = require('../../models/Note');
+const embeddingService = require('../../services/embeddingService');
+const vectorService = require('../../services/vectorService');
+
+describe('Vector Service Unit Tests', () => {
+  const body = 'First paragraph about MongoDB indexes.\n\nSecond paragraph about baking bread.';
+  const note = { _id: '65f000000000000000000001', ownerId: 'user-1', title: 'Mixed', body, tags: [] };
+
+  let store;
+
+  beforeEach(() => {
+    store = {
+      upsertMany: jest.fn().mockResolvedValue(),
+      search: jest.fn(),
+      getNoteVector: jest.fn().mockResolvedValue(null)
+    };
+    vectorService.store = store;
+    vectorService.isInitialized = true;
+    vectorService.chunkOptions = { chunkSize: 40, overlap: 0 };
+
+    jest.spyOn(Note, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(embeddingService, 'generateEmbeddings')
+      .mockImplementation(async (texts) => texts.map(text => (text.includes('MongoDB') ? [1, 0] : [0, 1])));
+    jest.spyOn(embeddingService, 'generateEmbedding').mockResolvedValue([1, 0]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    vectorService.store = null;
+    vectorService.isInitialized = false;
+    vectorService.chunkOptions = {};
+  });
+
+  it('should embed every passage together with the title', async () => {
+    await vectorService.indexNotes([note]);
+
+    expect(embeddingService.generateEmbeddings).toHaveBeenCalledWith([
+      'Mixed\nFirst paragraph about MongoDB indexes.',
+      'Mixed\nSecond paragraph about baking bread.'
+    ]);
+  });
+
+  it('should store the passages and their average on the note', async () => {
+    await vectorService.indexNotes([note]);
+
+    const { $set } = Note.bulkWrite.mock.calls[0][0][0].updateOne.update;
+    expect($set.chunks).toEqual([
+      { start: 0, end: 38, embedding: [1, 0] },
+      { start: 40, end: 76, embedding: [0, 1] }
+    ]);
+    expect($set.embedding[0]).toBeCloseTo(Math.SQRT1_2);
+    expect($set.embedding[1]).toBeCloseTo(Math.SQRT1_2);
+  });
+
+  it('should upsert one store record with a vector per passage', async () => {
+    await vectorService.indexNotes([note]);
+
+    const [record] = store.upsertMany.mock.calls[0][0];
+    expect(record.id).toBe(note._id);
+    expect(record.payload).toMatchObject({ ownerId: 'user-1', title: 'Mixed' });
+    expect(record.chunks).toEqual([
+      { vector: [1, 0], start: 0, end: 38, text: 'First paragraph about MongoDB indexes.' },
+      { vector: [0, 1], start: 40, end: 76, text: 'Second paragraph about baking bread.' }
+    ]);
+  });
+
+  it('should embed the plain text of Markdown notes', async () => {
+    await vectorService.indexNotes([{ ...note, body: '## Setup\n\nAdd a **MongoDB** [index](https://example.com).', format: 'markdown' }]);
+
+    expect(embeddingService.generateEmbeddings).toHaveBeenCalledWith(['Mixed\nSetup\n\nAdd a MongoDB index.']);
+    const [record] = store.upsertMany.mock.calls[0][0];
+    expect(record.payload.body).toBe('Setup\n\nAdd a MongoDB index.');
+  });
+
+  it('should refresh notes embedded before chunking as one passage', async () => {
+    await vectorService.refreshNotes([{ ...note, embedding: [1, 0] }]);
+
+    const [record] = store.upsertMany.mock.calls[0][0];
+    expect(record.chunks).toEqual([{ vector: [1, 0], start: 0, end: body.length, text: body }]);
+  });
+
+  it('should return the best passage with each result', async () => {
+    const passage = { chunkIndex: 1, start: 40, end: 76, text: 'Second paragraph about baking bread.' };
+    store.search.mockResolvedValue([{ id: note._id, score: 0.9, payload: { title: 'Mixed', body, tags: [] }, passage }]);
+
+    const results = await vectorService.vectorSearch('bread', { ownerId: 'user-1' });
+
+    expect(results).toEqual([expect.objectContaining({ id: note._id, score: 0.9, passage })]);
+  });
+
+  describe('related notes', () => {
+    const related = (id, score) => ({ id, score, payload: { title: id, body: '', tags: [] }, passage: {} });
+    const findNote = (found) => jest.spyOn(Note, 'findOne').mockReturnValue({
+      select: () => ({ lean: async () => found })
+    });
+
+    beforeEach(() => {
+      jest.spyOn(embeddingService, 'getDimension').mockReturnValue(2);
+      store.search.mockResolvedValue([related(note._id, 1), related('b', 0.8), related('c', 0.6)]);
+    });
+
+    it('should search with the stored embedding and leave out the note itself', async () => {
+      findNote({ _id: note._id, embedding: [0.6, 0.8] });
+
+      const results = await vectorService.relatedNotes('user-1', note._id, { limit: 2, threshold: 0.5, filters: { tags: ['work'] } });
+
+      expect(results.map(result => result.id)).toEqual(['b', 'c']);
+      expect(store.search).toHaveBeenCalledWith([0.6, 0.8], { limit: 3, threshold: 0.5, ownerId: 'user-1', filters: { tags: ['work'] } });
+      expect(embeddingService.generateEmbedding).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the vector in the store', async () => {
+      findNote({ _id: note._id });
+      store.getNoteVector.mockResolvedValue([1, 0]);
+
+      await vectorService.relatedNotes('user-1', note._id);
+
+      expect(store.getNoteVector).toHaveBeenCalledWith(note._id);
+      expect(store.search.mock.calls[0][0]).toEqual([1, 0]);
+    });
+
+    it('should refuse notes without a usable embedding', async () => {
+      findNote({ _id: note._id, embedding: [1, 0, 0] });
+
+      await expect(vectorService.relatedNotes('user-1', note._id)).rejects.toMatchObject({ code: 'NOTE_NOT_EMBEDDED' });
+      expect(store.search).not.toHaveBeenCalled();
+    });
+
+    it('should return null for missing notes', async () => {
+      findNote(null);
+
+      expect(await vectorService.relatedNotes('user-1', note._id)).toBeNull();
+    });
+  });
+
+  it('should fail initialization on an unknown vector store', async () => {
+    jest.spyOn(embeddingService, 'getProvider').mockReturnValue({ dimension: 2 });
+
+    await expect(vectorService.initialize({ backend: 'pinecone' })).rejects.toThrow('Unknown vector store: pinecone');
+  });
+});
@@ -0,0 +1,46 @@
+const { normalizeVector, dotProduct, kMeans, simplifiedSilhouette, averageEmbeddings } = require('../../utils/vectorUtils');
+
+describe('Vector Utils Unit Tests', () => {
+  // Two tight groups around the x and y axes
+  const vectors = [[1, 0.1], [1, -0.1], [0.9, 0], [0.1, 1], [-0.1, 1], [0, 0.9]].map(normalizeVector);
+
+  it('should normalize vectors to unit length', () => {
+    expect(normalizeVector([3, 4])).toEqual([0.6, 0.8]);
+    expect(normalizeVector([0, 0])).toEqual([0, 0]);
+    expect(dotProduct([0.6, 0.8], [0.6, 0.8])).toBeCloseTo(1);
+  });
+
+  it('should separate well-separated groups', () => {
+    const { assignments, centroids, similarities } = kMeans(vectors, 2);
+
+    expect(new Set(assignments.slice(0, 3)).size).toBe(1);
+    expect(new Set(assignments.slice(3)).size).toBe(1);
+    expect(assignments[0]).not.toBe(assignments[3]);
+    expect(centroids).toHaveLength(2);
+    expect(Math.min(...similarities)).toBeGreaterThan(0.9);
+  });
+
+  it('should be deterministic for a seed', () => {
+    expect(kMeans(vectors, 3)).toEqual(kMeans(vectors, 3));
+  });
+
+  it('should reject k larger than the number of vectors', () => {
+    expect(() => kMeans(vectors, 7)).toThrow('k must be between 1');
+  });
+
+  it('should score the natural k highest', () => {
+    const two = simplifiedSilhouette(vectors, kMeans(vectors, 2));
+    const three = simplifiedSilhouette(vectors, kMeans(vectors, 3));
+
+    expect(two).toBeGreaterThan(0.8);
+    expect(two).toBeGreaterThan(three);
+    expect(simplifiedSilhouette(vectors, kMeans(vectors, 1))).toBe(0);
+  });
+
+  it('should average embeddings into a unit vector', () => {
+    const [x, y] = averageEmbeddings([[1, 0], [0, 1]]);
+
+    expect(x).toBeCloseTo(Math.SQRT1_2);
+    expect(y).toBeCloseTo(Math.SQRT1_2);
+  });
+});
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const changeFeedService = require('../../services/changeFeedService');
+const webhookService = require('../../services/webhookService');
+const { mockQuery } = require('../helpers/mongooseMocks');
+
+describe('Webhook Service Unit Tests', () => {
+  const webhookIds = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  const event = {
+    id: 'evt-1',
+    ownerId: 'user-1',
+    type: 'deleted',
+    permanent: true,
+    note: { id: 'note-1', title: 'Note', tags: [] },
+    at: '2024-01-01T00:00:00.000Z'
+  };
+
+  let query;
+
+  beforeEach(() => {
+    jest.spyOn(Webhook, 'find').mockImplementation((filter) => {
+      query = filter;
+      return mockQuery(webhookIds.map(_id => ({ _id })));
+    });
+    jest.spyOn(WebhookDelivery, 'insertMany').mockImplementation(async (docs) => docs);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    webhookService.stop();
+  });
+
+  it('should queue a delivery per active webhook subscribed to the event type', async () => {
+    expect(await webhookService.enqueue(event)).toBe(2);
+
+    expect(query).toEqual({ ownerId: 'user-1', active: true, events: 'note.deleted' });
+    const [deliveries, options] = WebhookDelivery.insertMany.mock.calls[0];
+    expect(options).toEqual({ ordered: false });
+    expect(deliveries.map(delivery => delivery.webhookId)).toEqual(webhookIds);
+    expect(deliveries[0]).toEqual({
+      webhookId: webhookIds[0],
+      ownerId: 'user-1',
+      eventId: 'evt-1',
+      event: 'note.deleted',
+      payload: {
+        id: 'evt-1',
+        type: 'note.deleted',
+        createdAt: '2024-01-01T00:00:00.000Z',
+        data: { note: event.note, permanent: true }
+      }
+    });
+  });
+
+  it('should skip deliveries queued already by another instance', async () => {
+    const duplicate = Object.assign(new Error('E11000 duplicate key error'), { writeErrors: [{ code: 11000 }] });
+    WebhookDelivery.insertMany.mockRejectedValueOnce(duplicate);
+
+    expect(await webhookService.enqueue(event)).toBe(1);
+
+    WebhookDelivery.insertMany.mockRejectedValueOnce(Object.assign(new Error('other'), { writeErrors: [{ code: 11000 }, { code: 121 }] }));
+    await expect(webhookService.enqueue(event)).rejects.toThrow('other');
+  });
+
+  it('should queue the events of the change feed once started', async () => {
+    await changeFeedService.start({ source: 'emitter' });
+    jest.spyOn(webhookService, 'enqueue').mockResolvedValue(0);
+
+    webhookService.start({ logger: { error: jest.fn() } });
+    changeFeedService.publish('created', { _id: 'note-1', ownerId: 'user-1', title: 'Note' });
+    webhookService.stop();
+    changeFeedService.publish('created', { _id: 'note-2', ownerId: 'user-1', title: 'Note' });
+
+    expect(webhookService.enqueue).toHaveBeenCalledTimes(1);
+    expect(webhookService.enqueue).toHaveBeenCalledWith(expect.objectContaining({ ownerId: 'user-1', type: 'created' }));
+  });
+
+  it('should generate a secret and only return it on creation', async () => {
+    jest.spyOn(Webhook.prototype, 'save').mockImplementation(async function() { return this; });
+
+    const webhook = await webhookService.createWebhook('user-1', { url: 'http://localhost:4000/hook', events: ['note.created', 'note.created'] });
+
+    expect(webhook.secret).toMatch(/^whsec_/);
+    expect(webhook.events).toEqual(['note.created']);
+    expect(webhook.active).toBe(true);
+    expect(webhookService.toWebhook({ ...webhook, _id: webhook.id, secret: 's' }).secret).toBeUndefined();
+  });
+
+  it('should queue a delivery again with a new round of attempts', async () => {
+    const delivery = {
+      _id: new mongoose.Types.ObjectId(),
+      webhookId: webhookIds[0],
+      eventId: 'evt-1',
+      event: 'note.created',
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      log: [{ at: new Date(), statusCode: 500, error: 'HTTP 500' }],
+      payload: {}
+    };
+    const findOneAndUpdate = jest.spyOn(WebhookDelivery, 'findOneAndUpdate').mockReturnValue(mockQuery(delivery));
+
+    const result = await webhookService.redeliver('user-1', webhookIds[0].toString(), delivery._id.toString());
+
+    expect(findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: delivery._id.toString(), webhookId: webhookIds[0].toString(), ownerId: 'user-1' });
+    expect(findOneAndUpdate.mock.calls[0][1].$set).toEqual(expect.objectContaining({ status: 'pending', attempts: 0, lastError: null, lockToken: null, lockedUntil: null }));
+    expect(result).toEqual(expect.objectContaining({ id: delivery._id.toString(), status: 'pending', log: delivery.log }));
+
+    findOneAndUpdate.mockReturnValue(mockQuery(null));
+    expect(await webhookService.redeliver('user-1', webhookIds[0].toString(), 'missing')).toBeNull();
+  });
+});
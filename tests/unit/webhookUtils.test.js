@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { generateSecret, signPayload, verifySignature, isPrivateAddress, publicLookup } = require('../../utils/webhookUtils');
+
+describe('Webhook Utils Unit Tests', () => {
+  const secret = 'whsec_test-secret';
+  const body = '{"id":"evt-1","type":"note.created"}';
+  const now = 1700000000 * 1000;
+
+  it('should sign the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', secret).update(`1700000000.${body}`).digest('hex');
+
+    expect(signPayload(secret, 1700000000, body)).toBe(`sha256=${expected}`);
+  });
+
+  it('should verify a recent, matching signature', () => {
+    const signature = signPayload(secret, 1700000000, body);
+
+    expect(verifySignature(secret, { signature, timestamp: '1700000000', body }, { now })).toBe(true);
+    expect(verifySignature('other-secret', { signature, timestamp: '1700000000', body }, { now })).toBe(false);
+    expect(verifySignature(secret, { signature, timestamp: '1700000000', body: `${body} ` }, { now })).toBe(false);
+    expect(verifySignature(secret, { signature, timestamp: '1700000001', body }, { now })).toBe(false);
+  });
+
+  it('should reject old or missing timestamps and signatures', () => {
+    const signature = signPayload(secret, 1700000000, body);
+
+    expect(verifySignature(secret, { signature, timestamp: '1700000000', body }, { now: now + 301 * 1000 })).toBe(false);
+    expect(verifySignature(secret, { signature, timestamp: '1700000000', body }, { now: now + 301 * 1000, toleranceSeconds: 600 })).toBe(true);
+    expect(verifySignature(secret, { signature, body }, { now })).toBe(false);
+    expect(verifySignature(secret, { timestamp: '1700000000', body }, { now })).toBe(false);
+  });
+
+  it('should generate distinct secrets', () => {
+    const first = generateSecret();
+
+    expect(first).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(generateSecret()).not.toBe(first);
+  });
+
+  it('should tell private addresses from public ones', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      expect(isPrivateAddress(address)).toBe(true);
+    }
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111', '::ffff:8.8.8.8']) {
+      expect(isPrivateAddress(address)).toBe(false);
+    }
+  });
+
+  it('should refuse host names resolving to private addresses', async () => {
+    const lookup = (options) => new Promise(resolve => publicLookup('localhost', options, (error, address) => resolve({ error, address })));
+
+    expect((await lookup({})).error.message).toMatch(/^Refusing to deliver to localhost: .* is a private address$/);
+    expect((await lookup({ all: true })).error.message).toMatch(/private address/);
+  });
+});
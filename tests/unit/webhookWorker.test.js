@@ -0,0 +1,156 @@
+const http = require('http');
+const mongoose = require('mongoose');
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const webhookWorker = require('../../services/webhookWorker');
+const { verifySignature } = require('../../utils/webhookUtils');
+
+describe('Webhook Worker Unit Tests', () => {
+  const secret = 'whsec_worker-test';
+  let receiver;
+  let received;
+  let respond;
+  let webhook;
+  let writes;
+
+  const delivery = (extra = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    webhookId: webhook._id,
+    ownerId: 'user-1',
+    eventId: 'evt-1',
+    event: 'note.created',
+    payload: { id: 'evt-1', type: 'note.created', createdAt: '2024-01-01T00:00:00.000Z', data: { note: { id: 'note-1' } } },
+    status: 'pending',
+    attempts: 0,
+    ...extra
+  });
+
+  const claim = (deliveries) => jest.spyOn(webhookWorker, 'claimBatch')
+    .mockResolvedValue({ token: 'token-1', deliveries });
+
+  beforeAll(async () => {
+    // Local receiver standing in for the webhook endpoint
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        respond(res);
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    writes = [];
+    respond = res => { res.statusCode = 204; res.end(); };
+    webhook = { _id: new mongoose.Types.ObjectId(), url: `http://127.0.0.1:${receiver.address().port}/hook`, secret, active: true };
+
+    webhookWorker.logger = { warn: jest.fn(), error: jest.fn(), info: jest.fn() };
+    webhookWorker.maxAttempts = 3;
+    webhookWorker.baseDelayMs = 1000;
+    webhookWorker.timeoutMs = 10 * 1000;
+    // The receiver listens on loopback
+    webhookWorker.allowPrivateAddresses = true;
+
+    jest.spyOn(Webhook, 'find').mockReturnValue({ lean: async () => [webhook] });
+    jest.spyOn(WebhookDelivery, 'bulkWrite').mockImplementation(async (ops) => {
+      writes.push(...ops.map(op => op.updateOne));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should POST the signed payload and mark the delivery delivered', async () => {
+    const queued = delivery();
+    claim([queued]);
+
+    expect(await webhookWorker.processBatch()).toBe(1);
+
+    const [request] = received;
+    expect(request.headers['content-type']).toBe('application/json');
+    expect(request.headers['x-webhook-event']).toBe('note.created');
+    expect(request.headers['x-webhook-id']).toBe(queued._id.toString());
+    expect(JSON.parse(request.body)).toEqual(queued.payload);
+    expect(verifySignature(secret, {
+      signature: request.headers['x-webhook-signature'],
+      timestamp: request.headers['x-webhook-timestamp'],
+      body: request.body
+    })).toBe(true);
+
+    expect(writes[0].filter).toEqual({ _id: queued._id, lockToken: 'token-1' });
+    expect(writes[0].update.$set).toEqual(expect.objectContaining({ status: 'delivered', attempts: 1, lastError: null, lockToken: null }));
+    expect(writes[0].update.$push.log.$each[0]).toEqual(expect.objectContaining({ statusCode: 204 }));
+    expect(writes[0].update.$push.log.$slice).toBe(-WebhookDelivery.MAX_LOGGED_ATTEMPTS);
+  });
+
+  it('should retry failed deliveries with exponential backoff', async () => {
+    respond = res => { res.statusCode = 503; res.end('maintenance'); };
+    claim([delivery(), delivery({ attempts: 1 })]);
+
+    const before = Date.now();
+    await webhookWorker.processBatch();
+
+    const [first, second] = writes.map(write => write.update.$set);
+    expect(first).toEqual(expect.objectContaining({ status: 'pending', attempts: 1, lastError: 'HTTP 503' }));
+    expect(second).toEqual(expect.objectContaining({ status: 'pending', attempts: 2 }));
+    expect(JSON.stringify(writes)).not.toContain('maintenance');
+    expect(first.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(1000);
+    expect(second.nextAttemptAt.getTime() - first.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(900);
+    expect(webhookWorker.logger.warn).toHaveBeenCalled();
+  });
+
+  it('should dead-letter a delivery once it is out of attempts', async () => {
+    respond = res => { res.statusCode = 500; res.end(); };
+    claim([delivery({ attempts: 2 })]);
+
+    await webhookWorker.processBatch();
+
+    expect(writes[0].update.$set).toEqual(expect.objectContaining({ status: 'dead', attempts: 3, lastError: 'HTTP 500' }));
+  });
+
+  it('should count unreachable receivers and timeouts as failed attempts', async () => {
+    respond = () => {};
+    webhookWorker.timeoutMs = 100;
+    claim([delivery()]);
+
+    await webhookWorker.processBatch();
+
+    expect(writes[0].update.$set).toEqual(expect.objectContaining({ status: 'pending', attempts: 1, lastError: 'Timed out after 100ms' }));
+    expect(writes[0].update.$push.log.$each[0].statusCode).toBeUndefined();
+  });
+
+  it('should dead-letter deliveries of disabled webhooks without sending them', async () => {
+    webhook.active = false;
+    claim([delivery({ attempts: 1 })]);
+
+    await webhookWorker.processBatch();
+
+    expect(received).toEqual([]);
+    expect(writes[0].update.$set).toEqual(expect.objectContaining({ status: 'dead', attempts: 1, lastError: 'Webhook is disabled' }));
+  });
+
+  it('should refuse private addresses unless they are allowed', async () => {
+    webhookWorker.allowPrivateAddresses = false;
+    const port = receiver.address().port;
+    const urls = [`http://127.0.0.1:${port}/hook`, `http://localhost:${port}/hook`, `http://[::1]:${port}/hook`, 'http://169.254.169.254/latest'];
+    claim([delivery()]);
+
+    for (const url of urls) {
+      const entry = await webhookWorker.send({ ...webhook, url }, delivery());
+      expect(entry.error).toMatch(/^Refusing to deliver to .*private address/);
+    }
+
+    await webhookWorker.processBatch();
+
+    expect(received).toEqual([]);
+    expect(writes[0].update.$set).toEqual(expect.objectContaining({ status: 'pending', attempts: 1, lastError: expect.stringMatching(/^Refusing to deliver/) }));
+  });
+});
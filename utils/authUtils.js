@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+
+// Allowed clock drift when checking exp/nbf claims
+const CLOCK_SKEW_SECONDS = 30;
+
+/**
+ * Decode a base64url string into a Buffer
+ * @param {string} input - base64url encoded string
+ * @returns {Buffer} Decoded bytes
+ */
+function base64UrlDecode(input) {
+  return Buffer.from(input.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Encode a Buffer or string as base64url
+ * @param {Buffer|string} input - Data to encode
+ * @returns {string} base64url string without padding
+ */
+function base64UrlEncode(input) {
+  return Buffer.from(input)
+    .toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Compare two strings without leaking timing information
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Sign a payload as an HS256 JWT (used by tests and tooling)
+ * @param {Object} payload - JWT claims
+ * @param {string} secret - Shared HMAC secret
+ * @returns {string} Signed token
+ */
+function signJwt(payload, secret) {
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = base64UrlEncode(JSON.stringify(payload));
+  const signature = base64UrlEncode(
+    crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest()
+  );
+  return `${header}.${body}.${signature}`;
+}
+
+/**
+ * Verify an HS256 JWT locally and return its claims
+ * @param {string} token - Compact JWT
+ * @param {string} secret - Shared HMAC secret
+ * @param {Object} options - Optional issuer/audience checks
+ * @returns {Object} Verified claims
+ */
+function verifyJwt(token, secret, options = {}) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(base64UrlDecode(encodedHeader).toString('utf8'));
+    claims = JSON.parse(base64UrlDecode(encodedPayload).toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+
+  // Only HS256 is accepted, never trust the "none" algorithm
+  if (header.alg !== 'HS256') {
+    throw new Error(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const expected = base64UrlEncode(
+    crypto.createHmac('sha256', secret).update(`${encodedHeader}.${encodedPayload}`).digest()
+  );
+  if (!safeEqual(expected, encodedSignature)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && now > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw new Error('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && now < claims.nbf - CLOCK_SKEW_SECONDS) {
+    throw new Error('Token not yet valid');
+  }
+  if (options.issuer && claims.iss !== options.issuer) {
+    throw new Error('Invalid token issuer');
+  }
+  if (options.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(options.audience)) {
+      throw new Error('Invalid token audience');
+    }
+  }
+  if (!claims.sub) {
+    throw new Error('Token has no subject');
+  }
+
+  return claims;
+}
+
+/**
+ * Parse API key configuration into a lookup keyed by key hash
+ * Accepts an object ({ key: ownerId }) or a "key:owner,key2:owner2" string
+ * @param {Object|string} apiKeys - API key configuration
+ * @returns {Map<string, string>} Map of sha256(key) to owner id
+ */
+function parseApiKeys(apiKeys) {
+  const keys = new Map();
+  if (!apiKeys) {
+    return keys;
+  }
+
+  const entries = typeof apiKeys === 'string'
+    ? apiKeys.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+      const separator = pair.lastIndexOf(':');
+      return [pair.slice(0, separator), pair.slice(separator + 1)];
+    })
+    : Object.entries(apiKeys);
+
+  for (const [key, ownerId] of entries) {
+    if (!key || !ownerId) {
+      throw new Error('API keys must be configured as key:ownerId pairs');
+    }
+    keys.set(hashApiKey(key), ownerId);
+  }
+
+  return keys;
+}
+
+/**
+ * Hash an API key so raw keys are never kept around or compared directly
+ * @param {string} key - Raw API key
+ * @returns {string} Hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Check whether verified JWT claims grant the admin role
+ * Accepts either a "role" claim or a "roles" array
+ * @param {Object} claims - Verified JWT claims
+ * @returns {boolean} True for admins
+ */
+function hasAdminRole(claims = {}) {
+  if (claims.role === 'admin') {
+    return true;
+  }
+  return Array.isArray(claims.roles) && claims.roles.includes('admin');
+}
+
+/**
+ * Create a Fastify onRequest hook that authenticates callers
+ * Sets request.user = { id, method, isAdmin } where id is the note owner id
+ * @param {Object} options - { apiKeys, jwtSecret, jwtIssuer, jwtAudience, adminUsers }
+ * @returns {Function} Fastify hook
+ */
+function createAuthHook(options = {}) {
+  const apiKeys = parseApiKeys(options.apiKeys);
+  const { jwtSecret, jwtIssuer, jwtAudience } = options;
+  // Owner ids with admin privileges, as an array or comma separated string
+  const adminUsers = new Set(
+    (Array.isArray(options.adminUsers) ? options.adminUsers : String(options.adminUsers || '').split(','))
+      .map(id => String(id).trim())
+      .filter(Boolean)
+  );
+
+  return async function authenticate(request, reply) {
+    const unauthorized = (message) => reply.status(401).send({
+      error: 'Unauthorized',
+      message,
+      statusCode: 401
+    });
+
+    const apiKey = request.headers['x-api-key'];
+    if (apiKey) {
+      const ownerId = apiKeys.get(hashApiKey(apiKey));
+      if (!ownerId) {
+        return unauthorized('Invalid API key');
+      }
+      request.user = { id: ownerId, method: 'api-key', isAdmin: adminUsers.has(ownerId) };
+      return;
+    }
+
+    const authorization = request.headers.authorization || '';
+    const [scheme, token] = authorization.split(' ');
+    if (scheme === 'Bearer' && token) {
+      if (!jwtSecret) {
+        return unauthorized('JWT authentication is not configured');
+      }
+      try {
+        const claims = verifyJwt(token, jwtSecret, { issuer: jwtIssuer, audience: jwtAudience });
+        const id = String(claims.sub);
+        request.user = { id, method: 'jwt', claims, isAdmin: adminUsers.has(id) || hasAdminRole(claims) };
+        return;
+      } catch (error) {
+        return unauthorized(error.message);
+      }
+    }
+
+    return unauthorized('Missing API key or bearer token');
+  };
+}
+
+module.exports = {
+  createAuthHook,
+  hasAdminRole,
+  verifyJwt,
+  signJwt,
+  parseApiKeys,
+  hashApiKey,
+  base64UrlEncode,
+  base64UrlDecode,
+  safeEqual
+};
@@ -0,0 +1,91 @@
+// Splitting of long note bodies into overlapping passages for chunked embeddings
+const DEFAULT_CHUNK_SIZE = 1000;
+const DEFAULT_CHUNK_OVERLAP = 200;
+
+/**
+ * Find the best place to end a chunk within [min, max]
+ * Prefers a paragraph break, then the end of a sentence, then whitespace
+ * @param {string} text - Full text
+ * @param {number} min - Earliest acceptable end
+ * @param {number} max - Latest acceptable end
+ * @returns {number} End offset (exclusive)
+ */
+function findBreak(text, min, max) {
+  const window = text.slice(min, max);
+  const patterns = [/\n\s*\n/g, /[.!?]\s/g, /\s/g];
+
+  for (const pattern of patterns) {
+    let last = -1;
+    let match;
+    while ((match = pattern.exec(window)) !== null) {
+      last = match.index + match[0].length;
+    }
+    if (last > 0) {
+      return min + last;
+    }
+  }
+  return max;
+}
+
+/**
+ * Split text into overlapping chunks of at most chunkSize characters
+ * Chunks end at paragraph, sentence or word boundaries where possible and the next
+ * chunk starts up to `overlap` characters earlier, so a passage cut at a boundary
+ * still appears whole in one chunk. Text that fits in one chunk is returned as is.
+ * @param {string} text - Text to split
+ * @param {Object} options - { chunkSize, overlap }
+ * @returns {Array<Object>} [{ start, end, text }] with offsets into the text
+ */
+function chunkText(text, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const overlap = Math.min(options.overlap === undefined ? DEFAULT_CHUNK_OVERLAP : options.overlap, Math.floor(chunkSize / 2));
+
+  if (text.length <= chunkSize) {
+    return [{ start: 0, end: text.length, text }];
+  }
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + chunkSize, text.length);
+    if (end < text.length) {
+      end = findBreak(text, start + Math.floor(chunkSize / 2), end);
+    }
+
+    // Offsets exclude surrounding whitespace so passages can be quoted directly
+    let chunkStart = start;
+    let chunkEnd = end;
+    while (chunkStart < chunkEnd && /\s/.test(text[chunkStart])) chunkStart++;
+    while (chunkEnd > chunkStart && /\s/.test(text[chunkEnd - 1])) chunkEnd--;
+    if (chunkEnd > chunkStart) {
+      chunks.push({ start: chunkStart, end: chunkEnd, text: text.slice(chunkStart, chunkEnd) });
+    }
+
+    if (end >= text.length) {
+      break;
+    }
+
+    // Step back by the overlap, to the start of a sentence or at least of a word
+    let next = Math.max(end - overlap, start + 1);
+    if (next < end) {
+      const overlapText = text.slice(next, end);
+      const sentence = overlapText.search(/[.!?]\s/);
+      const space = overlapText.search(/\s/);
+      if (sentence !== -1 && sentence + 2 < overlapText.length) {
+        next += sentence + 2;
+      } else if (space !== -1) {
+        next += space + 1;
+      }
+    }
+    start = next;
+  }
+
+  return chunks;
+}
+
+module.exports = {
+  chunkText,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP
+};
@@ -0,0 +1,100 @@
+// Minimal RFC 4180 CSV writing and parsing for note import and export
+
+/**
+ * Quote a value if it contains a separator, quote, line break or edge whitespace
+ * @param {*} value - Cell value, null and undefined become empty cells
+ * @returns {string} CSV cell
+ */
+function formatCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Format one CSV record, terminated by CRLF
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line
+ */
+function formatCsvRow(values) {
+  return `${values.map(formatCsvValue).join(',')}\r\n`;
+}
+
+/**
+ * Parse CSV text into records
+ * Quoted cells may contain separators, doubled quotes and line breaks. A leading
+ * byte order mark is ignored and empty lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} [{ line, values }] with the 1-based line each record starts on
+ */
+function parseCsv(text) {
+  const records = [];
+  let values = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endValue = () => {
+    values.push(value);
+    value = '';
+  };
+  const endRecord = () => {
+    endValue();
+    if (values.length > 1 || values[0] !== '') {
+      records.push({ line: recordLine, values });
+    }
+    values = [];
+    recordLine = line;
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && value === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endValue();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      value += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted value starting on line ${recordLine}`);
+  }
+  if (value !== '' || values.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+module.exports = {
+  formatCsvRow,
+  parseCsv
+};
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { base64UrlEncode, base64UrlDecode, safeEqual } = require('./authUtils');
+
+// Sort keys that can back a cursor, _id is always appended as tiebreaker
+const CURSOR_SORT_KEYS = ['createdAt', 'updatedAt', 'title'];
+
+// Random fallback so cursors are still signed when no secret is configured
+let cursorSecret = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Set the secret used to sign cursors
+ * Without a configured secret cursors do not survive a restart
+ * @param {string} secret - HMAC secret
+ */
+function configureCursorSecret(secret) {
+  if (secret) {
+    cursorSecret = secret;
+  }
+}
+
+function sign(data) {
+  return base64UrlEncode(crypto.createHmac('sha256', cursorSecret).update(data).digest());
+}
+
+/**
+ * Encode an opaque, signed cursor pointing at a document
+ * @param {Object} doc - Document the cursor points at
+ * @param {Object} options - { sortBy, sortOrder, direction }
+ * @returns {string} Cursor token
+ */
+function encodeCursor(doc, options) {
+  const { sortBy, sortOrder, direction = 'next' } = options;
+  const value = doc[sortBy];
+
+  const payload = {
+    s: sortBy,
+    o: sortOrder,
+    d: direction,
+    v: value instanceof Date ? value.toISOString() : value,
+    t: value instanceof Date ? 'date' : 'string',
+    i: doc._id.toString()
+  };
+
+  const data = base64UrlEncode(JSON.stringify(payload));
+  return `${data}.${sign(data)}`;
+}
+
+/**
+ * Verify and decode a cursor token
+ * @param {string} token - Cursor token
+ * @returns {Object} { sortBy, sortOrder, direction, value, id }
+ */
+function decodeCursor(token) {
+  const [data, signature] = String(token).split('.');
+  if (!data || !signature || !safeEqual(sign(data), signature)) {
+    throw new Error('Invalid cursor');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(base64UrlDecode(data).toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!CURSOR_SORT_KEYS.includes(payload.s) || !mongoose.Types.ObjectId.isValid(payload.i)) {
+    throw new Error('Invalid cursor');
+  }
+
+  return {
+    sortBy: payload.s,
+    sortOrder: payload.o,
+    direction: payload.d === 'prev' ? 'prev' : 'next',
+    value: payload.t === 'date' ? new Date(payload.v) : payload.v,
+    id: new mongoose.Types.ObjectId(payload.i)
+  };
+}
+
+/**
+ * Build the range filter selecting documents after (or before) a cursor
+ * @param {Object} cursor - Decoded cursor
+ * @returns {Object} MongoDB filter
+ */
+function buildCursorFilter(cursor) {
+  const { sortBy, sortOrder, direction, value, id } = cursor;
+  const ascending = (sortOrder === 1) === (direction === 'next');
+  const operator = ascending ? '$gt' : '$lt';
+
+  return {
+    $or: [
+      { [sortBy]: { [operator]: value } },
+      { [sortBy]: value, _id: { [operator]: id } }
+    ]
+  };
+}
+
+/**
+ * Run a keyset-paginated query
+ * @param {Function} runQuery - (filter, sort, limit) => Promise<Array>
+ * @param {Object} options - { limit, sortBy, sortOrder, cursor (decoded) }
+ * @returns {Promise<Object>} { items, nextCursor, prevCursor }
+ */
+async function paginate(runQuery, options) {
+  const { limit = 50, sortBy = 'createdAt', sortOrder = -1, cursor } = options;
+  const direction = cursor ? cursor.direction : 'next';
+
+  // Walking backwards means reading in reverse order and flipping the page
+  const order = direction === 'prev' ? -sortOrder : sortOrder;
+  const filter = cursor ? buildCursorFilter(cursor) : {};
+
+  const docs = await runQuery(filter, { [sortBy]: order, _id: order }, limit + 1);
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (direction === 'prev') {
+    items.reverse();
+  }
+
+  const hasNext = direction === 'next' ? hasMore : true;
+  const hasPrev = direction === 'prev' ? hasMore : !!cursor;
+  const cursorOptions = { sortBy, sortOrder };
+
+  return {
+    items,
+    nextCursor: hasNext && items.length > 0
+      ? encodeCursor(items[items.length - 1], { ...cursorOptions, direction: 'next' })
+      : null,
+    prevCursor: hasPrev && items.length > 0
+      ? encodeCursor(items[0], { ...cursorOptions, direction: 'prev' })
+      : null
+  };
+}
+
+module.exports = {
+  CURSOR_SORT_KEYS,
+  configureCursorSecret,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  paginate
+};
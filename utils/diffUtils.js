@@ -0,0 +1,141 @@
+/**
+ * Line-level diff helpers used by note revision history
+ * Implements the Myers O(ND) algorithm so large bodies stay cheap to compare
+ */
+
+// Beyond this many edits the diff degrades to a full replacement to bound memory
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Split text into lines, treating a missing value as empty
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lines
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  return text.replace(/\r\n/g, '\n').split('\n');
+}
+
+/**
+ * Compute the shortest edit script between two line arrays
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Object>} Edit operations in order
+ */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Array(2 * max + 4).fill(0);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // Only keep the diagonals reachable at this step
+    const base = offset - d - 1;
+    trace.push({ base, values: v.slice(base, offset + d + 2) });
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b, offset, d);
+      }
+    }
+  }
+
+  // Too many edits, report the texts as fully replaced
+  return [
+    ...a.map((value, index) => ({ type: 'removed', oldLine: index + 1, value })),
+    ...b.map((value, index) => ({ type: 'added', newLine: index + 1, value }))
+  ];
+}
+
+/**
+ * Walk the Myers trace backwards to build the edit script
+ */
+function backtrack(trace, a, b, offset, finalD) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = finalD; d >= 0; d--) {
+    const { base, values } = trace[d];
+    const at = (diagonal) => values[offset + diagonal - base];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && at(k - 1) < at(k + 1))) {
+      prevK = k + 1;
+    } else {
+      prevK = k - 1;
+    }
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', oldLine: x, newLine: y, value: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'added', newLine: y, value: b[y - 1] });
+      } else {
+        ops.push({ type: 'removed', oldLine: x, value: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Compute a line-level diff between two texts
+ * Line numbers in the result are 1-based
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @returns {Object} { changes, added, removed }
+ */
+function diffLines(oldText, newText) {
+  const changes = myers(splitLines(oldText), splitLines(newText));
+
+  return {
+    changes,
+    added: changes.filter(change => change.type === 'added').length,
+    removed: changes.filter(change => change.type === 'removed').length
+  };
+}
+
+/**
+ * Compare two tag lists
+ * @param {Array<string>} oldTags - Previous tags
+ * @param {Array<string>} newTags - New tags
+ * @returns {Object} { added, removed }
+ */
+function diffTags(oldTags = [], newTags = []) {
+  return {
+    added: newTags.filter(tag => !oldTags.includes(tag)),
+    removed: oldTags.filter(tag => !newTags.includes(tag))
+  };
+}
+
+module.exports = {
+  diffLines,
+  diffTags,
+  splitLines
+};
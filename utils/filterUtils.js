@@ -0,0 +1,155 @@
+/**
+ * Structured note filters shared by listing, text search and vector search
+ * Query parameters are parsed once into a neutral filter object which is then
+ * compiled for MongoDB or the vector store
+ */
+
+const { normalizeTag } = require('./tagUtils');
+
+const DATE_FIELDS = ['createdAfter', 'createdBefore', 'updatedAfter', 'updatedBefore'];
+
+/**
+ * Split a comma separated list (or repeated query param) into trimmed values
+ * @param {string|Array<string>} value - Raw query value
+ * @returns {Array<string>} Values
+ */
+function parseList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a date query parameter
+ * @param {string} name - Parameter name (for error messages)
+ * @param {string} value - ISO date or date-time
+ * @returns {Date} Parsed date
+ */
+function parseDate(name, value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date for ${name}: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse filter query parameters into a normalized filter object
+ * @param {Object} query - Parsed query string
+ * @returns {Object} { tags, tagsMode, excludeTags, createdAfter, ..., titlePrefix }
+ */
+function parseNoteFilters(query = {}) {
+  // Tags are stored normalized, so filter values are normalized the same way
+  const filters = {
+    tags: parseList(query.tags).map(normalizeTag),
+    tagsMode: query.tagsMode === 'all' ? 'all' : 'any',
+    excludeTags: parseList(query.excludeTags).map(normalizeTag)
+  };
+
+  for (const field of DATE_FIELDS) {
+    if (query[field]) {
+      filters[field] = parseDate(field, query[field]);
+    }
+  }
+
+  if (query.titlePrefix) {
+    filters.titlePrefix = String(query.titlePrefix);
+  }
+
+  return filters;
+}
+
+/**
+ * Compile normalized filters into MongoDB query conditions
+ * Conditions only use indexed fields (tags, createdAt, updatedAt, title prefix)
+ * @param {Object} filters - Normalized filters from parseNoteFilters
+ * @returns {Object} MongoDB filter fragment
+ */
+function buildMongoFilter(filters = {}) {
+  const query = {};
+  const { tags = [], tagsMode = 'any', excludeTags = [] } = filters;
+
+  if (tags.length > 0 || excludeTags.length > 0) {
+    query.tags = {};
+    if (tags.length > 0) {
+      query.tags[tagsMode === 'all' ? '$all' : '$in'] = tags;
+    }
+    if (excludeTags.length > 0) {
+      query.tags.$nin = excludeTags;
+    }
+  }
+
+  const range = (after, before) => {
+    const condition = {};
+    if (after) condition.$gte = after;
+    if (before) condition.$lte = before;
+    return condition;
+  };
+
+  if (filters.createdAfter || filters.createdBefore) {
+    query.createdAt = range(filters.createdAfter, filters.createdBefore);
+  }
+  if (filters.updatedAfter || filters.updatedBefore) {
+    query.updatedAt = range(filters.updatedAfter, filters.updatedBefore);
+  }
+
+  // Anchored, case-sensitive prefix so the title index can be used
+  if (filters.titlePrefix) {
+    query.title = { $regex: `^${escapeRegex(filters.titlePrefix)}` };
+  }
+
+  return query;
+}
+
+/**
+ * Check a plain note (or vector payload) against normalized filters
+ * Used where the backing store cannot evaluate a condition itself
+ * @param {Object} note - Object with tags, createdAt, updatedAt and title
+ * @param {Object} filters - Normalized filters
+ * @returns {boolean} True if the note matches
+ */
+function matchesNoteFilters(note, filters = {}) {
+  const noteTags = note.tags || [];
+  const { tags = [], tagsMode = 'any', excludeTags = [] } = filters;
+
+  if (tags.length > 0) {
+    const matched = tagsMode === 'all'
+      ? tags.every(tag => noteTags.includes(tag))
+      : tags.some(tag => noteTags.includes(tag));
+    if (!matched) return false;
+  }
+  if (excludeTags.some(tag => noteTags.includes(tag))) {
+    return false;
+  }
+
+  const time = (value) => new Date(value).getTime();
+  if (filters.createdAfter && time(note.createdAt) < filters.createdAfter.getTime()) return false;
+  if (filters.createdBefore && time(note.createdAt) > filters.createdBefore.getTime()) return false;
+  if (filters.updatedAfter && time(note.updatedAt) < filters.updatedAfter.getTime()) return false;
+  if (filters.updatedBefore && time(note.updatedAt) > filters.updatedBefore.getTime()) return false;
+
+  if (filters.titlePrefix && !String(note.title || '').startsWith(filters.titlePrefix)) {
+    return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  parseNoteFilters,
+  buildMongoFilter,
+  matchesNoteFilters,
+  escapeRegex,
+  parseList
+};
@@ -0,0 +1,17 @@
+// Content hashing used to recognize notes with the same text
+const crypto = require('crypto');
+
+/**
+ * SHA-256 of a text after Unicode (NFC) and line ending normalization and trimming,
+ * so copies that only differ in encoding details hash the same
+ * @param {string} text - Text
+ * @returns {string} Hex digest
+ */
+function contentHash(text) {
+  const normalized = text.normalize('NFC').replace(/\r\n?/g, '\n').trim();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+  contentHash
+};
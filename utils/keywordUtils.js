@@ -0,0 +1,46 @@
+// Keyword extraction for tag suggestions and cluster labels, using the tokenizer of the offline embedder
+const { tokenize, stem, isCommonWord } = require('./textEmbedding');
+
+/**
+ * Keywords of a text: words of three or more characters that are not common English
+ * words or plain numbers, keyed by their stem so "deploys" and "deploy" are one keyword
+ * @param {string} text - Text
+ * @returns {Map<string, string>} Stem to the first word form it was found as
+ */
+function keywordForms(text) {
+  const forms = new Map();
+  for (const word of tokenize(text || '')) {
+    if (word.length >= 3 && !/^\d+$/.test(word) && !isCommonWord(word)) {
+      const wordStem = stem(word);
+      if (!forms.has(wordStem)) {
+        forms.set(wordStem, word);
+      }
+    }
+  }
+  return forms;
+}
+
+/**
+ * Distinct keyword stems of a text (see keywordForms)
+ * @param {string} text - Text
+ * @returns {Set<string>} Stems
+ */
+function extractKeywords(text) {
+  return new Set(keywordForms(text).keys());
+}
+
+/**
+ * Stems of the words of a tag name, all of them must appear in a text for the name to match
+ * "Release Notes" gives ["release", "note"]
+ * @param {string} tag - Normalized tag
+ * @returns {Array<string>} Stems (empty for tags without letters or digits)
+ */
+function tagNameStems(tag) {
+  return [...new Set(tokenize(tag).map(stem))];
+}
+
+module.exports = {
+  keywordForms,
+  extractKeywords,
+  tagNameStems
+};
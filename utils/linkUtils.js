@@ -0,0 +1,81 @@
+// Wiki-style links between notes: [[Note Title]], [[ObjectId]] and [[Target|label]]
+
+// Largest number of links stored for one note
+const MAX_LINKS_PER_NOTE = 500;
+
+const WIKI_LINK_PATTERN = /\[\[([^[\]|\n]+)(?:\|([^[\]\n]*))?\]\]/g;
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+/**
+ * Key a title link is resolved by: trimmed and case-insensitive
+ * @param {string} title - Link text or note title
+ * @returns {string} Key
+ */
+function linkKey(title) {
+  return title.trim().toLowerCase();
+}
+
+/**
+ * Parse the wiki links of a note body
+ * A target of 24 hex characters is a note id, anything else a title. Each
+ * target is returned once, in order of first appearance.
+ * @param {string} body - Note body
+ * @returns {Array<Object>} [{ kind: 'id'|'title', target, key }]
+ */
+function parseWikiLinks(body) {
+  const links = new Map();
+  for (const match of (body || '').matchAll(WIKI_LINK_PATTERN)) {
+    const target = match[1].trim();
+    if (!target) {
+      continue;
+    }
+
+    const kind = OBJECT_ID_PATTERN.test(target) ? 'id' : 'title';
+    const key = kind === 'id' ? target.toLowerCase() : linkKey(target);
+    if (!links.has(`${kind}:${key}`)) {
+      links.set(`${kind}:${key}`, { kind, target, key });
+    }
+    if (links.size >= MAX_LINKS_PER_NOTE) {
+      break;
+    }
+  }
+  return [...links.values()];
+}
+
+/**
+ * Whether a title can be written as a link target
+ * @param {string} title - Note title
+ * @returns {boolean} False for titles with brackets, pipes or line breaks
+ */
+function isLinkableTitle(title) {
+  return !/[[\]|\n]/.test(title) && !OBJECT_ID_PATTERN.test(title.trim());
+}
+
+/**
+ * Point the title links of a body at a new title, labels are kept
+ * @param {string} body - Note body
+ * @param {string} oldTitle - Title the links use
+ * @param {string} newTitle - Title to link instead
+ * @returns {string} Body with rewritten links (unchanged if the new title is not linkable)
+ */
+function rewriteWikiLinks(body, oldTitle, newTitle) {
+  if (!isLinkableTitle(newTitle)) {
+    return body;
+  }
+
+  const oldKey = linkKey(oldTitle);
+  return body.replace(WIKI_LINK_PATTERN, (link, target, label) => {
+    if (linkKey(target) !== oldKey) {
+      return link;
+    }
+    return label === undefined ? `[[${newTitle}]]` : `[[${newTitle}|${label}]]`;
+  });
+}
+
+module.exports = {
+  MAX_LINKS_PER_NOTE,
+  linkKey,
+  parseWikiLinks,
+  isLinkableTitle,
+  rewriteWikiLinks
+};
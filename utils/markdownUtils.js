@@ -0,0 +1,168 @@
+// Markdown note bodies: sanitized HTML rendering and plain text for search and embeddings
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+const NOTE_FORMATS = ['plain', 'markdown'];
+
+// Everything Markdown can produce except scripts, styles, frames and event handlers.
+// Links and images may only use http(s) and mailto URLs.
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, 'img', 'del', 'input'],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+    ol: ['start'],
+    input: ['type', 'checked', 'disabled']
+  },
+  allowedClasses: {
+    code: ['language-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesAppliedToAttributes: ['href', 'src'],
+  allowProtocolRelative: false,
+  exclusiveFilter: frame => frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow' })
+  }
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the HTML entities marked and sanitize-html produce in text
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    const decoded = ENTITIES[name.toLowerCase()];
+    return decoded === undefined ? entity : decoded;
+  });
+}
+
+/**
+ * Text content of raw HTML, without tags and without script or style content
+ * @param {string} html - HTML fragment
+ * @returns {string} Text
+ */
+function htmlText(html) {
+  return decodeEntities(sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} }));
+}
+
+/**
+ * Text of inline tokens: emphasis, code and link markup is dropped, images keep their alt text
+ * @param {Array<Object>} tokens - marked inline tokens
+ * @returns {string} Text
+ */
+function inlineText(tokens = []) {
+  return tokens.map(token => {
+    switch (token.type) {
+      case 'br':
+        return '\n';
+      case 'html':
+        return htmlText(token.text);
+      case 'image':
+      case 'codespan':
+      case 'escape':
+        return decodeEntities(token.text);
+      default:
+        return token.tokens ? inlineText(token.tokens) : decodeEntities(token.text || '');
+    }
+  }).join('');
+}
+
+/**
+ * Text of block tokens, blocks are separated by blank lines like paragraphs
+ * @param {Array<Object>} tokens - marked block tokens
+ * @returns {string} Text
+ */
+function blockText(tokens = []) {
+  return tokens.map(token => {
+    switch (token.type) {
+      case 'space':
+      case 'hr':
+        return '';
+      case 'code':
+        return token.text;
+      case 'html':
+        return htmlText(token.text).trim();
+      case 'list':
+        return token.items.map(item => blockText(item.tokens)).join('\n');
+      case 'table':
+        return [token.header, ...token.rows]
+          .map(row => row.map(cell => inlineText(cell.tokens)).join(' '))
+          .join('\n');
+      case 'blockquote':
+        return blockText(token.tokens);
+      default:
+        return token.tokens ? inlineText(token.tokens) : decodeEntities(token.text || '');
+    }
+  }).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Strip Markdown syntax, keeping the text a reader sees
+ * @param {string} markdown - Markdown source
+ * @returns {string} Plain text
+ */
+function stripMarkdown(markdown) {
+  return blockText(marked.lexer(markdown, { gfm: true })).trim();
+}
+
+/**
+ * Plain text of a note body, used for text search, snippets and embeddings
+ * @param {string} body - Note body
+ * @param {string} format - 'plain' or 'markdown'
+ * @returns {string} Plain text
+ */
+function toPlainText(body, format = 'plain') {
+  return format === 'markdown' ? stripMarkdown(body) : body;
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a note body as sanitized HTML
+ * Markdown is rendered (GitHub flavored) and sanitized, raw HTML in the source is
+ * kept only where it is harmless. Plain bodies become escaped paragraphs.
+ * @param {string} body - Note body
+ * @param {string} format - 'plain' or 'markdown'
+ * @returns {string} HTML
+ */
+function renderHtml(body, format = 'plain') {
+  if (format === 'markdown') {
+    return sanitizeHtml(marked.parse(body, { gfm: true, async: false }), SANITIZE_OPTIONS);
+  }
+
+  return body
+    .split(/\r?\n\s*\r?\n/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => `<p>${escapeHtml(paragraph.trim()).replace(/\r?\n/g, '<br>\n')}</p>`)
+    .join('\n');
+}
+
+module.exports = {
+  NOTE_FORMATS,
+  stripMarkdown,
+  toPlainText,
+  renderHtml
+};
@@ -0,0 +1,60 @@
+// HTTP Range header handling for file downloads (RFC 9110, single byte ranges)
+
+/**
+ * Parse a Range header against a resource size
+ * Only single byte ranges are served partially; a missing, malformed or multi-range
+ * header means the whole resource is sent, which the RFC allows.
+ * @param {string} header - Range header value
+ * @param {number} size - Resource size in bytes
+ * @returns {Object|null} { start, end } (end inclusive), { unsatisfiable: true }, or null for the whole resource
+ */
+function parseRange(header, size) {
+  if (!header) {
+    return null;
+  }
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = Number(match[2]);
+    if (suffix === 0) {
+      return { unsatisfiable: true };
+    }
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    if (match[2] !== '' && Number(match[2]) < start) {
+      return null;
+    }
+  }
+
+  if (start >= size || size === 0) {
+    return { unsatisfiable: true };
+  }
+  return { start, end };
+}
+
+/**
+ * Content-Disposition value with an ASCII fallback and the UTF-8 file name (RFC 6266)
+ * @param {string} type - 'inline' or 'attachment'
+ * @param {string} filename - Original file name
+ * @returns {string} Header value
+ */
+function contentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+module.exports = {
+  parseRange,
+  contentDisposition
+};
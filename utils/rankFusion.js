@@ -0,0 +1,104 @@
+/**
+ * Rank fusion helpers for hybrid search
+ * Each input ranking is an ordered array of { id, score } from one source
+ * (for example MongoDB text search and vector search)
+ */
+
+/**
+ * Attach 1-based ranks and collect per-source details by id
+ * @param {Object} rankings - { sourceName: [{ id, score }] }
+ * @returns {Map<string, Object>} id -> { sourceName: { score, rank } }
+ */
+function collectSources(rankings) {
+  const byId = new Map();
+
+  for (const [source, results] of Object.entries(rankings)) {
+    results.forEach((result, index) => {
+      const id = String(result.id);
+      if (!byId.has(id)) {
+        byId.set(id, {});
+      }
+      const sources = byId.get(id);
+      // Keep the best rank if a source returns the same id twice
+      if (!sources[source]) {
+        sources[source] = { score: result.score, rank: index + 1 };
+      }
+    });
+  }
+
+  return byId;
+}
+
+/**
+ * Fill in null entries for sources that did not return a document
+ */
+function withAllSources(sources, sourceNames) {
+  const complete = {};
+  for (const name of sourceNames) {
+    complete[name] = sources[name] || null;
+  }
+  return complete;
+}
+
+function sortFused(results) {
+  return results.sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+}
+
+/**
+ * Reciprocal rank fusion: score = sum(weight / (k + rank)) over sources
+ * Only ranks matter, so scores on different scales combine safely
+ * @param {Object} rankings - { sourceName: [{ id, score }] }
+ * @param {Object} options - { k, weights: { sourceName: number } }
+ * @returns {Array<Object>} [{ id, score, sources }] best first
+ */
+function reciprocalRankFusion(rankings, options = {}) {
+  const { k = 60, weights = {} } = options;
+  const sourceNames = Object.keys(rankings);
+  const byId = collectSources(rankings);
+
+  const fused = [...byId.entries()].map(([id, sources]) => {
+    let score = 0;
+    for (const [source, detail] of Object.entries(sources)) {
+      const weight = weights[source] === undefined ? 1 : weights[source];
+      score += weight / (k + detail.rank);
+    }
+    return { id, score, sources: withAllSources(sources, sourceNames) };
+  });
+
+  return sortFused(fused);
+}
+
+/**
+ * Weighted score fusion: score = sum(weight * normalizedScore) over sources
+ * Scores are divided by the best score of their source so every source ranges 0..1
+ * @param {Object} rankings - { sourceName: [{ id, score }] }
+ * @param {Object} options - { weights: { sourceName: number } }
+ * @returns {Array<Object>} [{ id, score, sources }] best first
+ */
+function weightedScoreFusion(rankings, options = {}) {
+  const { weights = {} } = options;
+  const sourceNames = Object.keys(rankings);
+  const byId = collectSources(rankings);
+
+  const maxScores = {};
+  for (const [source, results] of Object.entries(rankings)) {
+    maxScores[source] = results.reduce((max, result) => Math.max(max, result.score || 0), 0);
+  }
+
+  const fused = [...byId.entries()].map(([id, sources]) => {
+    let score = 0;
+    for (const [source, detail] of Object.entries(sources)) {
+      const weight = weights[source] === undefined ? 1 : weights[source];
+      const normalized = maxScores[source] > 0 ? (detail.score || 0) / maxScores[source] : 0;
+      score += weight * normalized;
+    }
+    return { id, score, sources: withAllSources(sources, sourceNames) };
+  });
+
+  return sortFused(fused);
+}
+
+module.exports = {
+  reciprocalRankFusion,
+  weightedScoreFusion
+};
@@ -0,0 +1,62 @@
+// Tag normalization rules shared by note writes, filters and the tag API
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_NOTE = 20;
+
+/**
+ * Error for tags that are invalid once normalized, a client input error
+ */
+class TagValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Normalize a single tag: Unicode NFKC, case folding and whitespace collapsing
+ * "  Infra  Team " becomes "infra team"
+ * @param {string} tag - Raw tag
+ * @returns {string} Normalized tag (may be empty)
+ * @throws {TagValidationError} If the tag is not a string or too long once normalized
+ */
+function normalizeTag(tag) {
+  if (typeof tag !== 'string') {
+    throw new TagValidationError('Tags must be strings');
+  }
+
+  const normalized = tag
+    .normalize('NFKC')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+
+  if (normalized.length > MAX_TAG_LENGTH) {
+    throw new TagValidationError(`Tag "${normalized.substring(0, 20)}..." exceeds ${MAX_TAG_LENGTH} characters`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalize a list of tags, dropping empty values and duplicates
+ * @param {Array<string>} tags - Raw tags
+ * @returns {Array<string>} Normalized, de-duplicated tags in original order
+ * @throws {TagValidationError} If a tag is invalid or there are too many
+ */
+function normalizeTags(tags = []) {
+  const normalized = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+
+  if (normalized.length > MAX_TAGS_PER_NOTE) {
+    throw new TagValidationError(`A note can have at most ${MAX_TAGS_PER_NOTE} tags`);
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  MAX_TAGS_PER_NOTE,
+  TagValidationError,
+  normalizeTag,
+  normalizeTags
+};
@@ -0,0 +1,227 @@
+// Offline text embedder: hashed word and character n-gram features with TF-IDF weighting
+// No vocabulary or model file is needed, every feature is hashed into a fixed size vector
+// (the "hashing trick"), so the same text always produces the same embedding.
+
+// Feature families and their share of the final vector
+const WORD_WEIGHT = 1.0;
+const BIGRAM_WEIGHT = 0.5;
+const CHAR_WEIGHT = 0.6;
+const CHAR_NGRAM_SIZES = [3, 4];
+
+// Most frequent English words, most frequent first. Their document frequency is
+// estimated from the rank (Zipf), every other word is treated as rare.
+const COMMON_WORDS = [
+  'the', 'of', 'and', 'to', 'a', 'in', 'is', 'it', 'you', 'that', 'he', 'was', 'for', 'on',
+  'are', 'with', 'as', 'i', 'his', 'they', 'be', 'at', 'one', 'have', 'this', 'from', 'or',
+  'had', 'by', 'not', 'but', 'what', 'some', 'we', 'can', 'out', 'other', 'were', 'all',
+  'there', 'when', 'up', 'use', 'your', 'how', 'said', 'an', 'each', 'she', 'which', 'do',
+  'their', 'time', 'if', 'will', 'way', 'about', 'many', 'then', 'them', 'would', 'so',
+  'these', 'her', 'see', 'him', 'has', 'more', 'could', 'go', 'come', 'did', 'my', 'no',
+  'get', 'than', 'been', 'who', 'its', 'now', 'our', 'just', 'also', 'into', 'only', 'new',
+  'any', 'me', 'should', 'may', 'very', 'after', 'most', 'over', 'where', 'before', 'here',
+  'too', 'does', 'am', 'us', 'those', 'both', 'such', 'why', 'while', 'being', 'own', 'same',
+  'because', 'through', 'between', 'during', 'again', 'few', 'off', 'under', 'until', 'against'
+];
+const COMMON_WORD_RANKS = new Map(COMMON_WORDS.map((word, rank) => [word, rank]));
+
+// Document frequency assumed for words outside the common list
+const RARE_DOCUMENT_FREQUENCY = 0.01;
+
+/**
+ * Estimated inverse document frequency of a word
+ * Smoothed like the usual TF-IDF variant: idf = ln(1 / df) + 1
+ * @param {string} word - Normalized word
+ * @returns {number} IDF weight (1 for the most common word, about 5.6 for rare words)
+ */
+function inverseDocumentFrequency(word) {
+  const rank = COMMON_WORD_RANKS.get(word);
+  const documentFrequency = rank === undefined
+    ? RARE_DOCUMENT_FREQUENCY
+    : Math.max(RARE_DOCUMENT_FREQUENCY, 10 / (rank + 10));
+  return Math.log(1 / documentFrequency) + 1;
+}
+
+/**
+ * Whether a word is one of the most frequent English words
+ * @param {string} word - Normalized word
+ * @returns {boolean} True for stop words like "the" or "which"
+ */
+function isCommonWord(word) {
+  return COMMON_WORD_RANKS.has(word);
+}
+
+/**
+ * Split text into normalized words: Unicode NFKD without diacritics, lower case,
+ * runs of letters and digits
+ * @param {string} text - Text
+ * @returns {Array<string>} Words
+ */
+function tokenize(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Light English suffix stripping so that "notes"/"note" and "indexing"/"index" share a feature
+ * Character n-grams cover the cases this misses
+ * @param {string} word - Normalized word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length <= 3 || /^\d+$/.test(word)) {
+    return word;
+  }
+  if (word.endsWith('ies') && word.length > 4) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (word.endsWith('sses')) {
+    return word.slice(0, -2);
+  }
+  if (word.endsWith('ing') && word.length > 5) {
+    return word.slice(0, -3);
+  }
+  if (word.endsWith('ed') && word.length > 4) {
+    return word.slice(0, -2);
+  }
+  if (word.endsWith('es') && /(x|ch|sh|ss)es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} value - Feature key
+ * @param {number} seed - Offset basis
+ * @returns {number} Unsigned hash
+ */
+function hash(value, seed = 0x811c9dc5) {
+  let h = seed;
+  for (let i = 0; i < value.length; i++) {
+    h ^= value.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Add a weighted occurrence of a feature
+ * @param {Map} features - feature -> { count, idf }
+ * @param {string} key - Feature key
+ * @param {number} idf - Feature IDF
+ */
+function addFeature(features, key, idf) {
+  const feature = features.get(key);
+  if (feature) {
+    feature.count++;
+    feature.idf = Math.max(feature.idf, idf);
+  } else {
+    features.set(key, { count: 1, idf });
+  }
+}
+
+/**
+ * Extract the word, word bigram and character n-gram features of a text
+ * @param {string} text - Text
+ * @returns {Object} { words, bigrams, chars } maps of feature -> { count, idf }
+ */
+function extractFeatures(text) {
+  let words = tokenize(text);
+  if (words.length === 0) {
+    // Punctuation or symbols only, still give the text a stable identity
+    words = [text.trim()];
+  }
+
+  const features = { words: new Map(), bigrams: new Map(), chars: new Map() };
+  const stems = words.map(stem);
+  const idfs = words.map(inverseDocumentFrequency);
+
+  stems.forEach((wordStem, i) => {
+    addFeature(features.words, `w:${wordStem}`, idfs[i]);
+
+    if (i > 0) {
+      addFeature(features.bigrams, `b:${stems[i - 1]} ${wordStem}`, (idfs[i - 1] + idfs[i]) / 2);
+    }
+
+    // Boundary markers make prefixes and suffixes distinct from word-internal n-grams
+    const marked = `<${words[i]}>`;
+    for (const size of CHAR_NGRAM_SIZES) {
+      for (let start = 0; start + size <= marked.length; start++) {
+        addFeature(features.chars, `c:${marked.substr(start, size)}`, idfs[i]);
+      }
+    }
+  });
+
+  return features;
+}
+
+/**
+ * Hash one family of features into the vector with sublinear TF-IDF weights
+ * Each family is normalized on its own, so its weight is its share of the result
+ * @param {Float64Array} vector - Target vector
+ * @param {Map} features - feature -> { count, idf }
+ * @param {number} weight - Family weight
+ */
+function accumulate(vector, features, weight) {
+  const partial = new Map();
+
+  for (const [key, { count, idf }] of features) {
+    const h = hash(key);
+    const index = h % vector.length;
+    // A second hash chooses the sign, so colliding features cancel out instead of piling up
+    const sign = hash(key, 0x9747b28c) & 1 ? 1 : -1;
+    const value = (1 + Math.log(count)) * idf;
+    partial.set(index, (partial.get(index) || 0) + sign * value);
+  }
+
+  let norm = 0;
+  for (const value of partial.values()) {
+    norm += value * value;
+  }
+  norm = Math.sqrt(norm);
+  if (norm === 0) {
+    return;
+  }
+
+  for (const [index, value] of partial) {
+    vector[index] += (value / norm) * weight;
+  }
+}
+
+/**
+ * Embed text offline
+ * Texts sharing (rare) words, word pairs or word fragments get a higher cosine similarity
+ * @param {string} text - Non-empty text
+ * @param {number} dimension - Vector size
+ * @returns {Array<number>} L2-normalized embedding
+ */
+function embedText(text, dimension = 1536) {
+  const features = extractFeatures(text);
+  const vector = new Float64Array(dimension);
+
+  accumulate(vector, features.words, WORD_WEIGHT);
+  accumulate(vector, features.bigrams, BIGRAM_WEIGHT);
+  accumulate(vector, features.chars, CHAR_WEIGHT);
+
+  let norm = 0;
+  for (let i = 0; i < dimension; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm) || 1;
+
+  return Array.from(vector, value => value / norm);
+}
+
+module.exports = {
+  embedText,
+  tokenize,
+  stem,
+  inverseDocumentFrequency,
+  isCommonWord
+};
@@ -1,84 +1,3 @@
-const { OpenAI } = require('openai');
-
-// Initialize OpenAI client
-const openai = process.env.OPENAI_API_KEY ? new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-}) : null;
-
-/**
- * Generate vector embedding for text content
- * @param {string} text - Text to embed
- * @returns {Promise<Array>} Vector embedding
- */
-async function generateEmbedding(text) {
-  if (!text || text.trim().length === 0) {
-    throw new Error('Text content is required for embedding generation');
-  }
-
-  // If OpenAI is not configured, return a fake embedding for testing
-  if (!openai) {
-    console.warn('OpenAI not configured, generating fake embedding');
-    return generateFakeEmbedding(text);
-  }
-
-  try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text.trim(),
-      encoding_format: 'float'
-    });
-
-    if (!response.data || !response.data[0] || !response.data[0].embedding) {
-      throw new Error('Invalid embedding response from OpenAI');
-    }
-
-    return response.data[0].embedding;
-  } catch (error) {
-    console.error('OpenAI embedding generation failed:', error.message);
-    
-    // Fallback to fake embedding
-    console.warn('Falling back to fake embedding generation');
-    return generateFakeEmbedding(text);
-  }
-}
-
-/**
- * Generate a fake embedding for testing purposes
- * Creates a deterministic but realistic-looking embedding
- * @param {string} text - Text to generate fake embedding for
- * @returns {Array} Fake embedding vector
- */
-function generateFakeEmbedding(text) {
-  const dimension = 1536; // OpenAI embedding dimension
-  const embedding = new Array(dimension);
-  
-  // Use text content to generate deterministic values
-  let seed = 0;
-  for (let i = 0; i < text.length; i++) {
-    seed += text.charCodeAt(i);
-  }
-  
-  // Simple pseudo-random generator for consistent results
-  let random = seed;
-  function pseudoRandom() {
-    random = (random * 1103515245 + 12345) & 0x7fffffff;
-    return random / 0x7fffffff;
-  }
-  
-  // Generate normalized embedding values
-  for (let i = 0; i < dimension; i++) {
-    embedding[i] = (pseudoRandom() - 0.5) * 2; // Values between -1 and 1
-  }
-  
-  // Normalize the vector
-  const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-  for (let i = 0; i < dimension; i++) {
-    embedding[i] /= magnitude;
-  }
-  
-  return embedding;
-}
-
 /**
  * Calculate cosine similarity between two vectors
  * @param {Array} vectorA - First vector
@@ -122,6 +41,199 @@ function findSimilarEmbeddings(queryEmbedding, embeddings, limit = 10) {
     .slice(0, limit);
 }
 
+/**
+ * Average several embeddings into one normalized vector
+ * @param {Array<Array>} embeddings - Vectors of the same length
+ * @returns {Array} Normalized mean vector
+ */
+function averageEmbeddings(embeddings) {
+  if (embeddings.length === 1) {
+    return embeddings[0];
+  }
+
+  const mean = new Array(embeddings[0].length).fill(0);
+  for (const embedding of embeddings) {
+    for (let i = 0; i < mean.length; i++) {
+      mean[i] += embedding[i];
+    }
+  }
+
+  const magnitude = Math.sqrt(mean.reduce((sum, val) => sum + val * val, 0)) || 1;
+  return mean.map(val => val / magnitude);
+}
+
+/**
+ * Scale a vector to unit length, so cosine similarity becomes a dot product
+ * @param {Array} vector - Vector
+ * @returns {Array} Unit vector (the zero vector is returned unchanged)
+ */
+function normalizeVector(vector) {
+  const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0)) || 1;
+  return vector.map(val => val / magnitude);
+}
+
+/**
+ * Dot product of two vectors of the same length
+ * @param {Array} vectorA - First vector
+ * @param {Array} vectorB - Second vector
+ * @returns {number} Dot product (the cosine similarity of unit vectors)
+ */
+function dotProduct(vectorA, vectorB) {
+  let sum = 0;
+  for (let i = 0; i < vectorA.length; i++) {
+    sum += vectorA[i] * vectorB[i];
+  }
+  return sum;
+}
+
+/**
+ * Deterministic pseudo-random numbers in [0, 1) (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Index of the centroid most similar to a vector
+ * @param {Array} vector - Unit vector
+ * @param {Array<Array>} centroids - Unit vectors
+ * @returns {Object} { index, similarity }
+ */
+function nearestCentroid(vector, centroids) {
+  let index = 0;
+  let similarity = -Infinity;
+  centroids.forEach((centroid, i) => {
+    const value = dotProduct(vector, centroid);
+    if (value > similarity) {
+      index = i;
+      similarity = value;
+    }
+  });
+  return { index, similarity };
+}
+
+/**
+ * Spherical k-means: k-means on unit vectors with cosine similarity
+ * Centroids are seeded with k-means++ from a seeded generator, so the same input
+ * always gives the same clusters. Each run stops when no assignment changes; of
+ * several runs with different seeds the one with the most similar clusters is kept.
+ * @param {Array<Array>} vectors - Unit vectors of the same length
+ * @param {number} k - Number of clusters (at most the number of vectors)
+ * @param {Object} options - { maxIterations (default 50), seed (default 42), runs (default 4) }
+ * @returns {Object} { centroids, assignments, similarities } - per vector its cluster and similarity to the centroid
+ */
+function kMeans(vectors, k, options = {}) {
+  const { maxIterations = 50, seed = 42, runs = 4 } = options;
+  if (k < 1 || k > vectors.length) {
+    throw new Error(`k must be between 1 and the number of vectors (${vectors.length})`);
+  }
+
+  let best = null;
+  let bestTotal = -Infinity;
+  for (let run = 0; run < runs; run++) {
+    const clustering = kMeansRun(vectors, k, maxIterations, seed + run);
+    const total = clustering.similarities.reduce((sum, value) => sum + value, 0);
+    if (total > bestTotal) {
+      best = clustering;
+      bestTotal = total;
+    }
+  }
+  return best;
+}
+
+/**
+ * One k-means run from one seed (see kMeans)
+ * @returns {Object} { centroids, assignments, similarities }
+ */
+function kMeansRun(vectors, k, maxIterations, seed) {
+  // k-means++: every next seed is picked with probability proportional to its distance
+  const random = seededRandom(seed);
+  const centroids = [vectors[Math.floor(random() * vectors.length)]];
+  const distances = vectors.map(vector => Math.max(0, 1 - dotProduct(vector, centroids[0])));
+  while (centroids.length < k) {
+    const total = distances.reduce((sum, value) => sum + value, 0);
+    let next = distances.findIndex(value => value > 0);
+    if (total > 0) {
+      let target = random() * total;
+      for (let i = 0; i < distances.length; i++) {
+        target -= distances[i];
+        if (target <= 0 && distances[i] > 0) {
+          next = i;
+          break;
+        }
+      }
+    }
+    // Fewer distinct vectors than k: repeat one, its cluster stays empty
+    centroids.push(vectors[next === -1 ? 0 : next]);
+    vectors.forEach((vector, i) => {
+      distances[i] = Math.min(distances[i], Math.max(0, 1 - dotProduct(vector, centroids[centroids.length - 1])));
+    });
+  }
+
+  const assignments = new Array(vectors.length).fill(-1);
+  const similarities = new Array(vectors.length).fill(0);
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let changed = false;
+    vectors.forEach((vector, i) => {
+      const nearest = nearestCentroid(vector, centroids);
+      similarities[i] = nearest.similarity;
+      if (assignments[i] !== nearest.index) {
+        assignments[i] = nearest.index;
+        changed = true;
+      }
+    });
+    if (!changed) {
+      break;
+    }
+
+    for (let c = 0; c < k; c++) {
+      const members = vectors.filter((vector, i) => assignments[i] === c);
+      if (members.length > 0) {
+        centroids[c] = averageEmbeddings(members);
+      }
+    }
+  }
+
+  return { centroids, assignments, similarities };
+}
+
+/**
+ * Simplified silhouette of a clustering: for each vector, how much closer it is to its
+ * own centroid than to the next nearest one, averaged. Ranges from -1 to 1, higher is better
+ * @param {Array<Array>} vectors - Unit vectors
+ * @param {Object} clustering - Result of kMeans
+ * @returns {number} Mean silhouette (0 for a single cluster)
+ */
+function simplifiedSilhouette(vectors, clustering) {
+  const { centroids, assignments } = clustering;
+  if (centroids.length < 2 || vectors.length === 0) {
+    return 0;
+  }
+
+  let total = 0;
+  vectors.forEach((vector, i) => {
+    const own = 1 - dotProduct(vector, centroids[assignments[i]]);
+    let other = Infinity;
+    centroids.forEach((centroid, c) => {
+      if (c !== assignments[i]) {
+        other = Math.min(other, 1 - dotProduct(vector, centroid));
+      }
+    });
+    const spread = Math.max(own, other);
+    total += spread > 0 ? (other - own) / spread : 0;
+  });
+  return total / vectors.length;
+}
+
 /**
  * Validate embedding vector
  * @param {Array} embedding - Vector to validate
@@ -140,9 +252,14 @@ function validateEmbedding(embedding) {
 }
 
 module.exports = {
-  generateEmbedding,
-  generateFakeEmbedding,
   cosineSimilarity,
   findSimilarEmbeddings,
+  averageEmbeddings,
+  normalizeVector,
+  dotProduct,
+  seededRandom,
+  nearestCentroid,
+  kMeans,
+  simplifiedSilhouette,
   validateEmbedding
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+// Signing of outgoing webhook requests, receivers verify them with verifySignature
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { safeEqual } = require('./authUtils');
+
+// Signatures older than this are rejected by verifySignature, against replays
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+// Addresses webhooks may not reach unless private receivers are allowed: this host,
+// private networks, link-local (cloud metadata) and other non-routable ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * Random secret for a new webhook
+ * @returns {string} Secret
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature of a webhook request: HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Value of the X-Webhook-Signature header ("sha256=<hex>")
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check the signature of a received webhook request
+ * @param {string} secret - Webhook secret
+ * @param {Object} request - { signature, timestamp, body } as received (headers and raw body)
+ * @param {Object} options - { toleranceSeconds, now (ms) }
+ * @returns {boolean} True if the signature matches and the timestamp is recent
+ */
+function verifySignature(secret, request, options = {}) {
+  const { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = options;
+  const { signature, timestamp, body } = request;
+
+  const seconds = Number(timestamp);
+  if (!signature || !Number.isInteger(seconds) || Math.abs(now / 1000 - seconds) > toleranceSeconds) {
+    return false;
+  }
+  return safeEqual(signPayload(secret, seconds, body), String(signature));
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local, unique-local or otherwise
+ * not publicly routable (IPv4-mapped IPv6 addresses are checked as IPv4)
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if webhooks may not be sent to it by default
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup replacement for outgoing webhook requests that fails for private addresses
+ * The check runs on the address the connection is made to, so a host name cannot
+ * resolve to a public address when checked and to a private one when connecting
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - (error, address, family) or (error, addresses) with options.all
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) {
+      return callback(new Error(`Refusing to deliver to ${hostname}: ${blocked} is a private address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  publicLookup,
+  generateSecret,
+  signPayload,
+  verifySignature
+};